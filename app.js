@@ -1,67 +1,170 @@
-// DealShield MVP — EN-only. Runs fully in browser.
-// AI: Named Entity Recognition via Transformers.js (ONNX Runtime in browser).
-// Ref: https://huggingface.co/docs/transformers.js/en/index  | CDN examples via jsDelivr package page.
-// NER model: Xenova/bert-base-NER (Transformers.js compatible).
-
-// Lazy-load Transformers.js to avoid hard failure if a CDN/model is unavailable.
-let _pipelineFn = null;
-let _pipelineLoadPromise = null;
-
-async function _getPipelineFn(){
-  if (_pipelineFn) return _pipelineFn;
-  if (_pipelineLoadPromise) return _pipelineLoadPromise;
-  const sources = [
-    "https://cdn.jsdelivr.net/npm/@xenova/transformers@2.17.2",
-    "https://unpkg.com/@xenova/transformers@2.17.2?module",
-    "https://esm.sh/@xenova/transformers@2.17.2"
-  ];
-  _pipelineLoadPromise = (async () => {
-    let lastErr = null;
-    for (const url of sources){
-      try {
-        const mod = await import(url);
-        if (mod && typeof mod.pipeline === "function"){
-          _pipelineFn = mod.pipeline;
-          return _pipelineFn;
-        }
-      } catch (e) { lastErr = e; }
-    }
-    throw lastErr || new Error("Failed to load transformers pipeline");
-  })();
-  return _pipelineLoadPromise;
-}
-
+// DealShield MVP — runs fully in browser. English rules plus locale packs (rules/locales/) for
+// Spanish, German, Portuguese, Russian, Turkish and Arabic; replies follow the counterparty's language.
+// Analysis, snapshot, reply and reports come from lib/core.js (shared with the CLI in bin/) and run
+// in a Web Worker (web/analysis-worker.js) together with the optional NER model;
+// this file loads the rule pack, talks to the DOM and IndexedDB history.
+// AI: Named Entity Recognition via Transformers.js (ONNX Runtime in browser), loaded by web/models.js
+// from the pinned local copy (models/lock.json) or a CDN. Ref: https://huggingface.co/docs/transformers.js/en/index
+// NER model: Xenova/distilbert-base-cased-finetuned-conll03-english.
+// sw.js precaches the app shell so it works offline (PWA).
+
+import { compileRulePack } from "./lib/rules.js";
+import { counterpartyKey, makeHistoryRecord, groupHistory } from "./lib/history.js";
+import { readMessages, composeEmailText, parseHeaderBlock, senderOf } from "./lib/email.js";
+import { applyProfile, profileText } from "./lib/profile.js";
+import { partyText } from "./lib/parties.js";
+import { safeReply, scrubReply } from "./lib/reply.js";
+import {
+  buildChecklist, checklistKey, updateCheck, applyChecklist, auditSummary, CHECK_STATUSES, CHECK_STATUS_TEXT, planItems,
+} from "./lib/checklist.js";
+import { sha256, toHex } from "./lib/hash.js";
+import { buildReport, parseReport, reportsCsv, stixBundle, checkedResult as checkedReportResult } from "./lib/report.js";
+import { buildPdfReport } from "./lib/pdf-report.js";
+import { scheduleIcs } from "./lib/terms.js";
+import {
+  emptyDirectory, parseDirectory, parseDirectoryCsv, mergeDirectory, directoryCsv, recordFromResult, indicatorsFromResult,
+  recordText, indicatorText,
+} from "./lib/directory.js";
+import {
+  highlightMatches, explainSpans, dismissSpans, guessMessageCounterparty, reasonText, ptsText, instrumentText, linkVerdictText, amountText, secondOpinionText,
+  buildMarkdownSummary, markdownToPlain, timelineText,
+} from "./lib/core.js";
+import { caseMoves, caseLine, caseHistoryText, CASE_STATE_TEXT } from "./lib/cases.js";
+import {
+  saveAnalysis, listAnalyses, deleteAnalysis, deleteAnalyses, clearHistory, exportHistory,
+  loadChecklist, saveChecklist, saveEvidence, getEvidence,
+} from "./web/history-store.js";
+import { isPdfFile, isImageFile, extractPdfText, ocrImage } from "./web/ingest.js";
+import { formatBytes } from "./web/models.js";
+import { createAnalyzer, AnalysisCancelled } from "./web/analyzer.js";
+import { createCaseClient } from "./web/cases.js";
 
 const $ = (id) => document.getElementById(id);
 
 const aiStatus = $("aiStatus");
 const input = $("input");
+const counterpartyInput = $("counterparty");
+const dealInput = $("dealRef");
+const saveHistoryChk = $("saveHistory");
+const threadModeChk = $("threadMode");
+const importBtn = $("importBtn");
+const importInput = $("importInput");
+const mboxPick = $("mboxPick");
+const importStatus = $("importStatus");
+const inputCard = $("inputCard");
 const analyzeBtn = $("analyzeBtn");
+const runStatus = $("runStatus");
 
 const scoreEl = $("score");
 const riskPill = $("riskPill");
 const reasonsEl = $("reasons");
 
+const counterpartyEl = $("counterpartyOut");
 const partiesEl = $("parties");
 const amountEl = $("amount");
 const deadlineEl = $("deadline");
+const scheduleEl = $("schedule");
 const paymentEl = $("payment");
+const emailInfoEl = $("emailInfo");
+const instrumentsEl = $("instruments");
+const invoiceEl = $("invoice");
+const languageEl = $("language");
 const linksEl = $("links");
 
 const planEl = $("plan");
+const reviewerInput = $("reviewer");
+const evidenceInput = $("evidenceInput");
+const auditStatusEl = $("auditStatus");
 const replyBox = $("replyBox");
+const replyCheckEl = $("replyCheck");
+const replyToneSel = $("replyTone");
+const replyChannelSel = $("replyChannel");
+const replyTemplateSel = $("replyTemplate");
+const replySignatureInput = $("replySignature");
+const replyCompanyInput = $("replyCompany");
+const replyTemplateSaveBtn = $("replyTemplateSave");
+const replyTemplateDeleteBtn = $("replyTemplateDelete");
 const highlightedEl = $("highlighted");
+const whatIfChk = $("whatIf");
+const whatIfOut = $("whatIfOut");
+const markTip = $("markTip");
+const timelineCard = $("timelineCard");
+const timelineEl = $("timeline");
 
 const demo1 = $("demo1");
 const demo2 = $("demo2");
 const demo3 = $("demo3");
+const demo4 = $("demo4");
 
 const copyReplyBtn = $("copyReply");
 const exportBtn = $("exportBtn");
 const exportMenu = $("exportMenu");
 const exportTxtBtn = $("exportTxt");
 const exportPdfBtn = $("exportPdf");
-let ner = null;
+const exportJsonBtn = $("exportJson");
+const exportCsvBtn = $("exportCsv");
+const exportStixBtn = $("exportStix");
+const exportIcsBtn = $("exportIcs");
+const pdfRedactChk = $("pdfRedact");
+const pdfFooterInput = $("pdfFooter");
+const pdfLogoBtn = $("pdfLogo");
+const pdfLogoClearBtn = $("pdfLogoClear");
+const pdfLogoInput = $("pdfLogoInput");
+
+const rulesStatus = $("rulesStatus");
+const rulesFileBtn = $("rulesFile");
+const rulesFileInput = $("rulesFileInput");
+const rulesUrlBtn = $("rulesUrl");
+const rulesResetBtn = $("rulesReset");
+const trustedDomainsBtn = $("trustedDomains");
+const localModelsChk = $("localModels");
+const secondOpinionChk = $("secondOpinion");
+const secondOpinionOut = $("secondOpinionOut");
+
+const historyEl = $("history");
+const historyExportBtn = $("historyExport");
+const historyClearBtn = $("historyClear");
+
+const directoryEl = $("directory");
+const directoryStatus = $("directoryStatus");
+const directoryTrustBtn = $("directoryTrust");
+const directoryBlockBtn = $("directoryBlock");
+const directoryImportBtn = $("directoryImport");
+const directoryInput = $("directoryInput");
+const directoryExportBtn = $("directoryExport");
+const directoryClearBtn = $("directoryClear");
+
+const caseServerInput = $("caseServer");
+const caseKeyInput = $("caseKey");
+const caseConnectBtn = $("caseConnect");
+const caseStatus = $("caseStatus");
+const caseLevelSel = $("caseLevel");
+const caseStateSel = $("caseState");
+const caseMineChk = $("caseMine");
+const caseAssigneeInput = $("caseAssignee");
+const caseSubmitBtn = $("caseSubmit");
+const caseListEl = $("caseList");
+const caseDetailEl = $("caseDetail");
+
+// Rule pack: ?rules=<url> > pack saved from a local file/URL > built-in default.
+const DEFAULT_RULE_PACK_URL = "./rules/default.json";
+const DEFAULT_PROFILE_URL = "./rules/profiles/default.json";
+const RULE_PACK_STORAGE_KEY = "dealshield.rulePack";
+const TRUSTED_DOMAINS_STORAGE_KEY = "dealshield.trustedDomains";
+const LOCAL_MODELS_STORAGE_KEY = "dealshield.localModels";
+const SECOND_OPINION_STORAGE_KEY = "dealshield.secondOpinion";
+const REPLY_SETTINGS_STORAGE_KEY = "dealshield.replySettings";
+const REPLY_TEMPLATES_STORAGE_KEY = "dealshield.replyTemplates";
+const REVIEWER_STORAGE_KEY = "dealshield.reviewer";
+const PDF_BRANDING_STORAGE_KEY = "dealshield.pdfBranding";
+const DIRECTORY_STORAGE_KEY = "dealshield.directory";
+const CASE_SERVER_STORAGE_KEY = "dealshield.caseServer";
+let rulePack = null;
+let rulePackReady = null;
+
+// Last analysis shown on screen (or restored from a JSON report); exports reuse it instead of
+// re-running without history. pack: the compiled rule pack it was scored with.
+let lastRun = null;
 
 const DEMOS = {
   clean: `Hi Omar,
@@ -78,7 +181,12 @@ Thanks.`,
   advance_fee: `URGENT: We need to secure your service now.
 To start, please pay the “activation fee” of $150 today. After that, we will release the full $3,000.
 Use this link to confirm: bit.ly/pay-confirm
-We only accept crypto. Don’t tell anyone about this deal.`
+We only accept crypto. Don’t tell anyone about this deal.`,
+  thread: `[04/03/2026, 10:15:22] Sarah Chen: Hi Omar! Great to meet you at the expo 😊 We’d love a quote for the landing page.
+[04/03/2026, 11:02:10] Omar: Thanks Sarah. $1,200, delivered in 10 days, 50% upfront by bank transfer.
+[05/03/2026, 09:30:45] Sarah Chen: Sounds good, I’ll send the deposit this week 😊
+[06/03/2026, 08:11:03] Alex (Accounts): Hello, I handle payments for Sarah. Before we pay, you need to cover a $150 processing fee today.
+[06/03/2026, 08:40:19] Sarah Chen: PLEASE PAY THE FEE URGENT TODAY. KEEP THIS CONFIDENTIAL, DO NOT CALL OUR OFFICE.`
 };
 
 function setPill(level){
@@ -86,170 +194,144 @@ function setPill(level){
   riskPill.textContent = level;
 }
 
-function escapeHtml(str){
-  return str.replace(/[&<>"']/g, (m) => ({
-    "&":"&amp;","<":"&lt;",">":"&gt;",'"':"&quot;","'":"&#039;"
-  }[m]));
-}
-
-function highlightMatches(text, matches){
-  // matches: array of substrings (case-insensitive) to highlight
-  let safe = escapeHtml(text);
-  // highlight longer phrases first
-  const uniq = Array.from(new Set(matches)).filter(Boolean).sort((a,b)=>b.length-a.length);
-  for (const phrase of uniq){
-    const re = new RegExp(phrase.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "ig");
-    safe = safe.replace(re, (m)=>`<mark>${m}</mark>`);
-  }
-  return safe;
+async function fetchRulePack(url){
+  const res = await fetch(url, { cache: "no-cache" });
+  if (!res.ok) throw new Error(`HTTP ${res.status} loading ${url}`);
+  return res.json();
 }
 
-function extractLinks(text){
-  const urlRe = /\bhttps?:\/\/[^\s)]+|\b(?:bit\.ly|t\.co|tinyurl\.com|goo\.gl)\/[^\s)]+|\b[a-z0-9.-]+\.[a-z]{2,}(?:\/[^\s)]*)?/ig;
-  const out = (text.match(urlRe) || []).slice(0, 8);
-  return Array.from(new Set(out));
+function setRulePack(compiled, source){
+  rulePack = compiled;
+  analyzer.setRules(compiled);
+  rulesStatus.textContent = `Rules: ${compiled.id} v${compiled.version} (${source})`
+    + (compiled.profile ? ` · profile v${compiled.profile.version}${compiled.profile.warning ? " (stale)" : ""}` : "");
+  rulesStatus.title = `${compiled.rules.length} active rule(s) · scoring: ${profileText(compiled.profile)}`;
 }
 
-function extractAmount(text){
-  const re = /(\$|€|£)\s?\d{1,3}(?:[,\s]\d{3})*(?:\.\d{2})?|\b\d{1,3}(?:[,\s]\d{3})*(?:\.\d{2})?\s?(USD|EUR|GBP)\b/ig;
-  const m = text.match(re);
-  return m ? m[0] : null;
+function reportRulePackError(e){
+  console.warn(e.errors || e);
+  const detail = e.errors && e.errors.length ? "\n\n" + e.errors.slice(0, 8).join("\n") : "";
+  alert(`${e.message}${detail}`);
 }
 
-function extractDeadline(text){
-  const re = /\b(in\s+\d{1,3}\s+(days?|weeks?)|by\s+\w+\s+\d{1,2}|\b\d{1,2}\/\d{1,2}\/\d{2,4}\b|\b\d{4}-\d{2}-\d{2}\b)\b/ig;
-  const m = text.match(re);
-  return m ? m[0] : null;
+async function loadRulePack(){
+  const param = new URLSearchParams(location.search).get("rules");
+  const stored = localStorage.getItem(RULE_PACK_STORAGE_KEY);
+  try {
+    if (param) return setRulePack(compileRulePack(await fetchRulePack(param)), param);
+    if (stored){
+      const { source, pack } = JSON.parse(stored);
+      return setRulePack(compileRulePack(pack), source);
+    }
+  } catch (e) {
+    // A broken custom pack must not take the app down; fall back to the built-in one.
+    reportRulePackError(e);
+  }
+  setRulePack(await withProfile(compileRulePack(await fetchRulePack(DEFAULT_RULE_PACK_URL))), "built-in");
 }
 
-function detectPayment(text){
-  const t = text.toLowerCase();
-  const hits = [];
-  if (/(iban|swift|bank transfer|wire)/i.test(text)) hits.push("Bank transfer");
-  if (/(paypal)/i.test(text)) hits.push("PayPal");
-  if (/(crypto|usdt|btc|eth|wallet)/i.test(text)) hits.push("Crypto");
-  if (/(gift card|voucher)/i.test(text)) hits.push("Gift cards");
-  if (!hits.length) return "Unspecified";
-  return Array.from(new Set(hits)).join(", ");
+// The calibrated scoring profile (bin/evaluate.js --calibrate) only applies to the built-in pack;
+// without it the pack's own weights and thresholds are used.
+async function withProfile(compiled){
+  try {
+    const fitted = applyProfile(compiled, await fetchRulePack(DEFAULT_PROFILE_URL));
+    if (fitted.profile.warning) console.warn(`Scoring profile ${fitted.profile.id} ${fitted.profile.warning}`);
+    return fitted;
+  } catch (e) {
+    console.warn("Scoring profile unavailable, using rule pack weights", e);
+    return compiled;
+  }
 }
 
-function scoreRisk(text){
-  const t = text.toLowerCase();
-  const reasons = [];
-  const plan = [];
-  let score = 10;
-
-  const add = (pts, label, triggerPhrases=[], actions=[]) => {
-    score += pts;
-    reasons.push({ label, pts, triggerPhrases });
-    for (const a of actions) plan.push(a);
-  };
-
-  // Core signals
-  if (/(urgent|asap|today|immediately|right now|rush)/i.test(text)){
-    add(12, "Urgency pressure", ["urgent","asap","today","immediately","right now","rush"], [
-      "Slow down: verify key terms before sending money.",
-    ]);
-  }
-  if (/(confidential|don’t tell|keep this secret)/i.test(text)){
-    add(18, "Secrecy request", ["confidential","don’t tell","keep this secret"], [
-      "Treat secrecy requests as a red flag. Confirm identity via a second channel.",
-    ]);
-  }
-  if (/(activation fee|processing fee|release the funds|advance fee|to start, pay)/i.test(text)){
-    add(28, "Advance-fee / pay-first pattern", ["activation fee","processing fee","advance fee","to start, pay"], [
-      "Do not pay fees upfront. Require clear contract + verifiable business identity.",
-      "Ask for a standard invoice and verifiable company details.",
-    ]);
-  }
-  if (/(bank details have changed|new account|pay to the new|updated payment details)/i.test(text)){
-    add(30, "Payment details change request", ["bank details have changed","new account","updated payment details"], [
-      "Freeze payments: confirm new payment details via a verified second channel (call / known contact).",
-      "Compare the new details against previous invoices / contracts.",
-    ]);
-  }
-  const links = extractLinks(text);
-  if (links.some(l=>/(bit\.ly|t\.co|tinyurl\.com|goo\.gl)/i.test(l))){
-    add(20, "Shortened link", ["bit.ly","t.co","tinyurl.com","goo.gl"], [
-      "Avoid shortened links for payments. Request the full official domain.",
-    ]);
-  }
-  if (/(only accept crypto|crypto only|usdt only)/i.test(text)){
-    add(16, "Payment rail restriction (crypto-only)", ["only accept crypto","crypto only","usdt only"], [
-      "Prefer standard invoicing and traceable business payment rails for first-time counterparties.",
-    ]);
+function useCustomRulePack(pack, source){
+  try {
+    setRulePack(compileRulePack(pack), source);
+    localStorage.setItem(RULE_PACK_STORAGE_KEY, JSON.stringify({ source, pack }));
+  } catch (e) {
+    reportRulePackError(e);
   }
+}
 
-  // Ambiguity / missing details
-  const amt = extractAmount(text);
-  if (!amt){
-    add(10, "Missing or unclear amount", [], [
-      "Clarify the exact amount, currency, and milestone schedule in writing.",
-    ]);
-  }
-  const dl = extractDeadline(text);
-  if (!dl){
-    add(6, "Missing deadline / deliverables clarity", [], [
-      "Confirm deliverables, acceptance criteria, and deadline.",
-    ]);
+// Known-good counterparty domains that links and senders are compared against (brands are built in).
+function loadTrustedDomains(){
+  try {
+    const list = JSON.parse(localStorage.getItem(TRUSTED_DOMAINS_STORAGE_KEY) || "[]");
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
   }
-
-  // Normalize plan (unique + ordered)
-  const uniqPlan = Array.from(new Set(plan));
-
-  // Clamp score
-  score = Math.max(0, Math.min(100, score));
-
-  let level = "LOW";
-  if (score >= 70) level = "HIGH";
-  else if (score >= 40) level = "MEDIUM";
-
-  return { score, level, reasons, plan: uniqPlan, links };
 }
 
-async function ensureNER(opts = {}){
-  const silent = !!opts.silent;
-  if (ner) return ner;
-  if (!silent) aiStatus.textContent = "AI: loading…";
+function saveTrustedDomains(list){
+  localStorage.setItem(TRUSTED_DOMAINS_STORAGE_KEY, JSON.stringify(list));
+}
 
-  // Use quantized model for browsers when available.
-  const pipeline = await _getPipelineFn();
-  // Smaller NER model = faster cold-start.
-  const modelId = "Xenova/distilbert-base-cased-finetuned-conll03-english";
+// Counterparty directory (lib/directory.js): trusted records and the blocklist, sent with every run.
+function loadDirectory(){
+  try {
+    const saved = JSON.parse(localStorage.getItem(DIRECTORY_STORAGE_KEY) || "null");
+    return saved ? mergeDirectory(emptyDirectory(), saved) : emptyDirectory();
+  } catch {
+    return emptyDirectory();
+  }
+}
 
+function saveDirectory(directory, note){
   try {
-    ner = await pipeline("token-classification", modelId, { quantized: true });
+    localStorage.setItem(DIRECTORY_STORAGE_KEY, JSON.stringify(directory));
   } catch (e) {
-    // Some environments don't support quantized weights; retry.
-    ner = await pipeline("token-classification", modelId);
+    alert(`Could not save the directory: ${e.message}`);
+    return;
   }
-
-  if (!silent) aiStatus.textContent = "AI: on-device ✓";
-  return ner;
+  renderDirectory();
+  directoryStatus.textContent = `${note} Analyze again to apply it.`;
 }
 
+// "Local-only models": never fetch the runtime or weights from a CDN / Hugging Face.
+function localModelsOnly(){
+  return localStorage.getItem(LOCAL_MODELS_STORAGE_KEY) === "1";
+}
 
-function buildSafeReply(level, snapshot){
-  const tone = level === "HIGH"
-    ? "Before proceeding, I need to verify a few details for safety."
-    : level === "MEDIUM"
-      ? "Quick verification before we proceed:"
-      : "Just confirming a couple of details to avoid misunderstandings:";
+// Second opinion (lib/classifier.js): off unless switched on, since the calibrated profile's
+// thresholds were fitted on the rules alone.
+function secondOpinionOn(){
+  return localStorage.getItem(SECOND_OPINION_STORAGE_KEY) === "1";
+}
 
-  const lines = [
-    "Hi — thanks for the update.",
-    tone,
-    "",
-    "1) Please confirm the exact amount + currency and the payment method.",
-    "2) Please confirm the payment details via a second channel (call / known contact).",
-    "3) Please share a standard invoice and your company details (legal name, website, address).",
-  ];
+// Scoring and NER run in the worker; only the latest Analyze run reaches the page.
+const analyzer = createAnalyzer({
+  onModelProgress: (s) => { aiStatus.textContent = `AI: ${s}…`; },
+  onModel: (m) => {
+    if (m.status === "ready"){
+      // A CDN model isn't checked against models/lock.json: say so rather than fall back silently.
+      const where = m.source === "local" ? "local model" : "CDN model, not pinned";
+      aiStatus.textContent = `AI: on-device ✓ (${where}${m.usage ? ` · ${formatBytes(m.usage)} cached` : ""})`;
+    } else {
+      aiStatus.textContent = m.localOnly ? "AI: local model unavailable" : "AI: optional";
+    }
+  },
+});
 
-  if (snapshot.links.length) lines.push("4) Please share the full official domain (no shortened links).");
-  if (snapshot.payment.includes("Crypto")) lines.push("5) For first-time engagements, I prefer standard invoicing and traceable business payment rails.");
-  lines.push("");
-  lines.push("Once confirmed, I’m happy to proceed immediately.");
-  return lines.join("\n");
+// Thread mode: one line per message, escalations marked.
+function renderTimeline(split, result){
+  timelineCard.hidden = !threadModeChk.checked;
+  timelineEl.innerHTML = "";
+  if (!split){
+    timelineEl.textContent = "Could not split the input into messages (WhatsApp, Telegram or Slack export, or an email reply chain) — analyzed as one message.";
+    return;
+  }
+  const info = result.thread;
+  const head = document.createElement("small");
+  head.textContent = `${info.messages} messages (${info.format}) from ${info.senders.join(", ")}`;
+  const ul = document.createElement("ul");
+  for (const t of info.timeline){
+    const li = document.createElement("li");
+    if (t.escalated) li.className = "escalated";
+    li.textContent = timelineText(t);
+    ul.appendChild(li);
+  }
+  timelineEl.appendChild(head);
+  timelineEl.appendChild(ul);
 }
 
 function renderReasons(reasons){
@@ -262,11 +344,31 @@ function renderReasons(reasons){
   }
   for (const r of reasons.sort((a,b)=>b.pts-a.pts)){
     const li = document.createElement("li");
-    li.textContent = `${r.label} (+${r.pts})`;
+    li.textContent = `${reasonText(r)} (${ptsText(r.pts)})`;
+    if (r.verified) li.className = "verified";
+    else if (r.dismissed) li.className = "dismissed";
+    else if (r.category === "model") li.className = "model";
+    // Reasons with marks in the highlighted input jump to them, one per click.
+    if (marks.some(m => m.reasons.some(x => x.id === r.id))){
+      li.classList.add("jump");
+      li.tabIndex = 0;
+      li.title = "Show where it matched in the highlighted input";
+      li.addEventListener("click", () => showReasonMarks(r.id));
+      li.addEventListener("keydown", (e) => {
+        if (e.key !== "Enter" && e.key !== " ") return;
+        e.preventDefault();
+        showReasonMarks(r.id);
+      });
+    }
     reasonsEl.appendChild(li);
   }
 }
 
+// Rule points and the second opinion's points side by side.
+function renderSecondOpinion(result){
+  secondOpinionOut.textContent = result.secondOpinion ? secondOpinionText(result.secondOpinion) : "";
+}
+
 function renderPlan(plan){
   planEl.innerHTML = "";
   for (const p of plan){
@@ -274,120 +376,221 @@ function renderPlan(plan){
     li.textContent = p;
     planEl.appendChild(li);
   }
-  if (!plan.length){
-    const li = document.createElement("li");
-    li.textContent = "Proceed with standard invoicing and confirm details in writing.";
-    planEl.appendChild(li);
+}
+
+function renderInstruments(instruments){
+  instrumentsEl.innerHTML = "";
+  if (!instruments.length){
+    instrumentsEl.textContent = "—";
+    return;
+  }
+  for (const i of instruments){
+    const row = document.createElement("div");
+    row.className = "instrument " + (i.valid ? "ok" : "bad");
+    row.textContent = instrumentText(i);
+    instrumentsEl.appendChild(row);
+  }
+}
+
+// Every amount with its role once there is more than one; a single amount stays a plain value.
+function renderAmounts(amount, amounts){
+  amountEl.innerHTML = "";
+  if (amounts.length < 2){
+    amountEl.textContent = amount || "—";
+    return;
+  }
+  for (const a of amounts){
+    const row = document.createElement("div");
+    row.className = "instrument" + (a.restated ? "" : a.payout || a.role === "fee" ? " warn" : "");
+    row.textContent = amountText(a);
+    amountEl.appendChild(row);
+  }
+}
+
+// One row per resolved party; an account holder the mismatch rule flagged is marked.
+function renderParties(result){
+  const parties = result.parties || [];
+  partiesEl.innerHTML = "";
+  if (!parties.length){
+    partiesEl.textContent = "—";
+    return;
+  }
+  const flagged = new Set((result.reasons.find(r => r.id === "beneficiary_name_mismatch") || { spans: [] }).spans.map(s => s.text));
+  for (const p of parties){
+    const row = document.createElement("div");
+    row.className = "instrument" + (flagged.has(p.name) ? " bad" : "");
+    row.textContent = partyText(p);
+    partiesEl.appendChild(row);
+  }
+}
+
+// One row per line (invoice summary, payment schedule).
+function renderLines(el, lines){
+  el.innerHTML = "";
+  if (!lines.length){
+    el.textContent = "—";
+    return;
+  }
+  for (const l of lines){
+    const row = document.createElement("div");
+    row.textContent = l;
+    el.appendChild(row);
+  }
+}
+
+function renderLinks(links){
+  linksEl.innerHTML = "";
+  if (!links.length){
+    linksEl.textContent = "—";
+    return;
+  }
+  for (const l of links){
+    const row = document.createElement("div");
+    row.className = "instrument " + (l.verdict === "ok" ? "ok" : l.verdict === "danger" ? "bad" : "warn");
+    row.textContent = linkVerdictText(l);
+    linksEl.appendChild(row);
   }
 }
 
-function renderSnapshot({ parties, amount, deadline, payment, links }){
+function renderSnapshot({ counterparty, historyCount, email, language, parties, amount, amounts, deadline, schedule, payment, instruments, invoice, links }){
+  counterpartyEl.textContent = counterparty
+    ? `${counterparty}${historyCount ? ` (${historyCount} earlier message${historyCount === 1 ? "" : "s"} on file)` : " (first contact on file)"}`
+    : "—";
+  emailInfoEl.textContent = email || "—";
+  languageEl.textContent = language || "—";
   partiesEl.textContent = parties || "—";
-  amountEl.textContent = amount || "—";
+  renderAmounts(amount, amounts || []);
   deadlineEl.textContent = deadline || "—";
+  renderLines(scheduleEl, schedule || []);
   paymentEl.textContent = payment || "—";
-  linksEl.textContent = links.length ? links.join("  •  ") : "—";
-}
-
-function buildMarkdownSummary(result, snapshot, reply, rawText){
-  const lines = [];
-  lines.push(`# DealShield Summary`);
-  lines.push(`**Risk:** ${result.level} (${result.score}/100)`);
-  lines.push(``);
-  lines.push(`## Deal Snapshot`);
-  lines.push(`- Parties: ${snapshot.parties || "—"}`);
-  lines.push(`- Amount: ${snapshot.amount || "—"}`);
-  lines.push(`- Deadline: ${snapshot.deadline || "—"}`);
-  lines.push(`- Payment: ${snapshot.payment || "—"}`);
-  lines.push(`- Links: ${snapshot.links.length ? snapshot.links.join(", ") : "—"}`);
-  lines.push(``);
-  lines.push(`## Reasons`);
-  if (result.reasons.length){
-    for (const r of result.reasons.sort((a,b)=>b.pts-a.pts)) lines.push(`- ${r.label} (+${r.pts})`);
-  } else {
-    lines.push(`- No major red flags detected.`);
-  }
-  lines.push(``);
-  lines.push(`## Verification Plan`);
-  for (const p of result.plan) lines.push(`- ${p}`);
-  lines.push(``);
-  lines.push(`## Safe Reply`);
-  lines.push("```");
-  lines.push(reply);
-  lines.push("```");
-  lines.push(``);
-  lines.push(`## Original input`);
-  lines.push("```");
-  lines.push(rawText);
-  lines.push("```");
-  return lines.join("\n");
-}
-function markdownToPlain(md){
-  return md
-    .replace(/^#{1,6}\s+/gm, "")
-    .replace(/\*\*(.*?)\*\*/g, "$1")
-    .replace(/```\s*\n?/g, "")
-    .replace(/^-\s+/gm, "• ")
-    .trim();
-}
-
-function buildHtmlReport(result, snapshot, reply, rawText){
-  const esc = (s) => (s || "").replace(/&/g,"&amp;").replace(/</g,"&lt;").replace(/>/g,"&gt;");
-  const reasons = (result.reasons && result.reasons.length)
-    ? result.reasons.slice().sort((a,b)=>b.pts-a.pts).map(r => `<li>${esc(r.label)} <span style="opacity:.7;">(+${r.pts})</span></li>`).join("")
-    : `<li>No major red flags detected.</li>`;
-  const plan = (result.plan || []).map(p => `<li>${esc(p)}</li>`).join("");
-
-  return `<!doctype html>
-<html lang="en">
-<head>
-<meta charset="utf-8" />
-<title>DealShield Report</title>
-<style>
-  body{ font-family: ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, Arial; margin: 32px; color:#111; }
-  h1{ margin:0 0 8px; font-size: 22px; }
-  .meta{ margin: 0 0 18px; font-size: 13px; color:#444; }
-  .pill{ display:inline-block; padding:4px 10px; border-radius:999px; background:#f3f3f3; font-weight:600; }
-  h2{ margin-top: 18px; font-size: 16px; }
-  ul{ margin: 8px 0 0 18px; }
-  pre{ background:#f7f7f7; padding:12px; border-radius:10px; white-space:pre-wrap; }
-  table{ border-collapse: collapse; margin-top: 8px; width: 100%; }
-  td{ padding:6px 8px; border-bottom:1px solid #eee; vertical-align: top; }
-  td:first-child{ width: 180px; color:#444; }
-  .small{ font-size:12px; color:#666; margin-top: 22px; }
-  @media print{ body{ margin: 18mm; } }
-</style>
-</head>
-<body>
-  <h1>DealShield Report</h1>
-  <p class="meta"><span class="pill">Risk: ${esc(result.level)} (${result.score}/100)</span></p>
-
-  <h2>Deal Snapshot</h2>
-  <table>
-    <tr><td>Parties</td><td>${esc(snapshot.parties || "—")}</td></tr>
-    <tr><td>Amount</td><td>${esc(snapshot.amount || "—")}</td></tr>
-    <tr><td>Deadline</td><td>${esc(snapshot.deadline || "—")}</td></tr>
-    <tr><td>Payment</td><td>${esc(snapshot.payment || "—")}</td></tr>
-    <tr><td>Links</td><td>${esc((snapshot.links && snapshot.links.length) ? snapshot.links.join(", ") : "—")}</td></tr>
-  </table>
-
-  <h2>Reasons</h2>
-  <ul>${reasons}</ul>
-
-  <h2>Verification Plan</h2>
-  <ul>${plan}</ul>
-
-  <h2>Safe Reply</h2>
-  <pre>${esc(reply)}</pre>
-
-  <h2>Original input</h2>
-  <pre>${esc(rawText)}</pre>
-
-  <div class="small">Generated by DealShield (client-side).</div>
-</body>
-</html>`;
+  renderInstruments(instruments || []);
+  renderLines(invoiceEl, invoice || []);
+  renderLinks(links);
+}
+
+// Rules result as soon as the worker has it; NER names, reply and history follow once NER is done.
+function renderScored(text, { result, snapshot, split }){
+  // Highlighted view first: the reasons link to its marks.
+  renderHighlights(text, result);
+  scoreEl.textContent = String(result.score);
+  setPill(result.level);
+  renderReasons(result.reasons);
+  renderSecondOpinion(result);
+  renderPlan(planItems(result));
+  checklist = null;
+  auditStatusEl.textContent = "";
+  renderTimeline(split, result);
+  renderSnapshot(snapshot);
+  renderParties(result);
+  setReplyDraft("");
+}
+
+// --- Highlighted input: marks explained on hover / focus, reasons jump to their marks, "what if" ---
+// explainSpans() of the text on screen; in what-if mode, the keys of the marks dismissed as false positives.
+let marks = [];
+let marksText = null;
+let whatIfDismissed = new Set();
+// reason id -> index of the mark it jumped to last
+const markCycle = new Map();
+
+function renderHighlights(text, result){
+  marks = explainSpans(result, rulePack || {});
+  marksText = text;
+  whatIfDismissed = new Set();
+  markCycle.clear();
+  hideMarkTip();
+  highlightedEl.innerHTML = highlightMatches(text, marks);
+  renderWhatIf(result);
+}
+
+function markOf(el){
+  return el ? marks[Number(el.dataset.mark)] || null : null;
+}
+
+function showMarkTip(el){
+  const m = markOf(el);
+  if (!m) return;
+  markTip.innerHTML = "";
+  for (const r of m.reasons){
+    const row = document.createElement("div");
+    row.className = "tip-reason";
+    const head = document.createElement("strong");
+    head.textContent = `${r.text} (${ptsText(r.pts)})`;
+    row.appendChild(head);
+    if (r.action){
+      const action = document.createElement("div");
+      action.textContent = `→ ${r.action}`;
+      row.appendChild(action);
+    }
+    markTip.appendChild(row);
+  }
+  if (m.link){
+    const link = document.createElement("div");
+    link.textContent = m.link;
+    markTip.appendChild(link);
+  }
+  if (whatIfChk.checked && m.reasons.length){
+    const hint = document.createElement("small");
+    hint.textContent = whatIfDismissed.has(m.key) ? "Click to count it again." : "Click to dismiss it as a false positive.";
+    markTip.appendChild(hint);
+  }
+  markTip.hidden = false;
+  el.setAttribute("aria-describedby", "markTip");
+  // Below the mark, or above it near the bottom of the window; page coordinates, so it scrolls along.
+  const box = el.getBoundingClientRect();
+  const below = box.bottom + 6 + markTip.offsetHeight <= window.innerHeight;
+  const left = Math.max(8, Math.min(box.left, window.innerWidth - markTip.offsetWidth - 8));
+  const top = below ? box.bottom + 6 : Math.max(8, box.top - markTip.offsetHeight - 6);
+  markTip.style.left = `${left + window.scrollX}px`;
+  markTip.style.top = `${top + window.scrollY}px`;
+}
+
+function hideMarkTip(){
+  markTip.hidden = true;
+  for (const el of highlightedEl.querySelectorAll("mark[aria-describedby]")) el.removeAttribute("aria-describedby");
+}
+
+function showReasonMarks(id){
+  const els = marks
+    .map((m, i) => m.reasons.some(r => r.id === id) ? highlightedEl.querySelector(`mark[data-mark="${i}"]`) : null)
+    .filter(Boolean);
+  if (!els.length) return;
+  const i = ((markCycle.has(id) ? markCycle.get(id) : -1) + 1) % els.length;
+  markCycle.set(id, i);
+  for (const el of highlightedEl.querySelectorAll("mark.current")) el.classList.remove("current");
+  els[i].classList.add("current");
+  els[i].scrollIntoView({ block: "center", behavior: "smooth" });
+  els[i].focus({ preventScroll: true });
+}
+
+function toggleDismissed(el){
+  const m = markOf(el);
+  if (!m || !m.reasons.length || !lastRun || lastRun.text !== marksText) return;
+  if (whatIfDismissed.has(m.key)) whatIfDismissed.delete(m.key);
+  else whatIfDismissed.add(m.key);
+  el.classList.toggle("dismissed", whatIfDismissed.has(m.key));
+  renderChecked();
+  showMarkTip(el);
+}
+
+function renderWhatIf(result){
+  if (!whatIfChk.checked){
+    whatIfOut.textContent = "";
+    return;
+  }
+  const w = result.whatIf;
+  whatIfOut.textContent = w
+    ? `What if: ${result.score}/100 ${result.level} with ${w.dismissed.length} mark${w.dismissed.length === 1 ? "" : "s"} dismissed`
+      + ` (scored ${w.scoreBefore}/100 ${w.levelBefore}). Reports and exports keep the scored result.`
+    : "Click a mark to dismiss it as a false positive and see the score without it.";
+}
+
+function setRunStatus(msg){
+  runStatus.textContent = msg || "";
 }
 
+// Bumped on every click, so a run whose history lookup finishes after a newer click never starts.
+let analyzeSeq = 0;
 
 async function analyze(){
   const text = input.value.trim();
@@ -395,106 +598,450 @@ async function analyze(){
     alert("Paste some text first.");
     return;
   }
+  const seq = ++analyzeSeq;
+  await rulePackReady;
+
+  // Earlier messages from the same counterparty feed the payee-change / amount-jump checks
+  const block = parseHeaderBlock(text);
+  const sender = block ? senderOf(block) : null;
+  const counterparty = counterpartyInput.value.trim() || guessMessageCounterparty(text);
+  const deal = dealInput.value.trim() || null;
+  let history = [];
+  let knownDomains = null;
+  try {
+    const all = await listAnalyses();
+    const key = counterpartyKey(counterparty);
+    history = key ? all.filter(r => r.counterpartyKey === key) : [];
+    knownDomains = all.map(r => r.senderDomain).filter(Boolean);
+  } catch (e) {
+    console.warn("Deal history unavailable", e);
+  }
+  if (seq !== analyzeSeq) return;
+
+  let run;
+  try {
+    run = await analyzer.run({
+      text,
+      thread: threadModeChk.checked,
+      ner: true,
+      secondOpinion: secondOpinionOn(),
+      localOnly: localModelsOnly(),
+      options: {
+        history, knownDomains, trustedDomains: loadTrustedDomains(), directory: loadDirectory(), counterparty, historyCount: history.length,
+        reply: replySettings(),
+      },
+    }, {
+      onProgress: (p) => setRunStatus(`Analyzing: ${p.message}…`),
+      onScored: (scored) => renderScored(text, scored),
+    });
+  } catch (e) {
+    if (e instanceof AnalysisCancelled) return;
+    console.warn(e);
+    setRunStatus("");
+    alert(`Analysis failed: ${e.message}`);
+    return;
+  }
+  setRunStatus("");
+
+  const { result, snapshot, reply, replyParts } = run;
+  renderSnapshot(snapshot);
+  renderParties(result);
+  lastRun = { text, result, snapshot, reply, replyParts, pack: rulePack };
+  setReplyDraft(reply);
+  await openChecklist(text, result);
+
+  if (saveHistoryChk.checked){
+    try {
+      await saveAnalysis(makeHistoryRecord({ counterparty, deal, text, result, snapshot, senderDomain: sender && sender.domain }));
+      await renderHistory();
+    } catch (e) {
+      console.warn("Could not save to deal history", e);
+    }
+  }
+}
+
+// --- Verification checklist: status, who/when, notes, evidence; every change is audited ---
+// The checklist of the message on screen (lib/checklist.js); null until the analysis is done.
+let checklist = null;
+
+async function openChecklist(text, result){
+  let saved = null;
+  try {
+    saved = await loadChecklist(checklistKey(text));
+  } catch (e) {
+    console.warn("Saved checklist unavailable", e);
+  }
+  if (!lastRun || lastRun.text !== text) return;
+  checklist = buildChecklist(text, result, lastRun.pack, saved);
+  renderChecklist();
+  renderChecked();
+}
+
+// Name recorded with each check; asked for once when the field is empty.
+function reviewerName(){
+  let name = reviewerInput.value.trim();
+  if (!name){
+    name = (prompt("Your name for the audit trail:") || "").trim();
+    if (!name) return null;
+    reviewerInput.value = name;
+    localStorage.setItem(REVIEWER_STORAGE_KEY, name);
+  }
+  return name;
+}
 
-  // Rule-based signals (fast)
-  const result = scoreRisk(text);
+// The last run's result with completed and failed checks applied; what the Risk card and exports show.
+function checkedResult(){
+  return checklist ? applyChecklist(lastRun.result, checklist, lastRun.pack) : lastRun.result;
+}
+
+// Also what the Risk card shows in what-if mode: the checked result without the dismissed marks.
+function renderChecked(){
+  const result = dismissSpans(checkedResult(), whatIfDismissed, lastRun.pack);
   scoreEl.textContent = String(result.score);
   setPill(result.level);
   renderReasons(result.reasons);
-  renderPlan(result.plan);
-
-  // Snapshot (rules)
-  const snapshot = {
-    amount: extractAmount(text),
-    deadline: extractDeadline(text),
-    payment: detectPayment(text),
-    links: result.links,
-    parties: null,
-  };
+  renderWhatIf(result);
+}
+
+async function recordCheck(id, change){
+  if (!checklist) return;
+  const by = reviewerName();
+  // No name, no audit entry: put the controls back as they were.
+  if (!by) return renderChecklist();
+  checklist = updateCheck(checklist, id, change, { by });
+  try {
+    await saveChecklist(checklist);
+  } catch (e) {
+    console.warn("Could not save the checklist", e);
+  }
+  renderChecklist();
+  renderChecked();
+}
+
+async function fileSha256(file){
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  if (globalThis.crypto && crypto.subtle) return toHex(new Uint8Array(await crypto.subtle.digest("SHA-256", bytes)));
+  return toHex(sha256(bytes));
+}
+
+async function attachEvidence(id, file){
+  const record = { sha256: await fileSha256(file), name: file.name, type: file.type || "application/octet-stream", size: file.size };
+  try {
+    await saveEvidence({ ...record, blob: file });
+  } catch (e) {
+    alert(`Could not store the evidence file: ${e.message}`);
+    return;
+  }
+  await recordCheck(id, { evidence: record });
+}
+
+async function openEvidence(e){
+  const stored = await getEvidence(e.sha256).catch(() => null);
+  if (!stored){
+    alert(`${e.name} is not stored in this browser.`);
+    return;
+  }
+  const url = URL.createObjectURL(stored.blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = e.name;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+let evidenceFor = null;
+evidenceInput.addEventListener("change", () => {
+  const file = evidenceInput.files[0];
+  evidenceInput.value = "";
+  if (file && evidenceFor) attachEvidence(evidenceFor, file);
+});
 
-  // AI: parties via NER (best-effort)
-  let triggers = [];
-  for (const r of result.reasons) triggers = triggers.concat(r.triggerPhrases || []);
-  triggers = triggers.concat(result.links.filter(Boolean));
-
-  try{
-    const classifier = await ensureNER();
-    aiStatus.textContent = "AI: extracting…";
-    const ents = await classifier(text);
-    // Keep only top entities; group by label
-    const keep = ents
-      .filter(e => e.score >= 0.60 && ["PER","ORG","LOC","MISC"].includes(e.entity))
-      .slice(0, 18);
-
-    const pretty = [];
-    const seen = new Set();
-    for (const e of keep){
-      const key = `${e.word}|${e.entity}`;
-      if (seen.has(key)) continue;
-      seen.add(key);
-      pretty.push(`${e.word} (${e.entity})`);
+function renderChecklist(){
+  planEl.innerHTML = "";
+  for (const item of checklist.items){
+    const li = document.createElement("li");
+    li.className = `check ${item.status}`;
+    const status = document.createElement("select");
+    for (const s of CHECK_STATUSES) status.appendChild(new Option(CHECK_STATUS_TEXT[s], s));
+    status.value = item.status;
+    status.addEventListener("change", () => recordCheck(item.id, { status: status.value }));
+    const text = document.createElement("span");
+    text.textContent = item.text;
+    li.append(status, text);
+
+    const meta = document.createElement("div");
+    meta.className = "check-meta";
+    const notes = document.createElement("input");
+    notes.type = "text";
+    notes.placeholder = "Notes";
+    notes.value = item.notes;
+    notes.addEventListener("change", () => recordCheck(item.id, { notes: notes.value.trim() }));
+    meta.appendChild(notes);
+    meta.appendChild(smallButton("Attach evidence…", () => {
+      evidenceFor = item.id;
+      evidenceInput.click();
+    }));
+    for (const e of item.evidence) meta.appendChild(smallButton(`📎 ${e.name}`, () => openEvidence(e)));
+    if (item.by){
+      const who = document.createElement("small");
+      who.textContent = `${item.by} · ${new Date(item.at).toLocaleString()}`;
+      meta.appendChild(who);
     }
-    snapshot.parties = pretty.length ? pretty.join(", ") : null;
-    aiStatus.textContent = "AI: on-device ✓";
-  } catch (e){
-    console.warn(e);
-    aiStatus.textContent = "AI: optional";
+    li.appendChild(meta);
+    planEl.appendChild(li);
   }
+  auditStatusEl.textContent = `Audit trail: ${auditSummary(checklist)}`;
+}
 
-  renderSnapshot(snapshot);
+// --- Safe reply: tone, channel, signature templates and the editable draft ---
+function loadReplySettings(){
+  try {
+    return JSON.parse(localStorage.getItem(REPLY_SETTINGS_STORAGE_KEY) || "{}") || {};
+  } catch {
+    return {};
+  }
+}
+
+function loadReplyTemplates(){
+  try {
+    const list = JSON.parse(localStorage.getItem(REPLY_TEMPLATES_STORAGE_KEY) || "[]");
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
+  }
+}
+
+function saveReplyTemplates(list){
+  localStorage.setItem(REPLY_TEMPLATES_STORAGE_KEY, JSON.stringify(list));
+}
+
+// { tone, channel, signature, company } as currently picked; also what the worker drafts with.
+function replySettings(){
+  return {
+    tone: replyToneSel.value,
+    channel: replyChannelSel.value,
+    signature: replySignatureInput.value,
+    company: replyCompanyInput.value,
+  };
+}
+
+function saveReplySettings(){
+  localStorage.setItem(REPLY_SETTINGS_STORAGE_KEY, JSON.stringify({ ...replySettings(), template: replyTemplateSel.value }));
+}
 
-  // Safe reply
-  const reply = buildSafeReply(result.level, snapshot);
-  replyBox.textContent = reply;
+function renderReplyTemplates(selected){
+  replyTemplateSel.innerHTML = "";
+  replyTemplateSel.appendChild(new Option("(none)", ""));
+  for (const t of loadReplyTemplates()) replyTemplateSel.appendChild(new Option(t.name, t.name));
+  replyTemplateSel.value = loadReplyTemplates().some(t => t.name === selected) ? selected : "";
+  replyTemplateDeleteBtn.disabled = !replyTemplateSel.value;
+}
+
+function restoreReplySettings(){
+  const saved = loadReplySettings();
+  if (saved.tone) replyToneSel.value = saved.tone;
+  if (saved.channel) replyChannelSel.value = saved.channel;
+  replySignatureInput.value = saved.signature || "";
+  replyCompanyInput.value = saved.company || "";
+  renderReplyTemplates(saved.template);
+}
+
+// True once the user typed into the draft; a new tone/channel then asks before replacing it.
+let replyEdited = false;
+
+function setReplyDraft(text){
+  replyBox.value = text;
+  replyEdited = false;
+  checkReplyDraft();
+}
+
+// Live warning while editing; Copy removes the same items.
+function checkReplyDraft(){
+  const removed = lastRun && replyBox.value ? scrubReply(replyBox.value, lastRun.snapshot).removed : [];
+  replyCheckEl.className = removed.length ? "warn" : "";
+  replyCheckEl.textContent = removed.length
+    ? `Repeats details from the message (removed when copying): ${removed.map(r => r.value).join(", ")}`
+    : "";
+}
+
+// Redraft the last run's reply in the picked tone/channel/signature without analyzing again.
+function recomposeReply(){
+  saveReplySettings();
+  if (!lastRun || !lastRun.replyParts) return;
+  if (replyEdited && !confirm("Replace your edited reply with a new draft?")) return;
+  const { result, snapshot, replyParts } = lastRun;
+  setReplyDraft(safeReply({ level: result.level, snapshot, ...replyParts, ...replySettings() }));
+}
+
+// --- Deal history view ---
+function historyLine(r){
+  const when = new Date(r.createdAt).toLocaleString();
+  const parts = [when, `${r.level} ${r.score}`];
+  if (r.amount) parts.push(r.amount.raw);
+  for (const i of r.instruments) parts.push(`${i.label} ${i.value}`);
+  return parts.join(" · ");
+}
+
+function smallButton(label, onClick){
+  const b = document.createElement("button");
+  b.className = "small";
+  b.textContent = label;
+  b.addEventListener("click", onClick);
+  return b;
+}
 
-  // Highlighted view
-  const highlighted = highlightMatches(text, triggers);
-  highlightedEl.innerHTML = highlighted;
+async function renderHistory(){
+  let records = [];
+  try {
+    records = await listAnalyses();
+  } catch (e) {
+    historyEl.textContent = "Deal history is unavailable in this browser.";
+    return;
+  }
+  historyEl.innerHTML = "";
+  if (!records.length){
+    historyEl.textContent = "No analyses saved yet.";
+    return;
+  }
+  for (const group of Object.values(groupHistory(records))){
+    const box = document.createElement("div");
+    box.className = "history-party";
+    const head = document.createElement("div");
+    head.className = "history-head";
+    const title = document.createElement("strong");
+    title.textContent = group.name;
+    head.appendChild(title);
+    head.appendChild(smallButton("Delete counterparty", async () => {
+      if (!confirm(`Delete all saved analyses for ${group.name}?`)) return;
+      await deleteAnalyses(Object.values(group.deals).flat().map(r => r.id));
+      renderHistory();
+    }));
+    box.appendChild(head);
+
+    for (const [deal, items] of Object.entries(group.deals)){
+      const dealEl = document.createElement("div");
+      dealEl.className = "history-deal";
+      dealEl.textContent = `${deal} — ${items.length} message${items.length === 1 ? "" : "s"}`;
+      box.appendChild(dealEl);
+      const ul = document.createElement("ul");
+      for (const r of items){
+        const li = document.createElement("li");
+        li.appendChild(document.createTextNode(historyLine(r) + " "));
+        li.appendChild(smallButton("Load", () => {
+          input.value = r.text;
+          counterpartyInput.value = r.counterparty || "";
+          dealInput.value = r.deal || "";
+        }));
+        li.appendChild(smallButton("Delete", async () => {
+          await deleteAnalysis(r.id);
+          renderHistory();
+        }));
+        ul.appendChild(li);
+      }
+      box.appendChild(ul);
+    }
+    historyEl.appendChild(box);
+  }
 }
 
 demo1.addEventListener("click", () => { input.value = DEMOS.clean; });
 demo2.addEventListener("click", () => { input.value = DEMOS.bank_change; });
 demo3.addEventListener("click", () => { input.value = DEMOS.advance_fee; });
+demo4.addEventListener("click", () => {
+  input.value = DEMOS.thread;
+  threadModeChk.checked = true;
+});
 
 analyzeBtn.addEventListener("click", analyze);
 
+restoreReplySettings();
+reviewerInput.value = localStorage.getItem(REVIEWER_STORAGE_KEY) || "";
+reviewerInput.addEventListener("change", () => localStorage.setItem(REVIEWER_STORAGE_KEY, reviewerInput.value.trim()));
+replyToneSel.addEventListener("change", recomposeReply);
+replyChannelSel.addEventListener("change", recomposeReply);
+replySignatureInput.addEventListener("change", recomposeReply);
+replyCompanyInput.addEventListener("change", recomposeReply);
+replyTemplateSel.addEventListener("change", () => {
+  const t = loadReplyTemplates().find(x => x.name === replyTemplateSel.value);
+  replyTemplateDeleteBtn.disabled = !t;
+  if (t){
+    replySignatureInput.value = t.signature;
+    replyCompanyInput.value = t.company;
+  }
+  recomposeReply();
+});
+replyTemplateSaveBtn.addEventListener("click", () => {
+  const name = (prompt("Template name:", replyTemplateSel.value || "") || "").trim();
+  if (!name) return;
+  const list = loadReplyTemplates().filter(t => t.name !== name);
+  list.push({ name, signature: replySignatureInput.value, company: replyCompanyInput.value });
+  saveReplyTemplates(list);
+  renderReplyTemplates(name);
+  saveReplySettings();
+});
+replyTemplateDeleteBtn.addEventListener("click", () => {
+  const name = replyTemplateSel.value;
+  if (!name || !confirm(`Delete the template "${name}"?`)) return;
+  saveReplyTemplates(loadReplyTemplates().filter(t => t.name !== name));
+  renderReplyTemplates("");
+  saveReplySettings();
+});
+replyBox.addEventListener("input", () => {
+  replyEdited = true;
+  checkReplyDraft();
+});
+
 copyReplyBtn.addEventListener("click", async () => {
-  const t = replyBox.textContent.trim();
-  if (!t || t === "—") return;
+  const draft = replyBox.value.trim();
+  if (!draft) return;
+  // Whatever was typed, a suspicious link or the message's payment details never leave in the reply
+  const { text: t, removed } = lastRun ? scrubReply(draft, lastRun.snapshot) : { text: draft, removed: [] };
+  if (removed.length){
+    replyBox.value = t;
+    replyCheckEl.className = "warn";
+    replyCheckEl.textContent = `Removed before copying: ${removed.map(r => r.value).join(", ")}`;
+  }
   await navigator.clipboard.writeText(t);
   copyReplyBtn.textContent = "Copied ✓";
   setTimeout(()=>copyReplyBtn.textContent="Copy safe reply", 900);
 });
 
 // --- Export (single button + format menu) ---
-function getReportBundle() {
+// Canonical report (lib/report.js) of what's on screen: the last run with its checklist and the edited
+// reply, or a quick rules-only pass (no history) when the text was edited since.
+async function currentReport(){
   const text = input.value.trim();
-  if (!text) return null;
-
-  const result = scoreRisk(text);
-
-  const snapshot = {
-    amount: extractAmount(text),
-    deadline: extractDeadline(text),
-    payment: detectPayment(text),
-    links: result.links,
-    parties: partiesEl.textContent === "—" ? null : partiesEl.textContent,
+  if (!text || !rulePack) return null;
+  const info = {
+    text,
+    counterparty: counterpartyInput.value.trim() || null,
+    deal: dealInput.value.trim() || null,
+    trustedDomains: loadTrustedDomains(),
   };
 
-  const reply =
-    replyBox.textContent.trim() === "—"
-      ? buildSafeReply(result.level, snapshot)
-      : replyBox.textContent.trim();
+  if (lastRun && lastRun.text === text){
+    const { result, snapshot, replyParts, pack } = lastRun;
+    const reply = scrubReply(replyBox.value.trim(), snapshot).text || lastRun.reply;
+    return buildReport({ input: { ...info, counterparty: info.counterparty || snapshot.counterparty }, result, snapshot, reply, replyParts, checklist, rulePack: pack });
+  }
 
-  const md = buildMarkdownSummary(result, snapshot, reply, text);
-  const txt = markdownToPlain(md);
-  const html = buildHtmlReport(result, snapshot, reply, text);
+  const scored = await analyzer.score({ text, secondOpinion: secondOpinionOn(), options: { trustedDomains: info.trustedDomains, directory: loadDirectory() } });
+  const { result, snapshot, replyParts } = scored;
+  const reply = scrubReply(replyBox.value.trim(), snapshot).text || scored.reply;
+  return buildReport({ input: info, result, snapshot, reply, replyParts, rulePack });
+}
 
-  return { txt, html };
+async function getReportBundle() {
+  const report = await currentReport();
+  if (!report) return null;
+  const result = checkedReportResult(report);
+  const { snapshot, reply, input: { text } } = report;
+  const md = buildMarkdownSummary(result, snapshot, reply, text);
+  return { report, txt: markdownToPlain(md) };
 }
 
-function downloadText(filename, content) {
-  const blob = new Blob([content], { type: "text/plain;charset=utf-8" });
+function downloadText(filename, content, type = "text/plain;charset=utf-8") {
+  const blob = new Blob([content], { type });
   const url = URL.createObjectURL(blob);
   const a = document.createElement("a");
   a.href = url;
@@ -505,75 +1052,88 @@ function downloadText(filename, content) {
   URL.revokeObjectURL(url);
 }
 
-function exportAsTxt() {
-  const bundle = getReportBundle();
+async function exportAsTxt() {
+  const bundle = await getReportBundle();
   if (!bundle) return;
   downloadText("dealshield_report.txt", bundle.txt);
 }
 
-function exportAsPdf() {
-  const bundle = getReportBundle();
-  if (!bundle) return;
-
-  const d = new Date();
-  const ymd = d.toISOString().slice(0, 10);
-  const filename = `dealshield_report_${ymd}.pdf`;
-
-  // Preferred: direct download to the browser’s default Downloads folder (no print dialog).
-  try {
-    const jspdf = window.jspdf;
-    if (jspdf && typeof jspdf.jsPDF === "function") {
-      const { jsPDF } = jspdf;
-      const doc = new jsPDF({ unit: "pt", format: "a4" });
-
-      const margin = 48;
-      const pageW = doc.internal.pageSize.getWidth();
-      const pageH = doc.internal.pageSize.getHeight();
-      const maxW = pageW - margin * 2;
-
-      doc.setFont("courier", "normal");
-      doc.setFontSize(11);
-
-      const lineH = 14;
-      const raw = (bundle.txt || "").replace(/\r/g, "");
-      const paragraphs = raw.split("\n");
-
-      let y = margin;
-      for (const p of paragraphs) {
-        if (p.trim() === "") {
-          y += lineH;
-          if (y > pageH - margin) {
-            doc.addPage();
-            y = margin;
-          }
-          continue;
-        }
-        const lines = doc.splitTextToSize(p, maxW);
-        for (const line of lines) {
-          doc.text(String(line), margin, y);
-          y += lineH;
-          if (y > pageH - margin) {
-            doc.addPage();
-            y = margin;
-          }
-        }
-      }
-
-      doc.save(filename);
+// JSON (re-importable), CSV row, STIX 2.1 indicators for threat-intel tools, or the payment
+// schedule as calendar events.
+async function exportAsData(kind) {
+  const report = await currentReport();
+  if (!report) return;
+  const ymd = new Date().toISOString().slice(0, 10);
+  if (kind === "ics"){
+    // Milestones counted from the message date fall back to today when the message has no Date header.
+    const { ics, events } = scheduleIcs([{
+      terms: report.result.terms,
+      counterparty: report.snapshot.counterparty,
+      uid: `dealshield-${toHex(sha256(report.input.text)).slice(0, 16)}`,
+    }], { today: ymd });
+    if (!events){
+      alert("No payment milestone in this message has a due date to put in a calendar.");
       return;
     }
-  } catch (err) {
-    console.warn("Direct PDF export failed; falling back to print.", err);
+    downloadText(`dealshield_schedule_${ymd}.ics`, ics, "text/calendar;charset=utf-8");
+  } else if (kind === "csv") downloadText(`dealshield_report_${ymd}.csv`, reportsCsv([report]));
+  else if (kind === "stix") downloadText(`dealshield_stix_${ymd}.json`, JSON.stringify(stixBundle([report]), null, 2));
+  else downloadText(`dealshield_report_${ymd}.json`, JSON.stringify(report, null, 2));
+}
+
+// PDF branding: { logo (JPEG data URL), footer, redact }, kept for the next export.
+function loadPdfBranding(){
+  try {
+    return JSON.parse(localStorage.getItem(PDF_BRANDING_STORAGE_KEY) || "{}") || {};
+  } catch {
+    return {};
   }
+}
+
+function savePdfBranding(change){
+  localStorage.setItem(PDF_BRANDING_STORAGE_KEY, JSON.stringify({ ...loadPdfBranding(), ...change }));
+}
 
-  // Fallback: browser print dialog (still produces a valid PDF via “Save as PDF”).
-  const w = window.open("", "_blank");
-  if (!w) return;
-  w.document.open();
-  w.document.write(bundle.html);
-  w.document.close();
-  w.focus();
-  setTimeout(() => { w.print(); }, 250);
+function renderPdfBranding(){
+  const branding = loadPdfBranding();
+  pdfRedactChk.checked = !!branding.redact;
+  pdfFooterInput.value = branding.footer || "";
+  pdfLogoBtn.textContent = branding.logo ? "Change logo…" : "Logo…";
+  pdfLogoClearBtn.hidden = !branding.logo;
+}
+
+// Any image -> JPEG data URL at most 600 px wide on white (the PDF embeds JPEG only).
+async function logoToJpeg(file){
+  const bitmap = await createImageBitmap(file);
+  const scale = Math.min(1, 600 / bitmap.width);
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+  canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+  const ctx = canvas.getContext("2d");
+  ctx.fillStyle = "#fff";
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+  return canvas.toDataURL("image/jpeg", 0.9);
+}
+
+function dataUrlBytes(url){
+  const bin = atob(url.slice(url.indexOf(",") + 1));
+  return Uint8Array.from(bin, c => c.charCodeAt(0));
+}
+
+// Built here from the canonical report (lib/pdf-report.js), so it works offline with no print dialog.
+async function exportAsPdf() {
+  const report = await currentReport();
+  if (!report) return;
+  const branding = loadPdfBranding();
+  const pdf = buildPdfReport([report], {
+    logo: branding.logo ? dataUrlBytes(branding.logo) : null,
+    footer: branding.footer || "",
+    redact: !!branding.redact,
+  });
+  const ymd = new Date().toISOString().slice(0, 10);
+  downloadText(`dealshield_report_${ymd}${branding.redact ? "_redacted" : ""}.pdf`, pdf, "application/pdf");
 }
 
 // Menu open/close
@@ -602,14 +1162,42 @@ if (exportTxtBtn) {
   exportTxtBtn.addEventListener("click", (e) => {
     e.preventDefault();
     closeExportMenu();
-    exportAsTxt();
+    exportAsTxt().catch(e => alert(`Could not export the report: ${e.message}`));
   });
 }
 if (exportPdfBtn) {
   exportPdfBtn.addEventListener("click", (e) => {
     e.preventDefault();
     closeExportMenu();
-    exportAsPdf();
+    exportAsPdf().catch(e => alert(`Could not export the report: ${e.message}`));
+  });
+}
+
+pdfRedactChk.addEventListener("change", () => savePdfBranding({ redact: pdfRedactChk.checked }));
+pdfFooterInput.addEventListener("change", () => savePdfBranding({ footer: pdfFooterInput.value.trim() }));
+pdfLogoBtn.addEventListener("click", () => pdfLogoInput.click());
+pdfLogoInput.addEventListener("change", async () => {
+  const file = pdfLogoInput.files[0];
+  pdfLogoInput.value = "";
+  if (!file) return;
+  try {
+    savePdfBranding({ logo: await logoToJpeg(file) });
+  } catch (e) {
+    alert(`Could not use this image as a logo: ${e.message}`);
+  }
+  renderPdfBranding();
+});
+pdfLogoClearBtn.addEventListener("click", () => {
+  savePdfBranding({ logo: null });
+  renderPdfBranding();
+});
+renderPdfBranding();
+
+for (const [btn, kind] of [[exportJsonBtn, "json"], [exportCsvBtn, "csv"], [exportStixBtn, "stix"], [exportIcsBtn, "ics"]]){
+  btn.addEventListener("click", (e) => {
+    e.preventDefault();
+    closeExportMenu();
+    exportAsData(kind).catch(e => alert(`Could not export the report: ${e.message}`));
   });
 }
 
@@ -623,11 +1211,490 @@ document.addEventListener("keydown", (e) => {
 });
 
 
+// Rule pack controls
+rulesFileBtn.addEventListener("click", () => rulesFileInput.click());
+rulesFileInput.addEventListener("change", async () => {
+  const file = rulesFileInput.files[0];
+  rulesFileInput.value = "";
+  if (!file) return;
+  try {
+    useCustomRulePack(JSON.parse(await file.text()), file.name);
+  } catch (e) {
+    reportRulePackError(e);
+  }
+});
+rulesUrlBtn.addEventListener("click", async () => {
+  const url = prompt("Rule pack URL (JSON):");
+  if (!url) return;
+  try {
+    useCustomRulePack(await fetchRulePack(url), url);
+  } catch (e) {
+    reportRulePackError(e);
+  }
+});
+rulesResetBtn.addEventListener("click", () => {
+  localStorage.removeItem(RULE_PACK_STORAGE_KEY);
+  rulePackReady = loadRulePack().catch(reportRulePackError);
+});
+
+rulePackReady = loadRulePack().catch(reportRulePackError);
+
+secondOpinionChk.checked = secondOpinionOn();
+secondOpinionChk.addEventListener("change", () => {
+  localStorage.setItem(SECOND_OPINION_STORAGE_KEY, secondOpinionChk.checked ? "1" : "0");
+});
+
+localModelsChk.checked = localModelsOnly();
+localModelsChk.addEventListener("change", () => {
+  localStorage.setItem(LOCAL_MODELS_STORAGE_KEY, localModelsChk.checked ? "1" : "0");
+  // The worker loads the model again from the new source on the next run.
+  aiStatus.textContent = "AI: optional";
+});
+
+trustedDomainsBtn.addEventListener("click", () => {
+  const value = prompt("Known-good domains (comma-separated), e.g. your clients' and suppliers' websites:", loadTrustedDomains().join(", "));
+  if (value == null) return;
+  saveTrustedDomains(Array.from(new Set(value.split(/[\s,;]+/).map(d => d.trim().toLowerCase().replace(/^https?:\/\//, "").replace(/\/.*$/, "")).filter(Boolean))));
+});
+
+historyExportBtn.addEventListener("click", async () => {
+  try {
+    const data = await exportHistory();
+    downloadText(`dealshield_history_${new Date().toISOString().slice(0, 10)}.json`, JSON.stringify(data, null, 2));
+  } catch (e) {
+    alert("Could not export deal history: " + e.message);
+  }
+});
+historyClearBtn.addEventListener("click", async () => {
+  if (!confirm("Delete the entire local deal history?")) return;
+  await clearHistory();
+  renderHistory();
+});
+renderHistory();
+
+// --- Counterparty directory: trusted records and blocklist ---
+const DIRECTORY_SHOWN = 200;
+
+function renderDirectory(){
+  const directory = loadDirectory();
+  directoryEl.innerHTML = "";
+  if (!directory.trusted.length && !directory.blocked.length){
+    directoryEl.textContent = "No trusted counterparties or blocked indicators yet.";
+    return;
+  }
+  const section = (title, items, text, remove) => {
+    if (!items.length) return;
+    const box = document.createElement("div");
+    box.className = "history-party";
+    const head = document.createElement("strong");
+    head.textContent = `${title} (${items.length})`;
+    box.appendChild(head);
+    const ul = document.createElement("ul");
+    items.slice(0, DIRECTORY_SHOWN).forEach((item, i) => {
+      const li = document.createElement("li");
+      li.appendChild(document.createTextNode(text(item) + " "));
+      li.appendChild(smallButton("Remove", () => remove(i)));
+      ul.appendChild(li);
+    });
+    if (items.length > DIRECTORY_SHOWN){
+      const li = document.createElement("li");
+      li.textContent = `…and ${items.length - DIRECTORY_SHOWN} more (export to see them all)`;
+      ul.appendChild(li);
+    }
+    box.appendChild(ul);
+    directoryEl.appendChild(box);
+  };
+  section("Trusted counterparties", directory.trusted, recordText, (i) => {
+    const name = directory.trusted[i].name;
+    saveDirectory({ ...directory, trusted: directory.trusted.filter((_, j) => j !== i) }, `Removed ${name}.`);
+  });
+  section("Blocklist", directory.blocked, indicatorText, (i) => {
+    saveDirectory({ ...directory, blocked: directory.blocked.filter((_, j) => j !== i) }, "Removed from the blocklist.");
+  });
+}
+
+directoryTrustBtn.addEventListener("click", () => {
+  const record = lastRun ? recordFromResult(lastRun.result, counterpartyInput.value.trim() || null) : null;
+  if (!record) return alert("Analyze a message from the counterparty first.");
+  const name = prompt(`Trust this counterparty with the details from the message?\n${recordText(record)}\n\nName:`, record.name);
+  if (!name || !name.trim()) return;
+  saveDirectory(mergeDirectory(loadDirectory(), { trusted: [{ ...record, name: name.trim() }], blocked: [] }), `Added ${name.trim()} to trusted counterparties.`);
+});
+
+directoryBlockBtn.addEventListener("click", () => {
+  const found = lastRun ? indicatorsFromResult(lastRun.result) : [];
+  if (!found.length) return alert("The analyzed message has no sender address, payment details or suspicious links to block.");
+  const note = prompt(`Block these details?\n${found.map(indicatorText).join("\n")}\n\nNote (optional):`, new Date().toISOString().slice(0, 10));
+  if (note == null) return;
+  const blocked = found.map(b => ({ ...b, note: note.trim() }));
+  saveDirectory(mergeDirectory(loadDirectory(), { trusted: [], blocked }), `Blocked ${blocked.length} indicator${blocked.length === 1 ? "" : "s"}.`);
+});
+
+directoryImportBtn.addEventListener("click", () => directoryInput.click());
+directoryInput.addEventListener("change", async () => {
+  const file = directoryInput.files[0];
+  directoryInput.value = "";
+  if (!file) return;
+  try {
+    const text = await file.text();
+    const added = /\.csv$/i.test(file.name) || file.type === "text/csv" ? parseDirectoryCsv(text) : parseDirectory(text);
+    saveDirectory(mergeDirectory(loadDirectory(), added),
+      `Imported ${added.trusted.length} trusted counterpart${added.trusted.length === 1 ? "y" : "ies"} and ${added.blocked.length} blocked indicator${added.blocked.length === 1 ? "" : "s"} from ${file.name}.`);
+  } catch (e) {
+    alert(`Could not import ${file.name}: ${e.message}${e.errors && e.errors.length > 1 ? `\n${e.errors.slice(1, 6).join("\n")}` : ""}`);
+  }
+});
+
+directoryExportBtn.addEventListener("click", () => {
+  downloadText(`dealshield_directory_${new Date().toISOString().slice(0, 10)}.csv`, directoryCsv(loadDirectory()));
+});
+directoryClearBtn.addEventListener("click", () => {
+  if (!confirm("Delete all trusted counterparties and blocked indicators?")) return;
+  saveDirectory(emptyDirectory(), "Directory cleared.");
+});
+renderDirectory();
+
+// --- Case queue: analyses on the team's service, assigned, commented and approved by a second person ---
+let caseUser = null; // { user, personalKey } from GET /me once connected
+let openCaseId = null;
+
+function loadCaseServer(){
+  try {
+    return JSON.parse(localStorage.getItem(CASE_SERVER_STORAGE_KEY) || "{}") || {};
+  } catch {
+    return {};
+  }
+}
+
+// A personal API key names its user; a shared one acts as whoever is under "Checked by".
+function caseActor(){
+  return caseUser && caseUser.personalKey ? caseUser.user : reviewerInput.value.trim();
+}
+
+const cases = createCaseClient(() => ({ url: caseServerInput.value.trim(), key: caseKeyInput.value, user: caseActor() }));
+
+function setCaseStatus(text, warn = false){
+  caseStatus.textContent = text;
+  caseStatus.className = warn ? "warn" : "";
+}
+
+// Actions taken as the reviewer: ask for a name first when the key doesn't carry one.
+async function caseAction(fn){
+  if (!(caseUser && caseUser.personalKey) && !reviewerName()) return null;
+  try {
+    return await fn();
+  } catch (e) {
+    setCaseStatus(e.message, true);
+    return null;
+  }
+}
+
+async function renderCases(){
+  if (!caseUser) return;
+  let list;
+  try {
+    list = await cases.list({
+      level: caseLevelSel.value,
+      state: caseStateSel.value,
+      assignee: caseMineChk.checked ? caseActor() : "",
+    });
+  } catch (e) {
+    setCaseStatus(e.message, true);
+    return;
+  }
+  caseListEl.innerHTML = "";
+  if (!list.length){
+    caseListEl.textContent = "No cases match.";
+    return;
+  }
+  const ul = document.createElement("ul");
+  for (const c of list){
+    const li = document.createElement("li");
+    li.className = `case-row case-${c.state}${c.id === openCaseId ? " open" : ""}`;
+    li.appendChild(document.createTextNode(`${caseLine(c)}${c.comments ? ` · ${c.comments} comment${c.comments === 1 ? "" : "s"}` : ""} `));
+    li.appendChild(smallButton("Open", () => showCase(c.id)));
+    ul.appendChild(li);
+  }
+  caseListEl.appendChild(ul);
+}
+
+async function showCase(id){
+  let c;
+  try {
+    c = await cases.get(id);
+  } catch (e) {
+    setCaseStatus(e.message, true);
+    return;
+  }
+  openCaseId = c.id;
+  caseDetailEl.hidden = false;
+  caseDetailEl.innerHTML = "";
+  const refresh = () => Promise.all([showCase(c.id), renderCases()]);
+
+  const head = document.createElement("div");
+  head.className = "history-head";
+  const title = document.createElement("strong");
+  title.textContent = `${c.id} · ${c.title}`;
+  head.appendChild(title);
+  head.appendChild(smallButton("Load into analyzer", () => restoreReport(c.report)));
+  head.appendChild(smallButton("Close", () => {
+    openCaseId = null;
+    caseDetailEl.hidden = true;
+    renderCases();
+  }));
+  caseDetailEl.appendChild(head);
+
+  const line = document.createElement("div");
+  line.textContent = caseLine(c);
+  caseDetailEl.appendChild(line);
+
+  const moves = document.createElement("div");
+  moves.className = "case-moves";
+  moves.appendChild(document.createTextNode(`${CASE_STATE_TEXT[c.state]} `));
+  for (const m of caseMoves(c, caseActor(), caseUser.personalKey)){
+    const b = smallButton(`Mark ${CASE_STATE_TEXT[m.state].toLowerCase()}`, async () => {
+      const note = prompt(`Note for ${c.id} -> ${m.state} (optional):`, "");
+      if (note == null) return;
+      if (await caseAction(() => cases.move(c.id, m.state, note))) refresh();
+    });
+    if (m.blocked){
+      b.disabled = true;
+      b.title = m.blocked;
+    }
+    moves.appendChild(b);
+  }
+  if (c.state !== "approved" && c.state !== "rejected"){
+    moves.appendChild(smallButton(c.assignee ? `Reassign (${c.assignee})` : "Assign", async () => {
+      const name = prompt(`Reviewer for ${c.id} (empty to unassign; not ${c.submittedBy}):`, c.assignee || "");
+      if (name == null) return;
+      if (await caseAction(() => cases.assign(c.id, name.trim() || null))) refresh();
+    }));
+  }
+  caseDetailEl.appendChild(moves);
+
+  const comments = document.createElement("ul");
+  comments.className = "case-comments";
+  for (const m of c.comments){
+    const li = document.createElement("li");
+    li.textContent = `${new Date(m.at).toLocaleString()} ${m.by}: ${m.text}`;
+    comments.appendChild(li);
+  }
+  caseDetailEl.appendChild(comments);
+  caseDetailEl.appendChild(smallButton("Add comment", async () => {
+    const text = (prompt(`Comment on ${c.id}:`) || "").trim();
+    if (!text) return;
+    if (await caseAction(() => cases.comment(c.id, text))) refresh();
+  }));
+
+  const history = document.createElement("details");
+  const summary = document.createElement("summary");
+  summary.textContent = `History (${c.history.length})`;
+  history.appendChild(summary);
+  const pre = document.createElement("pre");
+  pre.textContent = c.history.map(caseHistoryText).join("\n");
+  history.appendChild(pre);
+  caseDetailEl.appendChild(history);
+}
+
+async function connectCases(){
+  localStorage.setItem(CASE_SERVER_STORAGE_KEY, JSON.stringify({ url: caseServerInput.value.trim(), key: caseKeyInput.value }));
+  caseUser = null;
+  caseSubmitBtn.disabled = true;
+  try {
+    const me = await cases.me();
+    if (!me.cases) throw new Error("The service runs without a case queue (start it with --cases <file>)");
+    caseUser = me;
+  } catch (e) {
+    setCaseStatus(e.message, true);
+    caseListEl.textContent = "—";
+    caseDetailEl.hidden = true;
+    return;
+  }
+  // Submitting, approving and rejecting take a personal key; a shared one can read, assign and comment.
+  caseSubmitBtn.disabled = !caseUser.personalKey;
+  setCaseStatus(caseUser.personalKey ? `Connected as ${caseUser.user}.`
+    : "Connected with a shared key: acting as the name under Checked by, which can assign and comment but not submit, approve or reject.");
+  renderCases();
+}
+
+caseSubmitBtn.addEventListener("click", async () => {
+  const report = await currentReport();
+  if (!report) return alert("Analyze a message first.");
+  const c = await caseAction(() => cases.submit(report, caseAssigneeInput.value.trim() || null));
+  if (!c) return;
+  setCaseStatus(`Submitted ${c.id}${c.assignee ? ` for ${c.assignee}` : ""}.`);
+  renderCases();
+  showCase(c.id);
+});
+caseConnectBtn.addEventListener("click", connectCases);
+caseLevelSel.addEventListener("change", renderCases);
+caseStateSel.addEventListener("change", renderCases);
+caseMineChk.addEventListener("change", renderCases);
+caseServerInput.value = loadCaseServer().url || "";
+caseKeyInput.value = loadCaseServer().key || "";
+caseSubmitBtn.disabled = true;
+if (caseServerInput.value) connectCases();
+
+// --- File import (drag & drop or picker): .eml / .msg / mbox / PDF / PNG / JPG / plain text / JSON report ---
+let importedMessages = [];
+
+function loadMessage(msg){
+  input.value = composeEmailText(msg);
+  counterpartyInput.value = "";
+}
+
+function setImportStatus(msg){
+  importStatus.textContent = msg || "";
+}
+
+// PDFs use their text layer (OCR for scanned pages); images go straight to OCR.
+async function importDocument(file, bytes){
+  const name = file.name || "file";
+  importBtn.disabled = true;
+  mboxPick.hidden = true;
+  try {
+    const out = isImageFile(file) ? await ocrImage(file, setImportStatus) : await extractPdfText(bytes, setImportStatus);
+    if (!out.text){
+      setImportStatus("");
+      alert(`No text found in ${name}.`);
+      return;
+    }
+    input.value = out.text;
+    counterpartyInput.value = "";
+    const how = out.ocrPages ? (out.ocrPages === out.pages ? "OCR" : `${out.ocrPages} page(s) via OCR`) : "text layer";
+    setImportStatus(`${name}: ${out.pages} page(s), ${how} — review the text, then Analyze.`);
+  } catch (e) {
+    console.warn(e);
+    setImportStatus("");
+    alert(`Could not read ${name}: ${e.message || "PDF/OCR engine unavailable (needs network on first use)"}`);
+  } finally {
+    importBtn.disabled = false;
+  }
+}
+
+// A JSON report puts back everything it recorded — input, result, reply, checklist — without analyzing.
+function restoreReport(report){
+  analyzer.cancel();
+  analyzeSeq++;
+  const { text, counterparty, deal, thread } = report.input;
+  input.value = text;
+  counterpartyInput.value = counterparty || "";
+  dealInput.value = deal || "";
+  threadModeChk.checked = !!thread;
+  const { result, snapshot } = report;
+  renderScored(text, { result, snapshot, split: !!result.thread });
+  lastRun = {
+    text, result, snapshot, reply: report.reply, replyParts: report.replyParts || null,
+    pack: { ...report.generator.rulePack, ...report.scoring },
+  };
+  setReplyDraft(report.reply);
+  checklist = report.checklist || buildChecklist(text, result, lastRun.pack);
+  renderChecklist();
+  renderChecked();
+}
+
+async function importFile(file){
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  const name = file.name || "";
+  setImportStatus("");
+  if (/\.json$/i.test(name) || file.type === "application/json"){
+    let report;
+    try {
+      report = parseReport(new TextDecoder().decode(bytes));
+    } catch (e) {
+      alert(`Could not read ${name}: ${e.message}`);
+      return;
+    }
+    restoreReport(report);
+    setImportStatus(`${name}: report from ${new Date(report.generatedAt).toLocaleString()} restored.`);
+    return;
+  }
+  if (/\.(?:txt|text|md)$/i.test(name) || file.type === "text/plain"){
+    input.value = new TextDecoder().decode(bytes);
+    return;
+  }
+  if (isImageFile(file) || isPdfFile(file, bytes)) return importDocument(file, bytes);
+  try {
+    importedMessages = readMessages(bytes, name);
+  } catch (e) {
+    alert(`Could not read ${name}: ${e.message}`);
+    return;
+  }
+  if (!importedMessages.length){
+    alert(`No messages found in ${name}.`);
+    return;
+  }
+  mboxPick.innerHTML = "";
+  mboxPick.hidden = importedMessages.length < 2;
+  importedMessages.forEach((m, i) => {
+    const opt = document.createElement("option");
+    opt.value = String(i);
+    opt.textContent = `${i + 1}. ${m.subject || "(no subject)"} — ${m.from || "?"}`;
+    mboxPick.appendChild(opt);
+  });
+  loadMessage(importedMessages[0]);
+}
+
+importBtn.addEventListener("click", () => importInput.click());
+importInput.addEventListener("change", () => {
+  const file = importInput.files[0];
+  importInput.value = "";
+  if (file) importFile(file);
+});
+mboxPick.addEventListener("change", () => {
+  const msg = importedMessages[Number(mboxPick.value)];
+  if (msg) loadMessage(msg);
+});
+inputCard.addEventListener("dragover", (e) => {
+  e.preventDefault();
+  inputCard.classList.add("dragging");
+});
+inputCard.addEventListener("dragleave", (e) => {
+  if (!inputCard.contains(e.relatedTarget)) inputCard.classList.remove("dragging");
+});
+inputCard.addEventListener("drop", (e) => {
+  e.preventDefault();
+  inputCard.classList.remove("dragging");
+  const file = e.dataTransfer.files[0];
+  if (file) importFile(file);
+});
+
+highlightedEl.addEventListener("mouseover", (e) => showMarkTip(e.target.closest("mark[data-mark]")));
+highlightedEl.addEventListener("mouseout", (e) => {
+  const el = e.target.closest("mark[data-mark]");
+  if (el && el !== document.activeElement) hideMarkTip();
+});
+highlightedEl.addEventListener("focusin", (e) => showMarkTip(e.target.closest("mark[data-mark]")));
+highlightedEl.addEventListener("focusout", hideMarkTip);
+highlightedEl.addEventListener("click", (e) => {
+  if (whatIfChk.checked) toggleDismissed(e.target.closest("mark[data-mark]"));
+});
+highlightedEl.addEventListener("keydown", (e) => {
+  if (e.key === "Escape") return hideMarkTip();
+  if (!whatIfChk.checked || (e.key !== "Enter" && e.key !== " ")) return;
+  const el = e.target.closest("mark[data-mark]");
+  if (!el) return;
+  e.preventDefault();
+  toggleDismissed(el);
+});
+whatIfChk.addEventListener("change", () => {
+  whatIfDismissed = new Set();
+  highlightedEl.classList.toggle("what-if", whatIfChk.checked);
+  for (const el of highlightedEl.querySelectorAll("mark.dismissed")) el.classList.remove("dismissed");
+  if (lastRun && lastRun.text === marksText) renderChecked();
+  else whatIfOut.textContent = "";
+});
+
 // Default demo text
 input.value = DEMOS.clean;
 highlightedEl.textContent = "Run analysis to see highlighted signals.";
 
-// Warm up the on-device NER model in the background (non-blocking).
+// Offline app shell (PWA); not available from file:// or insecure origins.
+if ("serviceWorker" in navigator && window.isSecureContext){
+  navigator.serviceWorker.register("./sw.js").catch(e => console.warn("Service worker registration failed", e));
+}
+
+// Warm up the on-device NER model in the worker (non-blocking).
 setTimeout(() => {
-  ensureNER({ silent: true }).catch(() => {});
+  analyzer.warmup(localModelsOnly());
 }, 300);
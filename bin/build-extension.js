@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+// Packs the browser extension: extension/manifest.json at the root of the output folder, the extension
+// pages next to it, and the parts of the app they import (lib/, rules/, web/, styles.css) — copied as
+// they are, no bundler — ready for "Load unpacked" in Chrome / Edge or zipping for a store upload.
+import { cp, mkdir, readdir, rm, stat } from "node:fs/promises";
+import path from "node:path";
+import { ROOT, readJson } from "./packs.js";
+
+const USAGE = `Usage: node bin/build-extension.js [options]
+
+Builds the DealShield browser extension (Gmail / Outlook on the web) into a folder.
+
+Options:
+      --out <dir>          Output folder (default: dist/extension); replaced on every build
+  -h, --help               Show this help
+
+Exit codes: 0 ok, 2 usage or input error.`;
+
+const DEFAULT_OUT = "dist/extension";
+// Copied next to the manifest; extension/fixtures/ is for development only.
+const COPY = ["extension", "lib", "rules", "web", "styles.css"];
+const SKIP = [path.join("extension", "fixtures"), path.join("extension", "manifest.json")];
+
+class UsageError extends Error {}
+
+function parseArgs(argv){
+  const opts = { out: DEFAULT_OUT };
+  const value = (i, name) => {
+    if (i >= argv.length || argv[i].startsWith("-")) throw new UsageError(`${name} needs a value`);
+    return argv[i];
+  };
+  for (let i = 0; i < argv.length; i++){
+    const a = argv[i];
+    if (a === "-h" || a === "--help") opts.help = true;
+    else if (a === "--out") opts.out = value(++i, a);
+    else throw new UsageError(`Unknown option ${a}`);
+  }
+  return opts;
+}
+
+// The output folder is deleted first, so refuse anything that could hold the sources or other files.
+async function prepareOut(out){
+  const rel = path.relative(out, ROOT);
+  if (!rel || !rel.startsWith("..")) throw new UsageError(`--out must not contain the repository (${out})`);
+  const existing = await readdir(out).catch(() => null);
+  if (existing && existing.length){
+    const built = await stat(path.join(out, "manifest.json")).then(() => true, () => false);
+    if (!built) throw new UsageError(`${out} is not empty and is not an earlier extension build`);
+    await rm(out, { recursive: true });
+  }
+  await mkdir(out, { recursive: true });
+}
+
+async function main(argv){
+  const opts = parseArgs(argv);
+  if (opts.help){
+    console.log(USAGE);
+    return 0;
+  }
+  const manifest = await readJson(path.join(ROOT, "extension", "manifest.json"));
+  const { version } = await readJson(path.join(ROOT, "package.json"));
+  const out = path.resolve(opts.out);
+  await prepareOut(out);
+
+  const skip = SKIP.map(p => path.join(ROOT, p));
+  for (const entry of COPY){
+    await cp(path.join(ROOT, entry), path.join(out, entry), {
+      recursive: true,
+      filter: (src) => !skip.some(s => src === s || src.startsWith(s + path.sep)),
+    });
+  }
+  await cp(path.join(ROOT, "extension", "manifest.json"), path.join(out, "manifest.json"));
+  // The extension is released with the app, so its version should follow package.json.
+  if (manifest.version !== version) console.warn(`build-extension: manifest version ${manifest.version} differs from package.json ${version}`);
+  console.log(`Built ${manifest.name} ${manifest.version} into ${path.relative(process.cwd(), out) || "."} — load it with "Load unpacked".`);
+  return 0;
+}
+
+main(process.argv.slice(2)).then(
+  code => { process.exitCode = code; },
+  e => {
+    console.error(`build-extension: ${e.message}`);
+    if (e instanceof UsageError) console.error(`Run "node bin/build-extension.js --help" for usage.`);
+    process.exitCode = 2;
+  },
+);
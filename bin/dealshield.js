@@ -0,0 +1,231 @@
+#!/usr/bin/env node
+// DealShield CLI — the same on-device analysis as the web app, for shell pipelines and mailbox batches.
+// Reads text / .eml / .msg / .mbox files (or stdin), prints JSON, Markdown, a PDF or the payment schedule
+// as an .ics calendar; a directory argument produces a CSV summary with one row per message. No network
+// access.
+import { readFile, readdir, stat, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { loadRulePack, loadLocales } from "./packs.js";
+import { readMessages, composeEmailText } from "../lib/email.js";
+import { isMsgFile } from "../lib/msg.js";
+import { analyzeMessage, guessMessageCounterparty, buildMarkdownSummary } from "../lib/core.js";
+import { buildReport, reportsCsv, stixBundle } from "../lib/report.js";
+import { splitThread, analyzeThread } from "../lib/thread.js";
+import { TONES, CHANNELS } from "../lib/reply.js";
+import { buildPdfReport } from "../lib/pdf-report.js";
+import { jpegInfo } from "../lib/pdf.js";
+import { parseDirectory, parseDirectoryCsv } from "../lib/directory.js";
+import { classifyLexicon } from "../lib/classifier.js";
+import { scheduleIcs } from "../lib/terms.js";
+import { sha256, toHex } from "../lib/hash.js";
+
+const EMAIL_EXT = /\.(eml|msg|mbox)$/i;
+const TEXT_EXT = /\.(txt|text|md)$/i;
+const SKIP_EXT = /\.(pdf|png|jpe?g|gif|webp|bmp|tiff?)$/i;
+
+const USAGE = `Usage: dealshield [options] [file|dir|- ...]
+
+Analyzes messages on-device. Without arguments (or with "-") reads stdin.
+A directory is scanned for .eml/.msg/.mbox/.txt files and summarized as CSV.
+
+Options:
+  -f, --format <json|markdown|csv|stix|pdf|ics>
+                                    Output format (default: json, csv for directories); json is the
+                                    report the web app exports and re-imports, stix a STIX 2.1 bundle,
+                                    ics the dated payment milestones as calendar events
+  -o, --out <file>                  Write output to a file instead of stdout
+      --rules <file>                Custom rule pack (JSON, see rules/default.json)
+      --profile <file>              Scoring profile (default: rules/profiles/default.json for the built-in pack)
+      --no-profile                  Score with the rule pack's own weights and thresholds
+      --trusted <a.com,b.com>       Known-good counterparty domains for look-alike checks
+      --directory <file>            Counterparty directory: trusted records and blocklist (CSV, JSON or STIX)
+      --thread                      Split chat exports / email reply chains into messages and add a timeline
+      --second-opinion              Add second-opinion scam-pattern reasons (phrase lexicon; the model runs
+                                    in the web app only)
+      --tone <friendly|formal|firm> Tone of the safe reply (default: friendly)
+      --channel <email|chat|sms>    Shape of the safe reply (default: email)
+      --signature <file>            Sign the reply with this file: first paragraph signature, rest company block
+      --redact                      PDF: mask account numbers, IBANs, wallets, emails and phone numbers
+      --logo <file.jpg>             PDF: logo on the cover (JPEG)
+      --footer <text>               PDF: footer text on every page
+      --fail-above <score>          Exit with code 1 when any message scores above <score>
+  -h, --help                        Show this help
+
+Exit codes: 0 ok, 1 risk above --fail-above, 2 usage or input error.`;
+
+class UsageError extends Error {}
+
+function parseArgs(argv){
+  const opts = { format: null, out: null, rules: null, profile: null, trusted: [], thread: false, secondOpinion: false, failAbove: null, inputs: [],
+    tone: "friendly", channel: "email", signature: null, directory: null, redact: false, logo: null, footer: "" };
+  const value = (i, name) => {
+    if (i >= argv.length || (argv[i].startsWith("-") && argv[i] !== "-")) throw new UsageError(`${name} needs a value`);
+    return argv[i];
+  };
+  for (let i = 0; i < argv.length; i++){
+    const a = argv[i];
+    if (a === "-h" || a === "--help") opts.help = true;
+    else if (a === "-f" || a === "--format") opts.format = value(++i, a);
+    else if (a === "-o" || a === "--out") opts.out = value(++i, a);
+    else if (a === "--rules") opts.rules = value(++i, a);
+    else if (a === "--profile") opts.profile = value(++i, a);
+    else if (a === "--no-profile") opts.profile = false;
+    else if (a === "--thread") opts.thread = true;
+    else if (a === "--second-opinion") opts.secondOpinion = true;
+    else if (a === "--directory") opts.directory = value(++i, a);
+    else if (a === "--tone") opts.tone = value(++i, a);
+    else if (a === "--channel") opts.channel = value(++i, a);
+    else if (a === "--signature") opts.signature = value(++i, a);
+    else if (a === "--redact") opts.redact = true;
+    else if (a === "--logo") opts.logo = value(++i, a);
+    else if (a === "--footer") opts.footer = value(++i, a);
+    else if (a === "--trusted") opts.trusted = value(++i, a).split(",").map(s => s.trim().toLowerCase()).filter(Boolean);
+    else if (a === "--fail-above"){
+      const n = Number(value(++i, a));
+      if (!Number.isFinite(n)) throw new UsageError("--fail-above needs a number");
+      opts.failAbove = n;
+    } else if (a.startsWith("-") && a !== "-") throw new UsageError(`Unknown option ${a}`);
+    else opts.inputs.push(a);
+  }
+  if (opts.format && !["json", "markdown", "csv", "stix", "pdf", "ics"].includes(opts.format)) throw new UsageError(`Unknown format "${opts.format}"`);
+  if (!TONES.includes(opts.tone)) throw new UsageError(`Unknown tone "${opts.tone}"`);
+  if (!CHANNELS.includes(opts.channel)) throw new UsageError(`Unknown channel "${opts.channel}"`);
+  if (!opts.inputs.length) opts.inputs.push("-");
+  return opts;
+}
+
+async function readStdin(){
+  const chunks = [];
+  for await (const c of process.stdin) chunks.push(c);
+  return Buffer.concat(chunks);
+}
+
+// Bytes of one input -> [{ file, message, text }]; emails are rendered like the web importer does.
+function messagesOf(file, bytes){
+  const u8 = new Uint8Array(bytes.buffer, bytes.byteOffset, bytes.length);
+  // Raw email source piped in without a file name: a header block that includes "From:".
+  const head = bytes.subarray(0, 8192).toString("latin1");
+  const looksEmail = EMAIL_EXT.test(file) || (/^(?:From |[\w-]+:[ \t])/.test(head) && /^From:/im.test(head));
+  if (looksEmail || isMsgFile(u8)){
+    return readMessages(u8, file).map((msg, i) => ({ file, message: i + 1, text: composeEmailText(msg).trim() }));
+  }
+  return [{ file, message: 1, text: bytes.toString("utf8").trim() }];
+}
+
+async function collectInputs(inputs){
+  const out = [];
+  let dirMode = false;
+  for (const input of inputs){
+    if (input === "-"){
+      out.push(...messagesOf("stdin", await readStdin()));
+      continue;
+    }
+    const info = await stat(input).catch(() => null);
+    if (!info) throw new UsageError(`No such file: ${input}`);
+    if (info.isDirectory()){
+      dirMode = true;
+      for (const name of (await readdir(input)).sort()){
+        if (!EMAIL_EXT.test(name) && !TEXT_EXT.test(name)) continue;
+        const file = path.join(input, name);
+        out.push(...messagesOf(file, await readFile(file)));
+      }
+      continue;
+    }
+    if (SKIP_EXT.test(input)){
+      console.error(`dealshield: skipping ${input} (PDF/image import needs the web app's OCR)`);
+      continue;
+    }
+    out.push(...messagesOf(input, await readFile(input)));
+  }
+  return { messages: out.filter(m => m.text), dirMode };
+}
+
+function render(format, runs, pdf){
+  if (format === "markdown"){
+    return runs.map(r => buildMarkdownSummary(r.result, r.snapshot, r.reply, r.text)).join("\n\n---\n\n") + "\n";
+  }
+  const reports = runs.map(r => r.report);
+  if (format === "csv") return reportsCsv(reports);
+  if (format === "stix") return JSON.stringify(stixBundle(reports), null, 2) + "\n";
+  if (format === "pdf") return buildPdfReport(reports, pdf);
+  if (format === "ics"){
+    const schedules = runs.map(r => ({ terms: r.result.terms, counterparty: r.snapshot.counterparty, uid: `dealshield-${toHex(sha256(r.text)).slice(0, 16)}` }));
+    const { ics, events } = scheduleIcs(schedules, { today: new Date().toISOString().slice(0, 10) });
+    if (!events) console.error("dealshield: no payment milestone with a due date; the calendar is empty");
+    return ics;
+  }
+  return JSON.stringify(reports.length === 1 ? reports[0] : reports, null, 2) + "\n";
+}
+
+// Signature file: the first paragraph signs every reply, the rest is the company block (email only).
+async function readSignature(file){
+  const text = await readFile(file, "utf8").catch(() => null);
+  if (text == null) throw new UsageError(`No such file: ${file}`);
+  const [signature, ...company] = text.replace(/\r\n?/g, "\n").trim().split(/\n\s*\n/);
+  return { signature: signature || "", company: company.join("\n") };
+}
+
+// Directory file: CSV by extension, otherwise JSON (a directory, an indicator list or a STIX bundle).
+async function readDirectory(file){
+  const text = await readFile(file, "utf8").catch(() => null);
+  if (text == null) throw new UsageError(`No such file: ${file}`);
+  return /\.csv$/i.test(file) ? parseDirectoryCsv(text) : parseDirectory(text);
+}
+
+async function readLogo(file){
+  const bytes = await readFile(file).catch(() => null);
+  if (bytes == null) throw new UsageError(`No such file: ${file}`);
+  try {
+    jpegInfo(bytes);
+  } catch (e) {
+    throw new UsageError(`--logo ${file}: ${e.message}`);
+  }
+  return new Uint8Array(bytes);
+}
+
+async function main(argv){
+  const opts = parseArgs(argv);
+  if (opts.help){
+    console.log(USAGE);
+    return 0;
+  }
+  const rulePack = await loadRulePack({ rules: opts.rules, profile: opts.profile });
+  const locales = await loadLocales();
+  const directory = opts.directory ? await readDirectory(opts.directory) : null;
+  const pdf = { redact: opts.redact, footer: opts.footer, logo: opts.logo ? await readLogo(opts.logo) : null };
+  const replyOpts = { tone: opts.tone, channel: opts.channel, ...(opts.signature ? await readSignature(opts.signature) : {}) };
+  const { messages, dirMode } = await collectInputs(opts.inputs);
+  if (!messages.length) throw new UsageError("Nothing to analyze");
+
+  const runs = messages.map(m => {
+    const analysisOpts = {
+      rulePack, locales, trustedDomains: opts.trusted, directory, counterparty: guessMessageCounterparty(m.text), reply: replyOpts,
+      classifier: opts.secondOpinion ? classifyLexicon(m.text) : null,
+    };
+    // Text that doesn't split into at least two messages is analyzed as one.
+    const thread = opts.thread ? splitThread(m.text) : null;
+    const { result, snapshot, reply } = thread ? analyzeThread(m.text, thread, analysisOpts) : analyzeMessage(m.text, analysisOpts);
+    const report = buildReport({
+      input: { text: m.text, counterparty: analysisOpts.counterparty, thread: !!result.thread, trustedDomains: opts.trusted, source: { file: m.file, message: m.message } },
+      result, snapshot, reply, rulePack,
+    });
+    return { ...m, result, snapshot, reply, report };
+  });
+
+  const output = render(opts.format || (dirMode ? "csv" : "json"), runs, pdf);
+  if (opts.out) await writeFile(opts.out, output);
+  else process.stdout.write(output);
+
+  if (opts.failAbove != null && runs.some(r => r.result.score > opts.failAbove)) return 1;
+  return 0;
+}
+
+main(process.argv.slice(2)).then(
+  code => { process.exitCode = code; },
+  e => {
+    console.error(`dealshield: ${e.message}`);
+    if (e.errors) for (const err of e.errors.slice(0, 8)) console.error(`  ${err}`);
+    if (e instanceof UsageError) console.error(`Run "dealshield --help" for usage.`);
+    process.exitCode = 2;
+  },
+);
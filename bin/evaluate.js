@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+// DealShield evaluation harness: scores the labeled corpus, prints precision / recall, the
+// confusion matrix per risk level and per-rule contribution; --calibrate fits a scoring profile.
+import { writeFile } from "node:fs/promises";
+import { loadRulePack, loadLocales, readJson, DEFAULT_CORPUS } from "./packs.js";
+import { runCorpus, evaluateRuns, calibrate, validateCorpus, LEVELS } from "../lib/evaluate.js";
+import { applyProfile, profileText } from "../lib/profile.js";
+
+const USAGE = `Usage: node bin/evaluate.js [options]
+
+Scores a labeled corpus and reports how well the rules separate scams from legitimate messages.
+
+Options:
+      --corpus <file>      Labeled corpus (default: corpus/default.json)
+      --rules <file>       Rule pack (default: rules/default.json)
+      --profile <file>     Scoring profile to evaluate (default: rules/profiles/default.json)
+      --no-profile         Evaluate the rule pack's own weights and thresholds
+      --second-opinion     Add the second opinion's reasons (phrase lexicon; the model runs in the browser only)
+      --calibrate          Fit weights and thresholds on the corpus and report the fitted profile, with
+                           5-fold cross-validated metrics
+      --out <file>         With --calibrate: write the profile (bumps the patch version of an existing one)
+      --json               Print the metrics as JSON
+      --fail-below <f1>    Exit with code 1 when the F1 score is below <f1>
+  -h, --help               Show this help
+
+Exit codes: 0 ok, 1 F1 below --fail-below, 2 usage or input error.`;
+
+class UsageError extends Error {}
+
+function parseArgs(argv){
+  const opts = { corpus: null, rules: null, profile: null, secondOpinion: false, calibrate: false, out: null, json: false, failBelow: null };
+  const value = (i, name) => {
+    if (i >= argv.length || argv[i].startsWith("-")) throw new UsageError(`${name} needs a value`);
+    return argv[i];
+  };
+  for (let i = 0; i < argv.length; i++){
+    const a = argv[i];
+    if (a === "-h" || a === "--help") opts.help = true;
+    else if (a === "--corpus") opts.corpus = value(++i, a);
+    else if (a === "--rules") opts.rules = value(++i, a);
+    else if (a === "--profile") opts.profile = value(++i, a);
+    else if (a === "--no-profile") opts.profile = false;
+    else if (a === "--second-opinion") opts.secondOpinion = true;
+    else if (a === "--calibrate") opts.calibrate = true;
+    else if (a === "--out") opts.out = value(++i, a);
+    else if (a === "--json") opts.json = true;
+    else if (a === "--fail-below"){
+      const n = Number(value(++i, a));
+      if (!Number.isFinite(n)) throw new UsageError("--fail-below needs a number");
+      opts.failBelow = n;
+    } else throw new UsageError(`Unknown option ${a}`);
+  }
+  if (opts.out && !opts.calibrate) throw new UsageError("--out needs --calibrate");
+  return opts;
+}
+
+const pct = (n) => `${(n * 100).toFixed(1)}%`;
+const pad = (s, n) => String(s).padEnd(n);
+const lpad = (s, n) => String(s).padStart(n);
+
+function report(title, metrics, profile){
+  const m = metrics;
+  const lines = [
+    `# ${title}`,
+    `Scoring: ${profileText(profile)}`,
+    `Thresholds: medium ${m.thresholds.medium}, high ${m.thresholds.high} · ${m.size} messages`,
+    "",
+    `Scam detection (flagged = MEDIUM or HIGH): precision ${pct(m.binary.precision)}, recall ${pct(m.binary.recall)}, F1 ${m.binary.f1.toFixed(3)}, accuracy ${pct(m.binary.accuracy)}`,
+    `TP ${m.binary.tp} · FP ${m.binary.fp} · FN ${m.binary.fn} · TN ${m.binary.tn}`,
+    "",
+    `Confusion matrix (rows: labeled level, columns: predicted) — level accuracy ${pct(m.levelAccuracy)}`,
+    `${pad("", 8)}${LEVELS.map(l => lpad(l, 8)).join("")}   precision  recall     F1`,
+  ];
+  for (const e of LEVELS){
+    const l = m.levels[e];
+    lines.push(`${pad(e, 8)}${LEVELS.map(p => lpad(m.confusion[e][p], 8)).join("")}   ${lpad(pct(l.precision), 9)}  ${lpad(pct(l.recall), 6)}  ${lpad(l.f1.toFixed(2), 5)}`);
+  }
+  lines.push("", "Rule contribution (fired on scam / legit; helps / hurts = levels that flip without the rule)");
+  lines.push(`${pad("rule", 28)}${lpad("fired", 6)}${lpad("scam", 6)}${lpad("legit", 6)}${lpad("points", 8)}${lpad("helps", 7)}${lpad("hurts", 7)}`);
+  for (const r of m.rules){
+    lines.push(`${pad(r.id, 28)}${lpad(r.fired, 6)}${lpad(r.scam, 6)}${lpad(r.legit, 6)}${lpad(r.points, 8)}${lpad(r.helps, 7)}${lpad(r.hurts, 7)}`);
+  }
+  if (m.misses.length){
+    lines.push("", "Misses");
+    for (const x of m.misses) lines.push(`- ${x.id} (${x.label}): labeled ${x.expected}, scored ${x.level} ${x.score}`);
+  }
+  return lines.join("\n");
+}
+
+async function nextVersion(file, id){
+  try {
+    const old = await readJson(file);
+    if (old.id !== id) return "1.0.0";
+    const [major, minor, patch] = old.version.split(".").map(Number);
+    return `${major}.${minor}.${patch + 1}`;
+  } catch {
+    return "1.0.0";
+  }
+}
+
+async function main(argv){
+  const opts = parseArgs(argv);
+  if (opts.help){
+    console.log(USAGE);
+    return 0;
+  }
+  const corpus = validateCorpus(await readJson(opts.corpus || DEFAULT_CORPUS));
+  // Calibration starts from the pack's own weights, not from an earlier fit.
+  const rulePack = await loadRulePack({ rules: opts.rules, profile: opts.calibrate ? false : opts.profile });
+  const locales = await loadLocales();
+  const runs = runCorpus(corpus, { rulePack, locales, secondOpinion: opts.secondOpinion });
+  const metrics = evaluateRuns(runs, rulePack.thresholds);
+  const out = { corpus: { id: corpus.id, version: corpus.version, size: corpus.messages.length }, metrics };
+
+  let result = metrics;
+  if (opts.calibrate){
+    const id = `${rulePack.id}-calibrated`;
+    const profile = calibrate(runs, rulePack, {
+      id,
+      version: opts.out ? await nextVersion(opts.out, id) : "1.0.0",
+      corpus: out.corpus,
+    });
+    const fitted = applyProfile(rulePack, profile);
+    result = evaluateRuns(runCorpus(corpus, { rulePack: fitted, locales }), fitted.thresholds);
+    out.profile = profile;
+    out.calibrated = result;
+    if (opts.out) await writeFile(opts.out, JSON.stringify(profile, null, 2) + "\n");
+    if (!opts.json){
+      console.log(report("Rule pack weights", metrics, null));
+      console.log("\n" + report("Calibrated", result, fitted.profile));
+      const cv = profile.metrics;
+      console.log(`\nCross-validated (${cv.folds} folds, each message scored by a profile fitted without it): precision ${pct(cv.precision)}, recall ${pct(cv.recall)}, F1 ${cv.f1.toFixed(3)}, level accuracy ${pct(cv.levelAccuracy)}`);
+      console.log(`Weights: ${Object.entries(profile.weights).map(([k, v]) => `${k} ${v}`).join(", ")}; base ${profile.base}`);
+      if (opts.out) console.log(`Wrote ${opts.out}`);
+    }
+  } else if (!opts.json){
+    console.log(report("Evaluation", metrics, rulePack.profile || null));
+  }
+  if (opts.json) console.log(JSON.stringify(out, null, 2));
+
+  if (opts.failBelow != null && result.binary.f1 < opts.failBelow) return 1;
+  return 0;
+}
+
+main(process.argv.slice(2)).then(
+  code => { process.exitCode = code; },
+  e => {
+    console.error(`evaluate: ${e.message}`);
+    if (e.errors) for (const err of e.errors.slice(0, 8)) console.error(`  ${err}`);
+    if (e instanceof UsageError) console.error(`Run "node bin/evaluate.js --help" for usage.`);
+    process.exitCode = 2;
+  },
+);
@@ -0,0 +1,157 @@
+#!/usr/bin/env node
+// Downloads the pinned on-device NER runtime (Transformers.js + ONNX Runtime WASM, from the npm
+// registry) and model weights (Hugging Face) into vendor/ and models/, checked against the SRI
+// hashes in models/lock.json, so the web app can run party extraction without any CDN.
+import { readFile, writeFile, mkdir } from "node:fs/promises";
+import { createHash } from "node:crypto";
+import { gunzipSync } from "node:zlib";
+import path from "node:path";
+import { ROOT, readJson } from "./packs.js";
+import { LOCK_PATH, lockedFiles, parseIntegrity } from "../lib/models.js";
+
+const USAGE = `Usage: node bin/fetch-models.js [options]
+
+Downloads the runtime and model pinned in models/lock.json and verifies every file.
+
+Options:
+      --update-lock   Pin the model's current revision and record the hashes of the downloaded files
+      --runtime-only  Only fetch and verify the Transformers.js runtime
+  -h, --help          Show this help
+
+Exit codes: 0 ok, 1 integrity mismatch, 2 usage or download error.`;
+
+class UsageError extends Error {}
+class IntegrityError extends Error {}
+
+function parseArgs(argv){
+  const opts = { updateLock: false, runtimeOnly: false };
+  for (const a of argv){
+    if (a === "-h" || a === "--help") opts.help = true;
+    else if (a === "--update-lock") opts.updateLock = true;
+    else if (a === "--runtime-only") opts.runtimeOnly = true;
+    else throw new UsageError(`Unknown option ${a}`);
+  }
+  return opts;
+}
+
+function integrityOf(bytes, name = "sha384"){
+  return `${name}-${createHash(name).update(bytes).digest("base64")}`;
+}
+
+function check(what, bytes, expected){
+  const sri = parseIntegrity(expected);
+  if (!sri) return integrityOf(bytes);
+  const actual = integrityOf(bytes, sri.name);
+  if (actual !== expected) throw new IntegrityError(`${what}: expected ${expected}, got ${actual}`);
+  return actual;
+}
+
+async function download(url){
+  const res = await fetch(url, { redirect: "follow" });
+  if (!res.ok) throw new Error(`HTTP ${res.status} fetching ${url}`);
+  return Buffer.from(await res.arrayBuffer());
+}
+
+// Minimal ustar reader: tarball bytes -> Map(path -> Buffer) for regular files.
+function untar(buf){
+  const files = new Map();
+  const str = (a, b) => buf.subarray(a, b).toString("utf8").replace(/\0.*$/s, "");
+  for (let pos = 0; pos + 512 <= buf.length;){
+    const name = str(pos, pos + 100);
+    if (!name) break;
+    const size = parseInt(str(pos + 124, pos + 136).trim() || "0", 8);
+    const type = str(pos + 156, pos + 157) || "0";
+    const prefix = str(pos + 345, pos + 500);
+    if (type === "0") files.set(prefix ? `${prefix}/${name}` : name, buf.subarray(pos + 512, pos + 512 + size));
+    pos += 512 + Math.ceil(size / 512) * 512;
+  }
+  return files;
+}
+
+async function save(rel, bytes){
+  const file = path.join(ROOT, rel);
+  await mkdir(path.dirname(file), { recursive: true });
+  await writeFile(file, bytes);
+}
+
+async function fetchRuntime(lock){
+  const { runtime } = lock;
+  console.log(`${runtime.package}@${runtime.version}: ${runtime.tarball}`);
+  const tgz = await download(runtime.tarball);
+  check(runtime.tarball, tgz, runtime.tarballIntegrity);
+  const entries = untar(gunzipSync(tgz));
+  for (const f of lockedFiles(lock).filter(x => x.part === "runtime")){
+    const bytes = entries.get(`package/dist/${f.name}`);
+    if (!bytes) throw new Error(`${f.name} is missing from ${runtime.tarball}`);
+    runtime.files[f.name] = check(f.path, bytes, f.integrity);
+    await save(f.path, bytes);
+    console.log(`  ${f.path} (${bytes.length} bytes)`);
+  }
+}
+
+// The pinned commit's own git tree (path -> entry): hashes recorded by --update-lock are checked against
+// it (an LFS file's sha256, a plain file's git blob id) rather than taken from whatever was downloaded.
+async function revisionTree(model){
+  const list = JSON.parse((await download(`${model.source}/api/models/${model.id}/tree/${model.revision}?recursive=true`)).toString("utf8"));
+  return new Map(list.filter(e => e.type === "file").map(e => [e.path, e]));
+}
+
+function checkTree(what, bytes, entry){
+  if (!entry) throw new IntegrityError(`${what} is not in the pinned revision`);
+  const ok = entry.lfs
+    ? createHash("sha256").update(bytes).digest("hex") === entry.lfs.oid
+    : createHash("sha1").update(`blob ${bytes.length}\0`).update(bytes).digest("hex") === entry.oid;
+  if (!ok) throw new IntegrityError(`${what} doesn't match the pinned revision's git tree`);
+}
+
+async function fetchModel(lock, { updateLock }){
+  const { model } = lock;
+  if (updateLock){
+    const info = JSON.parse((await download(`${model.source}/api/models/${model.id}/revision/main`)).toString("utf8"));
+    if (info.sha !== model.revision){
+      console.log(`${model.id}: pinning revision ${info.sha}`);
+      model.revision = info.sha;
+      for (const name of Object.keys(model.files)) model.files[name] = null;
+    }
+  }
+  if (!model.revision) throw new UsageError(`${model.id} has no pinned revision in ${LOCK_PATH}; run with --update-lock`);
+  console.log(`${model.id}@${model.revision}`);
+  const files = lockedFiles(lock).filter(x => x.part === "model");
+  const tree = files.some(f => !f.integrity) && updateLock ? await revisionTree(model) : null;
+  for (const f of files){
+    if (!f.integrity && !updateLock) throw new UsageError(`${f.name} has no hash in ${LOCK_PATH}; run with --update-lock`);
+    const bytes = await download(`${model.source}/${model.id}/resolve/${model.revision}/${f.name}`);
+    if (!f.integrity) checkTree(f.path, bytes, tree.get(f.name));
+    model.files[f.name] = check(f.path, bytes, f.integrity);
+    await save(f.path, bytes);
+    console.log(`  ${f.path} (${bytes.length} bytes)`);
+  }
+}
+
+async function main(argv){
+  const opts = parseArgs(argv);
+  if (opts.help){
+    console.log(USAGE);
+    return 0;
+  }
+  const lockFile = path.join(ROOT, LOCK_PATH);
+  const lock = await readJson(lockFile);
+  const before = await readFile(lockFile, "utf8");
+  await fetchRuntime(lock);
+  if (!opts.runtimeOnly) await fetchModel(lock, opts);
+  const after = JSON.stringify(lock, null, 2) + "\n";
+  if (opts.updateLock && after !== before){
+    await writeFile(lockFile, after);
+    console.log(`Updated ${LOCK_PATH} — commit it to pin these files.`);
+  }
+  return 0;
+}
+
+main(process.argv.slice(2)).then(
+  code => { process.exitCode = code; },
+  e => {
+    console.error(`fetch-models: ${e.message}`);
+    if (e instanceof UsageError) console.error(`Run "node bin/fetch-models.js --help" for usage.`);
+    process.exitCode = e instanceof IntegrityError ? 1 : 2;
+  },
+);
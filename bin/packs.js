@@ -0,0 +1,38 @@
+// Node-side loading of the rule pack, locale packs, scoring profile and corpus shipped in the repo
+// (the browser fetches the same files in app.js).
+import { readFile, readdir } from "node:fs/promises";
+import { fileURLToPath } from "node:url";
+import path from "node:path";
+import { compileRulePack } from "../lib/rules.js";
+import { compileLocalePack } from "../lib/locales.js";
+import { applyProfile } from "../lib/profile.js";
+
+export const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+export const DEFAULT_RULES = path.join(ROOT, "rules", "default.json");
+export const DEFAULT_PROFILE = path.join(ROOT, "rules", "profiles", "default.json");
+export const DEFAULT_CORPUS = path.join(ROOT, "corpus", "default.json");
+const LOCALE_DIR = path.join(ROOT, "rules", "locales");
+
+export async function readJson(file){
+  return JSON.parse(await readFile(file, "utf8"));
+}
+
+// Rule pack + scoring profile. The built-in profile is only applied to the built-in pack;
+// an explicit `profile` file must match whatever pack is loaded. profile === false skips it.
+export async function loadRulePack({ rules = null, profile = null } = {}){
+  const compiled = compileRulePack(await readJson(rules || DEFAULT_RULES));
+  if (profile === false || (rules && !profile)) return compiled;
+  const fitted = applyProfile(compiled, await readJson(profile || DEFAULT_PROFILE));
+  if (fitted.profile.warning) console.warn(`dealshield: scoring profile ${fitted.profile.id} ${fitted.profile.warning}`);
+  return fitted;
+}
+
+export async function loadLocales(){
+  const locales = {};
+  for (const name of await readdir(LOCALE_DIR)){
+    if (!name.endsWith(".json")) continue;
+    const locale = compileLocalePack(await readJson(path.join(LOCALE_DIR, name)));
+    locales[locale.language] = locale;
+  }
+  return locales;
+}
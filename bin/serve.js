@@ -0,0 +1,393 @@
+#!/usr/bin/env node
+// DealShield HTTP API — the analysis of the web app and the CLI as a small local service, for AP systems,
+// helpdesks and other tools that want to check messages without anyone pasting them in, and with
+// --cases the team's case queue (lib/cases.js): saved analyses that need a second person's approval
+// before a payment is released, kept in one JSON file. Requests and answers are described in
+// api/openapi.json; the work is done by lib/api.js. Nothing is fetched from the network: the only
+// outbound requests are the webhooks configured with --webhook.
+import http from "node:http";
+import { createHash, createHmac, timingSafeEqual } from "node:crypto";
+import { readFile, writeFile, rename } from "node:fs/promises";
+import path from "node:path";
+import { loadRulePack, loadLocales, readJson, ROOT } from "./packs.js";
+import { parseDirectory, parseDirectoryCsv } from "../lib/directory.js";
+import {
+  API_VERSION, LEVELS, ApiError, parseAnalyzeRequest, analyzeRequest, requestFromReport, rulesSummary, reachesLevel,
+  webhookPayload,
+} from "../lib/api.js";
+import {
+  emptyCaseStore, parseCaseStore, nextCaseId, readCaseReport, newCase, assignCase, commentCase, moveCase, filterCases,
+} from "../lib/cases.js";
+
+const OPENAPI = path.join(ROOT, "api", "openapi.json");
+const LOOPBACK = new Set(["127.0.0.1", "::1", "localhost"]);
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+const USAGE = `Usage: dealshield-serve [options]
+
+Serves the DealShield analysis over HTTP (see api/openapi.json):
+  POST /analyze       text/plain, message/rfc822 (.eml / .msg) or JSON (text, email or a thread of messages)
+                      -> JSON report: score, reasons, plan, snapshot and safe reply
+  GET  /rules         The rule pack and scoring profile in use
+  GET  /health        Liveness and versions (no API key needed)
+  GET  /openapi.json  The OpenAPI description (no API key needed)
+  GET  /me            Who the request acts as
+With --cases, the case queue (four-eyes approval before a payment is released):
+  GET   /cases        The queue; filter with ?level=HIGH,MEDIUM&state=open&assignee=<name>
+  POST  /cases        Submit a report (as the app exports it) as a case: { report, assignee }; its input is
+                      scored again and the case queued at the riskier of the two results
+  GET   /cases/<id>   One case with its report, comments and history
+  PATCH /cases/<id>   Assign a reviewer: { assignee }
+  POST  /cases/<id>/comments  Comment: { text }
+  POST  /cases/<id>/state     Move it: { state: open|verifying|approved|rejected, note }; the submitter
+                              can't approve, and an assigned reviewer makes the decision
+Submitting, approving and rejecting take a personal key (--user).
+
+Options:
+      --host <address>              Address to listen on (default: 127.0.0.1)
+      --port <n>                    Port (default: 8787)
+      --api-key <key>               Require this key (Authorization: Bearer <key> or X-API-Key); repeat for
+                                    several keys. Also read from DEALSHIELD_API_KEYS (comma-separated).
+                                    Required unless listening on a loopback address
+      --user <name>:<key>           A person's own key: case actions made with it are theirs; repeatable.
+                                    Also read from DEALSHIELD_USERS (name:key,name:key). Requests with
+                                    other keys name the person in X-DealShield-User, which is enough to
+                                    assign and comment but not to submit, approve or reject
+      --cases <file>                Keep the case queue in this JSON file (created when missing)
+      --allow-origin <origin>       Let a web app served from this origin call the API (CORS); repeatable
+      --max-bytes <n>               Largest request body accepted (default: 2097152, i.e. 2 MiB)
+      --rules <file>                Custom rule pack (JSON, see rules/default.json)
+      --profile <file>              Scoring profile (default: rules/profiles/default.json for the built-in pack)
+      --no-profile                  Score with the rule pack's own weights and thresholds
+      --trusted <a.com,b.com>       Known-good counterparty domains for look-alike checks
+      --directory <file>            Counterparty directory: trusted records and blocklist (CSV, JSON or STIX)
+      --webhook <url>               POST a JSON notice here when a result reaches --webhook-level; repeatable
+      --webhook-level <MEDIUM|HIGH> Level that triggers the webhooks (default: HIGH)
+      --webhook-secret <secret>     Sign webhook bodies: X-DealShield-Signature: sha256=<HMAC-SHA256 hex>.
+                                    Also read from DEALSHIELD_WEBHOOK_SECRET
+  -h, --help                        Show this help
+
+Exit codes: 0 stopped, 2 usage or startup error.`;
+
+class UsageError extends Error {}
+
+function parseArgs(argv, env){
+  const opts = { host: "127.0.0.1", port: 8787, apiKeys: [], users: [], cases: null, allowOrigins: [], maxBytes: 2 * 1024 * 1024, rules: null,
+    profile: null, trusted: [], directory: null, webhooks: [], webhookLevel: "HIGH", webhookSecret: env.DEALSHIELD_WEBHOOK_SECRET || null };
+  const user = (raw, name) => {
+    const i = raw.lastIndexOf(":");
+    if (i < 1 || i === raw.length - 1) throw new UsageError(`${name} needs <name>:<key>, got "${raw}"`);
+    return { name: raw.slice(0, i).trim(), key: raw.slice(i + 1).trim() };
+  };
+  const value = (i, name) => {
+    if (i >= argv.length || argv[i].startsWith("--")) throw new UsageError(`${name} needs a value`);
+    return argv[i];
+  };
+  const count = (raw, name, min) => {
+    const n = Number(raw);
+    if (!Number.isInteger(n) || n < min) throw new UsageError(`${name} needs a whole number of at least ${min}`);
+    return n;
+  };
+  for (let i = 0; i < argv.length; i++){
+    const a = argv[i];
+    if (a === "-h" || a === "--help") opts.help = true;
+    else if (a === "--host") opts.host = value(++i, a);
+    else if (a === "--port") opts.port = count(value(++i, a), a, 0);
+    else if (a === "--api-key") opts.apiKeys.push(value(++i, a));
+    else if (a === "--user") opts.users.push(user(value(++i, a), a));
+    else if (a === "--cases") opts.cases = value(++i, a);
+    else if (a === "--allow-origin") opts.allowOrigins.push(value(++i, a).replace(/\/+$/, ""));
+    else if (a === "--max-bytes") opts.maxBytes = count(value(++i, a), a, 1);
+    else if (a === "--rules") opts.rules = value(++i, a);
+    else if (a === "--profile") opts.profile = value(++i, a);
+    else if (a === "--no-profile") opts.profile = false;
+    else if (a === "--trusted") opts.trusted = value(++i, a).split(",").map(s => s.trim().toLowerCase()).filter(Boolean);
+    else if (a === "--directory") opts.directory = value(++i, a);
+    else if (a === "--webhook") opts.webhooks.push(value(++i, a));
+    else if (a === "--webhook-level") opts.webhookLevel = value(++i, a).toUpperCase();
+    else if (a === "--webhook-secret") opts.webhookSecret = value(++i, a);
+    else throw new UsageError(`Unknown option ${a}`);
+  }
+  opts.apiKeys.push(...(env.DEALSHIELD_API_KEYS || "").split(",").map(s => s.trim()).filter(Boolean));
+  opts.users.push(...(env.DEALSHIELD_USERS || "").split(",").map(s => s.trim()).filter(Boolean).map(u => user(u, "DEALSHIELD_USERS")));
+  if (!LEVELS.slice(1).includes(opts.webhookLevel)) throw new UsageError(`--webhook-level must be MEDIUM or HIGH`);
+  for (const url of opts.webhooks){
+    let u = null;
+    try {
+      u = new URL(url);
+    } catch {}
+    if (!u || !/^https?:$/.test(u.protocol)) throw new UsageError(`--webhook ${url}: not an http(s) URL`);
+  }
+  if (!opts.apiKeys.length && !opts.users.length && !LOOPBACK.has(opts.host)){
+    throw new UsageError(`Refusing to listen on ${opts.host} without --api-key (only loopback addresses may go without one)`);
+  }
+  return opts;
+}
+
+// Directory file: CSV by extension, otherwise JSON (a directory, an indicator list or a STIX bundle).
+async function readDirectory(file){
+  const text = await readFile(file, "utf8").catch(() => null);
+  if (text == null) throw new UsageError(`No such file: ${file}`);
+  return /\.csv$/i.test(file) ? parseDirectoryCsv(text) : parseDirectory(text);
+}
+
+// req -> { user, verified } when its key is accepted, null when it isn't. user: the person a --user key
+// belongs to (verified), else whatever name X-DealShield-User claims (not verified). Keys are compared as SHA-256 digests, so neither the length nor
+// the content of a key leaks through timing.
+function authenticator(apiKeys, users){
+  const digest = (s) => createHash("sha256").update(s).digest();
+  const known = [...apiKeys.map(key => ({ d: digest(key), user: null })), ...users.map(u => ({ d: digest(u.key), user: u.name }))];
+  const named = (req) => ({ user: String(req.headers["x-dealshield-user"] || "").trim() || null, verified: false });
+  return (req) => {
+    if (!known.length) return named(req);
+    const auth = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || "");
+    const given = auth ? auth[1].trim() : req.headers["x-api-key"];
+    if (!given) return null;
+    const d = digest(given);
+    const hit = known.find(k => timingSafeEqual(k.d, d));
+    if (!hit) return null;
+    return hit.user ? { user: hit.user, verified: true } : named(req);
+  };
+}
+
+// The case queue in one JSON file, held in memory; every change is written to a temporary file that then
+// replaces the store, one write at a time.
+async function openCaseStore(file){
+  let store;
+  try {
+    store = parseCaseStore(JSON.parse(await readFile(file, "utf8")));
+  } catch (e) {
+    if (e.code !== "ENOENT") throw new UsageError(`--cases ${file}: ${e.message}`);
+    store = emptyCaseStore();
+  }
+  let writing = Promise.resolve();
+  const persist = () => {
+    const json = JSON.stringify(store, null, 2) + "\n";
+    writing = writing.catch(() => {}).then(async () => {
+      await writeFile(`${file}.tmp`, json);
+      await rename(`${file}.tmp`, file);
+    });
+    return writing;
+  };
+  await persist();
+  const find = (id) => {
+    const c = store.cases.find(x => x.id === id);
+    if (!c) throw new ApiError(`No case ${id}`, 404);
+    return c;
+  };
+  return {
+    list: () => store.cases,
+    get: find,
+    add: async (make) => {
+      const c = make(nextCaseId(store.cases));
+      store.cases.push(c);
+      await persist();
+      return c;
+    },
+    update: async (id, change) => {
+      const c = change(find(id));
+      store.cases = store.cases.map(x => x.id === id ? c : x);
+      await persist();
+      return c;
+    },
+  };
+}
+
+async function readJsonBody(req, maxBytes){
+  if (!/^application\/json\b/i.test(req.headers["content-type"] || "")) throw new ApiError("Send JSON (Content-Type: application/json)", 415);
+  const body = await readBody(req, maxBytes);
+  let value;
+  try {
+    value = JSON.parse(body.toString("utf8"));
+  } catch (e) {
+    throw new ApiError(`Invalid JSON: ${e.message}`);
+  }
+  if (!value || typeof value !== "object" || Array.isArray(value)) throw new ApiError("Expected a JSON object");
+  return value;
+}
+
+// Request body up to maxBytes; larger ones are refused with 413 before or while they arrive.
+function readBody(req, maxBytes){
+  return new Promise((resolve, reject) => {
+    const declared = Number(req.headers["content-length"]);
+    if (declared > maxBytes) return reject(new ApiError(`Request body over ${maxBytes} bytes`, 413));
+    const chunks = [];
+    let size = 0;
+    req.on("data", (c) => {
+      size += c.length;
+      if (size > maxBytes){
+        req.removeAllListeners("data");
+        req.resume();
+        reject(new ApiError(`Request body over ${maxBytes} bytes`, 413));
+        return;
+      }
+      chunks.push(c);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks)));
+    req.on("error", reject);
+  });
+}
+
+function send(res, status, body, headers = {}){
+  const json = JSON.stringify(body, null, 2) + "\n";
+  res.writeHead(status, { "Content-Type": "application/json; charset=utf-8", "Content-Length": Buffer.byteLength(json), ...headers });
+  res.end(json);
+}
+
+// Fire and forget: a slow or failing receiver never holds up the answer, and failures are only logged.
+function notify(urls, payload, secret){
+  const body = JSON.stringify(payload);
+  const headers = { "Content-Type": "application/json", "User-Agent": `DealShield/${API_VERSION}`, "X-DealShield-Event": payload.event };
+  if (secret) headers["X-DealShield-Signature"] = `sha256=${createHmac("sha256", secret).update(body).digest("hex")}`;
+  for (const url of urls){
+    fetch(url, { method: "POST", headers, body, signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS) })
+      .then(res => {
+        if (!res.ok) console.error(`dealshield-serve: webhook ${url} answered HTTP ${res.status}`);
+      })
+      .catch(e => console.error(`dealshield-serve: webhook ${url} failed: ${e.message}`));
+  }
+}
+
+async function main(argv){
+  const opts = parseArgs(argv, process.env);
+  if (opts.help){
+    console.log(USAGE);
+    return 0;
+  }
+  const rulePack = await loadRulePack({ rules: opts.rules, profile: opts.profile });
+  const ctx = { rulePack, locales: await loadLocales(), directory: opts.directory ? await readDirectory(opts.directory) : null, trustedDomains: opts.trusted };
+  const openapi = await readJson(OPENAPI);
+  const rules = rulesSummary(rulePack);
+  const authenticate = authenticator(opts.apiKeys, opts.users);
+  const cases = opts.cases ? await openCaseStore(opts.cases) : null;
+  const started = Date.now();
+
+  const caseQueue = () => {
+    if (!cases) throw new ApiError("The case queue is off (start the service with --cases <file>)", 404);
+    return cases;
+  };
+  // [method, path pattern, handler(req, url, params, auth), public]
+  const routes = [
+    ["GET", /^\/health$/, async () => [200, {
+      status: "ok",
+      version: API_VERSION,
+      rulePack: { id: rulePack.id, version: rulePack.version },
+      profile: rulePack.profile ? rulePack.profile.version : null,
+      cases: !!cases,
+      uptime: Math.round((Date.now() - started) / 1000),
+    }], true],
+    ["GET", /^\/openapi\.json$/, async () => [200, openapi], true],
+    ["GET", /^\/me$/, async (req, url, params, auth) => [200, { user: auth.user, personalKey: auth.verified, cases: !!cases }]],
+    ["GET", /^\/rules$/, async () => [200, rules]],
+    ["POST", /^\/analyze$/, async (req, url) => {
+      const body = await readBody(req, opts.maxBytes);
+      const report = analyzeRequest(parseAnalyzeRequest(body, req.headers["content-type"], url.searchParams), ctx);
+      const notified = opts.webhooks.length && reachesLevel(report.level, opts.webhookLevel);
+      if (notified) notify(opts.webhooks, webhookPayload(report, { minLevel: opts.webhookLevel }), opts.webhookSecret);
+      return [200, report, notified ? { "X-DealShield-Webhooks": String(opts.webhooks.length) } : {}];
+    }],
+    ["GET", /^\/cases$/, async (req, url) => {
+      const q = url.searchParams;
+      return [200, { cases: filterCases(caseQueue().list(), { level: q.get("level"), state: q.get("state"), assignee: q.get("assignee") }) }];
+    }],
+    ["POST", /^\/cases$/, async (req, url, params, auth) => {
+      const store = caseQueue();
+      const body = await readJsonBody(req, opts.maxBytes);
+      const report = readCaseReport(body.report);
+      const rescored = analyzeRequest(requestFromReport(report), ctx);
+      return [201, await store.add(id => newCase(report, { id, by: auth.user, verified: auth.verified, rescored, assignee: body.assignee || null }))];
+    }],
+    ["GET", /^\/cases\/([\w-]+)$/, async (req, url, [id]) => [200, caseQueue().get(id)]],
+    ["PATCH", /^\/cases\/([\w-]+)$/, async (req, url, [id], auth) => {
+      const store = caseQueue();
+      const body = await readJsonBody(req, opts.maxBytes);
+      if (!("assignee" in body)) throw new ApiError("Nothing to change (send assignee)");
+      return [200, await store.update(id, c => assignCase(c, body.assignee, { by: auth.user }))];
+    }],
+    ["POST", /^\/cases\/([\w-]+)\/comments$/, async (req, url, [id], auth) => {
+      const store = caseQueue();
+      const body = await readJsonBody(req, opts.maxBytes);
+      return [201, await store.update(id, c => commentCase(c, body.text, { by: auth.user }))];
+    }],
+    ["POST", /^\/cases\/([\w-]+)\/state$/, async (req, url, [id], auth) => {
+      const store = caseQueue();
+      const body = await readJsonBody(req, opts.maxBytes);
+      return [200, await store.update(id, c => moveCase(c, body.state, { by: auth.user, verified: auth.verified, note: body.note }))];
+    }],
+  ];
+
+  // Preflight and response headers for the --allow-origin web apps.
+  const corsHeaders = (req) => {
+    const origin = req.headers.origin;
+    if (!origin || !opts.allowOrigins.includes(origin)) return {};
+    return {
+      "Access-Control-Allow-Origin": origin,
+      "Access-Control-Allow-Methods": "GET, POST, PATCH",
+      "Access-Control-Allow-Headers": "Authorization, Content-Type, X-API-Key, X-DealShield-User",
+      "Access-Control-Expose-Headers": "X-DealShield-Webhooks",
+      "Access-Control-Max-Age": "600",
+      Vary: "Origin",
+    };
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    const pathname = url.pathname.replace(/\/+$/, "") || "/";
+    const cors = corsHeaders(req);
+    let status;
+    try {
+      if (req.method === "OPTIONS"){
+        status = 204;
+        res.writeHead(204, cors);
+        res.end();
+      } else {
+        const matching = routes.filter(([, re]) => re.test(pathname));
+        const route = matching.find(([method]) => method === req.method);
+        if (!route){
+          throw new ApiError(matching.length ? `${req.method} not allowed here` : `No such endpoint: ${url.pathname}`, matching.length ? 405 : 404);
+        }
+        const [, re, handler, open] = route;
+        const auth = open ? { user: null } : authenticate(req);
+        if (!auth) throw new ApiError("Missing or wrong API key", 401);
+        const [code, body, headers] = await handler(req, url, re.exec(pathname).slice(1), auth);
+        status = code;
+        send(res, code, body, { ...cors, ...headers });
+      }
+    } catch (e) {
+      status = e instanceof ApiError ? e.status : 500;
+      if (!(e instanceof ApiError)) console.error(e);
+      const headers = status === 401 ? { "WWW-Authenticate": "Bearer" } : status === 413 ? { Connection: "close" } : {};
+      send(res, status, { error: status === 500 ? "Internal error" : e.message, ...(e.errors && e.errors.length ? { errors: e.errors } : {}) }, { ...cors, ...headers });
+    }
+    console.log(`${new Date().toISOString()} ${req.method} ${url.pathname} ${status}`);
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(opts.port, opts.host, resolve);
+  });
+  const { address, port } = server.address();
+  console.log(`dealshield-serve: listening on http://${address.includes(":") ? `[${address}]` : address}:${port}`
+    + ` (rules ${rulePack.id} v${rulePack.version}${opts.apiKeys.length || opts.users.length ? `, ${opts.apiKeys.length + opts.users.length} API key(s)` : ", no API key"})`);
+  if (cases) console.log(`dealshield-serve: case queue in ${opts.cases} (${cases.list().length} case(s))`);
+  if (cases && !opts.users.length) console.error("dealshield-serve: no --user keys, so cases can't be submitted, approved or rejected");
+  if (opts.webhooks.length) console.log(`dealshield-serve: ${opts.webhooks.length} webhook(s) at ${opts.webhookLevel}`);
+  const stop = () => {
+    server.close();
+    server.closeIdleConnections();
+  };
+  process.once("SIGINT", stop);
+  process.once("SIGTERM", stop);
+  await new Promise(resolve => server.once("close", resolve));
+  return 0;
+}
+
+main(process.argv.slice(2)).then(
+  code => { process.exitCode = code; },
+  e => {
+    console.error(`dealshield-serve: ${e.message}`);
+    if (e.errors) for (const err of e.errors.slice(0, 8)) console.error(`  ${err}`);
+    if (e instanceof UsageError) console.error(`Run "dealshield-serve --help" for usage.`);
+    process.exitCode = 2;
+  },
+);
@@ -0,0 +1,3 @@
+// Extension service worker (browser only): the toolbar button opens the DealShield side panel.
+// Analysis itself runs in the side panel's worker; nothing here touches the mail.
+chrome.sidePanel.setPanelBehavior({ openPanelOnActionClick: true }).catch(e => console.warn(e));
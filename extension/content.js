@@ -0,0 +1,42 @@
+// Content script (browser only) for Gmail and Outlook on the web: loads extension/webmail.js into the
+// page and does what the side panel asks — read the open message, mark spans in it, type the safe
+// reply into the compose box — and tells the panel when another message is opened. The message text
+// only ever goes to the side panel; it never leaves the browser.
+(async () => {
+  const webmail = await import(chrome.runtime.getURL("extension/webmail.js"));
+  const provider = webmail.providerFor(location.hostname);
+  if (!provider) return;
+  // The message last read by the panel; highlight offsets refer to its text.
+  let current = null;
+
+  chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+    switch (msg.type){
+      case "dealshield:read":
+        webmail.clearHighlights(document);
+        current = webmail.readMessage(document, provider);
+        sendResponse({
+          provider: webmail.PROVIDERS[provider].name,
+          message: current && { text: current.text, subject: current.subject, sender: current.sender },
+        });
+        return false;
+      case "dealshield:highlight":
+        webmail.clearHighlights(document);
+        sendResponse({ marked: current ? webmail.highlight(document, current, msg.spans) : 0 });
+        return false;
+      case "dealshield:clear":
+        webmail.clearHighlights(document);
+        sendResponse({ ok: true });
+        return false;
+      case "dealshield:insert":
+        webmail.insertReply(document, provider, msg.text).then(ok => sendResponse({ ok }));
+        return true;
+      default:
+        return false;
+    }
+  });
+
+  webmail.watchMessage(document, provider, () => {
+    // No panel open: nobody to tell.
+    chrome.runtime.sendMessage({ type: "dealshield:changed" }).catch(() => {});
+  });
+})();
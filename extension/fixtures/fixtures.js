@@ -0,0 +1,118 @@
+// Fixture runner for the extension (browser only): loads each saved webmail page in an iframe and runs
+// what the extension does on the live site — read the message (extension/webmail.js), analyze it with
+// the built-in rules, mark the spans in place, clear them, type the safe reply — checking each step
+// against the page's <script id="dealshield-expect"> block.
+import { PROVIDERS, readMessage, highlight, clearHighlights, insertReply } from "../webmail.js";
+import { analyzeMessage, highlightSpans, markSpans } from "../../lib/core.js";
+import { compileRulePack } from "../../lib/rules.js";
+import { applyProfile } from "../../lib/profile.js";
+
+const FIXTURES = ["gmail.html", "outlook.html"];
+
+async function fetchJson(url){
+  const res = await fetch(url, { cache: "no-cache" });
+  if (!res.ok) throw new Error(`HTTP ${res.status} loading ${url}`);
+  return res.json();
+}
+
+const squash = (s) => s.replace(/\s+/g, "");
+
+// -> [{ name, ok, detail }] for one loaded fixture document.
+export async function runFixture(doc, rulePack){
+  const expect = JSON.parse(doc.getElementById("dealshield-expect").textContent);
+  const checks = [];
+  const check = (name, ok, detail = "") => {
+    checks.push({ name, ok: Boolean(ok), detail });
+    return ok;
+  };
+
+  const message = readMessage(doc, expect.provider);
+  if (!check("message found", message)) return checks;
+  const { text } = message;
+  check("sender", text.startsWith(`From: ${expect.from}\n`), text.split("\n")[0]);
+  check("subject", message.subject === expect.subject, message.subject);
+  for (const s of expect.contains || []) check(`body has "${s}"`, text.includes(s));
+  for (const s of expect.excludes || []) check(`quoted text left out ("${s}")`, !text.includes(s));
+
+  const { result, reply } = analyzeMessage(text, { rulePack });
+  check(`level ${expect.level}`, result.level === expect.level, `${result.level} ${result.score}`);
+  const ids = result.reasons.map(r => r.id);
+  for (const id of expect.reasons || []) check(`reason ${id}`, ids.includes(id), ids.join(", "));
+
+  // Every character of every body span is marked, and nothing else.
+  const spans = markSpans(highlightSpans(result));
+  const marked = highlight(doc, message, spans);
+  const marks = [...doc.querySelectorAll("mark.dealshield-mark")];
+  const want = spans.filter(s => s.end > message.bodyStart).map(s => text.slice(Math.max(s.start, message.bodyStart), s.end)).join("");
+  check("highlights match the spans", marked === marks.length && squash(marks.map(m => m.textContent).join("")) === squash(want),
+    `${marks.length} mark(s)`);
+  if (spans.some(s => s.start < message.bodyStart)){
+    check("header flagged", doc.querySelector("[data-dealshield-flag]"));
+  }
+  clearHighlights(doc);
+  check("highlights cleared", !doc.querySelector("mark.dealshield-mark") && readMessage(doc, expect.provider).text === text);
+
+  // Flagging the sender and subject and clearing them again leaves the page's own style and title (the
+  // providers' sender fallbacks read the title).
+  const attrs = (el) => ["style", "title"].map(a => el.getAttribute(a)).join("\n");
+  const header = message.header.filter(h => h.el).map(h => [h.el, attrs(h.el)]);
+  highlight(doc, message, message.header.map(h => ({ start: h.start, end: h.end, label: "DealShield" })));
+  clearHighlights(doc);
+  check("header attributes restored", header.every(([el, before]) => attrs(el) === before) && readMessage(doc, expect.provider).text === text);
+
+  // Outlook adds the compose box on Reply; the fixture keeps it in a <template>.
+  const compose = doc.getElementById("dealshield-compose");
+  if (compose){
+    const button = doc.querySelector(PROVIDERS[expect.provider].reply.join(", "));
+    button.addEventListener("click", () => setTimeout(() => button.after(compose.content.cloneNode(true)), 150), { once: true });
+  }
+  const inserted = await insertReply(doc, expect.provider, reply);
+  const box = [...doc.querySelectorAll(PROVIDERS[expect.provider].compose.join(", "))].pop();
+  check("reply inserted", inserted && box && squash(box.textContent).startsWith(squash(reply.split("\n")[0])),
+    box ? box.textContent.slice(0, 60) : "no compose box");
+  return checks;
+}
+
+async function main(){
+  const container = document.getElementById("fixtures");
+  const rulePack = applyProfile(
+    compileRulePack(await fetchJson("../../rules/default.json")),
+    await fetchJson("../../rules/profiles/default.json"),
+  );
+  let failed = 0;
+  for (const name of FIXTURES){
+    const section = document.createElement("div");
+    section.className = "card fixture";
+    const title = document.createElement("h2");
+    title.textContent = name;
+    const list = document.createElement("ul");
+    list.className = "checks";
+    section.append(title, list);
+    container.appendChild(section);
+
+    const frame = document.createElement("iframe");
+    const loaded = new Promise(resolve => frame.addEventListener("load", resolve, { once: true }));
+    frame.src = `./${name}`;
+    section.appendChild(frame);
+    await loaded;
+
+    let checks;
+    try {
+      checks = await runFixture(frame.contentDocument, rulePack);
+    } catch (e) {
+      checks = [{ name: "fixture ran", ok: false, detail: e.message }];
+    }
+    for (const c of checks){
+      const li = document.createElement("li");
+      li.className = c.ok ? "pass" : "fail";
+      li.textContent = `${c.ok ? "PASS" : "FAIL"} ${c.name}${c.detail && !c.ok ? ` — ${c.detail}` : ""}`;
+      list.appendChild(li);
+      if (!c.ok) failed++;
+    }
+  }
+  document.getElementById("summary").textContent = failed ? `${failed} check(s) failed` : "All fixtures pass";
+}
+
+main().catch(e => {
+  document.getElementById("summary").textContent = `Fixture runner failed: ${e.message}`;
+});
@@ -0,0 +1,322 @@
+// Extension side panel (browser only): the app's pipeline for the message open in Gmail / Outlook.
+// The content script reads the message; scoring runs in the same analysis worker as the app
+// (web/analyzer.js) with the rules and, when switched on, the lexicon second opinion — no model
+// download — and the panel sends back the spans to mark in place and the safe reply to type into
+// the compose box.
+// Settings live in chrome.storage.local.
+import { compileRulePack } from "../lib/rules.js";
+import { applyProfile } from "../lib/profile.js";
+import { highlightSpans, markSpans, reasonText, ptsText, linkVerdictText, secondOpinionText } from "../lib/core.js";
+import { safeReply, scrubReply } from "../lib/reply.js";
+import { emptyDirectory, mergeDirectory, parseDirectory, parseDirectoryCsv } from "../lib/directory.js";
+import { createAnalyzer, AnalysisCancelled } from "../web/analyzer.js";
+
+const RULE_PACK_URL = new URL("../rules/default.json", import.meta.url);
+const PROFILE_URL = new URL("../rules/profiles/default.json", import.meta.url);
+
+const $ = (id) => document.getElementById(id);
+const scoreEl = $("score");
+const riskPill = $("riskPill");
+const sourceEl = $("source");
+const statusEl = $("status");
+const reasonsEl = $("reasons");
+const secondOpinionOut = $("secondOpinionOut");
+const scanBtn = $("scan");
+const autoScanChk = $("autoScan");
+const inlineMarksChk = $("inlineMarks");
+const secondOpinionChk = $("secondOpinion");
+const replyToneSel = $("replyTone");
+const replyChannelSel = $("replyChannel");
+const replyBox = $("replyBox");
+const replyCheckEl = $("replyCheck");
+const insertReplyBtn = $("insertReply");
+const copyReplyBtn = $("copyReply");
+const directoryStatus = $("directoryStatus");
+const directoryImportBtn = $("directoryImport");
+const directoryClearBtn = $("directoryClear");
+const directoryInput = $("directoryInput");
+
+// { autoScan, inlineMarks, secondOpinion, tone, channel, directory }
+let settings = {};
+// Last scan: { tabId, text, result, snapshot, replyParts, spans }
+let lastRun = null;
+let replyEdited = false;
+
+const analyzer = createAnalyzer();
+
+async function fetchJson(url){
+  const res = await fetch(url, { cache: "no-cache" });
+  if (!res.ok) throw new Error(`HTTP ${res.status} loading ${url}`);
+  return res.json();
+}
+
+async function loadRules(){
+  const compiled = compileRulePack(await fetchJson(RULE_PACK_URL));
+  try {
+    const fitted = applyProfile(compiled, await fetchJson(PROFILE_URL));
+    if (fitted.profile.warning) console.warn(`Scoring profile ${fitted.profile.id} ${fitted.profile.warning}`);
+    analyzer.setRules(fitted);
+  } catch (e) {
+    console.warn("Scoring profile unavailable, using rule pack weights", e);
+    analyzer.setRules(compiled);
+  }
+}
+
+async function loadSettings(){
+  const saved = await chrome.storage.local.get(["autoScan", "inlineMarks", "secondOpinion", "tone", "channel", "directory"]);
+  settings = {
+    autoScan: saved.autoScan !== false,
+    inlineMarks: saved.inlineMarks !== false,
+    // Off unless switched on: the calibrated profile's thresholds were fitted without it.
+    secondOpinion: saved.secondOpinion === true,
+    tone: saved.tone || "friendly",
+    channel: saved.channel || "email",
+    directory: saved.directory ? mergeDirectory(emptyDirectory(), saved.directory) : emptyDirectory(),
+  };
+  autoScanChk.checked = settings.autoScan;
+  inlineMarksChk.checked = settings.inlineMarks;
+  secondOpinionChk.checked = settings.secondOpinion;
+  replyToneSel.value = settings.tone;
+  replyChannelSel.value = settings.channel;
+  renderDirectoryStatus();
+}
+
+function saveSettings(patch){
+  Object.assign(settings, patch);
+  return chrome.storage.local.set(patch);
+}
+
+function setStatus(text, error = false){
+  statusEl.textContent = text;
+  statusEl.className = error ? "error" : "";
+}
+
+function setPill(level){
+  riskPill.className = "pill " + (level === "LOW" ? "low" : level === "MEDIUM" ? "med" : level === "HIGH" ? "high" : "");
+  riskPill.textContent = level || "—";
+}
+
+function renderReasons(reasons){
+  reasonsEl.innerHTML = "";
+  if (!reasons.length){
+    const li = document.createElement("li");
+    li.textContent = "No major red flags detected in this message.";
+    reasonsEl.appendChild(li);
+    return;
+  }
+  for (const r of reasons.slice().sort((a, b) => b.pts - a.pts)){
+    const li = document.createElement("li");
+    li.textContent = `${reasonText(r)} (${ptsText(r.pts)})`;
+    if (r.verified) li.className = "verified";
+    else if (r.category === "model") li.className = "model";
+    reasonsEl.appendChild(li);
+  }
+}
+
+function clearResult(){
+  lastRun = null;
+  scoreEl.textContent = "—";
+  setPill(null);
+  reasonsEl.innerHTML = "";
+  secondOpinionOut.textContent = "";
+  setReplyDraft("");
+}
+
+// The spans highlightSpans() picks, labelled with the reason (or link check) that matched them.
+function labelledSpans(result){
+  const labels = new Map();
+  for (const r of result.reasons) for (const s of r.spans) labels.set(s, reasonText(r));
+  for (const l of result.links) labels.set(l, linkVerdictText(l));
+  return markSpans(highlightSpans(result)).map(s => ({ start: s.start, end: s.end, label: labels.get(s) }));
+}
+
+// --- Messages to the content script of the active tab ---
+async function activeTab(){
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  return tab || null;
+}
+
+function sendToTab(tabId, msg){
+  return chrome.tabs.sendMessage(tabId, msg);
+}
+
+async function scan(){
+  const tab = await activeTab();
+  let read;
+  try {
+    if (!tab) throw new Error("no tab");
+    read = await sendToTab(tab.id, { type: "dealshield:read" });
+  } catch {
+    clearResult();
+    sourceEl.textContent = "Open a message in Gmail or Outlook.";
+    setStatus("");
+    return;
+  }
+  if (!read.message){
+    clearResult();
+    sourceEl.textContent = `${read.provider}: no message open.`;
+    setStatus("");
+    return;
+  }
+  const { text, subject, sender } = read.message;
+  sourceEl.textContent = [read.provider, sender && (sender.name || sender.address), subject].filter(Boolean).join(" · ");
+
+  let run;
+  try {
+    run = await analyzer.run({
+      text,
+      thread: false,
+      ner: false,
+      secondOpinion: settings.secondOpinion,
+      localOnly: true,
+      options: { directory: settings.directory, reply: { tone: settings.tone, channel: settings.channel } },
+    }, {
+      onProgress: (p) => setStatus(`Analyzing: ${p.message}…`),
+    });
+  } catch (e) {
+    if (e instanceof AnalysisCancelled) return;
+    console.warn(e);
+    setStatus(`Analysis failed: ${e.message}`, true);
+    return;
+  }
+  setStatus("");
+
+  const { result, snapshot, reply, replyParts } = run;
+  scoreEl.textContent = result.score;
+  setPill(result.level);
+  renderReasons(result.reasons);
+  secondOpinionOut.textContent = result.secondOpinion ? secondOpinionText(result.secondOpinion) : "";
+  lastRun = { tabId: tab.id, text, result, snapshot, replyParts, spans: labelledSpans(result) };
+  setReplyDraft(reply);
+  await showMarks();
+}
+
+async function showMarks(){
+  if (!lastRun) return;
+  try {
+    if (!settings.inlineMarks) return await sendToTab(lastRun.tabId, { type: "dealshield:clear" });
+    const { marked } = await sendToTab(lastRun.tabId, { type: "dealshield:highlight", spans: lastRun.spans });
+    if (lastRun.spans.length && !marked) setStatus("The message changed since it was scanned — scan again to highlight it.");
+  } catch (e) {
+    console.warn("Could not highlight the message", e);
+  }
+}
+
+// --- Safe reply ---
+function setReplyDraft(text){
+  replyBox.value = text;
+  replyEdited = false;
+  checkReplyDraft();
+}
+
+function checkReplyDraft(){
+  const removed = lastRun && replyBox.value ? scrubReply(replyBox.value, lastRun.snapshot).removed : [];
+  replyCheckEl.className = removed.length ? "warn" : "";
+  replyCheckEl.textContent = removed.length
+    ? `Repeats details from the message (removed when inserting): ${removed.map(r => r.value).join(", ")}`
+    : "";
+}
+
+function recomposeReply(){
+  saveSettings({ tone: replyToneSel.value, channel: replyChannelSel.value });
+  if (!lastRun || !lastRun.replyParts) return;
+  if (replyEdited && !confirm("Replace your edited reply with a new draft?")) return;
+  const { result, snapshot, replyParts } = lastRun;
+  setReplyDraft(safeReply({ level: result.level, snapshot, ...replyParts, tone: settings.tone, channel: settings.channel }));
+}
+
+function replyText(){
+  const draft = replyBox.value.trim();
+  return lastRun ? scrubReply(draft, lastRun.snapshot).text : draft;
+}
+
+// --- Counterparty directory (same formats as the app's Import…/Export directory) ---
+function renderDirectoryStatus(note = ""){
+  const { trusted, blocked } = settings.directory;
+  const summary = trusted.length || blocked.length
+    ? `${trusted.length} trusted counterpart${trusted.length === 1 ? "y" : "ies"}, ${blocked.length} blocked indicator${blocked.length === 1 ? "" : "s"}.`
+    : "No directory loaded.";
+  directoryStatus.textContent = note ? `${note} ${summary}` : summary;
+}
+
+async function saveDirectory(directory, note){
+  await saveSettings({ directory });
+  renderDirectoryStatus(note);
+  if (lastRun) scan();
+}
+
+// --- Wiring ---
+scanBtn.addEventListener("click", scan);
+autoScanChk.addEventListener("change", () => saveSettings({ autoScan: autoScanChk.checked }));
+inlineMarksChk.addEventListener("change", async () => {
+  await saveSettings({ inlineMarks: inlineMarksChk.checked });
+  showMarks();
+});
+secondOpinionChk.addEventListener("change", async () => {
+  await saveSettings({ secondOpinion: secondOpinionChk.checked });
+  if (lastRun) scan();
+});
+replyToneSel.addEventListener("change", recomposeReply);
+replyChannelSel.addEventListener("change", recomposeReply);
+replyBox.addEventListener("input", () => {
+  replyEdited = true;
+  checkReplyDraft();
+});
+
+insertReplyBtn.addEventListener("click", async () => {
+  const text = replyText();
+  if (!text || !lastRun) return;
+  try {
+    const { ok } = await sendToTab(lastRun.tabId, { type: "dealshield:insert", text });
+    setStatus(ok ? "Reply inserted — review it before sending." : "Could not find a reply box. Open a reply and try again.", !ok);
+  } catch (e) {
+    setStatus(`Could not insert the reply: ${e.message}`, true);
+  }
+});
+
+copyReplyBtn.addEventListener("click", async () => {
+  const text = replyText();
+  if (!text) return;
+  await navigator.clipboard.writeText(text);
+  setStatus("Safe reply copied.");
+});
+
+directoryImportBtn.addEventListener("click", () => directoryInput.click());
+directoryInput.addEventListener("change", async () => {
+  const file = directoryInput.files[0];
+  directoryInput.value = "";
+  if (!file) return;
+  try {
+    const text = await file.text();
+    const added = /\.csv$/i.test(file.name) || file.type === "text/csv" ? parseDirectoryCsv(text) : parseDirectory(text);
+    await saveDirectory(mergeDirectory(settings.directory, added), `Imported ${file.name}.`);
+  } catch (e) {
+    alert(`Could not import ${file.name}: ${e.message}${e.errors && e.errors.length > 1 ? `\n${e.errors.slice(1, 6).join("\n")}` : ""}`);
+  }
+});
+directoryClearBtn.addEventListener("click", () => {
+  if (!confirm("Delete all trusted counterparties and blocked indicators?")) return;
+  saveDirectory(emptyDirectory(), "Directory cleared.");
+});
+
+// Another message opened in the active tab, or another tab brought to the front.
+chrome.runtime.onMessage.addListener((msg, sender) => {
+  if (msg.type !== "dealshield:changed" || !settings.autoScan || !sender.tab) return;
+  activeTab().then(tab => {
+    if (tab && tab.id === sender.tab.id) scan();
+  });
+});
+chrome.tabs.onActivated.addListener(() => {
+  if (settings.autoScan) scan();
+});
+
+(async () => {
+  try {
+    await Promise.all([loadSettings(), loadRules()]);
+  } catch (e) {
+    console.warn(e);
+    setStatus(`DealShield could not start: ${e.message}`, true);
+    return;
+  }
+  scan();
+})();
@@ -0,0 +1,282 @@
+// Webmail adapters for the browser extension (browser only): find the open message in Gmail or Outlook on
+// the web and read it as the text DealShield analyzes (a From / Subject header block, then the body), mark
+// spans of that text in place, and put the safe reply into the compose box. Everything works on the
+// Document it is given, so the saved pages in extension/fixtures/ run the same code as the live sites.
+// Loaded into the page by extension/content.js.
+
+const MARK_CLASS = "dealshield-mark";
+const FLAG_ATTR = "data-dealshield-flag";
+// Title the flagged element had before (absent when it had none); the providers' sender lookups read it.
+const TITLE_ATTR = "data-dealshield-title";
+const MARK_STYLE = "background:rgba(240,195,107,.45);color:inherit;border-radius:3px;box-shadow:0 0 0 1px rgba(214,140,20,.55);";
+const FLAG_STYLE = "outline:2px solid rgba(214,64,52,.7);outline-offset:2px;border-radius:3px;";
+
+// Selectors are tried in order; the webmail DOM changes, so each has fallbacks.
+export const PROVIDERS = {
+  gmail: {
+    name: "Gmail",
+    hosts: ["mail.google.com"],
+    // expanded messages of the open conversation; the last one is read
+    message: ["div.adn.ads"],
+    body: ["div.a3s"],
+    subject: ["h2.hP"],
+    sender: ["span.gD[email]", "[email][name]"],
+    // quoted earlier messages and hidden trimmed content
+    skip: [".gmail_quote", ".adL"],
+    quote: [],
+    compose: ['div[contenteditable="true"][role="textbox"]', 'div[contenteditable="true"][g_editable="true"]'],
+    reply: ['[role="button"][data-tooltip="Reply"]', '[role="button"][aria-label="Reply"]', "span.ams.bkH"],
+  },
+  outlook: {
+    name: "Outlook",
+    hosts: ["outlook.office.com", "outlook.office365.com", "outlook.live.com"],
+    message: ['[aria-label="Reading Pane"]', "#ReadingPaneContainerId", '[role="main"]'],
+    body: ['[aria-label="Message body"]:not([contenteditable])', '[role="document"]:not([contenteditable])'],
+    subject: ['[role="heading"][aria-level="2"]', '[role="heading"]'],
+    sender: ['[data-testid="SenderPersona"]', 'span[title*="@"]'],
+    skip: ["blockquote"],
+    // everything from here on is the quoted earlier message
+    quote: ["#appendonsend", "#divRplyFwdMsg"],
+    compose: ['div[contenteditable="true"][aria-label="Message body"]', 'div[contenteditable="true"][role="textbox"]'],
+    reply: ['button[aria-label="Reply"]', 'button[title="Reply"]'],
+  },
+};
+
+export function providerFor(hostname){
+  return Object.keys(PROVIDERS).find(id => PROVIDERS[id].hosts.includes(hostname)) || null;
+}
+
+function first(root, selectors){
+  for (const sel of selectors){
+    const el = root.querySelector(sel);
+    if (el) return el;
+  }
+  return null;
+}
+
+function last(root, selectors){
+  for (const sel of selectors){
+    const all = root.querySelectorAll(sel);
+    if (all.length) return all[all.length - 1];
+  }
+  return null;
+}
+
+const EMAIL = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/;
+
+// Gmail keeps the address in attributes; Outlook shows "Name <address>" in a title or the text.
+function senderOf(el){
+  if (!el) return null;
+  const address = el.getAttribute("email") || ((el.getAttribute("title") || "").match(EMAIL) || (el.textContent.match(EMAIL)) || [null])[0];
+  const name = (el.getAttribute("name") || el.textContent.replace(EMAIL, "").replace(/[<>]/g, "")).replace(/\s+/g, " ").trim();
+  if (!address && !name) return null;
+  return { el, name, address };
+}
+
+const BLOCK = new Set([
+  "ADDRESS", "ARTICLE", "ASIDE", "BLOCKQUOTE", "DD", "DIV", "DL", "DT", "FIELDSET", "FIGURE", "FOOTER", "FORM",
+  "H1", "H2", "H3", "H4", "H5", "H6", "HEADER", "HR", "LI", "MAIN", "NAV", "OL", "P", "PRE", "SECTION", "TABLE", "TR", "UL",
+]);
+const SKIP_TAGS = new Set(["SCRIPT", "STYLE", "TEMPLATE", "NOSCRIPT", "HEAD", "svg"]);
+
+// Body text with one character per text-node character (tabs and line breaks in the HTML source become
+// spaces), plus line breaks for <br> and block elements; segments map text offsets back to text nodes.
+// Indentation between blocks is left out.
+function readBody(el, { skip, quote }){
+  let text = "";
+  let quoted = false;
+  const segments = [];
+  const newline = () => {
+    if (text && !text.endsWith("\n")) text += "\n";
+  };
+  const walk = (node) => {
+    if (quoted) return;
+    if (node.nodeType === 3){
+      if (!node.nodeValue || (!node.nodeValue.trim() && (!text || text.endsWith("\n")))) return;
+      segments.push({ node, start: text.length, end: text.length + node.nodeValue.length });
+      text += node.nodeValue.replace(/[\t\n\r\f]/g, " ");
+      return;
+    }
+    if (node.nodeType !== 1 || SKIP_TAGS.has(node.tagName) || node.hidden || node.style.display === "none") return;
+    if (quote.some(sel => node.matches(sel))){
+      quoted = true;
+      return;
+    }
+    if (skip.some(sel => node.matches(sel))) return;
+    if (node.tagName === "BR"){
+      text += "\n";
+      return;
+    }
+    const block = BLOCK.has(node.tagName);
+    if (block) newline();
+    for (const child of node.childNodes) walk(child);
+    if (block) newline();
+  };
+  walk(el);
+  return { text, segments };
+}
+
+// -> { provider, text, subject, sender, header: [{ start, end, el }], bodyStart, segments } or null when no
+// message is open. Offsets are into `text`, the string the side panel analyzes.
+export function readMessage(doc, providerId){
+  const p = PROVIDERS[providerId];
+  if (!p) return null;
+  const message = last(doc, p.message);
+  const bodyEl = message && first(message, p.body);
+  if (!bodyEl) return null;
+  const subjectEl = first(doc, p.subject);
+  const sender = senderOf(first(message, p.sender) || first(doc, p.sender));
+
+  let text = "";
+  const header = [];
+  const line = (label, value, el) => {
+    const start = text.length + label.length;
+    text += `${label}${value}\n`;
+    header.push({ start, end: start + value.length, el });
+  };
+  if (sender) line("From: ", sender.address ? `${sender.name ? `${sender.name} ` : ""}<${sender.address}>` : sender.name, sender.el);
+  const subject = subjectEl ? subjectEl.textContent.replace(/\s+/g, " ").trim() : "";
+  if (subject) line("Subject: ", subject, subjectEl);
+  if (text) text += "\n";
+
+  const body = readBody(bodyEl, p);
+  const bodyStart = text.length;
+  return {
+    provider: providerId,
+    text: text + body.text,
+    subject,
+    sender: sender ? { name: sender.name, address: sender.address } : null,
+    header,
+    bodyStart,
+    segments: body.segments.map(s => ({ ...s, start: s.start + bodyStart, end: s.end + bodyStart })),
+  };
+}
+
+// Wraps each span ({ start, end, label? }, non-overlapping — see markSpans() in lib/core.js) of the
+// message text in a <mark>; spans in the header outline the sender / subject element instead.
+export function highlight(doc, message, spans){
+  const pieces = [];
+  for (const s of spans){
+    for (const h of message.header){
+      if (s.start < h.end && s.end > h.start && h.el){
+        if (!h.el.hasAttribute(FLAG_ATTR)){
+          h.el.setAttribute(FLAG_ATTR, h.el.getAttribute("style") || "");
+          if (h.el.hasAttribute("title")) h.el.setAttribute(TITLE_ATTR, h.el.getAttribute("title"));
+          h.el.setAttribute("style", `${h.el.getAttribute("style") || ""};${FLAG_STYLE}`);
+        }
+        if (s.label) h.el.title = s.label;
+      }
+    }
+    for (const seg of message.segments){
+      const from = Math.max(s.start, seg.start);
+      const to = Math.min(s.end, seg.end);
+      if (from < to) pieces.push({ node: seg.node, from: from - seg.start, to: to - seg.start, label: s.label });
+    }
+  }
+  const byNode = new Map();
+  for (const piece of pieces){
+    if (!byNode.has(piece.node)) byNode.set(piece.node, []);
+    byNode.get(piece.node).push(piece);
+  }
+  let count = 0;
+  for (const [node, list] of byNode){
+    // Back to front, so splitting the text node never moves a piece that is still to be wrapped.
+    for (const piece of list.sort((a, b) => b.from - a.from)){
+      if (!node.parentNode || piece.to > node.nodeValue.length) continue;
+      const range = doc.createRange();
+      range.setStart(node, piece.from);
+      range.setEnd(node, piece.to);
+      const mark = doc.createElement("mark");
+      mark.className = MARK_CLASS;
+      mark.setAttribute("style", MARK_STYLE);
+      if (piece.label) mark.title = piece.label;
+      range.surroundContents(mark);
+      count++;
+    }
+  }
+  return count;
+}
+
+export function clearHighlights(doc){
+  for (const mark of doc.querySelectorAll(`mark.${MARK_CLASS}`)){
+    const parent = mark.parentNode;
+    parent.replaceChild(doc.createTextNode(mark.textContent), mark);
+    parent.normalize();
+  }
+  for (const el of doc.querySelectorAll(`[${FLAG_ATTR}]`)){
+    const style = el.getAttribute(FLAG_ATTR);
+    if (style) el.setAttribute("style", style);
+    else el.removeAttribute("style");
+    el.removeAttribute(FLAG_ATTR);
+    if (el.hasAttribute(TITLE_ATTR)) el.setAttribute("title", el.getAttribute(TITLE_ATTR));
+    else el.removeAttribute("title");
+    el.removeAttribute(TITLE_ATTR);
+  }
+}
+
+function waitFor(fn, timeout = 4000){
+  return new Promise((resolve) => {
+    const started = Date.now();
+    const tick = () => {
+      const found = fn();
+      if (found || Date.now() - started > timeout) return resolve(found || null);
+      setTimeout(tick, 100);
+    };
+    tick();
+  });
+}
+
+// Opens a reply when no compose box is open, then types the text at the top of the box (the webmail's
+// own editor sees it as typed input). -> true when the text went in.
+export async function insertReply(doc, providerId, text){
+  const p = PROVIDERS[providerId];
+  let box = last(doc, p.compose);
+  if (!box){
+    const reply = last(doc, p.reply);
+    if (!reply) return false;
+    reply.click();
+    box = await waitFor(() => last(doc, p.compose));
+    if (!box) return false;
+  }
+  box.focus();
+  const selection = doc.getSelection();
+  const range = doc.createRange();
+  range.setStart(box, 0);
+  range.collapse(true);
+  selection.removeAllRanges();
+  selection.addRange(range);
+  if (doc.execCommand("insertText", false, text)) return true;
+  // Editors that ignore execCommand: plain lines and <br>s.
+  const frag = doc.createDocumentFragment();
+  text.split("\n").forEach((l, i) => {
+    if (i) frag.appendChild(doc.createElement("br"));
+    frag.appendChild(doc.createTextNode(l));
+  });
+  frag.appendChild(doc.createElement("br"));
+  box.insertBefore(frag, box.firstChild);
+  box.dispatchEvent(new Event("input", { bubbles: true }));
+  return true;
+}
+
+// Calls onChange when another message is opened (both webmails are single-page apps).
+export function watchMessage(doc, providerId, onChange){
+  let seen = null;
+  let timer = null;
+  const check = () => {
+    const m = readMessage(doc, providerId);
+    const key = m ? `${m.subject}\n${m.sender && m.sender.address}\n${m.text.length}` : null;
+    if (key !== seen){
+      seen = key;
+      if (key) onChange(m);
+    }
+  };
+  const observer = new MutationObserver((records) => {
+    // Our own marks don't count as a new message.
+    if (records.every(r => [...r.addedNodes, ...r.removedNodes].every(n => n.nodeType !== 1 || n.classList.contains(MARK_CLASS)))) return;
+    clearTimeout(timer);
+    timer = setTimeout(check, 600);
+  });
+  observer.observe(doc.body, { childList: true, subtree: true });
+  check();
+  return () => observer.disconnect();
+}
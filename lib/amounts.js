@@ -0,0 +1,333 @@
+// Every monetary mention in a message as { raw, start, end, value, currency, role }: symbols, ISO codes,
+// "3k" / "1.5 million" magnitudes and amounts written in words, plus payment-split percentages.
+// Cross-checks: a small fee that unlocks a large payout, a split that doesn't add up to 100% (or to
+// the stated total) and a currency that changes within the message or against earlier ones.
+// Pure — no DOM access.
+import { parseNumber, normalizeDigits, formatMoney } from "./numbers.js";
+
+// [token regex, ISO code]; first hit wins, so "US$" / "R$" come before "$" and "CN¥" before "¥".
+const CURRENCY_TOKENS = [
+  [/^(?:US\$|USD|(?:US\s)?dollars?|bucks|dólar(?:es)?|dolar(?:es)?|Dollar|доллар(?:ов|а)?|دولار)$/iu, "USD"],
+  [/^(?:C\$|CA\$|CAD)$/i, "CAD"],
+  [/^(?:A\$|AU\$|AUD)$/i, "AUD"],
+  [/^(?:HK\$|HKD)$/i, "HKD"],
+  [/^(?:S\$|SGD)$/i, "SGD"],
+  [/^(?:R\$|BRL|reais|real)$/i, "BRL"],
+  [/^\$$/, "USD"],
+  [/^(?:€|EUR|euros?|евро|يورو)$/iu, "EUR"],
+  [/^(?:£|GBP|pounds?(?: sterling)?|sterling)$/i, "GBP"],
+  [/^(?:CN¥|RMB|CNY|yuan|元)$/i, "CNY"],
+  [/^(?:¥|JPY|yen|円)$/i, "JPY"],
+  [/^(?:₹|INR|Rs\.?|rupees?)$/i, "INR"],
+  [/^(?:₺|TRY|TL|lira|türk lirası)$/iu, "TRY"],
+  [/^(?:₽|RUB|руб\.?|рубл(?:ей|я|ь)|rubles?|roubles?)$/iu, "RUB"],
+  [/^(?:AED|د\.إ|درهم|dirhams?|Dhs?)$/iu, "AED"],
+  [/^(?:SAR|ريال|riyals?)$/iu, "SAR"],
+  [/^(?:₦|NGN|naira)$/i, "NGN"],
+  [/^(?:₱|PHP)$/i, "PHP"],
+  [/^(?:₩|KRW)$/i, "KRW"],
+  [/^(?:zł|PLN)$/i, "PLN"],
+  [/^(?:CHF|Fr\.)$/i, "CHF"],
+  [/^[A-Z]{3,4}$/, null],
+];
+
+// ISO 4217 codes seen in deal mail, plus the stablecoins / coins scams quote prices in.
+export const CURRENCY_CODES = [
+  "USD", "EUR", "GBP", "CHF", "JPY", "CNY", "INR", "AED", "SAR", "QAR", "KWD", "BHD", "OMR", "SGD", "HKD",
+  "AUD", "NZD", "CAD", "TRY", "RUB", "BRL", "MXN", "ARS", "COP", "PLN", "SEK", "NOK", "DKK", "CZK", "HUF",
+  "ZAR", "NGN", "KES", "GHS", "EGP", "ILS", "PHP", "KRW", "THB", "IDR", "MYR", "RMB", "USDT", "USDC", "BTC", "ETH",
+];
+
+const CODES = CURRENCY_CODES.join("|");
+const SYMBOLS_BEFORE = String.raw`US\$|CA?\$|AU?\$|HK\$|S\$|R\$|\$|€|£|CN¥|¥|₹|Rs\.?|₺|₽|₦|₱|₩`;
+const WORDS_AFTER = [
+  String.raw`(?:US\s)?dollars?`, "bucks", "euros?", String.raw`pounds?(?:\ssterling)?`, "rupees?", "yen", "yuan",
+  "dirhams?", "riyals?", "lira", "rubles?", "roubles?", "reais", "naira", "dólar(?:es)?", "dolar(?:es)?", "Dollar",
+  "доллар(?:ов|а)?", "евро", String.raw`руб\.?`, "рубл(?:ей|я|ь)", "دولار", "يورو", "درهم", "ريال", String.raw`د\.إ`, "TL",
+].join("|");
+const SYMBOLS_AFTER = "€|£|₺|₽|¥|₹|zł|円|元";
+
+// Thousands groups, or lakh / crore groups ("5,00,000", "1,25,00,000"); a match never ends inside a run
+// of digit groups, so "₹5,00,000" isn't read as "₹5,00".
+const NUM = String.raw`(?:\d{1,2}(?:,\d{2})+,\d{3}|\d{1,3}(?:[.,  ' ]\d{3})+|\d+)(?:[.,]\d{1,2})?(?![.,]?\d)`;
+const MAG = String.raw`(?:\s?(?:k|K|mn|m|M|bn)(?![\p{L}\p{N}])|\s(?:thousand|million|billion|lakhs?|crores?)(?![\p{L}]))`;
+
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16, seventeen: 17, eighteen: 18,
+  nineteen: 19, twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90,
+};
+const SCALES = { hundred: 100, thousand: 1e3, million: 1e6, billion: 1e9, lakh: 1e5, crore: 1e7 };
+const WORD = `(?:${[...Object.keys(NUMBER_WORDS), ...Object.keys(SCALES)].sort((a, b) => b.length - a.length).join("|")})`;
+const WORDS_NUM = String.raw`${WORD}(?:(?:[\s-]+and)?[\s-]+${WORD})*`;
+
+const PATTERNS = [
+  // $3,000 · USD 1.200,00 · € 99 · $3k · $1.5 million
+  new RegExp(String.raw`(?<![\p{L}\p{N}])(${SYMBOLS_BEFORE}|(?:${CODES})(?![\p{L}]))\s?(${NUM})(${MAG})?`, "gu"),
+  // 3000 USD · 1.200,00 € · 3 million dollars · 500 руб.
+  new RegExp(String.raw`(?<![\p{L}\p{N}.,])(${NUM})(${MAG})?\s?(${CODES}|${WORDS_AFTER}|${SYMBOLS_AFTER})(?![\p{L}])`, "giu"),
+  // three thousand dollars · one hundred and fifty euros · five hundred USD
+  new RegExp(String.raw`(?<![\p{L}])(${WORDS_NUM})\s+(${WORDS_AFTER}|${CODES})(?![\p{L}])`, "giu"),
+];
+
+export function currencyOf(token){
+  const t = (token || "").trim();
+  for (const [re, iso] of CURRENCY_TOKENS){
+    if (re.test(t)) return iso || (CURRENCY_CODES.includes(t.toUpperCase()) ? t.toUpperCase() : null);
+  }
+  return null;
+}
+
+function magnitude(mag){
+  const m = (mag || "").trim().toLowerCase();
+  if (!m) return 1;
+  if (m === "k" || m === "thousand") return 1e3;
+  if (m === "m" || m === "mn" || m === "million") return 1e6;
+  if (m === "bn" || m === "billion") return 1e9;
+  if (m.startsWith("lakh")) return 1e5;
+  if (m.startsWith("crore")) return 1e7;
+  return 1;
+}
+
+// "one hundred and fifty" -> 150, "two million five hundred thousand" -> 2500000. null if not a number.
+export function parseNumberWords(str){
+  let total = 0;
+  let current = 0;
+  let seen = false;
+  for (const w of str.toLowerCase().split(/[\s-]+/)){
+    if (w === "and") continue;
+    if (w in NUMBER_WORDS){
+      current += NUMBER_WORDS[w];
+      if (w !== "a" && w !== "an") seen = true;
+    } else if (w === "hundred"){
+      current = (current || 1) * 100;
+      seen = true;
+    } else if (w in SCALES){
+      total += (current || 1) * SCALES[w];
+      current = 0;
+      seen = true;
+    } else {
+      return null;
+    }
+  }
+  return seen ? total + current : null;
+}
+
+// Role keywords (English); locale packs add their own under "amounts" (see lib/locales.js).
+const ROLE_WORDS = {
+  fee: String.raw`fees?|charges?|processing|activation|clearance|registration|handling|admin(?:istrative)?|customs|insurance|certificate|verification|commission|tax(?:es)?|cost`,
+  deposit: String.raw`deposit|up-?front|advance|down\s?payment|pre-?payment|retainer|security|on signing`,
+  milestone: String.raw`milestones?|instal?l?ments?|tranches?|phases?|stages?|on delivery|after delivery|on completion|upon completion|balance|remaining|monthly|weekly|per month|per week`,
+  refund: String.raw`refund(?:ed)?|reimburse(?:ment|d)?|overpa(?:id|yment)|excess|the difference|send (?:it )?back|return(?:ed)?`,
+  total: String.raw`total|budget|price|contract value|project value|worth|salary|amount due|grand total|sum of|payment of|invoice(?:d)?|quote(?:d)?`,
+};
+// Money that flows *to* the reader: what an advance-fee scam dangles.
+const PAYOUT_WORDS = String.raw`payout|pay-?out|release(?:d)?|receive|unlock(?:ed)?|win(?:nings)?|prize|inheritance|claim|credited|transfer(?:red)? (?:to )?you|send you|you(?:'ll| will) get|earn|compensation|grant|full`;
+
+const ROLE_ORDER = ["refund", "deposit", "milestone", "fee", "total"];
+const EN_ROLES = compileRoles(ROLE_WORDS, PAYOUT_WORDS);
+
+function compileRoles(words, payout){
+  const wrap = (src) => new RegExp(String.raw`(?<![\p{L}\p{N}])(?:${src})(?![\p{L}\p{N}])`, "giu");
+  const roles = {};
+  for (const [role, src] of Object.entries(words)) roles[role] = [wrap(src)];
+  return { roles, payout: [wrap(payout)] };
+}
+
+// Locale "amounts" block ({ fee: [src], ..., payout: [src] }) merged with the English keywords.
+function rolesFor(locale){
+  if (!locale || !locale.amounts) return EN_ROLES;
+  const roles = {};
+  for (const role of ROLE_ORDER) roles[role] = [...EN_ROLES.roles[role], ...(locale.amounts[role] || [])];
+  return { roles, payout: [...EN_ROLES.payout, ...(locale.amounts.payout || [])] };
+}
+
+// Sentence around [start, end): back to the previous sentence break / amount, forward a few words.
+function contextOf(text, start, end, prevEnd){
+  let from = Math.max(prevEnd, start - 60);
+  const before = text.slice(from, start);
+  const br = Math.max(before.lastIndexOf("\n"), before.search(/[.!?;](?=\s)[^.!?;]*$/));
+  if (br >= 0) from += br + 1;
+  // Only the next couple of words: "$150 fee", "$150 processing fee".
+  let to = Math.min(text.length, end + 18);
+  const after = text.slice(end, to);
+  const stop = after.search(/[\n.!?;,(]|\s(?:and|then|after that)\s/);
+  if (stop >= 0) to = end + stop;
+  return { before: text.slice(from, start), after: text.slice(end, to) };
+}
+
+// Nearest keyword in the context: last hit before the amount or first hit right after it.
+function nearest(ctx, regexes){
+  let best = Infinity;
+  for (const re of regexes){
+    re.lastIndex = 0;
+    for (const m of ctx.before.matchAll(re)) best = Math.min(best, ctx.before.length - (m.index + m[0].length));
+    re.lastIndex = 0;
+    const m = re.exec(ctx.after);
+    if (m) best = Math.min(best, m.index);
+  }
+  return best;
+}
+
+function roleOf(ctx, roles){
+  let role = null;
+  let dist = Infinity;
+  for (const name of ROLE_ORDER){
+    const d = nearest(ctx, roles.roles[name]);
+    if (d < dist){
+      role = name;
+      dist = d;
+    }
+  }
+  return role;
+}
+
+// Restated amounts: "three thousand dollars (USD 3,000)" or "$1,000 (approx. €920)".
+const RESTATE_RE = /^\s*[(\[]\s*(?:approx(?:imately|\.)?|about|around|ca\.?|≈|~|i\.e\.?|=)?\s*$|^\s*(?:≈|~|=|\/)\s*$|^\s*(?:or|i\.e\.?|approx(?:imately|\.)?|about|equivalent(?: to)?|equal to)\s*$/i;
+
+// opts: { decimal: "." | "," (locale separator), from (offset where the body starts), locale }.
+export function extractAmounts(text, { decimal = null, from = 0, locale = null } = {}){
+  const src = normalizeDigits(text);
+  const found = [];
+  PATTERNS.forEach((re, kind) => {
+    re.lastIndex = from;
+    for (const m of src.matchAll(re)){
+      if (m.index < from) continue;
+      let value = null;
+      let token = null;
+      if (kind === 0){
+        token = m[1];
+        const n = parseNumber(m[2], decimal);
+        value = n == null ? null : n * magnitude(m[3]);
+      } else if (kind === 1){
+        token = m[3];
+        const n = parseNumber(m[1], decimal);
+        value = n == null ? null : n * magnitude(m[2]);
+      } else {
+        token = m[2];
+        value = parseNumberWords(m[1]);
+      }
+      if (value == null || !(value > 0)) continue;
+      found.push({ start: m.index, end: m.index + m[0].length, value, currency: currencyOf(token), words: kind === 2 });
+    }
+  });
+
+  // Keep the leftmost, then longest, of overlapping candidates.
+  found.sort((a, b) => a.start - b.start || b.end - a.end);
+  const roles = rolesFor(locale);
+  const out = [];
+  for (const f of found){
+    const prev = out[out.length - 1];
+    if (prev && f.start < prev.end) continue;
+    const raw = text.slice(f.start, f.end);
+    const ctx = contextOf(text, f.start, f.end, prev ? prev.end : from);
+    const a = {
+      raw,
+      start: f.start,
+      end: f.end,
+      text: raw,
+      value: Math.round(f.value * 100) / 100,
+      currency: f.currency,
+      role: roleOf(ctx, roles),
+      payout: nearest(ctx, roles.payout) < Infinity,
+      words: f.words,
+      restated: false,
+    };
+    if (prev && RESTATE_RE.test(text.slice(prev.end, a.start))) a.restated = true;
+    out.push(a);
+  }
+  return out;
+}
+
+// The amount the deal is about: the stated total, else the first amount that isn't a restatement.
+export function primaryAmount(amounts){
+  const list = amounts.filter(a => !a.restated);
+  return list.find(a => a.role === "total" && !a.payout) || list[0] || null;
+}
+
+// "$150 — fee" / "three thousand dollars (3,000.00 USD) — total, payout"
+export function amountText(a){
+  const norm = a.currency ? formatMoney(a.value, a.currency) : null;
+  const shown = norm && (a.words || !/\d/.test(a.raw) || /[kmb]n?$|thousand|million|billion|lakh|crore/i.test(a.raw)) ? ` (${norm})` : "";
+  const role = [a.role, a.payout ? "payout" : null].filter(Boolean).join(", ");
+  return `${a.raw}${shown}${role ? ` — ${role}` : ""}${a.restated ? " (restated)" : ""}`;
+}
+
+// Payment-split percentages: "50% upfront, 50% after delivery" -> [{ value, start, end, text }].
+export function paymentShares(text, { from = 0, locale = null } = {}){
+  const roles = rolesFor(locale);
+  const context = [...roles.roles.deposit, ...roles.roles.milestone];
+  const NOT_SPLIT = /^\s*(?:of\s+the\s+)?(?:discount|off|vat|tax|interest|commission|fees?|rate|markup|margin|bonus|tip|chance|sure|secure|guaranteed?|complete[d]?|done|free)/i;
+  const out = [];
+  const src = normalizeDigits(text);
+  for (const m of src.matchAll(/(?<![\d.,])(\d{1,3}(?:[.,]\d{1,2})?)\s?(?:%|per\s?cent\b|percent\b)/gi)){
+    if (m.index < from) continue;
+    const value = parseNumber(m[1], m[1].includes(",") ? "," : ".");
+    if (value == null || value <= 0 || value > 100) continue;
+    const start = m.index;
+    const end = start + m[0].length;
+    const ctx = contextOf(text, start, end, out.length ? out[out.length - 1].end : from);
+    if (NOT_SPLIT.test(ctx.after) || /(?:discount|vat|tax|interest|commission|fee)\s*(?:of\s*)?$/i.test(ctx.before)) continue;
+    if (nearest(ctx, context) === Infinity) continue;
+    out.push({ value, start, end, text: text.slice(start, end) });
+  }
+  return out;
+}
+
+function push(signals, name, spans, detail){
+  const list = (signals[name] = signals[name] || []);
+  spans.forEach((s, i) => list.push({ start: s.start, end: s.end, text: s.text, detail: i ? null : detail }));
+}
+
+const same = (a, b) => !a.currency || !b.currency || a.currency === b.currency;
+
+// Signals for "when": "signal" rules.
+// opts.history: earlier records for the same counterparty ({ amount: { currency } }, see lib/history.js).
+export function amountSignals(amounts, shares = [], { history = [] } = {}){
+  const signals = {};
+  const list = amounts.filter(a => !a.restated);
+
+  // Advance-fee shape: pay a little now to "release" / "receive" a lot.
+  const fees = list.filter(a => (a.role === "fee" || a.role === "deposit") && !a.payout);
+  const payouts = list.filter(a => a.payout && a.role !== "refund");
+  for (const fee of fees){
+    const big = payouts.filter(p => p !== fee && same(p, fee) && p.value >= fee.value * 5).sort((a, b) => b.value - a.value)[0];
+    if (big){
+      const x = Math.round(big.value / fee.value);
+      push(signals, "amount_fee_unlocks_payout", [fee, big], `${fee.raw} ${fee.role} to unlock ${big.raw} (${x}× the ${fee.role})`);
+      break;
+    }
+  }
+
+  // Split percentages must cover the whole price, once.
+  if (shares.length >= 2){
+    const sum = Math.round(shares.reduce((s, x) => s + x.value, 0) * 100) / 100;
+    if (Math.abs(sum - 100) > 0.5){
+      push(signals, "amount_split_mismatch", shares, `Payment split adds up to ${sum}% (${shares.map(s => s.text).join(" + ")})`);
+    }
+  }
+  // Installment amounts vs. the stated total.
+  const total = list.find(a => a.role === "total" && !a.payout);
+  const parts = total ? list.filter(a => (a.role === "deposit" || a.role === "milestone") && same(a, total)) : [];
+  if (parts.length >= 2){
+    const sum = Math.round(parts.reduce((s, x) => s + x.value, 0) * 100) / 100;
+    if (Math.abs(sum - total.value) > Math.max(1, total.value * 0.01)){
+      push(signals, "amount_split_mismatch", [...parts, total], `Installments add up to ${formatMoney(sum, total.currency)} but the total is ${total.raw}`);
+    }
+  }
+
+  // Currency switch inside the message, or against what this counterparty used before.
+  const currencies = Array.from(new Set(list.map(a => a.currency).filter(Boolean)));
+  if (currencies.length > 1){
+    const first = list.find(a => a.currency);
+    const other = list.filter(a => a.currency && a.currency !== first.currency);
+    push(signals, "amount_currency_change", [first, ...other], `Amounts in ${currencies.join(", ")} in the same message`);
+  } else if (currencies.length === 1){
+    const before = Array.from(new Set(history.map(r => r.amount && r.amount.currency).filter(Boolean)));
+    if (before.length && !before.includes(currencies[0])){
+      const hit = list.filter(a => a.currency === currencies[0]);
+      push(signals, "amount_currency_change", hit, `Earlier messages used ${before.join("/")}, this one asks for ${currencies[0]}`);
+    }
+  }
+  return signals;
+}
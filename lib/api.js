@@ -0,0 +1,193 @@
+// Local HTTP API (bin/serve.js): request bodies -> the analysis the web app runs, answered with the same
+// JSON report the CLI prints and the app exports; plus the rule pack summary for GET /rules and the
+// payload of the outbound webhooks. The endpoints are described in api/openapi.json. Pure — no DOM access.
+import { readMessages, composeEmailText } from "./email.js";
+import { analyzeMessage, guessMessageCounterparty } from "./core.js";
+import { splitThread, analyzeThread, threadFromMessages } from "./thread.js";
+import { buildReport } from "./report.js";
+import { TONES, CHANNELS } from "./reply.js";
+import { classifyLexicon } from "./classifier.js";
+import { validateSchema } from "./schema.js";
+
+export const API_VERSION = "1.0.0";
+export const LEVELS = ["LOW", "MEDIUM", "HIGH"];
+
+export class ApiError extends Error {
+  constructor(message, status = 400, errors = []){
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.errors = errors;
+  }
+}
+
+const NAME = { type: ["string", "null"] };
+
+// POST /analyze with Content-Type: application/json. One of text / email / messages.
+export const ANALYZE_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    text: { type: "string", minLength: 1 },
+    email: { type: "string", minLength: 1 },
+    messages: {
+      type: "array",
+      minItems: 1,
+      items: {
+        type: "object",
+        required: ["text"],
+        additionalProperties: false,
+        properties: { sender: NAME, time: NAME, text: { type: "string", minLength: 1 } },
+      },
+    },
+    thread: { type: "boolean" },
+    counterparty: NAME,
+    deal: NAME,
+    trustedDomains: { type: "array", items: { type: "string", minLength: 1 } },
+    tone: { enum: TONES },
+    channel: { enum: CHANNELS },
+    secondOpinion: { type: "boolean" },
+  },
+};
+
+// Raw email source (.eml, or .msg bytes) -> the text the analysis reads, rendered like the web importer.
+function emailText(bytes){
+  let messages;
+  try {
+    messages = readMessages(bytes);
+  } catch (e) {
+    throw new ApiError(`Could not read the email: ${e.message}`);
+  }
+  if (messages.length !== 1) throw new ApiError(`Expected one email, got ${messages.length} (send mailbox messages one per request)`);
+  return composeEmailText(messages[0]).trim();
+}
+
+const FLAG = /^(?:1|true|yes)$/i;
+
+function mediaType(contentType){
+  return String(contentType || "").split(";")[0].trim().toLowerCase();
+}
+
+// Request body + Content-Type + query parameters -> { text, thread, counterparty, deal, trustedDomains,
+// reply: { tone, channel }, secondOpinion, source }. thread: a split thread (JSON messages), true to
+// split the text like the app's Thread mode, or false. Text and email bodies take their options from the
+// query (?thread=1&counterparty=…&tone=…); JSON bodies from their own fields.
+export function parseAnalyzeRequest(bytes, contentType, query = new URLSearchParams()){
+  const type = mediaType(contentType);
+  if (type === "application/json"){
+    let body;
+    try {
+      body = JSON.parse(new TextDecoder().decode(bytes));
+    } catch (e) {
+      throw new ApiError(`Invalid JSON: ${e.message}`);
+    }
+    const errors = validateSchema(ANALYZE_SCHEMA, body);
+    if (errors.length) throw new ApiError(`Invalid request: ${errors[0]}`, 400, errors);
+    const given = ["text", "email", "messages"].filter(k => k in body);
+    if (given.length !== 1) throw new ApiError("Send exactly one of text, email or messages");
+    let text, thread = !!body.thread;
+    if (body.messages) ({ text, thread } = threadFromMessages(body.messages));
+    else text = body.email ? emailText(new TextEncoder().encode(body.email)) : body.text.trim();
+    return {
+      text,
+      thread,
+      counterparty: body.counterparty || null,
+      deal: body.deal || null,
+      trustedDomains: (body.trustedDomains || []).map(d => d.trim().toLowerCase()),
+      reply: { tone: body.tone || "friendly", channel: body.channel || "email" },
+      secondOpinion: !!body.secondOpinion,
+      source: { api: given[0] },
+    };
+  }
+
+  let text;
+  if (type === "message/rfc822" || type === "application/vnd.ms-outlook") text = emailText(bytes);
+  else if (type === "text/plain" || !type) text = new TextDecoder().decode(bytes).trim();
+  else throw new ApiError(`Unsupported Content-Type "${type}" (use text/plain, message/rfc822 or application/json)`, 415);
+  const tone = query.get("tone") || "friendly";
+  const channel = query.get("channel") || "email";
+  if (!TONES.includes(tone)) throw new ApiError(`Unknown tone "${tone}"`);
+  if (!CHANNELS.includes(channel)) throw new ApiError(`Unknown channel "${channel}"`);
+  return {
+    text,
+    thread: FLAG.test(query.get("thread") || ""),
+    counterparty: query.get("counterparty") || null,
+    deal: query.get("deal") || null,
+    trustedDomains: (query.get("trusted") || "").split(",").map(s => s.trim().toLowerCase()).filter(Boolean),
+    reply: { tone, channel },
+    secondOpinion: FLAG.test(query.get("secondOpinion") || ""),
+    source: { api: type === "message/rfc822" || type === "application/vnd.ms-outlook" ? "email" : "text" },
+  };
+}
+
+// Parsed request -> the JSON report (lib/report.js): scored result with its plan, snapshot and safe reply.
+// ctx: { rulePack, locales, directory, trustedDomains } — the service's own settings; the request's known
+// domains are added to the service's.
+export function analyzeRequest(req, { rulePack, locales = {}, directory = null, trustedDomains = [] }){
+  if (!req.text) throw new ApiError("Nothing to analyze");
+  const counterparty = req.counterparty || guessMessageCounterparty(req.text);
+  const trusted = Array.from(new Set([...trustedDomains, ...req.trustedDomains]));
+  const opts = {
+    rulePack, locales, trustedDomains: trusted, directory, counterparty, reply: req.reply,
+    classifier: req.secondOpinion ? classifyLexicon(req.text) : null,
+  };
+  // As in the app and the CLI, text that doesn't split into at least two messages is analyzed as one.
+  const thread = req.thread === true ? splitThread(req.text) : req.thread || null;
+  const { result, snapshot, reply } = thread ? analyzeThread(req.text, thread, opts) : analyzeMessage(req.text, opts);
+  return buildReport({
+    input: { text: req.text, counterparty, deal: req.deal, thread: !!result.thread, trustedDomains: trusted, source: req.source },
+    result, snapshot, reply, rulePack,
+  });
+}
+
+// A submitted report (lib/report.js) -> the request that analyzes its input again, with the service's own
+// known domains rather than the report's and without the second opinion.
+export function requestFromReport(report){
+  const { text, thread, counterparty, deal } = report.input;
+  return {
+    text, thread: !!thread, counterparty: counterparty || null, deal: deal || null, trustedDomains: [],
+    reply: { tone: "friendly", channel: "email" }, secondOpinion: false, source: { api: "case" },
+  };
+}
+
+// GET /rules: what the service scores with, as plain JSON (patterns as regex source).
+export function rulesSummary(rulePack){
+  return {
+    id: rulePack.id,
+    version: rulePack.version,
+    base: rulePack.base,
+    thresholds: { ...rulePack.thresholds },
+    profile: rulePack.profile || null,
+    rules: rulePack.rules.map(r => ({
+      id: r.id, label: r.label, category: r.category, weight: r.weight, when: r.when,
+      ...(r.signal ? { signal: r.signal } : {}),
+      ...(r.field ? { field: r.field } : {}),
+      patterns: r.regexes.map(re => re.source),
+      plan: r.plan,
+    })),
+  };
+}
+
+// True when `level` is at or above `minLevel` ("MEDIUM" | "HIGH").
+export function reachesLevel(level, minLevel){
+  return LEVELS.indexOf(level) >= LEVELS.indexOf(minLevel);
+}
+
+// Body of the webhook sent when a report reaches the configured level: a summary to route on, plus the
+// report itself.
+export function webhookPayload(report, { minLevel, sentAt = new Date().toISOString() }){
+  return {
+    event: "analysis.risk",
+    sentAt,
+    minLevel,
+    level: report.level,
+    score: report.score,
+    counterparty: report.input.counterparty,
+    deal: report.input.deal,
+    reasons: report.result.reasons
+      .filter(r => !r.verified)
+      .sort((a, b) => b.pts - a.pts)
+      .map(r => ({ id: r.id, label: r.label, category: r.category, pts: r.pts })),
+    report,
+  };
+}
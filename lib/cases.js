@@ -0,0 +1,181 @@
+// Case queue with four-eyes approval: an analysis saved as a case (its JSON report — result, snapshot and
+// reply), assigned to a reviewer, commented on and moved open -> verifying -> approved / rejected before a
+// payment is released. Whoever submitted a case can never approve it, and once a reviewer is assigned only
+// they can decide it; submitting and deciding take an identity the service vouches for (a personal API
+// key), and the service scores every submitted report again. Every change is appended to the case's history. The local service keeps the cases
+// (bin/serve.js --cases); the app's Case queue card works on them there. Pure — no DOM access.
+import { parseReport, ReportError } from "./report.js";
+import { ApiError, LEVELS } from "./api.js";
+
+export const CASE_FORMAT = "dealshield-cases";
+export const CASE_VERSION = 1;
+export const CASE_STATES = ["open", "verifying", "approved", "rejected"];
+export const CASE_STATE_TEXT = { open: "Open", verifying: "Verifying", approved: "Approved", rejected: "Rejected" };
+// state -> states a case may move to; an approved case is final, a rejected one can be reopened.
+export const CASE_TRANSITIONS = { open: ["verifying", "rejected"], verifying: ["approved", "rejected", "open"], approved: [], rejected: ["open"] };
+const DECISIONS = new Set(["approved", "rejected"]);
+
+const userKey = (name) => String(name || "").trim().toLowerCase();
+export const sameUser = (a, b) => !!userKey(a) && userKey(a) === userKey(b);
+
+function actor(by){
+  const name = String(by || "").trim();
+  if (!name) throw new ApiError("Who is acting? Use a personal API key or send X-DealShield-User", 400);
+  return name;
+}
+
+// Submitting and deciding are what the four-eyes rule counts, so a name the client merely sends
+// (X-DealShield-User) doesn't do: two names on one shared key can be the same person.
+function vouchedActor(by, verified, what){
+  const who = actor(by);
+  if (!verified) throw new ApiError(`${what} takes a personal API key (--user name:key); a name sent in X-DealShield-User isn't enough`, 403);
+  return who;
+}
+
+export function emptyCaseStore(){
+  return { format: CASE_FORMAT, version: CASE_VERSION, cases: [] };
+}
+
+// Parsed JSON of the store file -> store; throws ApiError when it isn't one.
+export function parseCaseStore(value){
+  if (!value || value.format !== CASE_FORMAT || !Array.isArray(value.cases)) throw new ApiError(`Not a DealShield case store (format "${CASE_FORMAT}" expected)`, 500);
+  if (value.version > CASE_VERSION) throw new ApiError(`Case store version ${value.version} is newer than this DealShield (${CASE_VERSION})`, 500);
+  return value;
+}
+
+// "C-0001", "C-0002", … after the highest number in use.
+export function nextCaseId(cases){
+  const n = cases.reduce((max, c) => Math.max(max, Number((/^C-(\d+)$/.exec(c.id) || [])[1]) || 0), 0);
+  return `C-${String(n + 1).padStart(4, "0")}`;
+}
+
+// Counted reasons that say the payee or the payment details changed.
+export function payeeChanged(report){
+  return report.result.reasons.some(r => r.category === "payee_change" && !r.verified && r.pts > 0);
+}
+
+function touch(c, by, at, action, extra = {}){
+  return { ...c, updatedAt: at, history: [...c.history, { at, by, action, ...extra }] };
+}
+
+// Report (as the app exports it, or its JSON text) -> report; ApiError 400 when it isn't one.
+export function readCaseReport(report){
+  try {
+    return parseReport(report);
+  } catch (e) {
+    if (e instanceof ReportError) throw new ApiError(e.message, 400, e.errors);
+    throw e;
+  }
+}
+
+// Report -> a new open case submitted by `by`. rescored: the service's own report on the same input
+// (report.input); the case is queued at the riskier of the two, so editing the submitted score or level
+// can't move a case down the queue.
+export function newCase(report, { id, by, verified = false, rescored, assignee = null, now = new Date().toISOString() }){
+  const who = vouchedActor(by, verified, "Submitting a case");
+  const r = readCaseReport(report);
+  const riskier = LEVELS.indexOf(rescored.level) > LEVELS.indexOf(r.level)
+    || (rescored.level === r.level && rescored.score > r.score) ? rescored : r;
+  const c = {
+    id,
+    title: [r.input.counterparty || r.snapshot.counterparty || "Unknown counterparty", r.input.deal, r.snapshot.amount].filter(Boolean).join(" · "),
+    createdAt: now,
+    updatedAt: now,
+    submittedBy: who,
+    assignee: null,
+    state: "open",
+    level: riskier.level,
+    score: riskier.score,
+    counterparty: r.input.counterparty || r.snapshot.counterparty || null,
+    deal: r.input.deal || null,
+    payeeChange: payeeChanged(r) || payeeChanged(rescored),
+    report: r,
+    comments: [],
+    history: [{ at: now, by: who, action: "submitted" }],
+  };
+  return assignee ? assignCase(c, assignee, { by: who, now }) : c;
+}
+
+// Reviewer -> assigned (null unassigns). The submitter can't review their own case.
+export function assignCase(c, assignee, { by, now = new Date().toISOString() }){
+  const who = actor(by);
+  const name = assignee ? String(assignee).trim() : null;
+  if (DECISIONS.has(c.state)) throw new ApiError(`Case ${c.id} is ${c.state}; reopen it to reassign`, 409);
+  if (name && sameUser(name, c.submittedBy)) throw new ApiError(`${name} submitted case ${c.id} and can't also review it`, 409);
+  return touch({ ...c, assignee: name || null }, who, now, "assigned", { assignee: name || null });
+}
+
+export function commentCase(c, text, { by, now = new Date().toISOString() }){
+  const who = actor(by);
+  const body = String(text || "").trim();
+  if (!body) throw new ApiError("Empty comment", 400);
+  return touch({ ...c, comments: [...c.comments, { at: now, by: who, text: body }] }, who, now, "commented");
+}
+
+// Moves the case to `state`. Approving takes a second person: never the submitter, and the assigned
+// reviewer when there is one (who also makes any rejection). verified: `by` comes from a personal key.
+export function moveCase(c, state, { by, verified = false, note = "", now = new Date().toISOString() }){
+  const who = DECISIONS.has(state) ? vouchedActor(by, verified, `Marking a case ${state}`) : actor(by);
+  if (!CASE_STATES.includes(state)) throw new ApiError(`Unknown state "${state}" (one of ${CASE_STATES.join(", ")})`, 400);
+  if (!CASE_TRANSITIONS[c.state].includes(state)) throw new ApiError(`Case ${c.id} can't go from ${c.state} to ${state}`, 409);
+  if (state === "approved" && sameUser(who, c.submittedBy)){
+    throw new ApiError(`Four-eyes rule: ${who} submitted case ${c.id}, so someone else has to approve it`, 403);
+  }
+  if (DECISIONS.has(state) && c.assignee && !sameUser(who, c.assignee)){
+    throw new ApiError(`Case ${c.id} is assigned to ${c.assignee}; only they can mark it ${state}`, 403);
+  }
+  const text = String(note || "").trim();
+  return touch({ ...c, state }, who, now, "state", { from: c.state, to: state, ...(text ? { note: text } : {}) });
+}
+
+// States the case can move to next, and whether `user` may make each move (with the reason when not).
+// verified: `user` comes from a personal key.
+export function caseMoves(c, user, verified = false){
+  return CASE_TRANSITIONS[c.state].map(state => {
+    let blocked = null;
+    if (DECISIONS.has(state) && !verified) blocked = "Takes a personal API key";
+    else if (state === "approved" && sameUser(user, c.submittedBy)) blocked = "You submitted this case; someone else has to approve it";
+    else if (DECISIONS.has(state) && c.assignee && !sameUser(user, c.assignee)) blocked = `Assigned to ${c.assignee}`;
+    return { state, blocked };
+  });
+}
+
+// The queue row of a case: everything but the report, comments and history.
+export function caseSummary(c){
+  const { report: _report, comments, history: _history, ...rest } = c;
+  return { ...rest, comments: comments.length };
+}
+
+// filter: { level: "HIGH" | "MEDIUM,HIGH" | …, state, assignee } -> summaries, undecided cases first, then the
+// riskiest, then the most recently changed.
+export function filterCases(cases, { level = null, state = null, assignee = null } = {}){
+  const levels = level ? level.toUpperCase().split(",").map(s => s.trim()).filter(Boolean) : null;
+  const states = state ? state.toLowerCase().split(",").map(s => s.trim()).filter(Boolean) : null;
+  return cases
+    .filter(c => (!levels || levels.includes(c.level)) && (!states || states.includes(c.state)) && (!assignee || sameUser(c.assignee, assignee)))
+    .sort((a, b) => DECISIONS.has(a.state) - DECISIONS.has(b.state)
+      || LEVELS.indexOf(b.level) - LEVELS.indexOf(a.level)
+      || b.score - a.score
+      || (a.updatedAt < b.updatedAt ? 1 : a.updatedAt > b.updatedAt ? -1 : 0))
+    .map(caseSummary);
+}
+
+// "C-0007 · HIGH 82 · payee change · Acme Ltd · 4,200.00 EUR · verifying · by Ann, reviewer Bob"
+export function caseLine(c){
+  return [
+    c.id,
+    `${c.level} ${c.score}`,
+    c.payeeChange ? "payee change" : null,
+    c.title,
+    CASE_STATE_TEXT[c.state].toLowerCase(),
+    `by ${c.submittedBy}${c.assignee ? `, reviewer ${c.assignee}` : ", unassigned"}`,
+  ].filter(Boolean).join(" · ");
+}
+
+// One history entry as a line: "2026-03-06T08:40:00.000Z Bob: verifying -> approved (called the known number)"
+export function caseHistoryText(h){
+  const what = h.action === "state" ? `${h.from} -> ${h.to}${h.note ? ` (${h.note})` : ""}`
+    : h.action === "assigned" ? (h.assignee ? `assigned to ${h.assignee}` : "unassigned")
+    : h.action;
+  return `${h.at} ${h.by}: ${what}`;
+}
@@ -0,0 +1,183 @@
+// Verification checklist: every item of the verification plan becomes a task with a status, who
+// checked it and when, notes and evidence files (stored by SHA-256; web/history-store.js keeps the
+// bytes). Each change appends a hash-chained audit entry, so an edited or deleted entry breaks the chain,
+// and the score reads item state replayed from that chain rather than the items as saved.
+// Completed checks feed back into the score: a reason whose checks are all done stops counting, and a
+// failed check puts the message at HIGH. Pure — no DOM access.
+import { sha256, toHex } from "./hash.js";
+import { levelFor } from "./rules.js";
+
+export const CHECK_STATUSES = ["open", "done", "failed", "n/a"];
+export const DEFAULT_PLAN_ITEM = "Proceed with standard invoicing and confirm details in writing.";
+export const CHECK_STATUS_TEXT = { open: "Open", done: "Done", failed: "Failed", "n/a": "N/A" };
+
+const hex = (s) => toHex(sha256(s));
+
+// Checklists are keyed by the analyzed text, so analyzing the same message again reopens its checklist.
+export function checklistKey(text){
+  return hex(text.trim());
+}
+
+// The plan as shown: the triggered rules' items, or the default one when none triggered.
+export function planItems(result){
+  return result.plan && result.plan.length ? result.plan : [DEFAULT_PLAN_ITEM];
+}
+
+// Plan item -> rule ids whose plan contains it (the reasons a completed check answers).
+function planRules(result, rulePack){
+  const out = new Map();
+  for (const r of result.reasons){
+    const rule = rulePack.rules.find(x => x.id === r.id);
+    for (const p of rule ? rule.plan : []){
+      if (!out.has(p)) out.set(p, []);
+      if (!out.get(p).includes(r.id)) out.get(p).push(r.id);
+    }
+  }
+  return out;
+}
+
+// result + compiled rule pack (+ the checklist saved for the same text) -> checklist:
+// { key, items: [{ id, text, rules, status, by, at, notes, evidence: [{ name, type, size, sha256 }] }], audit }.
+// Saved items keep their status; items no longer in the plan are kept while they carry any work.
+export function buildChecklist(text, result, rulePack, saved = null){
+  const rules = planRules(result, rulePack);
+  const plan = planItems(result);
+  const old = new Map((saved ? saved.items : []).map(i => [i.id, i]));
+  const items = plan.map(p => {
+    const id = hex(p).slice(0, 12);
+    const prev = old.get(id);
+    old.delete(id);
+    const item = { id, text: p, rules: rules.get(p) || [], status: "open", by: null, at: null, notes: "", evidence: [] };
+    return prev ? { ...prev, ...item, status: prev.status, by: prev.by, at: prev.at, notes: prev.notes, evidence: prev.evidence } : item;
+  });
+  for (const prev of old.values()){
+    if (prev.status !== "open" || prev.notes || prev.evidence.length) items.push({ ...prev, rules: [] });
+  }
+  return { key: checklistKey(text), items, audit: saved ? saved.audit : [] };
+}
+
+function entryHash(e){
+  return hex(JSON.stringify([e.seq, e.at, e.by, e.item, e.text, e.status, e.notes, e.evidence, e.prev]));
+}
+
+// change: { status?, notes?, evidence? (one file record to add) }; meta: { by, at }.
+// Returns a new checklist with the item updated and one audit entry appended.
+export function updateCheck(checklist, itemId, change, { by = null, at = new Date().toISOString() } = {}){
+  const item = checklist.items.find(i => i.id === itemId);
+  if (!item) throw new Error(`Unknown checklist item ${itemId}`);
+  if (change.status && !CHECK_STATUSES.includes(change.status)) throw new Error(`Unknown status "${change.status}"`);
+  const next = {
+    ...item,
+    status: change.status || item.status,
+    notes: change.notes ?? item.notes,
+    evidence: change.evidence ? [...item.evidence, change.evidence] : item.evidence,
+    by,
+    at,
+  };
+  const last = checklist.audit[checklist.audit.length - 1];
+  const entry = {
+    seq: checklist.audit.length + 1,
+    at,
+    by,
+    item: itemId,
+    text: item.text,
+    status: next.status,
+    notes: next.notes,
+    evidence: change.evidence || null,
+    // The first entry chains to the message itself.
+    prev: last ? last.hash : checklist.key,
+  };
+  entry.hash = entryHash(entry);
+  return {
+    ...checklist,
+    items: checklist.items.map(i => i.id === itemId ? next : i),
+    audit: [...checklist.audit, entry],
+  };
+}
+
+// Item state as the audit trail records it: every item starts open and takes each of its entries in order.
+export function replayAudit(checklist){
+  const items = new Map(checklist.items.map(i => [i.id, { ...i, status: "open", by: null, at: null, notes: "", evidence: [] }]));
+  for (const e of checklist.audit){
+    const item = items.get(e.item);
+    if (!item) continue;
+    items.set(e.item, { ...item, status: e.status, by: e.by, at: e.at, notes: e.notes, evidence: e.evidence ? [...item.evidence, e.evidence] : item.evidence });
+  }
+  return [...items.values()];
+}
+
+const itemState = (i) => JSON.stringify([i.status, i.by, i.at, i.notes, i.evidence.map(e => e.sha256)]);
+
+// -> { ok, entries, head, brokenAt, mismatched }: brokenAt is the seq of the first entry that doesn't
+// match; mismatched lists the items whose saved state differs from what the audit trail replays to.
+export function verifyAudit(checklist){
+  let prev = checklist.key;
+  for (const [i, e] of checklist.audit.entries()){
+    if (e.seq !== i + 1 || e.prev !== prev || e.hash !== entryHash(e)){
+      return { ok: false, entries: checklist.audit.length, head: null, brokenAt: i + 1, mismatched: [] };
+    }
+    prev = e.hash;
+  }
+  const replayed = new Map(replayAudit(checklist).map(i => [i.id, i]));
+  const mismatched = checklist.items.filter(i => itemState(i) !== itemState(replayed.get(i.id))).map(i => i.id);
+  return { ok: !mismatched.length, entries: checklist.audit.length, head: checklist.audit.length ? prev : null, brokenAt: null, mismatched };
+}
+
+// Score with the checklist applied: reasons whose checks are all done are marked verified and stop
+// counting; any failed check adds a reason and lifts the score to the HIGH threshold.
+// Credit comes only from the replayed audit trail, and none at all when its hash chain is broken;
+// a failure claimed by either the items or the trail still counts.
+// rulePack: the compiled pack the result was scored with (its base and thresholds).
+export function applyChecklist(result, checklist, rulePack){
+  const intact = verifyAudit(checklist).brokenAt == null;
+  const replayed = replayAudit(checklist);
+  const items = (intact ? replayed : []).filter(i => i.status !== "n/a");
+  const verified = result.reasons.filter(r => {
+    const checks = items.filter(i => i.rules.includes(r.id));
+    return r.pts > 0 && checks.length && checks.every(i => i.status === "done");
+  }).map(r => r.id);
+  const failedIds = new Set([...checklist.items, ...replayed].filter(i => i.status === "failed").map(i => i.id));
+  const failed = replayed.filter(i => failedIds.has(i.id));
+
+  // Rebuilt from the base rather than subtracted, since the score may have been capped at 100.
+  const clamp = (n) => Math.max(0, Math.min(100, n));
+  const rest = result.reasons.filter(r => !verified.includes(r.id)).reduce((s, r) => s + r.pts, rulePack.base);
+  const checked = verified.length ? Math.min(result.score, clamp(rest)) : result.score;
+  const score = failed.length ? Math.max(checked, rulePack.thresholds.high) : checked;
+  const reasons = result.reasons.map(r => verified.includes(r.id) ? { ...r, verified: true } : r);
+  if (failed.length){
+    reasons.push({
+      id: "verification_failed", label: "A verification check failed", category: "verification",
+      pts: score - checked, spans: [], details: failed.map(i => i.text),
+    });
+  }
+  return {
+    ...result,
+    score,
+    level: levelFor(score, rulePack.thresholds),
+    reasons,
+    checklist: { ...checklist, scoreBefore: result.score, verified },
+  };
+}
+
+export function checkText(item){
+  const parts = [`[${CHECK_STATUS_TEXT[item.status]}] ${item.text}`];
+  if (item.status !== "open" && (item.by || item.at)) parts.push(`${item.by || "unknown"}, ${item.at}`);
+  if (item.notes) parts.push(`notes: ${item.notes}`);
+  for (const e of item.evidence) parts.push(`evidence: ${e.name} (sha256 ${e.sha256.slice(0, 16)}…)`);
+  return parts.join(" — ");
+}
+
+export function auditText(e){
+  const ev = e.evidence ? ` +${e.evidence.name}` : "";
+  return `#${e.seq} ${e.at} ${e.by || "unknown"}: ${CHECK_STATUS_TEXT[e.status]} — ${e.text}${e.notes ? ` (${e.notes})` : ""}${ev} · ${e.hash.slice(0, 16)}`;
+}
+
+export function auditSummary(checklist){
+  const v = verifyAudit(checklist);
+  if (!v.entries && v.ok) return "No checks recorded yet.";
+  if (v.brokenAt) return `hash chain BROKEN at entry #${v.brokenAt} — the audit trail was modified`;
+  return v.ok
+    ? `${v.entries} entries, hash chain intact (head ${v.head})`
+    : `hash chain intact, but ${v.mismatched.length} checklist item(s) don't match it — only the audit trail counts`;
+}
@@ -0,0 +1,159 @@
+// Second opinion: scam-pattern probabilities per sentence, from the on-device zero-shot model
+// (web/models.js) or, when it can't load, a deterministic phrase lexicon. Patterns the message
+// reads like become "model_*" signals for the rule pack, so their points stay separate from the
+// keyword rules and each is attributed to the sentences that raised it. Pure — no DOM access.
+import { parseHeaderBlock } from "./email.js";
+
+// hypothesis: completes "This message …" for the zero-shot model.
+// cues: the lexicon fallback; a sentence matching every group reads like the pattern. Each group says
+// something specific to the scam ("new" about the bank details, "before" about the release), so one broad
+// word from each group in an ordinary sentence isn't a match.
+export const SCAM_PATTERNS = [
+  {
+    id: "advance_fee",
+    label: "advance-fee",
+    hypothesis: "asks for a fee to be paid before money or goods are released",
+    cues: [
+      /\b(?:pay|settle|cover|send|transfer|remit|wire|clear|requir)\w*/iu,
+      /\b(?:fees?|charges?|costs?|tax(?:es)?|dut(?:y|ies)|levy|commission|clearance|processing|activation|onboarding|registration|(?:gift ?)?card codes?|vouchers?)\b/iu,
+      // The payment comes first: "pay … first", "upfront", "before we can release the funds".
+      /\b(?:upfront|up-front|in advance|first (?:pay|send|settle|cover|transfer)|(?:pay|settle|cover|send|transfer|remit|wire)\w*\s+(?:[\w$€£¥.,]+\s+){0,4}?first|(?:before|prior to|until)\s+(?:we|i|you|they|it|(?:the|your|our)\s+\w+)\s+(?:\w+\s+){0,2}?(?:release|send|sent|ship|deliver|transfer|process|pay|disburs|unlock|receiv|credit)\w*|(?:so (?:that )?(?:we|i|you) can|to) (?:release|unlock|receive|start|activate|process|proceed)|once (?:paid|received|settled))\b/iu,
+    ],
+  },
+  {
+    id: "payee_change",
+    label: "BEC / payee change",
+    hypothesis: "asks to send a payment to new or changed bank details",
+    cues: [
+      // "new" / "changed" about the bank details themselves, not anything else in the sentence.
+      /\b(?:(?:new|updated?|changed?|different|alternative|another)\s+(?:\w+\s+){0,2}?(?:bank(?:ing)?|account|iban|beneficiary|remittance|wiring|(?:payment|wire) (?:details|information|instructions))|(?:bank(?:ing)?|account|iban|beneficiary|remittance|payment|wiring)\s+(?:details|information|info|instructions|number)\s+(?:have|has)\s+(?:\w+\s+)?(?:changed|updated|moved)|(?:changed|moved|switched)\s+(?:our|my|the)\s+(?:\w+\s+)?(?:bank|account|banking))\b/iu,
+      /\b(?:bank|account|iban|beneficiary|remittance|wiring|payment)\s*(?:details|information|info|instructions|number|account)?\b/iu,
+      /\b(?:pay(?:ment)?s?|send|transfer|remit|wire|direct|use|settle)\w*/iu,
+    ],
+  },
+  {
+    id: "impersonation",
+    label: "impersonation",
+    hypothesis: "pretends to be an executive, a bank or an official organisation",
+    cues: [
+      /\b(?:ceo|cfo|director|president|chairman|bank|irs|hmrc|tax office|police|court|government|customs|microsoft|paypal|amazon|apple|dhl|fedex|ups)\b/iu,
+      /\b(?:on behalf of|this is|from the office of|department|official|security team|compliance|account (?:is )?(?:suspended|locked|on hold)|verify your|i need (?:you|a favou?r)|are you at your desk|in (?:a )?meetings?)\b/iu,
+      /\b(?:gift ?cards?|urgent(?:ly)?|immediately|discreet(?:ly)?|confidential|credentials|password|log ?in|personal favou?r)\b/iu,
+    ],
+  },
+  {
+    id: "overpayment",
+    label: "overpayment",
+    hypothesis: "says too much money was sent and asks for the difference back",
+    cues: [
+      /\b(?:over-?pa(?:id|yment)|too much|more than|extra|excess|by mistake|in error|difference|surplus)\b/iu,
+      /\b(?:send|return|refund|wire|transfer|give|pay)\w*\s+(?:\w+\s+)?(?:back|the (?:difference|rest|balance|excess|remaining))\b/iu,
+      /\b(?:cheque|check|money order|payment|transfer|deposit|amount|sum|invoice|account|funds|money|western union|moneygram)s?\b/iu,
+    ],
+  },
+  {
+    id: "romance_investment",
+    label: "romance / investment",
+    hypothesis: "promises love or guaranteed investment returns in exchange for money",
+    cues: [
+      /\b(?:love|darling|dearest|honey|sweetheart|my heart|soul ?mate|invest\w*|trading|crypto|bitcoin|platform|portfolio|profits?|returns?|roi)\b/iu,
+      /\b(?:guarantee\w*|risk[- ]free|no risk|double|triple|\d+\s?% (?:daily|weekly|monthly|per (?:day|week|month))|passive income|financial freedom|our future|together forever)\b/iu,
+      /\b(?:send|deposit|invest|transfer|top ?up|fund|pay|earn|made|making)\w*/iu,
+    ],
+  },
+];
+
+// A pattern becomes a reason at this probability; sentences at or above it are its spans.
+export const PATTERN_THRESHOLD = 0.7;
+// Sentences the model reads (each is one pass per pattern): the first ones of the body.
+export const MAX_SENTENCES = 24;
+const MIN_SENTENCE = 12;
+// Lexicon: probability by the number of cue groups one sentence matches.
+const LEXICON_PROBABILITY = [0.02, 0.15, 0.4, 0.8];
+
+// Sentences of text[from..] as { start, end, text }, short fragments (greetings, sign-offs) left out.
+export function splitSentences(text, from = 0, max = MAX_SENTENCES){
+  const out = [];
+  const re = /[^.!?\n]+(?:[.!?]+|\n|$)/gu;
+  re.lastIndex = from;
+  let m;
+  while ((m = re.exec(text)) && out.length < max){
+    if (!m[0]){
+      re.lastIndex++;
+      continue;
+    }
+    const lead = m[0].length - m[0].trimStart().length;
+    const body = m[0].trim();
+    if (body.length < MIN_SENTENCE) continue;
+    const start = m.index + lead;
+    out.push({ start, end: start + body.length, text: body });
+  }
+  return out;
+}
+
+// Deterministic fallback: [{ patternId: probability }] per sentence.
+export function lexiconScores(sentences){
+  return sentences.map(s => Object.fromEntries(SCAM_PATTERNS.map(p => [
+    p.id, LEXICON_PROBABILITY[p.cues.filter(re => re.test(s.text)).length],
+  ])));
+}
+
+// Per-sentence scores -> { source, model, patterns: [{ id, label, probability, sentences }] }, heaviest
+// first. A pattern's probability is that of its strongest sentence; source: "model" | "lexicon".
+export function classifySentences(sentences, scores, { source, model = null } = {}){
+  const patterns = SCAM_PATTERNS.map(p => {
+    const hits = sentences
+      .map((s, i) => ({ ...s, probability: (scores[i] && scores[i][p.id]) || 0 }))
+      .sort((a, b) => b.probability - a.probability);
+    return {
+      id: p.id,
+      label: p.label,
+      probability: hits.length ? hits[0].probability : 0,
+      sentences: hits.filter(s => s.probability >= PATTERN_THRESHOLD).slice(0, 3),
+    };
+  });
+  return { source, model, patterns: patterns.sort((a, b) => b.probability - a.probability) };
+}
+
+// The lexicon's classification of a whole message (body only), e.g. for the CLI, which has no model.
+export function classifyLexicon(text){
+  const email = parseHeaderBlock(text);
+  const sentences = splitSentences(text, email ? email.bodyStart : 0);
+  return classifySentences(sentences, lexiconScores(sentences), { source: "lexicon" });
+}
+
+const pct = (p) => `${Math.round(p * 100)}%`;
+
+// Signal map for the rule pack ("model_<pattern>" signal rules, see rules/default.json).
+export function classifierSignals(classification){
+  const out = {};
+  if (!classification) return out;
+  const by = classification.source === "model" ? "on-device model" : "phrase lexicon";
+  for (const p of classification.patterns){
+    if (p.probability < PATTERN_THRESHOLD || !p.sentences.length) continue;
+    out[`model_${p.id}`] = p.sentences.map(s => ({ start: s.start, end: s.end, text: s.text, detail: `${pct(p.probability)} (${by})` }));
+  }
+  return out;
+}
+
+// What the second opinion added: its probabilities and the points of its reasons, next to the points
+// of every other reason. reasons: the scored result's reasons.
+export function secondOpinionSummary(classification, reasons){
+  const sum = (list) => list.reduce((n, r) => n + r.pts, 0);
+  return {
+    source: classification.source,
+    model: classification.model,
+    points: sum(reasons.filter(r => r.category === "model")),
+    rulePoints: sum(reasons.filter(r => r.category !== "model")),
+    patterns: classification.patterns.map(({ id, label, probability }) => ({ id, label, probability })),
+  };
+}
+
+const signed = (n) => (n < 0 ? String(n) : `+${n}`);
+
+// "Rules +52 · second opinion (on-device model) +14: advance-fee 91%, BEC / payee change 34%"
+export function secondOpinionText(opinion){
+  const by = opinion.source === "model" ? "on-device model" : "phrase lexicon";
+  const top = opinion.patterns.filter(p => p.probability >= 0.1).slice(0, 3).map(p => `${p.label} ${pct(p.probability)}`);
+  return `Rules ${signed(opinion.rulePoints)} · second opinion (${by}) ${signed(opinion.points)}: ${top.length ? top.join(", ") : "no scam pattern"}`;
+}
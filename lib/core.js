@@ -0,0 +1,509 @@
+// Headless analysis pipeline shared by the browser UI (app.js) and the CLI (bin/dealshield.js):
+// field extractors, scoring, Deal Snapshot, safe reply and report builders. Rule and locale packs
+// are passed in already compiled, so callers decide how to load them. Pure — no DOM access.
+import { evaluateRules, findSpans, mergeSignals, levelFor } from "./rules.js";
+import { extractPaymentInstruments, paymentSignals } from "./payments.js";
+import { countryName } from "./countries.js";
+import { historySignals, guessCounterparty } from "./history.js";
+import { parseHeaderBlock, emailSignals, emailSummary, senderOf, headerValues } from "./email.js";
+import { parseInvoice, invoiceSignals, invoiceSummary } from "./invoice.js";
+import { formatMoney, normalizeDigits } from "./numbers.js";
+import { parseDate } from "./dates.js";
+import { detectLanguage } from "./language.js";
+import { localizeRulePack } from "./locales.js";
+import { analyzeUrls, urlSignals, linkVerdictText } from "./urls.js";
+import { extractAmounts, paymentShares, primaryAmount, amountSignals, amountText } from "./amounts.js";
+import { profileText } from "./profile.js";
+import { extractParties, partySignals, partiesSummary } from "./parties.js";
+import { safeReply } from "./reply.js";
+import { checkText, auditText, auditSummary, planItems } from "./checklist.js";
+import { directorySignals, directoryDomains } from "./directory.js";
+import { classifierSignals, secondOpinionSummary, secondOpinionText } from "./classifier.js";
+import { extractTerms, termSignals, scheduleSummary } from "./terms.js";
+import { registrableDomain } from "./domains.js";
+
+// Earliest deadline phrase: English forms, numeric dates and the locale's own phrases.
+export function extractDeadline(text, locale = null){
+  const re = /\b(in\s+\d{1,3}\s+(days?|weeks?)|by\s+\w+\s+\d{1,2}|\b\d{1,2}[./]\d{1,2}[./]\d{2,4}\b|\b\d{4}-\d{2}-\d{2}\b)\b/ig;
+  const spans = findSpans(normalizeDigits(text), [re, ...(locale ? locale.deadline : [])]);
+  return spans.length ? text.slice(spans[0].start, spans[0].end) : null;
+}
+
+// "15.03.2026" -> "15.03.2026 (2026-03-15)" when the phrase contains a parseable date.
+export function describeDeadline(raw, locale = null){
+  if (!raw) return null;
+  const iso = parseDate(normalizeDigits(raw).replace(/^\D+/, ""), { dayFirst: locale ? locale.dayFirst : false });
+  return iso && iso !== raw ? `${raw} (${iso})` : raw;
+}
+
+// An invoice's due date beats the first date in the text (often the issue date); invoice: parseInvoice() result.
+export function invoiceDeadline(text, invoice, locale = null){
+  const due = invoice && invoice.isInvoice ? invoice.dueDate : null;
+  if (!due) return describeDeadline(extractDeadline(text, locale), locale);
+  return due.iso && due.iso !== due.raw ? `${due.raw} (${due.iso})` : due.raw;
+}
+
+// Invoices often state the total without a currency symbol next to it.
+export function invoiceAmount(invoice){
+  return invoice && invoice.total ? formatMoney(invoice.total.value, invoice.currency) : null;
+}
+
+export function detectPayment(text, instruments = [], locale = null){
+  const hits = [];
+  const types = new Set(instruments.map(i => i.type));
+  if (/(iban|swift|bank transfer|wire)/i.test(text) || ["iban","bic","account","routing","sort_code"].some(k => types.has(k))) hits.push("Bank transfer");
+  if (/(paypal)/i.test(text)) hits.push("PayPal");
+  if (/(crypto|usdt|btc|eth|wallet)/i.test(text) || types.has("wallet")) hits.push("Crypto");
+  if (/(gift card|voucher)/i.test(text)) hits.push("Gift cards");
+  for (const [label, res] of Object.entries(locale ? locale.payment : {})){
+    if (res.some(re => { re.lastIndex = 0; return re.test(text); })) hits.push(label);
+  }
+  if (!hits.length) return "Unspecified";
+  return Array.from(new Set(hits)).join(", ");
+}
+
+// Body of an imported/pasted email (after its header block), or the whole text.
+export function messageBody(text){
+  const email = parseHeaderBlock(text);
+  return email ? text.slice(email.bodyStart) : text;
+}
+
+// Language of the message body; callers load the matching locale pack before scoreRisk().
+export function detectInputLanguage(text){
+  return detectLanguage(messageBody(text));
+}
+
+// Signature / company name in the body, else the sender's domain or display name.
+export function guessMessageCounterparty(text){
+  const block = parseHeaderBlock(text);
+  const sender = block ? senderOf(block) : null;
+  return guessCounterparty(messageBody(text)) || (sender && (sender.domain || sender.name)) || null;
+}
+
+// opts:
+//   rulePack       — compiled rule pack (lib/rules.js compileRulePack), required
+//   locales        — { code: compiled locale pack } (lib/locales.js); the detected language's pack is used
+//   history        — earlier records for the same counterparty (see lib/history.js), any order
+//   knownDomains   — sender domains in the whole local history (enables first-contact checks)
+//   trustedDomains — known-good counterparty domains for look-alike checks (brands are built in)
+//   directory      — counterparty directory (lib/directory.js): trusted records and blocklist
+//   signals        — extra signal maps from outside the message, e.g. thread signals (lib/thread.js)
+//   classifier     — second-opinion sentence classification of this text (lib/classifier.js)
+export function scoreRisk(text, { rulePack, locales = {}, history = [], knownDomains = null, trustedDomains = [], directory = null, signals = {}, classifier = null } = {}){
+  if (!rulePack) throw new Error("Rule pack not loaded");
+  const counterpartyDomains = history.map(r => r.senderDomain).filter(Boolean);
+  const trusted = [...trustedDomains, ...directoryDomains(directory), ...counterpartyDomains];
+  // Imported/pasted emails start with a header block; links come from the body only.
+  const email = parseHeaderBlock(text);
+  const detected = detectLanguage(email ? text.slice(email.bodyStart) : text);
+  const locale = locales[detected.code] || null;
+  const language = { ...detected, decimal: locale ? locale.decimal : ".", localized: !!locale };
+  const links = analyzeUrls(text, { from: email ? email.bodyStart : 0, trustedDomains: trusted });
+  const instruments = extractPaymentInstruments(text);
+  const invoice = parseInvoice(text, { dayFirst: locale ? locale.dayFirst : false });
+  const from = email ? email.bodyStart : 0;
+  const amounts = extractAmounts(text, { decimal: language.decimal, from, locale });
+  const shares = paymentShares(text, { from, locale });
+  const main = primaryAmount(amounts);
+  const parties = extractParties(text, { email, locale });
+  const terms = extractTerms(text, { from, email, amounts, shares, dayFirst: locale ? locale.dayFirst : false });
+  // No earlier message from this counterparty, nor from its domain.
+  const sender = email ? senderOf(email) : null;
+  const firstTime = !history.length && !(knownDomains && sender && sender.domain &&
+    knownDomains.some(d => registrableDomain(d) === registrableDomain(sender.domain)));
+  const result = evaluateRules(localizeRulePack(rulePack, locale), {
+    text,
+    fields: {
+      amount: main ? main.raw : invoiceAmount(invoice),
+      deadline: invoiceDeadline(text, invoice, locale),
+    },
+    signals: mergeSignals(
+      paymentSignals(text, instruments),
+      historySignals({
+        instruments,
+        amount: main ? main.raw : null,
+        amountSpan: main,
+        decimal: language.decimal,
+      }, history),
+      emailSignals(text, email, {
+        knownDomains,
+        counterpartyDomains,
+        trustedDomains: trusted,
+      }),
+      invoiceSignals(invoice),
+      urlSignals(links),
+      amountSignals(amounts, shares, { history }),
+      termSignals(terms, { firstTime }),
+      partySignals(parties),
+      directorySignals({ text, email, links, instruments, parties }, directory),
+      classifierSignals(classifier),
+      signals,
+    ),
+  });
+  return {
+    ...result, links, instruments, amounts, shares, terms, parties, email, invoice: invoice.isInvoice ? invoice : null, language,
+    secondOpinion: classifier ? secondOpinionSummary(classifier, result.reasons) : null,
+    profile: rulePack.profile || null,
+  };
+}
+
+export function localeFor(result, locales = {}){
+  return (result.language && locales[result.language.code]) || null;
+}
+
+export function languageText(language){
+  if (!language) return null;
+  const how = language.code === "en" ? "" : language.localized ? " — localized rules, bilingual reply" : " — English rules only";
+  return `${language.name} (${language.code}${language.confidence ? `, ${Math.round(language.confidence * 100)}%` : ""})${how}`;
+}
+
+// Deal Snapshot for a scored message. extra: { counterparty, historyCount }.
+export function buildSnapshot(text, result, { locales = {}, ...extra } = {}){
+  const locale = localeFor(result, locales);
+  return {
+    amount: primaryAmount(result.amounts) ? primaryAmount(result.amounts).raw : invoiceAmount(result.invoice),
+    amounts: result.amounts,
+    deadline: invoiceDeadline(text, result.invoice, locale),
+    schedule: scheduleSummary(result.terms),
+    payment: detectPayment(text, result.instruments, locale),
+    language: languageText(result.language),
+    instruments: result.instruments,
+    invoice: invoiceSummary(result.invoice),
+    links: result.links,
+    parties: partiesSummary(result.parties),
+    counterparty: null,
+    email: emailSummary(result.email),
+    ...extra,
+  };
+}
+
+// Spans worth highlighting: exact rule matches plus every extracted link.
+export function highlightSpans(result){
+  return [...result.reasons.flatMap(r => r.spans), ...result.links];
+}
+
+// The spans that get marked, in order: the first (longest) of overlapping spans wins, empty ones are dropped.
+// Shared by the page's highlighted input and the extension's in-place highlights (extension/webmail.js).
+export function markSpans(spans){
+  const sorted = spans.slice().sort((a,b)=>a.start-b.start || b.end-a.end);
+  const out = [];
+  let pos = 0;
+  for (const s of sorted){
+    if (s.start < pos || s.end <= s.start) continue;
+    out.push(s);
+    pos = s.end;
+  }
+  return out;
+}
+
+export function escapeHtml(str){
+  return str.replace(/[&<>"']/g, (m) => ({
+    "&":"&amp;","<":"&lt;",">":"&gt;",'"':"&quot;","'":"&#039;"
+  }[m]));
+}
+
+// spans: [{ start, end, category? }] offsets into the raw (unescaped) text -> HTML with <mark>s. Each mark
+// carries its index among the marked spans (data-mark) and, when the span has one, an hl-<category> class.
+export function highlightMatches(text, spans){
+  let out = "";
+  let pos = 0;
+  for (const [i, s] of markSpans(spans).entries()){
+    const category = s.category ? ` class="hl hl-${String(s.category).replace(/[^\w-]/g, "")}"` : "";
+    out += escapeHtml(text.slice(pos, s.start))
+      + `<mark${category} data-mark="${i}" tabindex="0">${escapeHtml(text.slice(s.start, s.end))}</mark>`;
+    pos = s.end;
+  }
+  return out + escapeHtml(text.slice(pos));
+}
+
+const overlaps = (a, b) => a.start < b.end && a.end > b.start;
+
+// The marked spans with what explains them: every reason a span overlaps (heaviest first, with the first
+// plan step of its rule as the suggested action) and the link check it belongs to. category: the heaviest
+// reason's, "link" for a link alone. key ("start:end") is what dismissSpans() takes.
+export function explainSpans(result, rulePack){
+  const rules = new Map((rulePack.rules || []).map(r => [r.id, r]));
+  return markSpans(highlightSpans(result)).map(s => {
+    const reasons = result.reasons
+      .filter(r => r.spans.some(x => overlaps(x, s)))
+      .sort((a, b) => b.pts - a.pts)
+      .map(r => {
+        const rule = rules.get(r.id);
+        return { id: r.id, text: reasonText(r), category: r.category, pts: r.pts, action: rule && rule.plan.length ? rule.plan[0] : null };
+      });
+    const link = result.links.find(l => overlaps(l, s));
+    return {
+      start: s.start,
+      end: s.end,
+      key: `${s.start}:${s.end}`,
+      category: reasons.length ? reasons[0].category : "link",
+      reasons,
+      link: link ? linkVerdictText(link) : null,
+    };
+  });
+}
+
+// "What if" these marked spans (keys from explainSpans()) were false positives: a reason whose every span
+// is dismissed stops counting and is marked dismissed; reasons without spans always count. Like
+// applyChecklist(), the score is rebuilt from the base rather than subtracted, since it may have been
+// capped at 100. rulePack: the compiled pack the result was scored with (its base and thresholds).
+export function dismissSpans(result, dismissed, rulePack){
+  const keys = new Set(dismissed);
+  if (!keys.size) return result;
+  const gone = [...keys].map(k => {
+    const [start, end] = k.split(":").map(Number);
+    return { start, end };
+  });
+  const dropped = result.reasons
+    .filter(r => r.spans.length && r.spans.every(x => gone.some(g => overlaps(x, g))))
+    .map(r => r.id);
+  const clamp = (n) => Math.max(0, Math.min(100, n));
+  const score = clamp(result.reasons
+    .filter(r => !r.verified && !dropped.includes(r.id))
+    .reduce((sum, r) => sum + r.pts, rulePack.base));
+  return {
+    ...result,
+    score,
+    level: levelFor(score, rulePack.thresholds),
+    reasons: result.reasons.map(r => dropped.includes(r.id) ? { ...r, dismissed: true } : r),
+    whatIf: { scoreBefore: result.score, levelBefore: result.level, dismissed: [...keys], dropped },
+  };
+}
+
+// Rule replies of the triggered reasons as { id, index, text, pts } so locales can translate them by
+// rule id and the composer can ask the weightiest questions first.
+export function ruleRepliesOf(result, rulePack){
+  const out = [];
+  for (const r of result.reasons){
+    const rule = rulePack.rules.find(x => x.id === r.id);
+    (rule ? rule.reply : []).forEach((text, index) => out.push({ id: r.id, index, text, pts: r.pts }));
+  }
+  return out;
+}
+
+// With a locale the reply is written in the counterparty's language, English version below it.
+// opts: { tone, channel, signature, company } (see lib/reply.js).
+export function buildSafeReply(level, snapshot, ruleReplies = [], locale = null, opts = {}){
+  return safeReply({ level, snapshot, ruleReplies, template: locale ? locale.reply : null, ...opts });
+}
+
+// Score + snapshot + reply in one call (what the UI shows, minus the names only the optional NER model finds).
+// opts: scoreRisk() options plus { counterparty, historyCount, reply: buildSafeReply() opts }.
+export function analyzeMessage(text, opts = {}){
+  const { rulePack, locales = {}, history = [], knownDomains = null, trustedDomains = [], directory = null, signals, classifier, reply: replyOpts = {}, ...extra } = opts;
+  const result = scoreRisk(text, { rulePack, locales, history, knownDomains, trustedDomains, directory, signals, classifier });
+  const snapshot = buildSnapshot(text, result, { locales, historyCount: history.length, ...extra });
+  const reply = buildSafeReply(result.level, snapshot, ruleRepliesOf(result, rulePack), localeFor(result, locales), replyOpts);
+  return { result, snapshot, reply };
+}
+
+// "+12", or "-16" for reasons that lower the score (e.g. details verified in the directory).
+export function ptsText(pts){
+  return pts < 0 ? String(pts) : `+${pts}`;
+}
+
+export function reasonText(r){
+  let text = r.details && r.details.length ? `${r.label}: ${r.details.join("; ")}` : r.label;
+  // Thread mode: the message (and sender) that first raised it.
+  if (r.origin) text += ` — first in message ${r.origin.index}${r.origin.sender ? ` from ${r.origin.sender}` : ""}`;
+  return r.verified ? `${text} — verified by checklist, not counted` : text;
+}
+
+export function instrumentText(i){
+  const where = i.country ? ` [${countryName(i.country)}]` : "";
+  const status = i.valid ? (i.note ? `valid, ${i.note}` : "valid") : i.issues.join("; ");
+  return `${i.label}: ${i.display}${where} — ${status}`;
+}
+
+export { linkVerdictText, amountText, secondOpinionText };
+
+// Timeline entry of a thread (lib/thread.js) -> "#3 Maria · 04/03/2024 10:15 — MEDIUM 45 ▲ · introduced: …".
+export function timelineText(t){
+  const who = [`#${t.index}`, t.sender || "(unknown sender)", t.stamp].filter(Boolean).join(" · ");
+  const parts = [`${who} — ${t.level} ${t.score}${t.escalated ? " ▲ escalated" : ""}`];
+  if (t.introduced.length) parts.push(`introduced: ${t.introduced.map(r => r.label).join(", ")}`);
+  return parts.join(" · ");
+}
+
+export function buildMarkdownSummary(result, snapshot, reply, rawText){
+  const lines = [];
+  lines.push(`# DealShield Summary`);
+  lines.push(`**Risk:** ${result.level} (${result.score}/100)`);
+  lines.push(`**Scoring:** ${profileText(result.profile)}`);
+  if (result.secondOpinion) lines.push(`**Points:** ${secondOpinionText(result.secondOpinion)}`);
+  if (result.checklist) lines.push(`**Before checks:** ${result.checklist.scoreBefore}/100`);
+  lines.push(``);
+  lines.push(`## Deal Snapshot`);
+  lines.push(`- Counterparty: ${snapshot.counterparty || "—"}`);
+  if (snapshot.language) lines.push(`- Language: ${snapshot.language}`);
+  if (snapshot.email) lines.push(`- Email: ${snapshot.email}`);
+  lines.push(`- Parties: ${snapshot.parties || "—"}`);
+  lines.push(`- Amount: ${snapshot.amount || "—"}`);
+  if (snapshot.amounts && snapshot.amounts.length > 1){
+    for (const a of snapshot.amounts) lines.push(`  - ${amountText(a)}`);
+  }
+  lines.push(`- Deadline: ${snapshot.deadline || "—"}`);
+  if (snapshot.schedule && snapshot.schedule.length){
+    lines.push(`- Schedule:`);
+    for (const m of snapshot.schedule) lines.push(`  - ${m}`);
+  }
+  lines.push(`- Payment: ${snapshot.payment || "—"}`);
+  if (snapshot.instruments && snapshot.instruments.length){
+    for (const i of snapshot.instruments) lines.push(`  - ${instrumentText(i)}`);
+  }
+  if (snapshot.invoice && snapshot.invoice.length){
+    lines.push(`- Invoice:`);
+    for (const l of snapshot.invoice) lines.push(`  - ${l.replace(/^• /, "")}`);
+  }
+  lines.push(`- Links: ${snapshot.links.length ? "" : "—"}`);
+  for (const l of snapshot.links) lines.push(`  - ${linkVerdictText(l)}`);
+  lines.push(``);
+  lines.push(`## Reasons`);
+  if (result.reasons.length){
+    for (const r of result.reasons.slice().sort((a,b)=>b.pts-a.pts)) lines.push(`- ${reasonText(r)} (${ptsText(r.pts)})`);
+  } else {
+    lines.push(`- No major red flags detected.`);
+  }
+  lines.push(``);
+  if (result.thread){
+    lines.push(`## Thread timeline`);
+    lines.push(`${result.thread.messages} messages (${result.thread.format}) from ${result.thread.senders.join(", ")}`);
+    for (const t of result.thread.timeline) lines.push(`- ${timelineText(t)}`);
+    lines.push(``);
+  }
+  lines.push(`## Verification Plan`);
+  if (result.checklist){
+    for (const i of result.checklist.items) lines.push(`- ${checkText(i)}`);
+    lines.push(``);
+    lines.push(`### Audit trail`);
+    lines.push(auditSummary(result.checklist));
+    for (const e of result.checklist.audit) lines.push(`- ${auditText(e)}`);
+  } else {
+    for (const p of planItems(result)) lines.push(`- ${p}`);
+  }
+  lines.push(``);
+  lines.push(`## Safe Reply`);
+  lines.push("```");
+  lines.push(reply);
+  lines.push("```");
+  lines.push(``);
+  lines.push(`## Original input`);
+  lines.push("```");
+  lines.push(rawText);
+  lines.push("```");
+  return lines.join("\n");
+}
+
+export function markdownToPlain(md){
+  return md
+    .replace(/^#{1,6}\s+/gm, "")
+    .replace(/\*\*(.*?)\*\*/g, "$1")
+    .replace(/```\s*\n?/g, "")
+    .replace(/^-\s+/gm, "• ")
+    .trim();
+}
+
+export function buildHtmlReport(result, snapshot, reply, rawText){
+  const esc = (s) => (s || "").replace(/&/g,"&amp;").replace(/</g,"&lt;").replace(/>/g,"&gt;");
+  const reasons = (result.reasons && result.reasons.length)
+    ? result.reasons.slice().sort((a,b)=>b.pts-a.pts).map(r => `<li>${esc(reasonText(r))} <span style="opacity:.7;">(${ptsText(r.pts)})</span></li>`).join("")
+    : `<li>No major red flags detected.</li>`;
+  const plan = result.checklist
+    ? result.checklist.items.map(i => `<li>${esc(checkText(i))}</li>`).join("")
+    : planItems(result).map(p => `<li>${esc(p)}</li>`).join("");
+  const audit = result.checklist ? `
+  <h3>Audit trail</h3>
+  <p class="meta">${esc(auditSummary(result.checklist))}</p>
+  <ul class="audit">${result.checklist.audit.map(e => `<li>${esc(auditText(e))}</li>`).join("")}</ul>
+` : "";
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<title>DealShield Report</title>
+<style>
+  body{ font-family: ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, Arial; margin: 32px; color:#111; }
+  h1{ margin:0 0 8px; font-size: 22px; }
+  .meta{ margin: 0 0 18px; font-size: 13px; color:#444; }
+  .pill{ display:inline-block; padding:4px 10px; border-radius:999px; background:#f3f3f3; font-weight:600; }
+  h2{ margin-top: 18px; font-size: 16px; }
+  h3{ margin-top: 14px; font-size: 14px; }
+  .audit{ font-family: ui-monospace, monospace; font-size: 11px; word-break: break-all; }
+  ul{ margin: 8px 0 0 18px; }
+  pre{ background:#f7f7f7; padding:12px; border-radius:10px; white-space:pre-wrap; }
+  table{ border-collapse: collapse; margin-top: 8px; width: 100%; }
+  td{ padding:6px 8px; border-bottom:1px solid #eee; vertical-align: top; }
+  td:first-child{ width: 180px; color:#444; }
+  .small{ font-size:12px; color:#666; margin-top: 22px; }
+  @media print{ body{ margin: 18mm; } }
+</style>
+</head>
+<body>
+  <h1>DealShield Report</h1>
+  <p class="meta"><span class="pill">Risk: ${esc(result.level)} (${result.score}/100)</span></p>
+  <p class="meta">Scoring: ${esc(profileText(result.profile))}${result.checklist ? ` · before checks: ${result.checklist.scoreBefore}/100` : ""}</p>
+  ${result.secondOpinion ? `<p class="meta">${esc(secondOpinionText(result.secondOpinion))}</p>` : ""}
+
+  <h2>Deal Snapshot</h2>
+  <table>
+    <tr><td>Counterparty</td><td>${esc(snapshot.counterparty || "—")}</td></tr>
+    <tr><td>Language</td><td>${esc(snapshot.language || "—")}</td></tr>
+    <tr><td>Email</td><td>${esc(snapshot.email || "—")}</td></tr>
+    <tr><td>Parties</td><td>${esc(snapshot.parties || "—")}</td></tr>
+    <tr><td>Amount</td><td>${(snapshot.amounts && snapshot.amounts.length > 1) ? snapshot.amounts.map(a => esc(amountText(a))).join("<br>") : esc(snapshot.amount || "—")}</td></tr>
+    <tr><td>Deadline</td><td>${esc(snapshot.deadline || "—")}</td></tr>
+    <tr><td>Schedule</td><td>${(snapshot.schedule && snapshot.schedule.length) ? snapshot.schedule.map(esc).join("<br>") : "—"}</td></tr>
+    <tr><td>Payment</td><td>${esc(snapshot.payment || "—")}</td></tr>
+    <tr><td>Payment details</td><td>${(snapshot.instruments && snapshot.instruments.length) ? snapshot.instruments.map(i => esc(instrumentText(i))).join("<br>") : "—"}</td></tr>
+    <tr><td>Invoice</td><td>${(snapshot.invoice && snapshot.invoice.length) ? snapshot.invoice.map(esc).join("<br>") : "—"}</td></tr>
+    <tr><td>Links</td><td>${(snapshot.links && snapshot.links.length) ? snapshot.links.map(l => esc(linkVerdictText(l))).join("<br>") : "—"}</td></tr>
+  </table>
+
+  <h2>Reasons</h2>
+  <ul>${reasons}</ul>
+
+${result.thread ? `
+  <h2>Thread timeline</h2>
+  <p class="meta">${result.thread.messages} messages (${esc(result.thread.format)}) from ${esc(result.thread.senders.join(", "))}</p>
+  <ul>${result.thread.timeline.map(t => `<li>${esc(timelineText(t))}</li>`).join("")}</ul>
+` : ""}
+  <h2>Verification Plan</h2>
+  <ul>${plan}</ul>
+${audit}
+  <h2>Safe Reply</h2>
+  <pre>${esc(reply)}</pre>
+
+  <h2>Original input</h2>
+  <pre>${esc(rawText)}</pre>
+
+  <div class="small">Generated by DealShield (client-side).</div>
+</body>
+</html>`;
+}
+
+// Columns of the batch CSV summary (CLI directory mode).
+export const SUMMARY_COLUMNS = [
+  "file", "message", "subject", "from", "score", "level", "language", "counterparty",
+  "amount", "amounts", "deadline", "payment", "reasons",
+];
+
+export function summaryRow({ file, message = 1, result, snapshot }){
+  const from = result.email ? senderOf(result.email) : null;
+  const subject = result.email ? (headerValues(result.email, "subject")[0] || {}).value || "" : "";
+  return {
+    file,
+    message,
+    subject,
+    from: from ? from.address || from.name : "",
+    score: result.score,
+    level: result.level,
+    language: result.language ? result.language.code : "",
+    counterparty: snapshot.counterparty || "",
+    amount: snapshot.amount || "",
+    amounts: (snapshot.amounts || []).map(amountText),
+    deadline: snapshot.deadline || "",
+    payment: snapshot.payment || "",
+    reasons: result.reasons.map(r => r.id),
+  };
+}
@@ -0,0 +1,67 @@
+// ISO 3166-1 alpha-2 codes DealShield knows by name, plus common aliases. Pure — no DOM access.
+
+export const COUNTRIES = {
+  AD: "Andorra", AE: "United Arab Emirates", AL: "Albania", AR: "Argentina", AT: "Austria",
+  AU: "Australia", AZ: "Azerbaijan", BA: "Bosnia and Herzegovina", BD: "Bangladesh", BE: "Belgium",
+  BG: "Bulgaria", BH: "Bahrain", BR: "Brazil", BY: "Belarus", CA: "Canada", CH: "Switzerland",
+  CL: "Chile", CN: "China", CO: "Colombia", CR: "Costa Rica", CY: "Cyprus", CZ: "Czech Republic",
+  DE: "Germany", DK: "Denmark", DO: "Dominican Republic", EE: "Estonia", EG: "Egypt", ES: "Spain",
+  FI: "Finland", FO: "Faroe Islands", FR: "France", GB: "United Kingdom", GE: "Georgia",
+  GH: "Ghana", GI: "Gibraltar", GL: "Greenland", GR: "Greece", GT: "Guatemala", HK: "Hong Kong",
+  HR: "Croatia", HU: "Hungary", ID: "Indonesia", IE: "Ireland", IL: "Israel", IN: "India",
+  IQ: "Iraq", IS: "Iceland", IT: "Italy", JO: "Jordan", JP: "Japan", KE: "Kenya", KR: "South Korea",
+  KW: "Kuwait", KZ: "Kazakhstan", LB: "Lebanon", LC: "Saint Lucia", LI: "Liechtenstein",
+  LT: "Lithuania", LU: "Luxembourg", LV: "Latvia", LY: "Libya", MA: "Morocco", MC: "Monaco",
+  MD: "Moldova", ME: "Montenegro", MK: "North Macedonia", MR: "Mauritania", MT: "Malta",
+  MU: "Mauritius", MX: "Mexico", MY: "Malaysia", NG: "Nigeria", NL: "Netherlands", NO: "Norway",
+  NZ: "New Zealand", PE: "Peru", PH: "Philippines", PK: "Pakistan", PL: "Poland", PS: "Palestine",
+  PT: "Portugal", QA: "Qatar", RO: "Romania", RS: "Serbia", RU: "Russia", SA: "Saudi Arabia",
+  SC: "Seychelles", SE: "Sweden", SG: "Singapore", SI: "Slovenia", SK: "Slovakia", SM: "San Marino",
+  ST: "Sao Tome and Principe", SV: "El Salvador", TH: "Thailand", TL: "Timor-Leste", TN: "Tunisia",
+  TR: "Turkey", TW: "Taiwan", UA: "Ukraine", US: "United States", UZ: "Uzbekistan", VA: "Vatican City",
+  VG: "British Virgin Islands", VN: "Vietnam", XK: "Kosovo", ZA: "South Africa",
+};
+
+const ALIASES = {
+  "uk": "GB", "u.k.": "GB", "great britain": "GB", "britain": "GB", "england": "GB", "scotland": "GB", "wales": "GB",
+  "usa": "US", "u.s.": "US", "u.s.a.": "US", "united states of america": "US", "america": "US",
+  "uae": "AE", "dubai": "AE", "abu dhabi": "AE", "holland": "NL", "the netherlands": "NL",
+  "czechia": "CZ", "türkiye": "TR", "turkiye": "TR", "korea": "KR", "deutschland": "DE", "españa": "ES",
+  "brasil": "BR", "россия": "RU", "hong kong sar": "HK",
+};
+
+// Abbreviations only count when written in capitals ("US", not the pronoun "us").
+const ABBREVIATIONS = new Set(["uk", "u.k.", "usa", "u.s.", "u.s.a.", "uae"]);
+
+const NAME_TO_CODE = Object.fromEntries([
+  ...Object.entries(COUNTRIES).map(([code, name]) => [name.toLowerCase(), code]),
+  ...Object.entries(ALIASES),
+]);
+
+const NAME_RE = new RegExp(
+  "(?<![\\p{L}.])(" + Object.keys(NAME_TO_CODE)
+    .sort((a,b)=>b.length-a.length)
+    .map(n => n.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+    .join("|") + ")(?![\\p{L}])",
+  "giu"
+);
+
+export function isCountryCode(code){
+  return Object.prototype.hasOwnProperty.call(COUNTRIES, code);
+}
+
+export function countryName(code){
+  return COUNTRIES[code] || code;
+}
+
+// Country mentions by name/alias: [{ code, start, end, text }].
+export function findCountryMentions(text){
+  const out = [];
+  NAME_RE.lastIndex = 0;
+  let m;
+  while ((m = NAME_RE.exec(text))){
+    if (ABBREVIATIONS.has(m[0].toLowerCase()) && m[0] !== m[0].toUpperCase()) continue;
+    out.push({ code: NAME_TO_CODE[m[0].toLowerCase()], start: m.index, end: m.index + m[0].length, text: m[0] });
+  }
+  return out;
+}
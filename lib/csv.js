@@ -0,0 +1,44 @@
+// Minimal RFC 4180 CSV writer and reader. Pure — no DOM access.
+
+function cell(v){
+  if (v == null) return "";
+  const s = Array.isArray(v) ? v.join("; ") : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// rows: array of objects; columns: keys in output order (header row uses the same names).
+export function toCsv(rows, columns){
+  const lines = [columns.join(",")];
+  for (const r of rows) lines.push(columns.map(c => cell(r[c])).join(","));
+  return lines.join("\r\n") + "\r\n";
+}
+
+// CSV text -> rows of cells; quoted cells may hold commas, quotes ("") and line breaks.
+export function parseCsv(text){
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  const src = String(text).replace(/^\uFEFF/, "");
+  for (let i = 0; i < src.length; i++){
+    const c = src[i];
+    if (quoted){
+      if (c === '"' && src[i + 1] === '"'){ cell += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else cell += c;
+    } else if (c === '"' && !cell) quoted = true;
+    else if (c === ",") { row.push(cell); cell = ""; }
+    else if (c === "\n" || c === "\r"){
+      if (c === "\r" && src[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else cell += c;
+  }
+  if (cell || row.length){
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(c => c.trim()));
+}
@@ -0,0 +1,74 @@
+// Loose calendar-date parsing for invoices and messages: ISO, numeric (15.03.2026, 03/15/2026) and
+// month names in English, Spanish, Portuguese, German, Turkish and Russian. Dates are returned as
+// "YYYY-MM-DD" strings (no time zone games). Pure — no DOM access.
+
+const MONTHS = {
+  jan: 1, january: 1, feb: 2, february: 2, mar: 3, march: 3, apr: 4, april: 4, may: 5, jun: 6, june: 6,
+  jul: 7, july: 7, aug: 8, august: 8, sep: 9, sept: 9, september: 9, oct: 10, october: 10,
+  nov: 11, november: 11, dec: 12, december: 12,
+  // es / pt
+  enero: 1, febrero: 2, marzo: 3, abril: 4, mayo: 5, junio: 6, julio: 7, agosto: 8, septiembre: 9,
+  setiembre: 9, octubre: 10, noviembre: 11, diciembre: 12,
+  janeiro: 1, fevereiro: 2, "março": 3, maio: 5, junho: 6, julho: 7, setembro: 9, outubro: 10, novembro: 11,
+  dezembro: 12,
+  // de
+  januar: 1, februar: 2, "märz": 3, mai: 5, juni: 6, juli: 7, oktober: 10, dezember: 12,
+  // tr
+  ocak: 1, "şubat": 2, mart: 3, nisan: 4, "mayıs": 5, haziran: 6, temmuz: 7, "ağustos": 8, "eylül": 9,
+  ekim: 10, "kasım": 11, "aralık": 12,
+  // ru (genitive, as used in dates)
+  "января": 1, "февраля": 2, "марта": 3, "апреля": 4, "мая": 5, "июня": 6, "июля": 7, "августа": 8,
+  "сентября": 9, "октября": 10, "ноября": 11, "декабря": 12,
+};
+
+const MONTH_RE = Object.keys(MONTHS).sort((a,b)=>b.length-a.length).join("|");
+
+// Regex source matching the date shapes parseDate() understands.
+export const DATE_PATTERN =
+  `\\d{4}-\\d{1,2}-\\d{1,2}` +
+  `|\\d{1,2}[./-]\\d{1,2}[./-]\\d{2,4}` +
+  `|\\d{1,2}(?:st|nd|rd|th|\\.)?\\s+(?:de\\s+)?(?:${MONTH_RE})\\.?,?\\s+(?:de\\s+)?\\d{4}` +
+  `|(?:${MONTH_RE})\\.?\\s+\\d{1,2}(?:st|nd|rd|th)?,?\\s+\\d{4}`;
+
+// "March 20" / "20th March": a date without its year (parseDate() fills it in with opts.year).
+export const MONTH_DAY_PATTERN =
+  `\\d{1,2}(?:st|nd|rd|th)?\\s+(?:of\\s+)?(?:${MONTH_RE})\\b\\.?` +
+  `|(?:${MONTH_RE})\\.?\\s+\\d{1,2}(?:st|nd|rd|th)?(?!\\d)`;
+
+function iso(y, m, d){
+  if (y < 100) y += 2000;
+  const dt = new Date(Date.UTC(y, m - 1, d));
+  if (dt.getUTCFullYear() !== y || dt.getUTCMonth() !== m - 1 || dt.getUTCDate() !== d) return null;
+  return `${String(y).padStart(4, "0")}-${String(m).padStart(2, "0")}-${String(d).padStart(2, "0")}`;
+}
+
+// dayFirst: how to read ambiguous numeric dates like 03/04/2026 (default: day first,
+// except "/" which follows US month-first when the day-first reading is impossible).
+// year: used for month-name dates written without one ("March 20").
+export function parseDate(raw, { dayFirst = true, year = null } = {}){
+  if (!raw) return null;
+  const s = raw.trim().toLowerCase();
+  let m;
+  if ((m = s.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/))) return iso(+m[1], +m[2], +m[3]);
+  if ((m = s.match(/^(\d{1,2})([./-])(\d{1,2})\2(\d{2,4})$/))){
+    const a = +m[1], b = +m[3], y = +m[4];
+    if (a > 12) return iso(y, b, a);
+    if (b > 12) return iso(y, a, b);
+    // Dotted dates are day-first everywhere they are used.
+    return m[2] === "." || dayFirst ? iso(y, b, a) : iso(y, a, b);
+  }
+  if ((m = s.match(new RegExp(`^(\\d{1,2})(?:st|nd|rd|th|\\.)?\\s+(?:de\\s+)?(${MONTH_RE})\\.?,?\\s+(?:de\\s+)?(\\d{4})(?:\\s*г\\.?)?$`)))){
+    return iso(+m[3], MONTHS[m[2]], +m[1]);
+  }
+  if ((m = s.match(new RegExp(`^(${MONTH_RE})\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s+(\\d{4})$`)))){
+    return iso(+m[3], MONTHS[m[1]], +m[2]);
+  }
+  if (year == null) return null;
+  if ((m = s.match(new RegExp(`^(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?(${MONTH_RE})\\.?$`)))) return iso(year, MONTHS[m[2]], +m[1]);
+  if ((m = s.match(new RegExp(`^(${MONTH_RE})\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?$`)))) return iso(year, MONTHS[m[1]], +m[2]);
+  return null;
+}
+
+export function daysBetween(isoA, isoB){
+  return Math.round((Date.parse(isoB) - Date.parse(isoA)) / 86400000);
+}
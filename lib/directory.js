@@ -0,0 +1,368 @@
+// Counterparty directory, kept locally: trusted counterparties (name, domains, email addresses, verified
+// payment details and call-back phone numbers) and a blocklist of known-bad indicators, importable from
+// CSV, JSON or a STIX 2.1 bundle. directorySignals() feeds the rule engine: details matching a verified
+// record lower the score, blocklisted indicators, names close to a trusted name and unverified payment
+// details for a trusted counterparty raise it. Trusted domains also join the look-alike checks of
+// lib/email.js and lib/urls.js. Pure — no DOM access.
+import { validateSchema } from "./schema.js";
+import { parseCsv, toCsv } from "./csv.js";
+import { normalizeHost, registrableDomain, foldHomoglyphs, skeleton, levenshtein } from "./domains.js";
+import { senderOf, authResults, AUTH_FAIL, FREE_MAIL } from "./email.js";
+import { namesMatch } from "./parties.js";
+import { counterpartyKey, LEGAL_SUFFIX } from "./history.js";
+
+export const DIRECTORY_FORMAT = "dealshield-directory";
+export const DIRECTORY_VERSION = 1;
+export const BLOCK_TYPES = ["domain", "email", "url", "iban", "account", "wallet", "paypal", "phone", "name"];
+// Trusted-record fields and the CSV types that fill them.
+const RECORD_FIELDS = { domain: "domains", email: "emails", iban: "accounts", account: "accounts", wallet: "accounts", paypal: "accounts", phone: "phones" };
+const PAYEE_TYPES = new Set(["iban", "account", "wallet", "paypal"]);
+const BLOCK_LABELS = {
+  domain: "Domain", email: "Address", url: "Link", iban: "IBAN", account: "Account", wallet: "Wallet",
+  paypal: "PayPal account", phone: "Phone number", name: "Name",
+};
+
+const STRINGS = { type: "array", items: { type: "string", minLength: 1 } };
+
+export const DIRECTORY_SCHEMA = {
+  type: "object",
+  required: ["trusted", "blocked"],
+  properties: {
+    format: { enum: [DIRECTORY_FORMAT] },
+    version: { type: "integer", minimum: 1 },
+    trusted: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["name"],
+        additionalProperties: false,
+        properties: {
+          name: { type: "string", minLength: 1 },
+          domains: STRINGS,
+          emails: STRINGS,
+          accounts: STRINGS,
+          phones: STRINGS,
+          note: { type: "string" },
+        },
+      },
+    },
+    blocked: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["type", "value"],
+        additionalProperties: false,
+        properties: {
+          type: { enum: BLOCK_TYPES },
+          value: { type: "string", minLength: 1 },
+          note: { type: "string" },
+        },
+      },
+    },
+  },
+};
+
+export class DirectoryError extends Error {
+  constructor(message, errors = []){
+    super(message);
+    this.name = "DirectoryError";
+    this.errors = errors;
+  }
+}
+
+export function emptyDirectory(){
+  return { format: DIRECTORY_FORMAT, version: DIRECTORY_VERSION, trusted: [], blocked: [] };
+}
+
+// --- Normalization: the form indicators are compared in ---
+const hostOf = (v) => normalizeHost(String(v).trim().replace(/^[a-z]+:\/\//i, "").replace(/^[^@/]*@/, "").split(/[/?#:]/)[0]);
+const accountKey = (v) => String(v).replace(/[\s-]+/g, "").toUpperCase();
+// Last 9 digits, so "+44 20 7946 0958" and "020 7946 0958" are the same number.
+const phoneKey = (v) => String(v).replace(/\D/g, "").slice(-9);
+const sameAccount = (a, b) => accountKey(a) === accountKey(b);
+
+export function indicatorKey(type, value){
+  switch (type){
+    case "domain": return hostOf(value);
+    case "email":
+    case "paypal": return String(value).trim().toLowerCase();
+    case "url": return String(value).trim().toLowerCase().replace(/\/+$/, "");
+    case "phone": return phoneKey(value);
+    case "name": return counterpartyKey(value);
+    default: return accountKey(value);
+  }
+}
+
+const unique = (list) => Array.from(new Set(list.filter(Boolean)));
+
+function cleanRecord(r){
+  return {
+    name: r.name.trim(),
+    domains: unique((r.domains || []).map(hostOf)),
+    emails: unique((r.emails || []).map(e => indicatorKey("email", e))),
+    accounts: unique((r.accounts || []).map(a => String(a).trim())),
+    phones: unique((r.phones || []).map(p => String(p).trim())),
+    note: r.note || "",
+  };
+}
+
+// Adds `added` to `directory`: records with the same name are merged, duplicate indicators dropped.
+export function mergeDirectory(directory, added){
+  const trusted = directory.trusted.map(r => ({ ...r }));
+  for (const r of added.trusted.map(cleanRecord)){
+    const same = trusted.find(t => counterpartyKey(t.name) === counterpartyKey(r.name));
+    if (!same){
+      trusted.push(r);
+      continue;
+    }
+    for (const f of ["domains", "emails", "accounts", "phones"]){
+      const keys = new Set(same[f].map(v => f === "accounts" ? accountKey(v) : f === "phones" ? phoneKey(v) : v));
+      same[f] = [...same[f], ...r[f].filter(v => !keys.has(f === "accounts" ? accountKey(v) : f === "phones" ? phoneKey(v) : v))];
+    }
+    if (r.note && !same.note) same.note = r.note;
+  }
+  const blocked = [...directory.blocked];
+  const seen = new Set(blocked.map(b => `${b.type}:${indicatorKey(b.type, b.value)}`));
+  for (const b of added.blocked){
+    const key = `${b.type}:${indicatorKey(b.type, b.value)}`;
+    if (!indicatorKey(b.type, b.value) || seen.has(key)) continue;
+    seen.add(key);
+    blocked.push({ type: b.type, value: String(b.value).trim(), note: b.note || "" });
+  }
+  return { ...emptyDirectory(), trusted, blocked };
+}
+
+// --- Import ---
+function checked(directory){
+  const errors = validateSchema(DIRECTORY_SCHEMA, directory);
+  if (errors.length) throw new DirectoryError(`Invalid directory: ${errors[0]}`, errors);
+  return mergeDirectory(emptyDirectory(), directory);
+}
+
+// STIX 2.1 patterns this understands (the ones DealShield's own export writes, plus email addresses).
+const STIX_TYPES = [
+  [/^url:value$/, "url"], [/^domain-name:value$/, "domain"], [/^ipv4-addr:value$/, "domain"],
+  [/^email-addr:value$/, "email"], [/^x-bank-account:iban$/, "iban"], [/^x-crypto-wallet:address$/, "wallet"],
+];
+
+function fromStix(bundle){
+  const blocked = [];
+  for (const o of bundle.objects || []){
+    if (o.type !== "indicator" || typeof o.pattern !== "string") continue;
+    for (const m of o.pattern.matchAll(/([a-z0-9-]+:[a-z_.]+)\s*=\s*'((?:[^'\\]|\\.)*)'/g)){
+      const hit = STIX_TYPES.find(([re]) => re.test(m[1]));
+      if (hit) blocked.push({ type: hit[1], value: m[2].replace(/\\(.)/g, "$1"), note: o.name || "" });
+    }
+  }
+  return { trusted: [], blocked };
+}
+
+// JSON text or parsed value: a directory, an array of blocked indicators or a STIX 2.1 bundle.
+export function parseDirectory(value){
+  let data = value;
+  if (typeof value === "string"){
+    try {
+      data = JSON.parse(value);
+    } catch (e) {
+      throw new DirectoryError(`Not a JSON directory: ${e.message}`);
+    }
+  }
+  if (Array.isArray(data)) return checked({ trusted: [], blocked: data });
+  if (data && data.type === "bundle") return checked(fromStix(data));
+  if (!data || typeof data !== "object") throw new DirectoryError("Not a DealShield directory");
+  if (data.version > DIRECTORY_VERSION) throw new DirectoryError(`Directory version ${data.version} is newer than this DealShield (${DIRECTORY_VERSION})`);
+  return checked({ trusted: data.trusted || [], blocked: data.blocked || [] });
+}
+
+export const DIRECTORY_COLUMNS = ["list", "type", "value", "name", "note"];
+
+// CSV with a header row: list (trusted | blocked, default blocked), type, value, name, note.
+// Trusted rows with the same name build one record; type "name" adds a record without details.
+export function parseDirectoryCsv(text){
+  const [header, ...rows] = parseCsv(text);
+  if (!header) throw new DirectoryError("Empty CSV");
+  const col = Object.fromEntries(header.map((h, i) => [h.trim().toLowerCase(), i]));
+  if (col.type == null || col.value == null) throw new DirectoryError(`CSV needs "type" and "value" columns (${DIRECTORY_COLUMNS.join(", ")})`);
+  const get = (row, name) => (col[name] != null ? row[col[name]] || "" : "").trim();
+  const trusted = [];
+  const blocked = [];
+  const errors = [];
+  rows.forEach((row, i) => {
+    const at = `row ${i + 2}`;
+    const list = get(row, "list").toLowerCase() || "blocked";
+    const type = get(row, "type").toLowerCase();
+    const value = get(row, "value");
+    if (list === "trusted"){
+      const name = get(row, "name") || (type === "name" ? value : "");
+      if (!name) return errors.push(`${at}: trusted rows need a name`);
+      if (type !== "name" && !RECORD_FIELDS[type]) return errors.push(`${at}: unknown type "${type}"`);
+      const record = { name, note: get(row, "note") };
+      if (type !== "name" && value) record[RECORD_FIELDS[type]] = [value];
+      trusted.push(record);
+    } else if (list === "blocked"){
+      if (!BLOCK_TYPES.includes(type)) return errors.push(`${at}: unknown type "${type}"`);
+      if (!value) return errors.push(`${at}: missing value`);
+      blocked.push({ type, value, note: get(row, "note") });
+    } else {
+      errors.push(`${at}: list must be "trusted" or "blocked"`);
+    }
+  });
+  if (errors.length) throw new DirectoryError(`Invalid directory CSV: ${errors[0]}`, errors);
+  return checked({ trusted, blocked });
+}
+
+export function directoryCsv(directory){
+  const rows = [];
+  for (const r of directory.trusted){
+    rows.push({ list: "trusted", type: "name", value: r.name, name: r.name, note: r.note });
+    for (const [type, field] of Object.entries(RECORD_FIELDS)){
+      // accounts are written once, as "account" rows (IBAN / wallet / PayPal all compare the same way)
+      if (field === "accounts" && type !== "account") continue;
+      for (const value of r[field]) rows.push({ list: "trusted", type, value, name: r.name, note: "" });
+    }
+  }
+  for (const b of directory.blocked) rows.push({ list: "blocked", type: b.type, value: b.value, name: "", note: b.note });
+  return toCsv(rows, DIRECTORY_COLUMNS);
+}
+
+// --- Matching ---
+// Domains of trusted records, for the look-alike checks (scoreRisk adds them to trustedDomains).
+export function directoryDomains(directory){
+  return directory ? unique(directory.trusted.flatMap(r => r.domains).map(registrableDomain)) : [];
+}
+
+const SUFFIX_WORD = new RegExp(`^${LEGAL_SUFFIX}\\.?$`, "i");
+function nameSkeleton(name){
+  const words = name.toLowerCase().split(/\s+/).filter(w => w && !SUFFIX_WORD.test(w));
+  return skeleton(foldHomoglyphs(words.join("")).replace(/[^\p{L}\p{N}]/gu, ""));
+}
+
+// "Northwlnd Studio" / "N0rthwind" vs a trusted "Northwind Studio": close, but not the same name.
+export function nameLookalike(name, trusted){
+  if (namesMatch(name, trusted)) return false;
+  const a = nameSkeleton(name);
+  const b = nameSkeleton(trusted);
+  if (a.length < 4 || b.length < 4) return false;
+  if (a === b) return true;
+  const limit = b.length >= 10 ? 2 : b.length >= 5 ? 1 : 0;
+  return levenshtein(a, b) <= limit;
+}
+
+const EMAIL_RE = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g;
+const PHONE_RE = /(?:\+|\b00)?\d[\d\s().\/-]{6,}\d/g;
+
+function spansOf(re, text){
+  return [...text.matchAll(re)].map(m => ({ start: m.index, end: m.index + m[0].length, text: m[0] }));
+}
+
+const matchesDomain = (host, blocked) => host === blocked || host.endsWith(`.${blocked}`);
+
+// Trusted record the sender belongs to: by From domain / address, or by a sender name.
+function senderRecord(directory, from, parties){
+  const domain = from && from.domain ? registrableDomain(from.domain) : null;
+  const byAddress = directory.trusted.find(r =>
+    (from && from.address && r.emails.includes(from.address.toLowerCase())) ||
+    (domain && !FREE_MAIL.has(domain) && r.domains.some(d => registrableDomain(d) === domain)));
+  if (byAddress) return { record: byAddress, byAddress: true };
+  const senders = parties.filter(p => p.roles.includes("sender"));
+  const byName = directory.trusted.find(r => senders.some(p => namesMatch(p.name, r.name)));
+  return byName ? { record: byName, byAddress: false } : null;
+}
+
+// Signals for "when": "signal" rules. message: { text, email (header block), links, instruments, parties }.
+export function directorySignals({ text, email = null, links = [], instruments = [], parties = [] }, directory){
+  const signals = {};
+  if (!directory || (!directory.trusted.length && !directory.blocked.length)) return signals;
+  const push = (name, span, detail) => {
+    (signals[name] = signals[name] || []).push({ start: span.start, end: span.end, text: span.text, detail });
+  };
+  const from = email ? senderOf(email) : null;
+  const fromSpan = email && from ? spansOf(EMAIL_RE, text.slice(0, email.bodyStart)).find(s => s.text.toLowerCase() === from.address) : null;
+
+  // Blocklist: every indicator found in the message, once per place it appears.
+  const emails = spansOf(EMAIL_RE, text);
+  const phones = spansOf(PHONE_RE, text).filter(s => s.text.replace(/\D/g, "").length >= 8);
+  const payees = instruments.filter(i => PAYEE_TYPES.has(i.type));
+  for (const b of directory.blocked){
+    const key = indicatorKey(b.type, b.value);
+    if (!key) continue;
+    const note = b.note ? ` (${b.note})` : "";
+    let hits = [];
+    if (b.type === "domain"){
+      hits = [
+        ...emails.filter(s => matchesDomain(hostOf(s.text), key)),
+        ...links.filter(l => matchesDomain(normalizeHost(l.host), key)),
+      ];
+    } else if (b.type === "email") hits = emails.filter(s => s.text.toLowerCase() === key);
+    else if (b.type === "url") hits = links.filter(l => l.href.toLowerCase().replace(/\/+$/, "").startsWith(key));
+    else if (b.type === "phone") hits = phones.filter(s => phoneKey(s.text) === key);
+    else if (b.type === "name") hits = parties.filter(p => namesMatch(p.name, b.value)).flatMap(p => p.mentions.length ? p.mentions.map(m => ({ ...m, text: p.name })) : [fromSpan || { start: 0, end: 0, text: "" }]);
+    else hits = payees.filter(i => (i.type === "paypal") === (b.type === "paypal") && sameAccount(i.value, b.value));
+    hits.forEach((h, i) => push("blocklist_match", h, i ? null : `${BLOCK_LABELS[b.type]} ${b.value} is on your blocklist${note}`));
+  }
+
+  // Names close to a trusted counterparty's name (sender, payee, account holder).
+  for (const p of parties.filter(p => p.roles.some(r => r !== "recipient"))){
+    const near = directory.trusted.find(r => nameLookalike(p.name, r.name));
+    if (!near) continue;
+    const spans = p.mentions.length ? p.mentions : [fromSpan || { start: 0, end: 0 }];
+    spans.forEach((s, i) => push("trusted_name_lookalike", { ...s, text: p.name }, i ? null : `"${p.name}" looks like your trusted counterparty "${near.name}"`));
+  }
+
+  // Payment details: verified for a trusted counterparty, or new for the one the message comes from.
+  const verifiedBy = (i) => directory.trusted.find(r => r.accounts.some(a => sameAccount(a, i.value)));
+  if (payees.length && payees.every(verifiedBy)){
+    payees.forEach((i, n) => push("verified_payment_details", i, n ? null : `${payees.length > 1 ? "All payment details are" : `${i.label} ${i.display} is`} verified for ${verifiedBy(i).name} in your directory`));
+  }
+  const sender = senderRecord(directory, from, parties);
+  if (sender){
+    const unverified = payees.filter(i => !sender.record.accounts.some(a => sameAccount(a, i.value)));
+    const callBack = sender.record.phones.length ? `; call back on ${sender.record.phones.join(" / ")} from your directory` : "";
+    unverified.forEach((i, n) => push("trusted_payee_unverified", i,
+      n ? null : `${sender.record.name} is in your directory, but ${i.label} ${i.display} isn't one of its verified payment details${callBack}`));
+    const auth = email ? Object.values(authResults(email)) : [];
+    // No credit for the sender while it asks for payment to details that aren't on file.
+    if (sender.byAddress && fromSpan && !unverified.length && !auth.some(v => AUTH_FAIL.has(v))){
+      push("trusted_counterparty", fromSpan, `${from.address} belongs to ${sender.record.name} in your directory`);
+    }
+  }
+  return signals;
+}
+
+// --- Building entries from an analysis (the "Trust" / "Block" buttons) ---
+// Trusted record for the message's sender: name, business domain, address, payment details and phones.
+export function recordFromResult(result, counterparty = null){
+  const from = result.email ? senderOf(result.email) : null;
+  const sender = (result.parties || []).find(p => p.roles.includes("sender") && p.kind === "org")
+    || (result.parties || []).find(p => p.roles.includes("sender"));
+  const name = counterparty || (sender && sender.name) || (from && (from.name || from.domain));
+  if (!name) return null;
+  const domain = from && from.domain ? registrableDomain(from.domain) : null;
+  return cleanRecord({
+    name,
+    domains: domain && !FREE_MAIL.has(domain) ? [domain] : [],
+    emails: [from && from.address, ...(sender ? sender.emails : [])],
+    accounts: result.instruments.filter(i => PAYEE_TYPES.has(i.type) && i.valid).map(i => i.display || i.value),
+    phones: sender ? sender.phones : [],
+  });
+}
+
+// Blocklist entries for the message: sender address and domain, payment details and suspicious links.
+export function indicatorsFromResult(result, note = ""){
+  const out = [];
+  const from = result.email ? senderOf(result.email) : null;
+  if (from && from.address) out.push({ type: "email", value: from.address, note });
+  if (from && from.domain && !FREE_MAIL.has(registrableDomain(from.domain))) out.push({ type: "domain", value: registrableDomain(from.domain), note });
+  for (const i of result.instruments.filter(i => PAYEE_TYPES.has(i.type))) out.push({ type: i.type, value: i.display || i.value, note });
+  for (const l of result.links.filter(l => l.verdict !== "ok")) out.push({ type: "domain", value: l.registrable, note });
+  return out;
+}
+
+export function recordText(r){
+  const details = [...r.domains, ...r.emails, ...r.accounts, ...r.phones];
+  return `${r.name}${details.length ? ` — ${details.join(", ")}` : ""}${r.note ? ` (${r.note})` : ""}`;
+}
+
+export function indicatorText(b){
+  return `${b.type}: ${b.value}${b.note ? ` (${b.note})` : ""}`;
+}
@@ -0,0 +1,166 @@
+// Domain helpers: registrable-domain split, punycode/IDN decoding, homoglyph folding, edit distance
+// and lookalike checks. Pure — no DOM access.
+
+// Common two-level public suffixes; enough for registrable-domain grouping without the full PSL.
+const SECOND_LEVEL = new Set([
+  "co.uk", "org.uk", "ac.uk", "gov.uk", "com.au", "net.au", "org.au", "co.nz", "co.jp", "ne.jp",
+  "com.br", "com.mx", "com.ar", "com.tr", "com.cn", "com.hk", "com.sg", "co.in", "co.za", "com.ng",
+  "co.il", "co.kr", "com.my", "com.ph", "com.pk", "com.sa", "com.eg", "com.ua", "co.id", "com.vn",
+]);
+
+// Brands commonly impersonated in payment fraud.
+export const BRAND_DOMAINS = [
+  "paypal.com", "microsoft.com", "office.com", "outlook.com", "google.com", "apple.com", "amazon.com",
+  "dhl.com", "fedex.com", "ups.com", "docusign.net", "docusign.com", "wise.com", "stripe.com",
+  "payoneer.com", "visa.com", "mastercard.com", "binance.com", "coinbase.com", "upwork.com", "fiverr.com",
+];
+
+// RFC 3492 punycode decoder for "xn--" labels.
+const PC = { base: 36, tmin: 1, tmax: 26, skew: 38, damp: 700, bias: 72, n: 128 };
+
+function adapt(delta, numPoints, first){
+  delta = first ? Math.floor(delta / PC.damp) : delta >> 1;
+  delta += Math.floor(delta / numPoints);
+  let k = 0;
+  while (delta > ((PC.base - PC.tmin) * PC.tmax) >> 1){
+    delta = Math.floor(delta / (PC.base - PC.tmin));
+    k += PC.base;
+  }
+  return k + Math.floor((PC.base - PC.tmin + 1) * delta / (delta + PC.skew));
+}
+
+export function punycodeDecode(input){
+  const d = input.lastIndexOf("-");
+  const out = d > 0 ? Array.from(input.slice(0, d), c => c.codePointAt(0)) : [];
+  let n = PC.n;
+  let bias = PC.bias;
+  let i = 0;
+  for (let pos = d > 0 ? d + 1 : 0; pos < input.length;){
+    const oldi = i;
+    let w = 1;
+    for (let k = PC.base; ; k += PC.base){
+      if (pos >= input.length) throw new Error("Invalid punycode");
+      const cp = input.charCodeAt(pos++);
+      const digit = cp - 48 < 10 ? cp - 22 : cp - 65 < 26 ? cp - 65 : cp - 97 < 26 ? cp - 97 : PC.base;
+      if (digit >= PC.base) throw new Error("Invalid punycode");
+      i += digit * w;
+      const t = k <= bias ? PC.tmin : k >= bias + PC.tmax ? PC.tmax : k - bias;
+      if (digit < t) break;
+      w *= PC.base - t;
+    }
+    bias = adapt(i - oldi, out.length + 1, oldi === 0);
+    n += Math.floor(i / (out.length + 1));
+    i %= out.length + 1;
+    out.splice(i++, 0, n);
+  }
+  return String.fromCodePoint(...out);
+}
+
+// "xn--pypal-4ve.com" -> "pаypal.com" (labels that fail to decode are kept as-is).
+export function toUnicodeHost(host){
+  return normalizeHost(host).split(".").map(l => {
+    if (!l.startsWith("xn--")) return l;
+    try { return punycodeDecode(l.slice(4)); } catch { return l; }
+  }).join(".");
+}
+
+// Cyrillic/Greek/Armenian/fullwidth letters that render like Latin ones.
+const HOMOGLYPHS = {
+  "а": "a", "б": "6", "в": "b", "г": "r", "е": "e", "ё": "e", "з": "3", "і": "i", "ї": "i", "ј": "j", "к": "k",
+  "м": "m", "н": "h", "о": "o", "п": "n", "р": "p", "с": "c", "т": "t", "у": "y", "х": "x", "ѕ": "s", "һ": "h",
+  "ӏ": "l", "ԁ": "d", "ԛ": "q", "ԝ": "w", "ь": "b", "ɑ": "a", "ɡ": "g", "ο": "o", "α": "a", "β": "b", "ε": "e",
+  "ι": "i", "κ": "k", "ν": "v", "ρ": "p", "τ": "t", "υ": "u", "χ": "x", "γ": "y", "ω": "w", "օ": "o", "ս": "u",
+  "ց": "g", "հ": "h", "ո": "n", "ı": "i", "ł": "l", "ø": "o", "đ": "d",
+};
+
+// Map look-alike non-Latin letters (and accents) to plain ASCII.
+export function foldHomoglyphs(str){
+  return Array.from(str.normalize("NFKC").toLowerCase(), c => HOMOGLYPHS[c] || c).join("")
+    .normalize("NFD").replace(/\p{M}+/gu, "");
+}
+
+const SCRIPTS = ["Latin", "Cyrillic", "Greek", "Armenian", "Hebrew", "Arabic", "Han", "Hiragana", "Katakana", "Hangul", "Thai", "Devanagari", "Georgian", "Cherokee"]
+  .map(name => ({ name, re: new RegExp(`\\p{Script=${name}}`, "u") }));
+
+// Writing systems used by the letters of a label ("Latin", "Cyrillic", ...).
+export function scriptsOf(label){
+  const out = new Set();
+  for (const c of label){
+    if (!/\p{L}/u.test(c)) continue;
+    const s = SCRIPTS.find(x => x.re.test(c));
+    out.add(s ? s.name : "Other");
+  }
+  return [...out];
+}
+
+export function normalizeHost(host){
+  return (host || "").toLowerCase().replace(/^\[|\]$/g, "").replace(/\.$/, "");
+}
+
+export function registrableDomain(host){
+  const h = normalizeHost(host);
+  if (/^\d{1,3}(?:\.\d{1,3}){3}$/.test(h) || h.includes(":")) return h;
+  const parts = h.split(".").filter(Boolean);
+  if (parts.length <= 2) return parts.join(".");
+  const last2 = parts.slice(-2).join(".");
+  return SECOND_LEVEL.has(last2) ? parts.slice(-3).join(".") : last2;
+}
+
+// Label without the public suffix: "pay.northwind.co.uk" -> "northwind".
+export function domainLabel(host){
+  return registrableDomain(host).split(".")[0] || "";
+}
+
+export function levenshtein(a, b){
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++){
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++){
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+// ASCII look-alike folding ("rn" -> "m", "0" -> "o", ...) so "paypa1" and "rnicrosoft" collapse.
+export function skeleton(label){
+  return label.toLowerCase()
+    .replace(/rn/g, "m").replace(/vv/g, "w").replace(/cl/g, "d")
+    .replace(/0/g, "o").replace(/[1il|]/g, "l").replace(/5/g, "s").replace(/\$/g, "s")
+    .replace(/3/g, "e").replace(/4/g, "a").replace(/8/g, "b").replace(/6/g, "g")
+    .replace(/-/g, "");
+}
+
+// Why `host` looks like (but is not) `trusted`, or null. Both are hostnames or registrable domains.
+export function lookalikeReason(host, trusted){
+  const a = registrableDomain(host);
+  const b = registrableDomain(trusted);
+  if (!a || !b || a === b) return null;
+  const la = domainLabel(a);
+  const lb = domainLabel(b);
+  if (la === lb) return `same name as ${b} on a different domain ending`;
+  const folded = foldHomoglyphs(toUnicodeHost(la));
+  if (folded !== la && (folded === lb || skeleton(folded) === skeleton(lb))) return `look-alike characters of ${b}`;
+  if (skeleton(la) === skeleton(lb)) return `look-alike characters of ${b}`;
+  const d = levenshtein(la, lb);
+  const limit = lb.length >= 10 ? 2 : lb.length >= 5 ? 1 : 0;
+  if (d > 0 && d <= limit) return `${d} character${d === 1 ? "" : "s"} away from ${b}`;
+  // Hyphenated labels are compared part by part and on their skeleton, so "paypa1-secure" is caught too.
+  const parts = folded.split("-");
+  if (parts.length > 1 && lb.length >= 4 && parts.some(p => p !== lb && skeleton(p) === skeleton(lb))) return `look-alike characters of ${b}`;
+  if (la.length > lb.length && lb.length >= 5 && (la.includes(lb) || skeleton(folded).includes(skeleton(lb)))) return `embeds ${b} in a different domain`;
+  return null;
+}
+
+// First lookalike match against a list of trusted domains: { trusted, reason } | null.
+export function findLookalike(host, trustedList){
+  for (const t of trustedList){
+    const reason = lookalikeReason(host, t);
+    if (reason) return { trusted: registrableDomain(t), reason };
+  }
+  return null;
+}
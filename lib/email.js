@@ -0,0 +1,213 @@
+// Email import + header forensics. Imported messages are rendered as "Header: value" lines,
+// a blank line and the body, so the header block stays visible/editable in the input and
+// every header finding can point at the exact header line. Pure — no DOM access.
+import { parseEmail, splitMbox, looksLikeMbox, bytesToBinary } from "./mime.js";
+import { parseMsg, isMsgFile } from "./msg.js";
+import { registrableDomain, findLookalike, BRAND_DOMAINS } from "./domains.js";
+
+// Headers worth showing (and analysing), in display order.
+export const DISPLAY_HEADERS = [
+  "From", "Sender", "Reply-To", "Return-Path", "To", "Cc", "Subject", "Date",
+  "Authentication-Results", "Received-SPF",
+];
+
+export const FREE_MAIL = new Set([
+  "gmail.com", "googlemail.com", "yahoo.com", "outlook.com", "hotmail.com", "live.com", "icloud.com",
+  "aol.com", "proton.me", "protonmail.com", "mail.com", "gmx.com", "gmx.de", "yandex.ru", "mail.ru", "zoho.com",
+]);
+
+const RISKY_EXT = /\.(?:exe|scr|com|bat|cmd|js|jse|vbs|vbe|wsf|hta|html?|shtml|svg|lnk|iso|img|vhdx?|jar|msi|docm|xlsm|pptm|one)$/i;
+
+function formatSize(n){
+  return n >= 1048576 ? `${(n / 1048576).toFixed(1)} MB` : n >= 1024 ? `${Math.round(n / 1024)} KB` : `${n} B`;
+}
+
+// File bytes -> parsed messages (one for .eml/.msg, many for mbox).
+export function readMessages(bytes, filename = ""){
+  if (isMsgFile(bytes)) return [parseMsg(bytes)];
+  const raw = bytesToBinary(bytes);
+  if (/\.mbox$/i.test(filename) || looksLikeMbox(raw)) return splitMbox(raw).map(parseEmail);
+  return [parseEmail(raw)];
+}
+
+// Parsed message -> text for the input box (selected headers, attachments, blank line, body).
+export function composeEmailText(msg){
+  const lines = [];
+  for (const name of DISPLAY_HEADERS){
+    for (const h of msg.headers.filter(x => x.name.toLowerCase() === name.toLowerCase())){
+      if (h.value) lines.push(`${name}: ${h.value.replace(/\s+/g, " ").trim()}`);
+    }
+  }
+  if (msg.attachments.length){
+    lines.push(`Attachments: ${msg.attachments.map(a => `${a.filename} (${a.contentType}, ${formatSize(a.size)})`).join("; ")}`);
+  }
+  return `${lines.join("\n")}\n\n${msg.text}`;
+}
+
+// Leading RFC 822-style header block in pasted/imported text, with offsets.
+// Returns null unless the text starts with header lines that include "From:".
+export function parseHeaderBlock(text){
+  const headers = [];
+  let pos = 0;
+  while (pos < text.length){
+    const nl = text.indexOf("\n", pos);
+    const end = nl < 0 ? text.length : nl;
+    const line = text.slice(pos, end).replace(/\r$/, "");
+    if (!line.trim()) break;
+    const last = headers[headers.length - 1];
+    if (/^[ \t]/.test(line) && last){
+      last.value += " " + line.trim();
+      last.end = end;
+    } else {
+      const m = line.match(/^([A-Za-z][A-Za-z0-9-]*):[ \t]*(.*)$/);
+      if (!m) return null;
+      headers.push({ name: m[1], value: m[2].trim(), start: pos, end });
+    }
+    pos = end + 1;
+  }
+  if (!headers.some(h => h.name.toLowerCase() === "from")) return null;
+  return { headers, bodyStart: Math.min(pos, text.length) };
+}
+
+export function headerValues(block, name){
+  return block.headers.filter(h => h.name.toLowerCase() === name.toLowerCase());
+}
+
+// "Name" <a@b.c>, a@b.c (Name), plain a@b.c — comma-separated lists supported.
+export function parseAddresses(value){
+  const out = [];
+  for (const part of (value || "").split(/,(?=(?:[^"]*"[^"]*")*[^"]*$)(?![^<]*>)/)){
+    const p = part.trim();
+    if (!p) continue;
+    let m = p.match(/^(.*?)\s*<([^>]+)>\s*$/);
+    let name, address;
+    if (m){
+      name = m[1].replace(/^"(.*)"$/, "$1").trim();
+      address = m[2].trim();
+    } else if ((m = p.match(/^(\S+@\S+)\s*\((.*)\)$/))){
+      address = m[1];
+      name = m[2].trim();
+    } else {
+      address = p;
+      name = "";
+    }
+    address = address.replace(/^mailto:/i, "").toLowerCase();
+    const at = address.lastIndexOf("@");
+    out.push({ name, address, domain: at > 0 ? address.slice(at + 1) : "" });
+  }
+  return out;
+}
+
+export function senderOf(block){
+  const from = headerValues(block, "from")[0];
+  return from ? parseAddresses(from.value)[0] || null : null;
+}
+
+// Authentication-Results / Received-SPF -> { spf, dkim, dmarc } (lower-case result words).
+export function authResults(block){
+  const out = {};
+  for (const h of [...headerValues(block, "authentication-results"), ...headerValues(block, "arc-authentication-results")]){
+    for (const m of h.value.matchAll(/\b(spf|dkim|dmarc)\s*=\s*([a-z]+)/gi)){
+      const k = m[1].toLowerCase();
+      // Keep the worst result when a header lists several signatures.
+      if (!out[k] || out[k] === "pass") out[k] = m[2].toLowerCase();
+    }
+  }
+  const rs = headerValues(block, "received-spf")[0];
+  if (rs && !out.spf){
+    const m = rs.value.match(/^\s*([a-z]+)/i);
+    if (m) out.spf = m[1].toLowerCase();
+  }
+  return out;
+}
+
+export const AUTH_FAIL = new Set(["fail", "softfail", "permerror"]);
+const BUSINESS_NAME = /\b(?:ltd|limited|llc|inc|gmbh|corp|plc|accounts?|billing|finance|payroll|payments?|invoices?|treasury|ceo|cfo|director|bank)\b/i;
+const BRAND_WORDS = BRAND_DOMAINS.map(d => d.split(".")[0]);
+
+// Signals for "when": "signal" rules. opts:
+//   knownDomains        — sender domains seen before in local history (array; omit to skip first-contact checks)
+//   counterpartyDomains — sender domains previously used by this counterparty
+//   trustedDomains      — extra domains to test look-alikes against
+export function emailSignals(text, block, opts = {}){
+  const signals = {};
+  if (!block) return signals;
+  const push = (name, h, detail) => {
+    (signals[name] = signals[name] || []).push({ start: h.start, end: h.end, text: text.slice(h.start, h.end), detail });
+  };
+  const fromH = headerValues(block, "from")[0];
+  const from = senderOf(block);
+  if (!from || !from.domain) return signals;
+  const fromReg = registrableDomain(from.domain);
+
+  for (const h of headerValues(block, "reply-to")){
+    for (const rt of parseAddresses(h.value)){
+      if (rt.domain && registrableDomain(rt.domain) !== fromReg){
+        push("reply_to_mismatch", h, `Replies go to ${rt.address}, not the sender's domain ${fromReg}`);
+        push("reply_to_mismatch", fromH, null);
+      }
+    }
+  }
+
+  if (from.name){
+    const shownAddr = from.name.match(/[\w.+-]+@[\w-]+(?:\.[\w-]+)+/);
+    const shownDomain = from.name.match(/\b((?:[a-z0-9-]+\.)+[a-z]{2,})\b/i);
+    const brand = BRAND_WORDS.find(b => new RegExp(`\\b${b}\\b`, "i").test(from.name));
+    if (shownAddr && shownAddr[0].toLowerCase() !== from.address){
+      push("display_name_spoof", fromH, `Display name shows ${shownAddr[0]} but the message is from ${from.address}`);
+    } else if (shownDomain && registrableDomain(shownDomain[1]) !== fromReg){
+      push("display_name_spoof", fromH, `Display name mentions ${shownDomain[1]} but the message is from ${fromReg}`);
+    } else if (brand && fromReg.split(".")[0] !== brand){
+      push("display_name_spoof", fromH, `Display name claims "${brand}" but the message is from ${fromReg}`);
+    } else if (FREE_MAIL.has(fromReg) && BUSINESS_NAME.test(from.name)){
+      push("display_name_spoof", fromH, `Business display name "${from.name}" sent from a free-mail address`);
+    }
+  }
+
+  const candidates = new Set([
+    ...(opts.trustedDomains || []),
+    ...(opts.knownDomains || []),
+    ...headerValues(block, "to").concat(headerValues(block, "cc")).flatMap(h => parseAddresses(h.value).map(a => a.domain)),
+    ...BRAND_DOMAINS,
+  ].filter(Boolean).map(registrableDomain));
+  candidates.delete(fromReg);
+  const look = findLookalike(fromReg, [...candidates]);
+  if (look) push("lookalike_sender_domain", fromH, `Sender domain ${fromReg}: ${look.reason}`);
+
+  const auth = authResults(block);
+  const failed = Object.entries(auth).filter(([, v]) => AUTH_FAIL.has(v)).map(([k, v]) => `${k.toUpperCase()} ${v}`);
+  if (failed.length){
+    const authHeaders = [...headerValues(block, "authentication-results"), ...headerValues(block, "received-spf")];
+    authHeaders.forEach((h, i) => push("auth_failure", h, i === 0 ? failed.join(", ") : null));
+  }
+
+  if (opts.knownDomains){
+    const known = new Set(opts.knownDomains.map(registrableDomain));
+    const prior = Array.from(new Set((opts.counterpartyDomains || []).map(registrableDomain)));
+    if (prior.length && !prior.includes(fromReg)){
+      push("counterparty_domain_changed", fromH, `This counterparty previously wrote from ${prior.join(", ")}`);
+    } else if (!known.has(fromReg)){
+      push("first_contact_domain", fromH, `First message from ${fromReg}`);
+    }
+  }
+
+  const att = headerValues(block, "attachments")[0];
+  if (att){
+    const risky = att.value.split(/;\s*/).map(s => s.replace(/\s*\(.*$/, "")).filter(f => RISKY_EXT.test(f));
+    if (risky.length) push("risky_attachment", att, `Risky attachment type: ${risky.join(", ")}`);
+  }
+  return signals;
+}
+
+// One-line summary for the snapshot: sender, auth results, attachment count.
+export function emailSummary(block){
+  if (!block) return null;
+  const from = senderOf(block);
+  const auth = authResults(block);
+  const parts = [];
+  if (from) parts.push(from.address || from.name);
+  for (const k of ["spf", "dkim", "dmarc"]) if (auth[k]) parts.push(`${k.toUpperCase()} ${auth[k]}`);
+  const att = headerValues(block, "attachments")[0];
+  if (att) parts.push(`${att.value.split(/;\s*/).length} attachment(s)`);
+  return parts.join(" · ");
+}
@@ -0,0 +1,276 @@
+// Evaluation harness for the scoring: runs a labeled corpus (see corpus/default.json) through the
+// pipeline, reports precision / recall, a confusion matrix per risk level and what each rule
+// contributes, and fits weights + thresholds into a scoring profile (lib/profile.js) whose metrics are
+// cross-validated.
+// Pure — no DOM access.
+import { validateSchema } from "./schema.js";
+import { RulePackError, levelFor } from "./rules.js";
+import { analyzeMessage, guessMessageCounterparty } from "./core.js";
+import { makeHistoryRecord } from "./history.js";
+import { classifyLexicon } from "./classifier.js";
+
+export const LEVELS = ["LOW", "MEDIUM", "HIGH"];
+
+export const CORPUS_SCHEMA = {
+  type: "object",
+  required: ["id", "version", "messages"],
+  additionalProperties: false,
+  properties: {
+    $schema: { type: "string" },
+    id: { type: "string", minLength: 1 },
+    version: { type: "string", pattern: "^\\d+\\.\\d+\\.\\d+" },
+    description: { type: "string" },
+    messages: {
+      type: "array",
+      minItems: 1,
+      items: {
+        type: "object",
+        required: ["id", "label", "level", "text"],
+        additionalProperties: false,
+        properties: {
+          id: { type: "string", minLength: 1 },
+          label: { enum: ["scam", "legit"] },
+          level: { enum: LEVELS },
+          kind: { type: "string" },
+          text: { type: "string", minLength: 1 },
+          // Earlier messages from the same counterparty, oldest first (feeds the history rules).
+          history: { type: "array", items: { type: "string", minLength: 1 } },
+          trusted: { type: "array", items: { type: "string", minLength: 1 } },
+        },
+      },
+    },
+  },
+};
+
+// Throws RulePackError with the full error list.
+export function validateCorpus(corpus){
+  const errors = validateSchema(CORPUS_SCHEMA, corpus);
+  const seen = new Set();
+  if (!errors.length){
+    corpus.messages.forEach((m, i) => {
+      if (seen.has(m.id)) errors.push(`messages[${i}]: duplicate id "${m.id}"`);
+      seen.add(m.id);
+    });
+  }
+  if (errors.length) throw new RulePackError(`Invalid corpus: ${errors[0]}`, errors);
+  return corpus;
+}
+
+// Corpus -> runs: [{ id, label, expected, kind, score, level, raw, reasons: [{ id, pts }] }].
+// `raw` is base + points before clamping to 0..100, so rule ablation can be replayed exactly.
+// secondOpinion: add the lexicon's second-opinion reasons (lib/classifier.js).
+export function runCorpus(corpus, { rulePack, locales = {}, secondOpinion = false }){
+  validateCorpus(corpus);
+  return corpus.messages.map(m => {
+    const history = [];
+    for (const text of m.history || []){
+      const counterparty = guessMessageCounterparty(text);
+      const { result, snapshot } = analyzeMessage(text, { rulePack, locales, history, counterparty });
+      history.push(makeHistoryRecord({ counterparty, text, result, snapshot, createdAt: "1970-01-01T00:00:00.000Z" }));
+    }
+    const classifier = secondOpinion ? classifyLexicon(m.text) : null;
+    const { result } = analyzeMessage(m.text, { rulePack, locales, history, trustedDomains: m.trusted || [], classifier });
+    const reasons = result.reasons.map(r => ({ id: r.id, pts: r.pts }));
+    return {
+      id: m.id,
+      label: m.label,
+      expected: m.level,
+      kind: m.kind || null,
+      score: result.score,
+      level: result.level,
+      raw: rulePack.base + reasons.reduce((s, r) => s + r.pts, 0),
+      reasons,
+    };
+  });
+}
+
+const ratio = (a, b) => (b ? a / b : 0);
+const f1 = (p, r) => (p + r ? (2 * p * r) / (p + r) : 0);
+const round = (n) => Math.round(n * 1000) / 1000;
+const clamp = (n) => Math.max(0, Math.min(100, n));
+
+// Runs + thresholds -> metrics. A message counts as flagged when its level is MEDIUM or HIGH.
+// A run with its own `thresholds` (a held-out run of crossValidate()) is leveled with those.
+export function evaluateRuns(runs, thresholds){
+  const levelOf = (raw, r) => levelFor(clamp(raw), r.thresholds || thresholds);
+  const confusion = Object.fromEntries(LEVELS.map(e => [e, Object.fromEntries(LEVELS.map(p => [p, 0]))]));
+  let tp = 0, fp = 0, fn = 0, tn = 0;
+  const misses = [];
+  for (const r of runs){
+    const level = levelOf(r.raw, r);
+    confusion[r.expected][level]++;
+    const flagged = level !== "LOW";
+    if (r.label === "scam") flagged ? tp++ : fn++;
+    else flagged ? fp++ : tn++;
+    if (level !== r.expected) misses.push({ id: r.id, label: r.label, expected: r.expected, level, score: clamp(r.raw) });
+  }
+  const precision = ratio(tp, tp + fp);
+  const recall = ratio(tp, tp + fn);
+
+  const levels = {};
+  for (const l of LEVELS){
+    const hit = confusion[l][l];
+    const predicted = LEVELS.reduce((s, e) => s + confusion[e][l], 0);
+    const support = LEVELS.reduce((s, p) => s + confusion[l][p], 0);
+    const p = ratio(hit, predicted);
+    const rc = ratio(hit, support);
+    levels[l] = { precision: round(p), recall: round(rc), f1: round(f1(p, rc)), support };
+  }
+
+  // Per rule: where it fires, the points it adds, and how many levels flip without it.
+  const byRule = new Map();
+  for (const r of runs){
+    const correct = levelOf(r.raw, r) === r.expected;
+    for (const reason of r.reasons){
+      const s = byRule.get(reason.id) || { id: reason.id, fired: 0, scam: 0, legit: 0, points: 0, helps: 0, hurts: 0 };
+      s.fired++;
+      s[r.label]++;
+      s.points += reason.pts;
+      const without = levelOf(r.raw - reason.pts, r) === r.expected;
+      if (correct && !without) s.helps++;
+      if (!correct && without) s.hurts++;
+      byRule.set(reason.id, s);
+    }
+  }
+  const rules = Array.from(byRule.values())
+    .map(s => ({ ...s, precision: round(ratio(s.scam, s.fired)) }))
+    .sort((a, b) => b.points - a.points);
+
+  return {
+    size: runs.length,
+    thresholds: { ...thresholds },
+    binary: {
+      tp, fp, fn, tn,
+      precision: round(precision),
+      recall: round(recall),
+      f1: round(f1(precision, recall)),
+      accuracy: round(ratio(tp + tn, runs.length)),
+    },
+    levelAccuracy: round(ratio(runs.length - misses.length, runs.length)),
+    confusion,
+    levels,
+    rules,
+    misses,
+  };
+}
+
+// Logistic regression (batch gradient descent) of scam vs. legit on which rules fired, started
+// at and L2-pulled toward the prior coefficients, so rules the corpus says little about stay close
+// to the pack's hand-set weights. Deterministic: same runs, same coefficients.
+function fitLogistic(X, y, { w0, b0, iterations, rate, l2 }){
+  const k = w0.length;
+  const w = w0.slice();
+  let b = b0;
+  for (let it = 0; it < iterations; it++){
+    const gw = new Array(k).fill(0);
+    let gb = 0;
+    for (let i = 0; i < X.length; i++){
+      let z = b;
+      for (let j = 0; j < k; j++) z += w[j] * X[i][j];
+      const err = 1 / (1 + Math.exp(-z)) - y[i];
+      for (let j = 0; j < k; j++) gw[j] += err * X[i][j];
+      gb += err;
+    }
+    for (let j = 0; j < k; j++) w[j] -= rate * (gw[j] / X.length + l2 * (w[j] - w0[j]));
+    b -= rate * gb / X.length;
+  }
+  return { w, b };
+}
+
+// Lexicographic "a beats b" for equal-length score keys.
+function better(a, b){
+  for (let i = 0; i < a.length; i++) if (a[i] !== b[i]) return a[i] > b[i];
+  return false;
+}
+
+// Thresholds that best reproduce the labeled levels; ties go to flagging more scams, then to
+// the thresholds closest to the current ones.
+function fitThresholds(runs, current){
+  let best = null;
+  for (let medium = 1; medium < 100; medium++){
+    for (let high = medium + 1; high <= 100; high++){
+      const m = evaluateRuns(runs, { medium, high });
+      const key = [m.levelAccuracy, m.binary.recall, m.binary.f1,
+        -(Math.abs(medium - current.medium) + Math.abs(high - current.high))];
+      if (!best || better(key, best.key)) best = { key, thresholds: { medium, high } };
+    }
+  }
+  return best.thresholds;
+}
+
+// Score = 50 + POINTS_PER_LOGIT * logit, i.e. a 50% scam probability sits at 50 points.
+const POINTS_PER_LOGIT = 10;
+
+// Runs (scored with `compiled`) -> { base, weights, thresholds } fitted on them.
+// Rules that never fired in the runs get no weight, so they keep the pack's weight.
+function fit(runs, compiled, { iterations, rate, l2 }){
+  const rules = compiled.rules.filter(rule => runs.some(r => r.reasons.some(x => x.id === rule.id)));
+  const X = runs.map(r => rules.map(rule => (r.reasons.some(x => x.id === rule.id) ? 1 : 0)));
+  const y = runs.map(r => (r.label === "scam" ? 1 : 0));
+  const { w, b } = fitLogistic(X, y, {
+    w0: rules.map(rule => rule.weight / POINTS_PER_LOGIT),
+    b0: (compiled.base - 50) / POINTS_PER_LOGIT,
+    iterations,
+    rate,
+    l2,
+  });
+
+  const base = Math.max(0, Math.min(100, Math.round(50 + POINTS_PER_LOGIT * b)));
+  const weights = {};
+  rules.forEach((rule, j) => { weights[rule.id] = Math.max(-100, Math.min(100, Math.round(w[j] * POINTS_PER_LOGIT))); });
+  const thresholds = fitThresholds(rescore(runs, { base, weights }), compiled.thresholds);
+  return { base, weights, thresholds };
+}
+
+// Runs re-scored with fitted weights (rules without one keep their points).
+function rescore(runs, { base, weights }){
+  return runs.map(r => {
+    const reasons = r.reasons.map(x => ({ id: x.id, pts: weights[x.id] ?? x.pts }));
+    return { ...r, reasons, raw: base + reasons.reduce((s, x) => s + x.pts, 0) };
+  });
+}
+
+// k-fold cross-validation of the fit: each message is scored and leveled by a profile fitted on the
+// other folds, so the metrics say how the fit does on messages it hasn't seen. Folds are dealt round
+// robin within each label, so every fold holds scams and legitimate messages.
+export function crossValidate(runs, compiled, { folds = 5, iterations = 4000, rate = 0.5, l2 = 0.05 } = {}){
+  const fold = new Map();
+  for (const label of ["scam", "legit"]) runs.filter(r => r.label === label).forEach((r, i) => fold.set(r, i % folds));
+  const held = [];
+  for (let k = 0; k < folds; k++){
+    const test = runs.filter(r => fold.get(r) === k);
+    if (!test.length) continue;
+    const fitted = fit(runs.filter(r => fold.get(r) !== k), compiled, { iterations, rate, l2 });
+    held.push(...rescore(test, fitted).map(r => ({ ...r, thresholds: fitted.thresholds })));
+  }
+  return evaluateRuns(held, compiled.thresholds);
+}
+
+// Runs (scored with `compiled`) -> scoring profile with fitted weights, base and thresholds, and
+// metrics from crossValidate() rather than from the messages the profile was fitted on.
+// opts: { id, version, fittedAt, corpus: { id, version, size }, folds, iterations, rate, l2 }
+export function calibrate(runs, compiled, opts = {}){
+  const { folds = 5, iterations = 4000, rate = 0.5, l2 = 0.05 } = opts;
+  const { base, weights, thresholds } = fit(runs, compiled, { iterations, rate, l2 });
+  const metrics = crossValidate(runs, compiled, { folds, iterations, rate, l2 });
+
+  return {
+    id: opts.id || `${compiled.id}-calibrated`,
+    version: opts.version || "1.0.0",
+    description: `Weights and thresholds fitted on a labeled corpus for rule pack ${compiled.id}.`,
+    fittedAt: opts.fittedAt || new Date().toISOString(),
+    rulePack: { id: compiled.id, version: compiled.version },
+    ...(opts.corpus ? { corpus: opts.corpus } : {}),
+    base,
+    thresholds,
+    weights,
+    metrics: {
+      folds,
+      precision: metrics.binary.precision,
+      recall: metrics.binary.recall,
+      f1: metrics.binary.f1,
+      accuracy: metrics.binary.accuracy,
+      levelAccuracy: metrics.levelAccuracy,
+    },
+  };
+}
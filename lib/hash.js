@@ -0,0 +1,119 @@
+// Small synchronous hash helpers (SHA-256, Keccak-256) for offline checksum validation.
+// Inputs are Uint8Array or string (UTF-8); outputs are Uint8Array. Pure — no DOM access.
+
+const utf8 = (v) => typeof v === "string" ? new TextEncoder().encode(v) : v;
+
+export function toHex(bytes){
+  return Array.from(bytes, b => b.toString(16).padStart(2, "0")).join("");
+}
+
+const K256 = new Uint32Array([
+  0x428a2f98,0x71374491,0xb5c0fbcf,0xe9b5dba5,0x3956c25b,0x59f111f1,0x923f82a4,0xab1c5ed5,
+  0xd807aa98,0x12835b01,0x243185be,0x550c7dc3,0x72be5d74,0x80deb1fe,0x9bdc06a7,0xc19bf174,
+  0xe49b69c1,0xefbe4786,0x0fc19dc6,0x240ca1cc,0x2de92c6f,0x4a7484aa,0x5cb0a9dc,0x76f988da,
+  0x983e5152,0xa831c66d,0xb00327c8,0xbf597fc7,0xc6e00bf3,0xd5a79147,0x06ca6351,0x14292967,
+  0x27b70a85,0x2e1b2138,0x4d2c6dfc,0x53380d13,0x650a7354,0x766a0abb,0x81c2c92e,0x92722c85,
+  0xa2bfe8a1,0xa81a664b,0xc24b8b70,0xc76c51a3,0xd192e819,0xd6990624,0xf40e3585,0x106aa070,
+  0x19a4c116,0x1e376c08,0x2748774c,0x34b0bcb5,0x391c0cb3,0x4ed8aa4a,0x5b9cca4f,0x682e6ff3,
+  0x748f82ee,0x78a5636f,0x84c87814,0x8cc70208,0x90befffa,0xa4506ceb,0xbef9a3f7,0xc67178f2,
+]);
+
+export function sha256(data){
+  const msg = utf8(data);
+  const bitLen = msg.length * 8;
+  const padded = new Uint8Array(((msg.length + 9 + 63) >> 6) << 6);
+  padded.set(msg);
+  padded[msg.length] = 0x80;
+  const dv = new DataView(padded.buffer);
+  dv.setUint32(padded.length - 8, Math.floor(bitLen / 0x100000000));
+  dv.setUint32(padded.length - 4, bitLen >>> 0);
+
+  const h = new Uint32Array([0x6a09e667,0xbb67ae85,0x3c6ef372,0xa54ff53a,0x510e527f,0x9b05688c,0x1f83d9ab,0x5be0cd19]);
+  const w = new Uint32Array(64);
+  const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+
+  for (let off = 0; off < padded.length; off += 64){
+    for (let i = 0; i < 16; i++) w[i] = dv.getUint32(off + i * 4);
+    for (let i = 16; i < 64; i++){
+      const s0 = rotr(w[i-15], 7) ^ rotr(w[i-15], 18) ^ (w[i-15] >>> 3);
+      const s1 = rotr(w[i-2], 17) ^ rotr(w[i-2], 19) ^ (w[i-2] >>> 10);
+      w[i] = (w[i-16] + s0 + w[i-7] + s1) | 0;
+    }
+    let [a, b, c, d, e, f, g, hh] = h;
+    for (let i = 0; i < 64; i++){
+      const t1 = (hh + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + K256[i] + w[i]) | 0;
+      const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+      hh = g; g = f; f = e; e = (d + t1) | 0;
+      d = c; c = b; b = a; a = (t1 + t2) | 0;
+    }
+    h[0] += a; h[1] += b; h[2] += c; h[3] += d; h[4] += e; h[5] += f; h[6] += g; h[7] += hh;
+  }
+
+  const out = new Uint8Array(32);
+  const odv = new DataView(out.buffer);
+  h.forEach((v, i) => odv.setUint32(i * 4, v));
+  return out;
+}
+
+const MASK64 = (1n << 64n) - 1n;
+const KECCAK_RC = [
+  0x0000000000000001n, 0x0000000000008082n, 0x800000000000808An, 0x8000000080008000n,
+  0x000000000000808Bn, 0x0000000080000001n, 0x8000000080008081n, 0x8000000000008009n,
+  0x000000000000008An, 0x0000000000000088n, 0x0000000080008009n, 0x000000008000000An,
+  0x000000008000808Bn, 0x800000000000008Bn, 0x8000000000008089n, 0x8000000000008003n,
+  0x8000000000008002n, 0x8000000000000080n, 0x000000000000800An, 0x800000008000000An,
+  0x8000000080008081n, 0x8000000000008080n, 0x0000000080000001n, 0x8000000080008008n,
+];
+const KECCAK_ROT = [1,3,6,10,15,21,28,36,45,55,2,14,27,41,56,8,25,43,62,18,39,61,20,44];
+const KECCAK_PI = [10,7,11,17,18,3,5,16,8,21,24,4,15,23,19,13,12,2,20,14,22,9,6,1];
+
+function keccakF(st){
+  const rotl = (x, n) => ((x << BigInt(n)) | (x >> BigInt(64 - n))) & MASK64;
+  const bc = new Array(5);
+  for (let round = 0; round < 24; round++){
+    for (let i = 0; i < 5; i++) bc[i] = st[i] ^ st[i+5] ^ st[i+10] ^ st[i+15] ^ st[i+20];
+    for (let i = 0; i < 5; i++){
+      const t = bc[(i + 4) % 5] ^ rotl(bc[(i + 1) % 5], 1);
+      for (let j = 0; j < 25; j += 5) st[j + i] ^= t;
+    }
+    let t = st[1];
+    for (let i = 0; i < 24; i++){
+      const j = KECCAK_PI[i];
+      const tmp = st[j];
+      st[j] = rotl(t, KECCAK_ROT[i]);
+      t = tmp;
+    }
+    for (let j = 0; j < 25; j += 5){
+      for (let i = 0; i < 5; i++) bc[i] = st[j + i];
+      for (let i = 0; i < 5; i++) st[j + i] ^= (bc[(i + 1) % 5] ^ MASK64) & bc[(i + 2) % 5];
+    }
+    st[0] ^= KECCAK_RC[round];
+  }
+}
+
+// Original Keccak-256 (Ethereum), not NIST SHA3-256 — the padding byte differs.
+export function keccak256(data){
+  const msg = utf8(data);
+  const rate = 136;
+  const padded = new Uint8Array(Math.floor(msg.length / rate) * rate + rate);
+  padded.set(msg);
+  padded[msg.length] ^= 0x01;
+  padded[padded.length - 1] ^= 0x80;
+
+  const st = new Array(25).fill(0n);
+  for (let off = 0; off < padded.length; off += rate){
+    for (let i = 0; i < rate / 8; i++){
+      let lane = 0n;
+      for (let b = 7; b >= 0; b--) lane = (lane << 8n) | BigInt(padded[off + i * 8 + b]);
+      st[i] ^= lane;
+    }
+    keccakF(st);
+  }
+
+  const out = new Uint8Array(32);
+  for (let i = 0; i < 4; i++){
+    let lane = st[i];
+    for (let b = 0; b < 8; b++){ out[i * 8 + b] = Number(lane & 0xffn); lane >>= 8n; }
+  }
+  return out;
+}
@@ -0,0 +1,130 @@
+// Per-counterparty deal history: record shape, counterparty guessing and the diff of a new
+// analysis against earlier ones (payee change, amount jump). Storage lives in web/history-store.js.
+// Pure — no DOM access.
+import { parseNumber } from "./numbers.js";
+import { extractAmounts } from "./amounts.js";
+
+const FREE_MAIL = new Set([
+  "gmail.com", "googlemail.com", "yahoo.com", "outlook.com", "hotmail.com", "live.com", "icloud.com",
+  "aol.com", "proton.me", "protonmail.com", "mail.com", "gmx.com", "gmx.de", "yandex.ru", "mail.ru",
+]);
+
+export const LEGAL_SUFFIX = "(?:Ltd|Limited|LLC|L\\.L\\.C\\.|Inc|Corp|GmbH|AG|S\\.A\\.|SAS|SARL|S\\.L\\.|B\\.V\\.|BV|PLC|Pty|Studio|Group|Agency)";
+
+// Stable key for grouping: lower-case, punctuation-free.
+export function counterpartyKey(name){
+  return (name || "").toLowerCase().replace(/[^\p{L}\p{N}.@]+/gu, " ").trim();
+}
+
+// Best-effort counterparty from the message: signature line, then business email domain,
+// then a company name with a legal suffix. Returns null when nothing usable is found.
+export function guessCounterparty(text){
+  const lines = text.split("\n").map(l => l.trim()).filter(Boolean);
+  for (const line of lines.slice(-4).reverse()){
+    const m = line.match(/^(?:—|–|--|-)\s*(?:[\p{Lu}][\p{L}'-]+\s*,\s*)?(.+)$/u);
+    if (m && m[1].length <= 60) return m[1].trim();
+  }
+  const emails = text.match(/[\w.+-]+@([\w-]+(?:\.[\w-]+)+)/g) || [];
+  for (const e of emails){
+    const domain = e.split("@")[1].toLowerCase();
+    if (!FREE_MAIL.has(domain)) return domain;
+  }
+  // Skip beneficiary lines: "Account name: NW Trading Ltd" is who gets paid, not who is writing.
+  const re = new RegExp(`\\b((?:[A-Z][\\w&'-]*\\s+){1,3}${LEGAL_SUFFIX})\\b`);
+  for (const line of lines){
+    if (/\b(?:account name|beneficiary|payee|account holder)\b/i.test(line)) continue;
+    const m = line.match(re);
+    if (m) return m[1].trim();
+  }
+  return null;
+}
+
+// "$3,000" / "1 200 EUR" / "1.200,00 €" / "three thousand dollars" -> { raw, value, currency }.
+// `decimal` is the locale's decimal separator when known (see lib/locales.js).
+export function parseAmount(raw, decimal = null){
+  if (!raw) return null;
+  const hit = extractAmounts(raw, { decimal })[0];
+  if (hit) return { raw, value: hit.value, currency: hit.currency };
+  // Bare numbers, e.g. an invoice total without a currency.
+  const value = parseNumber(raw, decimal);
+  return value != null && value > 0 ? { raw, value, currency: null } : null;
+}
+
+const PAYEE_TYPES = { iban: "IBAN", account: "account number", wallet: "wallet address", paypal: "PayPal account" };
+
+// What we keep per analysis (no DOM state).
+export function makeHistoryRecord({ counterparty, deal, text, result, snapshot, senderDomain, createdAt }){
+  return {
+    createdAt: createdAt || new Date().toISOString(),
+    counterparty: counterparty || null,
+    counterpartyKey: counterpartyKey(counterparty),
+    deal: deal || null,
+    senderDomain: senderDomain || null,
+    text,
+    score: result.score,
+    level: result.level,
+    amount: parseAmount(snapshot.amount, result.language && result.language.decimal),
+    language: result.language ? result.language.code : null,
+    payment: snapshot.payment,
+    parties: snapshot.parties || null,
+    instruments: (snapshot.instruments || []).map(({ type, label, value, country, valid }) => ({ type, label, value, country, valid })),
+  };
+}
+
+function median(values){
+  const v = values.slice().sort((a,b)=>a-b);
+  const mid = v.length >> 1;
+  return v.length % 2 ? v[mid] : (v[mid - 1] + v[mid]) / 2;
+}
+
+// Signals for "when": "signal" rules, comparing the current extraction with earlier records.
+// current: { instruments, amount, decimal } (amount is the raw snapshot string; decimal is the locale separator)
+export function historySignals(current, records){
+  const signals = {};
+  if (!records.length) return signals;
+  const push = (name, span, detail) => {
+    (signals[name] = signals[name] || []).push({ start: span.start, end: span.end, text: span.text, detail });
+  };
+
+  for (const [type, noun] of Object.entries(PAYEE_TYPES)){
+    const now = (current.instruments || []).filter(i => i.type === type);
+    if (!now.length) continue;
+    const before = records.filter(r => r.instruments.some(i => i.type === type));
+    if (!before.length) continue;
+    const known = new Set(before.flatMap(r => r.instruments.filter(i => i.type === type).map(i => i.value)));
+    for (const inst of now){
+      if (known.has(inst.value)) continue;
+      const n = before.length;
+      push("payee_changed", inst, `${noun} differs from the one used on ${n} previous message${n === 1 ? "" : "s"}`);
+    }
+  }
+
+  const amt = parseAmount(current.amount, current.decimal);
+  if (amt){
+    const prior = records
+      .map(r => r.amount)
+      .filter(a => a && a.currency === amt.currency)
+      .map(a => a.value);
+    if (prior.length){
+      const usual = median(prior);
+      const ratio = amt.value / usual;
+      if (ratio >= 3){
+        const idx = current.amountSpan || { start: 0, end: 0, text: "" };
+        push("amount_jump", idx, `Amount jumped ${ratio.toFixed(1)}x vs. the usual ${usual.toLocaleString("en-US")}${amt.currency ? " " + amt.currency : ""} (${prior.length} previous)`);
+      }
+    }
+  }
+  return signals;
+}
+
+// { counterpartyKey: { name, deals: { dealName: [records newest-first] } } }
+export function groupHistory(records){
+  const out = {};
+  for (const r of records.slice().sort((a,b) => b.createdAt.localeCompare(a.createdAt))){
+    const key = r.counterpartyKey || "";
+    const group = out[key] = out[key] || { name: r.counterparty || "(unknown counterparty)", deals: {} };
+    const deal = r.deal || "(no deal reference)";
+    (group.deals[deal] = group.deals[deal] || []).push(r);
+  }
+  return out;
+}
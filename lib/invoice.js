@@ -0,0 +1,220 @@
+// Invoice field extraction (number, dates, line items, totals, tax IDs, bank block) and the
+// arithmetic cross-checks that feed the rule engine. Works on plain text from paste, PDF
+// text layers or OCR. Pure — no DOM access.
+import { parseNumber, roundMoney, formatMoney } from "./numbers.js";
+import { parseDate, DATE_PATTERN } from "./dates.js";
+
+const CURRENCY_SYMBOLS = { "$": "USD", "€": "EUR", "£": "GBP", "¥": "JPY", "₹": "INR" };
+const CURRENCY_CODES = "USD|EUR|GBP|CHF|JPY|CNY|INR|AED|SGD|AUD|CAD|TRY|RUB|BRL|MXN|PLN|SEK|NOK|DKK|CZK|HUF|ZAR";
+
+// One money/number token: "1,200.00", "€ 99", "1.234,50 EUR", "600".
+// Lakh / crore grouping too ("4,00,000.00"); a token never ends inside a run of digit groups.
+const NUM_TOKEN = `-?(?:\\d{1,2}(?:,\\d{2})+,\\d{3}|\\d{1,3}(?:[.,' ]\\d{3})+|\\d+)(?:[.,]\\d{1,2})?(?![.,]?\\d)`;
+const MONEY_TOKEN = `(?:[$€£¥₹]\\s?)?${NUM_TOKEN}(?:\\s?(?:${CURRENCY_CODES}|[€£]))?`;
+
+const SUBTOTAL_RE = /\b(?:sub-?\s?total|net (?:amount|total)|total net|amount before tax)\b/i;
+const TAX_RE = /\b(?:vat|tax|gst|mwst|ust|iva|tva)\b(?!\s*(?:id|no|number|reg|registration|#|:?\s*[A-Z]{2}\d))/i;
+const TOTAL_RE = /\b(?:grand total|total(?: due| amount| payable| gross| incl)?|amount (?:due|payable)|balance due)\b/i;
+const NOT_ITEM_RE = /\b(?:sub-?\s?total|total|vat|tax|gst|balance|amount due|paid|iban|swift|bic|account|sort code|routing|invoice|date|due|phone|tel|fax|page|po box|zip|postcode)\b/i;
+
+function lineSpans(text){
+  const out = [];
+  let pos = 0;
+  for (const line of text.split("\n")){
+    out.push({ text: line, start: pos, end: pos + line.length });
+    pos += line.length + 1;
+  }
+  return out;
+}
+
+function lastMoney(line){
+  const all = line.match(new RegExp(MONEY_TOKEN, "g")) || [];
+  const cand = all.filter(t => !/%/.test(t) && /\d/.test(t));
+  return cand.length ? parseNumber(cand[cand.length - 1]) : null;
+}
+
+export function detectCurrency(text){
+  const code = text.match(new RegExp(`\\b(${CURRENCY_CODES})\\b`));
+  const sym = text.match(/[$€£¥₹]/);
+  if (sym && (!code || sym.index < code.index)) return CURRENCY_SYMBOLS[sym[0]];
+  return code ? code[1] : null;
+}
+
+function findDate(text, labelRe, dayFirst){
+  const re = new RegExp(`(?:${labelRe})\\s*[:.]?\\s*(${DATE_PATTERN})`, "i");
+  const m = text.match(re);
+  if (!m) return null;
+  const start = m.index + m[0].lastIndexOf(m[1]);
+  return { raw: m[1], iso: parseDate(m[1], { dayFirst }), start, end: start + m[1].length, text: m[1] };
+}
+
+// Trailing numeric columns of a table row: "Design  2  300.00  600.00" -> description + numbers.
+function parseItemLine(line){
+  const tokens = line.text.trim().split(/\s{2,}|\t|\s(?=[$€£¥₹]?\d[\d.,]*(?:\s|$))/);
+  const nums = [];
+  while (tokens.length){
+    const t = tokens[tokens.length - 1].trim();
+    if (/%$/.test(t)) { tokens.pop(); continue; }
+    if (!new RegExp(`^(?:x|×|@)?\\s*${MONEY_TOKEN}$`, "i").test(t)) break;
+    nums.unshift(parseNumber(t));
+    tokens.pop();
+    if (nums.length === 4) break;
+  }
+  const description = tokens.join(" ").replace(/[\s.:…-]+$/, "").trim();
+  if (!nums.length || !/\p{L}{2,}/u.test(description) || nums.some(n => n == null)) return null;
+
+  const amount = nums[nums.length - 1];
+  let qty = null;
+  let unitPrice = null;
+  if (nums.length >= 3){
+    qty = nums[nums.length - 3];
+    unitPrice = nums[nums.length - 2];
+  } else if (nums.length === 2 && Number.isInteger(nums[0]) && nums[0] > 0 && nums[0] <= 1000 && nums[0] !== amount){
+    qty = nums[0];
+  }
+  return { description, qty, unitPrice, amount, start: line.start, end: line.end, text: line.text };
+}
+
+// opts.dayFirst: how to read "03/04/2026" (the detected language's convention).
+export function parseInvoice(text, { dayFirst = true } = {}){
+  const lines = lineSpans(text);
+  const inv = {
+    number: null,
+    issueDate: null,
+    dueDate: null,
+    currency: detectCurrency(text),
+    lineItems: [],
+    subtotal: null,
+    tax: null,
+    total: null,
+    taxIds: [],
+    bankBlock: null,
+  };
+
+  // "Invoice no. 1042" needs the label; a bare "Invoice INV-1042" needs letters or a dash so that
+  // "invoice 500 USD" is not read as a number.
+  const num = text.match(/\binvoice\s*(?:(?:no\.?|number|nr\.?|#|id)\s*[:#]?\s*((?=[A-Z0-9\-\/]*\d)[A-Z0-9][A-Z0-9\-\/]{2,})|:?\s*((?=[A-Z0-9\-\/]*\d)(?=[0-9]*[A-Z\-\/])[A-Z0-9][A-Z0-9\-\/]{2,}))\b/i);
+  if (num) inv.number = num[1] || num[2];
+  inv.issueDate = findDate(text, "invoice date|issue date|date of issue|issued(?: on)?|(?<!due )date", dayFirst);
+  inv.dueDate = findDate(text, "due date|payment due(?: date)?|due(?: on| by)?|pay(?:able)? by", dayFirst);
+
+  // Totals: the last matching line wins (summaries sit at the bottom).
+  let itemsEnd = lines.length;
+  lines.forEach((l, i) => {
+    const value = lastMoney(l.text);
+    if (value == null) return;
+    const span = { start: l.start, end: l.end, text: l.text };
+    if (SUBTOTAL_RE.test(l.text)){
+      inv.subtotal = { value, ...span };
+      itemsEnd = Math.min(itemsEnd, i);
+    } else if (TAX_RE.test(l.text) && !TOTAL_RE.test(l.text)){
+      const rate = l.text.match(/(\d{1,2}(?:[.,]\d{1,2})?)\s?%/);
+      inv.tax = { value, rate: rate ? parseNumber(rate[1], rate[1].includes(",") ? "," : ".") : null, ...span };
+      itemsEnd = Math.min(itemsEnd, i);
+    } else if (TOTAL_RE.test(l.text)){
+      inv.total = { value, ...span };
+      itemsEnd = Math.min(itemsEnd, i);
+    }
+  });
+
+  // Line items: rows after a "Description / Qty / Price" header when there is one.
+  const headerIdx = lines.findIndex(l => /\b(?:description|item|service|product)s?\b/i.test(l.text) && /\b(?:qty|quantity|amount|price|total|rate|hours)\b/i.test(l.text));
+  const from = headerIdx >= 0 ? headerIdx + 1 : 0;
+  for (const l of lines.slice(from, itemsEnd)){
+    if (NOT_ITEM_RE.test(l.text) || new RegExp(DATE_PATTERN).test(l.text)) continue;
+    const item = parseItemLine(l);
+    if (item) inv.lineItems.push(item);
+  }
+  // Without a header row a single "Budget is $1,200" sentence is not a table.
+  if (headerIdx < 0 && inv.lineItems.length < 2) inv.lineItems = [];
+
+  const taxRe = /\b(VAT|USt-?IdNr\.?|TVA|IVA|BTW|GST|ABN|EIN|TIN|UTR|Tax ID|Tax No\.?)\s*(?:[Nn]o\.?|[Nn]umber|[Rr]eg(?:istration)?\.?|I[Dd]|#)?\s*[:#]?\s*([A-Z]{2}\s?[A-Z0-9][A-Z0-9 ]{5,14}[A-Z0-9]|\d{2}-\d{7}|[A-Z0-9]{6,15})\b/g;
+  for (const m of text.matchAll(taxRe)){
+    const value = m[2].replace(/\s+/g, "");
+    if (!/\d{4}/.test(value)) continue;
+    const start = m.index + m[0].lastIndexOf(m[2]);
+    inv.taxIds.push({ type: m[1].replace(/\s*No\.?$/i, "").toUpperCase(), value, start, end: start + m[2].length });
+  }
+
+  const bankIdx = lines.findIndex(l => /\b(?:bank details|payment details|payment information|remittance|beneficiary|bank account|wire instructions|banking details)\b/i.test(l.text))
+    ;
+  const firstBankLine = bankIdx >= 0 ? bankIdx : lines.findIndex(l => /\b(?:iban|swift|bic|account (?:no|number)|sort code|routing)\b/i.test(l.text));
+  if (firstBankLine >= 0){
+    let last = firstBankLine;
+    while (last + 1 < lines.length && lines[last + 1].text.trim() && last - firstBankLine < 7) last++;
+    const a = lines[firstBankLine];
+    const b = lines[last];
+    inv.bankBlock = { start: a.start, end: b.end, text: text.slice(a.start, b.end) };
+  }
+
+  inv.isInvoice = !!(inv.number || (inv.total && (inv.lineItems.length || inv.subtotal || inv.tax)) || inv.lineItems.length >= 2);
+  return inv;
+}
+
+const close = (a, b) => Math.abs(a - b) <= Math.max(0.011, Math.abs(b) * 0.0005);
+
+// Signals for "when": "signal" rules: invoice_arithmetic, invoice_dates_inconsistent.
+export function invoiceSignals(inv){
+  const signals = {};
+  if (!inv || !inv.isInvoice) return signals;
+  const push = (name, span, detail) => {
+    (signals[name] = signals[name] || []).push({ start: span.start, end: span.end, text: span.text, detail });
+  };
+  const cur = inv.currency;
+  const fm = (n) => formatMoney(n, cur);
+
+  for (const it of inv.lineItems){
+    if (it.qty != null && it.unitPrice != null && !close(it.qty * it.unitPrice, it.amount)){
+      push("invoice_arithmetic", it, `"${it.description}": ${it.qty} × ${fm(it.unitPrice)} = ${fm(roundMoney(it.qty * it.unitPrice))}, invoice says ${fm(it.amount)}`);
+    }
+  }
+
+  if (inv.lineItems.length){
+    const sum = roundMoney(inv.lineItems.reduce((a, it) => a + it.amount, 0));
+    const target = inv.subtotal || (!inv.tax ? inv.total : null);
+    if (target && !close(sum, target.value)){
+      push("invoice_arithmetic", target, `Line items add up to ${fm(sum)} but the ${target === inv.subtotal ? "subtotal" : "total"} says ${fm(target.value)}`);
+      for (const it of inv.lineItems) push("invoice_arithmetic", it, null);
+    }
+  }
+
+  if (inv.subtotal && inv.tax && inv.total && !close(inv.subtotal.value + inv.tax.value, inv.total.value)){
+    push("invoice_arithmetic", inv.total, `Subtotal ${fm(inv.subtotal.value)} + tax ${fm(inv.tax.value)} = ${fm(roundMoney(inv.subtotal.value + inv.tax.value))}, but the total says ${fm(inv.total.value)}`);
+  }
+  if (inv.subtotal && inv.tax && inv.tax.rate != null){
+    const expected = roundMoney(inv.subtotal.value * inv.tax.rate / 100);
+    if (Math.abs(expected - inv.tax.value) > Math.max(0.02, expected * 0.01)){
+      push("invoice_arithmetic", inv.tax, `${inv.tax.rate}% of ${fm(inv.subtotal.value)} is ${fm(expected)}, but the tax line says ${fm(inv.tax.value)}`);
+    }
+  }
+
+  if (inv.issueDate && inv.dueDate && inv.issueDate.iso && inv.dueDate.iso && inv.dueDate.iso < inv.issueDate.iso){
+    push("invoice_dates_inconsistent", inv.dueDate, `Due date ${inv.dueDate.iso} is before the issue date ${inv.issueDate.iso}`);
+    push("invoice_dates_inconsistent", inv.issueDate, null);
+  }
+  return signals;
+}
+
+// Short lines for the snapshot row.
+export function invoiceSummary(inv){
+  if (!inv || !inv.isInvoice) return [];
+  const cur = inv.currency;
+  const head = [];
+  if (inv.number) head.push(`No. ${inv.number}`);
+  if (inv.issueDate) head.push(`issued ${inv.issueDate.iso || inv.issueDate.raw}`);
+  if (inv.dueDate) head.push(`due ${inv.dueDate.iso || inv.dueDate.raw}`);
+  const out = [];
+  if (head.length) out.push(head.join(" · "));
+  for (const it of inv.lineItems){
+    const q = it.qty != null ? `${it.qty} × ${it.unitPrice != null ? formatMoney(it.unitPrice) + " = " : ""}` : "";
+    out.push(`• ${it.description}: ${q}${formatMoney(it.amount, cur)}`);
+  }
+  const totals = [];
+  if (inv.subtotal) totals.push(`subtotal ${formatMoney(inv.subtotal.value, cur)}`);
+  if (inv.tax) totals.push(`tax${inv.tax.rate != null ? ` ${inv.tax.rate}%` : ""} ${formatMoney(inv.tax.value, cur)}`);
+  if (inv.total) totals.push(`total ${formatMoney(inv.total.value, cur)}`);
+  if (totals.length) out.push(totals.join(" · "));
+  if (inv.taxIds.length) out.push(inv.taxIds.map(t => `${t.type} ${t.value}`).join(" · "));
+  if (inv.bankBlock) out.push(`Bank block: ${inv.bankBlock.text.replace(/\s*\n\s*/g, " | ")}`);
+  return out;
+}
@@ -0,0 +1,69 @@
+// Lightweight language identification for the languages DealShield ships rules for.
+// Script first (Cyrillic, Arabic), then stop-word and diacritic votes for Latin-script text.
+// Pure — no DOM access.
+
+export const LANGUAGES = {
+  en: "English",
+  es: "Español",
+  de: "Deutsch",
+  pt: "Português",
+  ru: "Русский",
+  tr: "Türkçe",
+  ar: "العربية",
+};
+
+const STOPWORDS = {
+  en: "the and to of you your we our is are for with this that please will be have it on in not from by at as".split(" "),
+  es: "el la los las de que y en un una por para con su sus es no se lo le nos usted favor pago cuenta hoy muy".split(" "),
+  de: "der die das und ist nicht sie wir ihr ihre unser mit für den dem ein eine zu auf bitte heute von bei auch".split(" "),
+  pt: "o a os as de que e em um uma para com por não se seu sua você nós favor pagamento conta hoje muito do da".split(" "),
+  tr: "ve bir bu için ile da de değil lütfen siz biz bize size hesap ödeme bugün çok olarak ama daha en mi".split(" "),
+};
+
+// Letters that (almost) only occur in one of the Latin-script languages.
+const MARKERS = {
+  es: /[ñ¿¡]/g,
+  de: /[ßäöü]/g,
+  pt: /[ãõç]/g,
+  tr: /[ğışİ]/g,
+};
+
+const LATIN = /\p{Script=Latin}/gu;
+const CYRILLIC = /\p{Script=Cyrillic}/gu;
+const ARABIC = /\p{Script=Arabic}/gu;
+
+const count = (text, re) => (text.match(re) || []).length;
+
+// Votes another Latin-script language needs, at least twice English's, before the text counts as
+// written in it: a stray "no" or "de" in an English invoice ("Invoice No", "Banco de Chile") isn't enough.
+const MIN_VOTES = 3;
+
+// -> { code, name, confidence (0..1) }. Defaults to English for short or unclear text.
+export function detectLanguage(text){
+  const sample = (text || "").slice(0, 5000);
+  const latin = count(sample, LATIN);
+  const cyr = count(sample, CYRILLIC);
+  const ar = count(sample, ARABIC);
+  const letters = latin + cyr + ar;
+  const result = (code, confidence) => ({ code, name: LANGUAGES[code], confidence: Math.round(confidence * 100) / 100 });
+  if (letters < 8) return result("en", 0);
+  if (cyr / letters > 0.4) return result("ru", cyr / letters);
+  if (ar / letters > 0.4) return result("ar", ar / letters);
+
+  // Whole words only: letters inside an alphanumeric run ("DE89…", "INV-2026A") aren't words.
+  const words = (sample.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).filter(w => !/\d/.test(w));
+  const scores = {};
+  for (const [code, list] of Object.entries(STOPWORDS)){
+    const set = new Set(list);
+    scores[code] = words.filter(w => set.has(w)).length;
+  }
+  const lower = sample.toLowerCase();
+  for (const [code, re] of Object.entries(MARKERS)) scores[code] += 2 * count(code === "tr" ? sample : lower, re);
+
+  const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  const [best, top] = ranked[0];
+  const total = ranked.reduce((a, [, v]) => a + v, 0);
+  if (!top) return result("en", 0);
+  if (best !== "en" && (top < MIN_VOTES || top < 2 * scores.en)) return result("en", scores.en / total);
+  return result(best, top / total);
+}
@@ -0,0 +1,116 @@
+// Locale packs: per-language additions to a compiled rule pack (extra patterns per rule id),
+// deadline / payment-method phrases, amount-role keywords (lib/amounts.js), greeting, sign-off and
+// account-holder phrases (lib/parties.js), number and date conventions, and the safe-reply template.
+// Plain JSON (see rules/locales/*.json), validated like rule packs. Pure — no DOM access.
+import { validateSchema } from "./schema.js";
+import { RulePackError } from "./rules.js";
+
+const STRINGS = { type: "array", items: { type: "string", minLength: 1 } };
+// Reply tone other than the default friendly one (lib/reply.js); missing strings fall back to it.
+const REPLY_STYLE = {
+  type: "object",
+  additionalProperties: false,
+  properties: { greeting: { type: "string" }, intro: { type: "string" }, closing: { type: "string" } },
+};
+
+export const LOCALE_PACK_SCHEMA = {
+  type: "object",
+  required: ["language", "name", "patterns", "reply"],
+  additionalProperties: false,
+  properties: {
+    $schema: { type: "string" },
+    language: { type: "string", pattern: "^[a-z]{2}$" },
+    name: { type: "string", minLength: 1 },
+    decimal: { enum: [".", ","] },
+    dayFirst: { type: "boolean" },
+    patterns: { type: "object", additionalProperties: STRINGS },
+    deadline: STRINGS,
+    payment: { type: "object", additionalProperties: STRINGS },
+    amounts: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        fee: STRINGS, deposit: STRINGS, milestone: STRINGS, refund: STRINGS, total: STRINGS, payout: STRINGS,
+      },
+    },
+    parties: {
+      type: "object",
+      additionalProperties: false,
+      properties: { greeting: STRINGS, signoff: STRINGS, beneficiary: STRINGS },
+    },
+    reply: {
+      type: "object",
+      required: ["greeting", "tone", "asks", "closing"],
+      additionalProperties: false,
+      properties: {
+        greeting: { type: "string" },
+        tone: {
+          type: "object",
+          required: ["HIGH", "MEDIUM", "LOW"],
+          additionalProperties: false,
+          properties: { HIGH: { type: "string" }, MEDIUM: { type: "string" }, LOW: { type: "string" } },
+        },
+        asks: STRINGS,
+        links: { type: "string" },
+        crypto: { type: "string" },
+        closing: { type: "string" },
+        styles: {
+          type: "object",
+          additionalProperties: false,
+          properties: { formal: REPLY_STYLE, firm: REPLY_STYLE },
+        },
+        rules: { type: "object", additionalProperties: STRINGS },
+      },
+    },
+  },
+};
+
+const FLAGS = "giu";
+
+export function validateLocalePack(pack){
+  const errors = validateSchema(LOCALE_PACK_SCHEMA, pack);
+  if (errors.length) return errors;
+  const check = (at, src) => {
+    try { new RegExp(src, FLAGS); }
+    catch (e) { errors.push(`${at}: invalid regex (${e.message})`); }
+  };
+  for (const [id, list] of Object.entries(pack.patterns)) list.forEach((src, i) => check(`patterns.${id}[${i}]`, src));
+  (pack.deadline || []).forEach((src, i) => check(`deadline[${i}]`, src));
+  for (const [k, list] of Object.entries(pack.payment || {})) list.forEach((src, i) => check(`payment.${k}[${i}]`, src));
+  for (const [k, list] of Object.entries(pack.amounts || {})) list.forEach((src, i) => check(`amounts.${k}[${i}]`, src));
+  for (const [k, list] of Object.entries(pack.parties || {})) list.forEach((src, i) => check(`parties.${k}[${i}]`, src));
+  return errors;
+}
+
+// Throws RulePackError with the full error list.
+export function compileLocalePack(pack){
+  const errors = validateLocalePack(pack);
+  if (errors.length) throw new RulePackError(`Invalid locale pack: ${errors[0]}`, errors);
+  const re = (list) => (list || []).map(src => new RegExp(src, FLAGS));
+  return {
+    language: pack.language,
+    name: pack.name,
+    decimal: pack.decimal || ".",
+    dayFirst: pack.dayFirst ?? true,
+    patterns: Object.fromEntries(Object.entries(pack.patterns).map(([id, list]) => [id, re(list)])),
+    deadline: re(pack.deadline),
+    payment: Object.fromEntries(Object.entries(pack.payment || {}).map(([k, list]) => [k, re(list)])),
+    amounts: Object.fromEntries(Object.entries(pack.amounts || {}).map(([k, list]) => [k, re(list)])),
+    parties: Object.fromEntries(Object.entries(pack.parties || {}).map(([k, list]) => [k, re(list)])),
+    reply: { rules: {}, ...pack.reply },
+    source: pack,
+  };
+}
+
+// Compiled rule pack + compiled locale -> compiled rule pack whose "match" rules also match the
+// localized phrases. Rules the locale doesn't mention are left as they are.
+export function localizeRulePack(compiled, locale){
+  if (!locale) return compiled;
+  return {
+    ...compiled,
+    language: locale.language,
+    rules: compiled.rules.map(r => locale.patterns[r.id] && r.when === "match"
+      ? { ...r, regexes: [...r.regexes, ...locale.patterns[r.id]] }
+      : r),
+  };
+}
@@ -0,0 +1,221 @@
+// RFC 5322 / MIME parser for .eml files and mbox archives. Works on "binary strings"
+// (one char per byte, see bytesToBinary) so 8-bit parts decode with their own charset.
+// Pure — no DOM access.
+
+export function bytesToBinary(bytes){
+  let out = "";
+  for (let i = 0; i < bytes.length; i += 0x8000){
+    out += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return out;
+}
+
+function binaryToBytes(str){
+  const out = new Uint8Array(str.length);
+  for (let i = 0; i < str.length; i++) out[i] = str.charCodeAt(i) & 0xff;
+  return out;
+}
+
+function decodeCharset(bytes, charset){
+  const cs = (charset || "utf-8").toLowerCase().replace(/^(?:x-|cp)(?=\d)/, "windows-");
+  try { return new TextDecoder(cs).decode(bytes); }
+  catch { return new TextDecoder("utf-8").decode(bytes); }
+}
+
+function decodeBase64(str){
+  const clean = str.replace(/[^A-Za-z0-9+/]/g, "");
+  const out = [];
+  let buf = 0, bits = 0;
+  const ALPHA = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+  for (const c of clean){
+    buf = (buf << 6) | ALPHA.indexOf(c);
+    bits += 6;
+    if (bits >= 8){
+      bits -= 8;
+      out.push((buf >> bits) & 0xff);
+    }
+  }
+  return new Uint8Array(out);
+}
+
+function decodeQuotedPrintable(str, header = false){
+  const s = header ? str.replace(/_/g, " ") : str.replace(/=\r?\n/g, "");
+  return binaryToBytes(s.replace(/=([0-9A-Fa-f]{2})/g, (_, h) => String.fromCharCode(parseInt(h, 16))));
+}
+
+// RFC 2047 encoded words: =?utf-8?B?...?= / =?iso-8859-1?Q?...?=
+export function decodeWords(value){
+  return value
+    .replace(/(=\?[^?]+\?[BbQq]\?[^?]*\?=)\s+(?==\?)/g, "$1")
+    .replace(/=\?([^?*]+)(?:\*[^?]*)?\?([BbQq])\?([^?]*)\?=/g, (_, cs, enc, data) => {
+      const bytes = enc.toUpperCase() === "B" ? decodeBase64(data) : decodeQuotedPrintable(data, true);
+      return decodeCharset(bytes, cs);
+    });
+}
+
+// Header block -> [{ name, value }] with folded lines joined. With `binary` (the default) 8-bit
+// values are decoded as UTF-8; pass false for blocks that are already Unicode text.
+export function parseHeaderLines(block, binary = true){
+  const out = [];
+  for (const line of block.split(/\r?\n/)){
+    if (/^[ \t]/.test(line) && out.length){
+      out[out.length - 1].raw += " " + line.trim();
+    } else {
+      const i = line.indexOf(":");
+      if (i > 0) out.push({ name: line.slice(0, i).trim(), raw: line.slice(i + 1).trim() });
+    }
+  }
+  return out.map(({ name, raw }) => ({ name, value: decodeWords(binary ? decodeCharset(binaryToBytes(raw), "utf-8") : raw) }));
+}
+
+function percentDecode(s){
+  return s.replace(/%([0-9A-Fa-f]{2})/g, (_, h) => String.fromCharCode(parseInt(h, 16)));
+}
+
+// "multipart/mixed; boundary=x; filename*=UTF-8''a%20b.pdf" -> { value, params }
+export function parseParams(header){
+  const [value, ...rest] = (header || "").split(/;(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+  const params = {};
+  for (const p of rest){
+    const i = p.indexOf("=");
+    if (i < 0) continue;
+    let key = p.slice(0, i).trim().toLowerCase();
+    let v = p.slice(i + 1).trim().replace(/^"(.*)"$/, "$1");
+    if (key.endsWith("*")){
+      key = key.slice(0, -1).replace(/\*\d+$/, "");
+      const m = v.match(/^([^']*)'[^']*'(.*)$/);
+      v = m ? decodeCharset(binaryToBytes(percentDecode(m[2])), m[1]) : percentDecode(v);
+    } else {
+      key = key.replace(/\*\d+$/, "");
+      v = decodeWords(v);
+    }
+    params[key] = (params[key] || "") + v;
+  }
+  return { value: value.trim().toLowerCase(), params };
+}
+
+function splitHead(raw){
+  const m = raw.match(/\r?\n\r?\n/);
+  if (!m) return { head: raw, body: "" };
+  return { head: raw.slice(0, m.index), body: raw.slice(m.index + m[0].length) };
+}
+
+function headerOf(headers, name){
+  const h = headers.find(x => x.name.toLowerCase() === name);
+  return h ? h.value : "";
+}
+
+function parsePart(raw){
+  const { head, body } = splitHead(raw);
+  const headers = parseHeaderLines(head);
+  const type = parseParams(headerOf(headers, "content-type") || "text/plain; charset=us-ascii");
+  const disp = parseParams(headerOf(headers, "content-disposition"));
+  const cte = headerOf(headers, "content-transfer-encoding").toLowerCase();
+  const part = {
+    headers,
+    contentType: type.value,
+    charset: type.params.charset,
+    disposition: disp.value,
+    filename: disp.params.filename || type.params.name || null,
+    children: [],
+    bytes: null,
+  };
+
+  if (type.value.startsWith("multipart/") && type.params.boundary){
+    const b = "--" + type.params.boundary;
+    const chunks = body.split(new RegExp(`(?:^|\\r?\\n)${b.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}(?:--)?[ \\t]*(?:\\r?\\n|$)`));
+    // chunks[0] is the preamble; the last one is the epilogue after the closing boundary.
+    for (const c of chunks.slice(1, -1)) part.children.push(parsePart(c));
+    if (!part.children.length && chunks.length > 1) part.children.push(parsePart(chunks[1]));
+    return part;
+  }
+  if (type.value === "message/rfc822"){
+    part.children.push(parsePart(body));
+    return part;
+  }
+  part.bytes = cte === "base64" ? decodeBase64(body)
+    : cte === "quoted-printable" ? decodeQuotedPrintable(body)
+    : binaryToBytes(body);
+  return part;
+}
+
+function decodeEntities(s){
+  const named = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " ", ndash: "–", mdash: "—", rsquo: "’", lsquo: "‘", ldquo: "“", rdquo: "”", euro: "€", pound: "£" };
+  return s.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, e) => {
+    if (e[0] === "#") return String.fromCodePoint(e[1].toLowerCase() === "x" ? parseInt(e.slice(2), 16) : Number(e.slice(1)));
+    return named[e.toLowerCase()] ?? m;
+  });
+}
+
+// HTML -> readable text. Links whose text differs from their href are kept as "text <href>"
+// so the visible-vs-real target stays inspectable downstream.
+export function htmlToText(html){
+  return decodeEntities(
+    html
+      .replace(/<(script|style|head)[\s\S]*?<\/\1>/gi, "")
+      .replace(/<a\b[^>]*?href\s*=\s*["']?([^"'\s>]+)["']?[^>]*>([\s\S]*?)<\/a>/gi, (_, href, inner) => {
+        const label = inner.replace(/<[^>]+>/g, "").trim();
+        if (!label || label === href || /^mailto:/i.test(href) && label === href.slice(7)) return label || href;
+        // Placeholder brackets survive the tag stripping below.
+        return `${label} \u0001${href}\u0002`;
+      })
+      .replace(/<br\s*\/?>/gi, "\n")
+      .replace(/<\/(p|div|tr|li|h[1-6]|table)>/gi, "\n")
+      .replace(/<li\b[^>]*>/gi, "• ")
+      .replace(/<[^>]+>/g, "")
+  ).replace(/\u0001/g, "<").replace(/\u0002/g, ">").replace(/[ \t]+\n/g, "\n").replace(/\n{3,}/g, "\n\n").trim();
+}
+
+// Body of a message with a plain and/or an HTML version. The HTML one wins when it has links: only there
+// does a link's text show next to its real target.
+export function bodyText(text, html){
+  if (html != null && (text == null || /<a\b[^>]*?\bhref\s*=/i.test(html))) return htmlToText(html);
+  return text != null ? text : "";
+}
+
+function walk(part, acc){
+  if (part.children.length){
+    for (const c of part.children) walk(c, acc);
+    return acc;
+  }
+  const isAttachment = part.disposition === "attachment" || (part.filename && !part.contentType.startsWith("text/"));
+  if (isAttachment){
+    acc.attachments.push({ filename: part.filename || "(unnamed)", contentType: part.contentType, size: part.bytes.length });
+  } else if (part.contentType === "text/plain" && acc.text == null){
+    acc.text = decodeCharset(part.bytes, part.charset);
+  } else if (part.contentType === "text/html" && acc.html == null){
+    acc.html = decodeCharset(part.bytes, part.charset);
+  }
+  return acc;
+}
+
+// raw: binary string of one message. Returns { headers, subject, from, date, text, html, attachments }.
+export function parseEmail(raw){
+  const root = parsePart(raw.replace(/^\xEF\xBB\xBF/, ""));
+  const acc = walk(root, { text: null, html: null, attachments: [] });
+  const text = bodyText(acc.text, acc.html);
+  return {
+    headers: root.headers,
+    subject: headerOf(root.headers, "subject"),
+    from: headerOf(root.headers, "from"),
+    date: headerOf(root.headers, "date"),
+    text: text.replace(/\r\n/g, "\n").trim(),
+    html: acc.html,
+    attachments: acc.attachments,
+  };
+}
+
+// mbox (mboxo/mboxrd) -> array of raw message binary strings.
+export function splitMbox(raw){
+  const out = [];
+  const parts = raw.split(/^From [^\n]*\r?\n/m);
+  for (const p of parts){
+    if (!p.trim()) continue;
+    out.push(p.replace(/^>(>*From )/gm, "$1"));
+  }
+  return out;
+}
+
+export function looksLikeMbox(raw){
+  return /^From \S+.*\r?\n/.test(raw);
+}
@@ -0,0 +1,35 @@
+// Pinned on-device models (models/lock.json): which Transformers.js runtime and ONNX model files
+// are served from the site itself, where they live and the SRI hash each must match. Shared by the
+// browser loader (web/models.js) and bin/fetch-models.js. Pure — no DOM access.
+
+export const LOCK_PATH = "models/lock.json";
+
+const SRI_ALGORITHMS = { sha256: "SHA-256", sha384: "SHA-384", sha512: "SHA-512" };
+
+// "sha384-<base64>" -> { algorithm: "SHA-384", name: "sha384", digest: "<base64>" } (null if malformed).
+export function parseIntegrity(sri){
+  const m = /^(sha256|sha384|sha512)-([A-Za-z0-9+/]+={0,2})$/.exec(sri || "");
+  return m ? { algorithm: SRI_ALGORITHMS[m[1]], name: m[1], digest: m[2] } : null;
+}
+
+// Model files live under a directory named after the pinned revision, so a new pin never
+// collides with cached files of the previous one. Transformers.js appends "<model id>/<file>".
+export function localModelPath(lock){
+  return `models/${lock.model.revision}/`;
+}
+
+// Lock -> [{ part: "runtime" | "model", name, path, integrity }] with site-relative paths.
+export function lockedFiles(lock){
+  const runtime = Object.entries(lock.runtime.files).map(([name, integrity]) => ({
+    part: "runtime", name, path: `${lock.runtime.path}${name}`, integrity,
+  }));
+  const model = Object.entries(lock.model.files).map(([name, integrity]) => ({
+    part: "model", name, path: `${localModelPath(lock)}${lock.model.id}/${name}`, integrity,
+  }));
+  return [...runtime, ...model];
+}
+
+// Every file has a hash and the model revision is pinned (see `bin/fetch-models.js --update-lock`).
+export function isPinned(lock){
+  return !!lock.model.revision && lockedFiles(lock).every(f => parseIntegrity(f.integrity));
+}
@@ -0,0 +1,177 @@
+// Outlook .msg reader: a minimal Compound File Binary (OLE2) walker plus the handful of MAPI
+// properties DealShield needs. Returns the same shape as parseEmail() in lib/mime.js.
+// Pure — no DOM access.
+import { parseHeaderLines, bodyText } from "./mime.js";
+
+const CFB_MAGIC = [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1];
+const END_OF_CHAIN = 0xfffffffe;
+const FREE_SECT = 0xffffffff;
+const NO_STREAM = 0xffffffff;
+
+export function isMsgFile(bytes){
+  return bytes.length >= 512 && CFB_MAGIC.every((b, i) => bytes[i] === b);
+}
+
+function readCfb(bytes){
+  const dv = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const u16 = (o) => dv.getUint16(o, true);
+  const u32 = (o) => dv.getUint32(o, true);
+
+  const sectorSize = 1 << u16(0x1e);
+  const miniSectorSize = 1 << u16(0x20);
+  const dirStart = u32(0x30);
+  const miniCutoff = u32(0x38);
+  const miniFatStart = u32(0x3c);
+  let difStart = u32(0x44);
+  const difCount = u32(0x48);
+  const sectorOffset = (n) => (n + 1) * sectorSize;
+
+  // FAT sector list: 109 entries in the header, the rest in the DIFAT chain.
+  const fatSectors = [];
+  for (let i = 0; i < 109; i++){
+    const s = u32(0x4c + i * 4);
+    if (s !== FREE_SECT) fatSectors.push(s);
+  }
+  for (let n = 0; n < difCount && difStart !== END_OF_CHAIN && difStart !== FREE_SECT; n++){
+    const off = sectorOffset(difStart);
+    const per = sectorSize / 4 - 1;
+    for (let i = 0; i < per; i++){
+      const s = u32(off + i * 4);
+      if (s !== FREE_SECT) fatSectors.push(s);
+    }
+    difStart = u32(off + per * 4);
+  }
+  const fat = [];
+  for (const s of fatSectors){
+    const off = sectorOffset(s);
+    for (let i = 0; i < sectorSize / 4; i++) fat.push(u32(off + i * 4));
+  }
+
+  const chain = (start, table) => {
+    const out = [];
+    const seen = new Set();
+    for (let s = start; s !== END_OF_CHAIN && s < table.length && !seen.has(s); s = table[s]){
+      seen.add(s);
+      out.push(s);
+    }
+    return out;
+  };
+  const readChain = (start) => {
+    const sectors = chain(start, fat);
+    const out = new Uint8Array(sectors.length * sectorSize);
+    sectors.forEach((s, i) => out.set(bytes.subarray(sectorOffset(s), sectorOffset(s) + sectorSize), i * sectorSize));
+    return out;
+  };
+
+  const dirBytes = readChain(dirStart);
+  const ddv = new DataView(dirBytes.buffer);
+  const entries = [];
+  for (let off = 0; off + 128 <= dirBytes.length; off += 128){
+    const nameLen = ddv.getUint16(off + 64, true);
+    let name = "";
+    for (let i = 0; i < Math.max(0, nameLen - 2); i += 2) name += String.fromCharCode(ddv.getUint16(off + i, true));
+    entries.push({
+      name,
+      type: dirBytes[off + 66],
+      left: ddv.getUint32(off + 68, true),
+      right: ddv.getUint32(off + 72, true),
+      child: ddv.getUint32(off + 76, true),
+      start: ddv.getUint32(off + 116, true),
+      size: ddv.getUint32(off + 120, true),
+    });
+  }
+
+  const root = entries[0];
+  const miniStream = root ? readChain(root.start) : new Uint8Array(0);
+  const miniFatBytes = miniFatStart === END_OF_CHAIN ? new Uint8Array(0) : readChain(miniFatStart);
+  const mdv = new DataView(miniFatBytes.buffer);
+  const miniFat = [];
+  for (let i = 0; i + 4 <= miniFatBytes.length; i += 4) miniFat.push(mdv.getUint32(i, true));
+
+  const readStream = (e) => {
+    if (e.size < miniCutoff){
+      const sectors = chain(e.start, miniFat);
+      const out = new Uint8Array(sectors.length * miniSectorSize);
+      sectors.forEach((s, i) => out.set(miniStream.subarray(s * miniSectorSize, (s + 1) * miniSectorSize), i * miniSectorSize));
+      return out.subarray(0, e.size);
+    }
+    return readChain(e.start).subarray(0, e.size);
+  };
+
+  // Children of a storage are kept in a red-black tree rooted at `child`.
+  const childrenOf = (e) => {
+    const out = [];
+    const stack = [e.child];
+    while (stack.length){
+      const id = stack.pop();
+      if (id === NO_STREAM || !entries[id] || out.includes(entries[id])) continue;
+      const c = entries[id];
+      out.push(c);
+      stack.push(c.left, c.right);
+    }
+    return out;
+  };
+
+  return { root, childrenOf, readStream };
+}
+
+// MAPI property streams "__substg1.0_PPPPTTTT" -> { "PPPP": value }
+function readProps(cfb, storage){
+  const props = {};
+  for (const e of cfb.childrenOf(storage)){
+    const m = e.name.match(/^__substg1\.0_([0-9A-F]{4})([0-9A-F]{4})$/i);
+    if (!m || e.type !== 2) continue;
+    const id = m[1].toUpperCase();
+    const type = m[2].toUpperCase();
+    const data = cfb.readStream(e);
+    if (type === "001F") props[id] = new TextDecoder("utf-16le").decode(data).replace(/\0+$/, "");
+    else if (type === "001E") props[id] = new TextDecoder("windows-1252").decode(data).replace(/\0+$/, "");
+    else props[id] = data;
+  }
+  return props;
+}
+
+const asText = (v) => typeof v === "string" ? v : v instanceof Uint8Array ? new TextDecoder("utf-8").decode(v) : "";
+
+export function parseMsg(bytes){
+  if (!isMsgFile(bytes)) throw new Error("Not an Outlook .msg file");
+  const cfb = readCfb(bytes);
+  const props = readProps(cfb, cfb.root);
+
+  const attachments = [];
+  for (const e of cfb.childrenOf(cfb.root)){
+    if (e.type !== 1 || !e.name.startsWith("__attach_version1.0_")) continue;
+    const a = readProps(cfb, e);
+    attachments.push({
+      filename: asText(a["3707"]) || asText(a["3704"]) || "(unnamed)",
+      contentType: asText(a["370E"]) || "application/octet-stream",
+      size: a["3701"] instanceof Uint8Array ? a["3701"].length : 0,
+    });
+  }
+
+  const transport = asText(props["007D"]);
+  let headers = transport ? parseHeaderLines(transport, false) : [];
+  if (!headers.some(h => h.name.toLowerCase() === "from")){
+    const name = asText(props["0C1A"]);
+    const addr = asText(props["5D01"]) || asText(props["0C1F"]);
+    headers = [
+      { name: "From", value: addr ? (name ? `"${name}" <${addr}>` : addr) : name },
+      ...(props["0E04"] ? [{ name: "To", value: asText(props["0E04"]) }] : []),
+      { name: "Subject", value: asText(props["0037"]) },
+      ...headers,
+    ];
+  }
+  const get = (n) => (headers.find(h => h.name.toLowerCase() === n) || {}).value || "";
+
+  const html = props["1013"] ? asText(props["1013"]) : null;
+  const body = bodyText(asText(props["1000"]) || null, html);
+  return {
+    headers,
+    subject: asText(props["0037"]) || get("subject"),
+    from: get("from"),
+    date: get("date"),
+    text: body.replace(/\r\n/g, "\n").trim(),
+    html,
+    attachments,
+  };
+}
@@ -0,0 +1,111 @@
+// Helpers around the token-classification (NER) model: long inputs are cut into chunks that fit the
+// model's token window, and per-token predictions ("B-PER", "I-PER", "##son") are merged back into
+// whole entities located in the text. lib/parties.js turns them into parties. Pure — no DOM access.
+
+// DistilBERT takes 512 tokens including [CLS] and [SEP]; keep a little slack for the tokenizer.
+export const NER_MAX_TOKENS = 500;
+export const NER_LABELS = ["PER", "ORG", "LOC", "MISC"];
+const MIN_SCORE = 0.60;
+
+// Rough WordPiece count for when the pipeline's tokenizer isn't at hand: words split into ~1.3 pieces.
+export function estimateTokens(text){
+  const words = text.match(/[\p{L}\p{N}]+|[^\s\p{L}\p{N}]/gu) || [];
+  return Math.ceil(words.length * 1.3) + 2;
+}
+
+// Sentence- or line-sized pieces, each with its offset in the text.
+function segments(text){
+  const out = [];
+  const re = /[^\n.!?]*(?:[.!?]+|\n+|$)/g;
+  let m;
+  while ((m = re.exec(text)) && m[0]){
+    out.push({ start: m.index, text: m[0] });
+  }
+  return out;
+}
+
+// A segment that alone is over the limit is cut between words into evenly sized pieces.
+function splitLong(seg, tokens, maxTokens){
+  const parts = Math.ceil(tokens / maxTokens);
+  const words = [...seg.text.matchAll(/\S+\s*/g)];
+  const per = Math.ceil(words.length / parts);
+  const out = [];
+  for (let i = 0; i < words.length; i += per){
+    const first = words[i];
+    const last = words[Math.min(i + per, words.length) - 1];
+    out.push({ start: seg.start + first.index, text: seg.text.slice(first.index, last.index + last[0].length) });
+  }
+  return out;
+}
+
+// Text -> [{ start, text }] chunks of whole sentences, each within maxTokens according to
+// countTokens (the pipeline's tokenizer in the browser; estimateTokens otherwise).
+export function chunkText(text, countTokens = estimateTokens, { maxTokens = NER_MAX_TOKENS } = {}){
+  const chunks = [];
+  let cur = null;
+  let used = 0;
+  const flush = () => {
+    if (cur && cur.text.trim()) chunks.push(cur);
+    cur = null;
+    used = 0;
+  };
+  for (const seg of segments(text)){
+    const n = countTokens(seg.text);
+    if (n > maxTokens){
+      flush();
+      for (const piece of splitLong(seg, n, maxTokens)) chunks.push(piece);
+      continue;
+    }
+    if (cur && used + n > maxTokens) flush();
+    if (!cur) cur = { start: seg.start, text: "" };
+    cur.text += seg.text;
+    used += n;
+  }
+  flush();
+  return chunks;
+}
+
+// Pipeline output for one chunk -> [{ entity: "PER", word, score }]: a "B-" tag or a gap in token
+// indices starts a new entity, "I-" tags and "##" word pieces continue it.
+export function groupEntities(tokens){
+  const out = [];
+  let cur = null;
+  for (const t of tokens){
+    const type = String(t.entity).replace(/^[BI]-/, "");
+    const piece = String(t.word).startsWith("##");
+    const continues = cur && t.index === cur.index + 1
+      && (piece || (type === cur.entity && !String(t.entity).startsWith("B-")));
+    if (continues){
+      cur.word += piece ? t.word.slice(2) : ` ${t.word}`;
+      cur.scores.push(t.score);
+      cur.index = t.index;
+    } else {
+      cur = { entity: type, word: String(t.word), scores: [t.score], index: t.index };
+      out.push(cur);
+    }
+  }
+  return out.map(({ entity, word, scores }) => ({
+    entity, word, score: scores.reduce((a, b) => a + b, 0) / scores.length,
+  }));
+}
+
+function escapeRegExp(s){
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Grouped entities of one chunk -> the confident ones with their exact source text and offsets
+// ("Co ." as tokenized is "Co." in the text). `offset` is the chunk's start in the whole input.
+export function locateEntities(text, entities, offset = 0){
+  const out = [];
+  let pos = 0;
+  for (const e of entities){
+    if (e.score < MIN_SCORE || !NER_LABELS.includes(e.entity)) continue;
+    const re = new RegExp(e.word.split(/\s+/).map(escapeRegExp).join("\\s*"), "gu");
+    re.lastIndex = pos;
+    const m = re.exec(text);
+    if (!m) continue;
+    pos = m.index + m[0].length;
+    out.push({ entity: e.entity, word: m[0], score: e.score, start: offset + m.index, end: offset + pos });
+  }
+  return out;
+}
@@ -0,0 +1,54 @@
+// Number parsing for amounts written with either decimal convention
+// ("1,200.00", "1.200,00", "1 200,00", "1'200.00"). Pure — no DOM access.
+
+// Arabic-Indic / Persian digits and separators -> ASCII ("١٬٢٠٠٫٥٠" -> "1,200.50").
+export function normalizeDigits(str){
+  return String(str)
+    .replace(/[\u0660-\u0669]/g, d => String(d.charCodeAt(0) - 0x0660))
+    .replace(/[\u06F0-\u06F9]/g, d => String(d.charCodeAt(0) - 0x06F0))
+    .replace(/\u066C/g, ",").replace(/\u066B/g, ".");
+}
+
+// Returns a finite number or null. The structure decides where it can: with both separators the last one
+// carries the decimals ("4.200,00", "1,200.50"), a repeated one groups ("1.200.000") and a lone one not
+// followed by exactly three digits is decimal ("12,5"). `decimal` — "." or "," when the caller knows the
+// locale — only breaks the tie on "1,200" / "1.200", which are read as thousands without it.
+export function parseNumber(raw, decimal = null){
+  if (raw == null) return null;
+  let s = normalizeDigits(raw).replace(/[\s  ']/g, "").replace(/[^\d.,-]/g, "");
+  if (!/\d/.test(s)) return null;
+  const neg = s.startsWith("-");
+  s = s.replace(/-/g, "");
+
+  const lastDot = s.lastIndexOf(".");
+  const lastComma = s.lastIndexOf(",");
+  let dec = null;
+  if (lastDot >= 0 && lastComma >= 0) dec = lastDot > lastComma ? "." : ",";
+  else if (lastDot >= 0 || lastComma >= 0){
+    const sep = lastDot >= 0 ? "." : ",";
+    const parts = s.split(sep);
+    const ambiguous = parts[1].length === 3 && parts[0] !== "0";
+    if (parts.length === 2 && (!ambiguous || decimal === sep)) dec = sep;
+  }
+  if (dec === ","){
+    const i = s.lastIndexOf(",");
+    s = s.slice(0, i).replace(/[.,]/g, "") + "." + s.slice(i + 1);
+  } else if (dec === "."){
+    const i = s.lastIndexOf(".");
+    s = s.slice(0, i).replace(/[.,]/g, "") + "." + s.slice(i + 1);
+  } else {
+    s = s.replace(/[.,]/g, "");
+  }
+
+  const n = Number(s);
+  return Number.isFinite(n) ? (neg ? -n : n) : null;
+}
+
+export function roundMoney(n){
+  return Math.round(n * 100) / 100;
+}
+
+export function formatMoney(n, currency = null){
+  const s = n.toLocaleString("en-US", { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  return currency ? `${s} ${currency}` : s;
+}
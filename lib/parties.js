@@ -0,0 +1,300 @@
+// Who is who in a message: parties found in the email header, the greeting, the signature, beneficiary
+// ("Account name: …") and payee ("payable to …") lines and — when the on-device model ran — NER
+// entities, merged across mentions, with their roles (sender, recipient, payee, beneficiary account
+// holder) and the email addresses and phone numbers that belong to them. Pure — no DOM access.
+import { parseHeaderBlock, headerValues, parseAddresses, FREE_MAIL } from "./email.js";
+import { LEGAL_SUFFIX } from "./history.js";
+import { domainLabel } from "./domains.js";
+
+export const ROLES = ["sender", "recipient", "payee", "beneficiary"];
+const ROLE_LABELS = { sender: "sender", recipient: "recipient", payee: "payee", beneficiary: "account holder" };
+const KIND_LABELS = { person: "person", org: "company" };
+
+const SUFFIX_WORD = new RegExp(`^${LEGAL_SUFFIX}\\.?$`, "i");
+const HAS_SUFFIX = new RegExp(`(?:^|\\s)${LEGAL_SUFFIX}\\.?$`, "i");
+const NAME = /^[\p{Lu}\p{Lo}][\p{L}\p{M}'’.&-]*(?:\s+(?:&|[\p{Lu}\p{Lo}][\p{L}\p{M}'’.&-]*)){0,4}$/u;
+// Words that start a sentence in capitals but never name anyone.
+const NOT_NAMES = new Set([
+  "team", "all", "everyone", "there", "sir", "madam", "friend", "friends", "customer", "client", "new", "our",
+  "the", "my", "your", "this", "that", "account", "bank", "please", "thanks", "thank", "hello", "hi", "dear",
+]);
+const TITLE = /\b(?:manager|director|head|officer|accountant|assistant|ceo|cfo|coo|cto|founder|owner|partner|lead|department|dept|sales|accounts|finance|billing|support|president|consultant|specialist|coordinator|executive|designer|developer|engineer)\b/i;
+
+const EMAIL_RE = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g;
+const PHONE_RE = /(?:\+|\b00)?\d[\d\s().\/-]{6,}\d/g;
+const PHONE_LABEL = /\b(?:tel|phone|mobile|mob|cell|whatsapp|call|fax)\b\.?\s*:?/i;
+
+const SIGNOFF_EN = "(?:(?:best|kind|warm|warmest|many thanks and)\\s+)?regards|best(?:\\s+wishes)?|thanks(?:\\s+again|\\s+and\\s+regards)?|thank\\s+you|many\\s+thanks|sincerely|yours(?:\\s+(?:truly|sincerely|faithfully))?|cheers|respectfully";
+const GREETING_EN = "hi|hello|hey|dear|good\\s+(?:morning|afternoon|evening)|greetings";
+const BENEFICIARY_EN = "account\\s+name|account\\s+holder(?:'s\\s+name)?|name\\s+on\\s+(?:the\\s+)?account|a\\/c\\s+name|beneficiary(?:\\s+(?:name|account\\s+name))?|payee(?:\\s+name)?|recipient\\s+name";
+const PAYEE_PHRASE = /\b(?:payable\s+to|in\s+favou?r\s+of|made\s+out\s+to)\s+/giu;
+
+// Locale packs add their own sign-off, greeting and beneficiary-label phrases (rules/locales/*.json).
+function phrases(en, locale, key){
+  const extra = locale && locale.parties ? (locale.parties[key] || []).map(re => re.source) : [];
+  return [en, ...extra].join("|");
+}
+
+function lineSpans(text, from){
+  const out = [];
+  const re = /[^\n]*/g;
+  re.lastIndex = from;
+  let m;
+  while ((m = re.exec(text))){
+    out.push({ start: m.index, end: m.index + m[0].length, text: m[0] });
+    if (re.lastIndex >= text.length) break;
+    re.lastIndex++;
+  }
+  return out;
+}
+
+function words(name){
+  return name.toLowerCase().replace(/[^\p{L}\p{N}\s&]+/gu, " ").split(/\s+/).filter(w => w && w !== "&");
+}
+
+// Name -> comparable words without legal suffixes ("Northwind Studio Ltd." -> ["northwind"]).
+function nameKey(name){
+  const all = words(name);
+  const core = all.filter(w => !SUFFIX_WORD.test(w) && w !== "the");
+  return core.length ? core : all;
+}
+
+function wordsMatch(a, b){
+  return a === b || (a.length === 1 && b.startsWith(a)) || (b.length === 1 && a.startsWith(b));
+}
+
+// "Sarah" ~ "Sarah Chen", "J. Smith" ~ "John Smith", "Northwind" ~ "Northwind Studio Ltd",
+// "north wind" ~ "Northwind", "NW" ~ "North Wind".
+export function namesMatch(a, b){
+  const [x, y] = [nameKey(a), nameKey(b)].sort((p, q) => p.length - q.length);
+  if (!x.length) return false;
+  if (x.join("") === y.join("")) return true;
+  if (wordsMatch(x[0], y[0]) && x.every(w => y.some(v => wordsMatch(w, v)))) return true;
+  return x.length === 1 && y.length > 1 && x[0].length > 1 && x[0] === y.map(w => w[0]).join("");
+}
+
+function looksLikeName(s){
+  return NAME.test(s) && /\p{L}{2}/u.test(s) && !/\d/.test(s) && !words(s).every(w => NOT_NAMES.has(w));
+}
+
+function kindOf(name, fallback = null){
+  return HAS_SUFFIX.test(name.trim()) ? "org" : fallback;
+}
+
+// Signature block: the lines after the last sign-off near the end ("Regards,") or a
+// "— Name, Company" line.
+function signatureLines(lines, locale){
+  const tail = lines.filter(l => l.text.trim()).slice(-10);
+  const signoff = new RegExp(`^\\s*(?:${phrases(SIGNOFF_EN, locale, "signoff")})\\s*[,.!]*\\s*$`, "iu");
+  for (let i = tail.length - 1; i >= 0; i--){
+    if (signoff.test(tail[i].text)) return tail.slice(i + 1, i + 7);
+  }
+  for (let i = tail.length - 1; i >= Math.max(0, tail.length - 4); i--){
+    const m = tail[i].text.match(/^(\s*(?:—|–|--|-)\s*)\S/u);
+    if (m) return [{ ...tail[i], start: tail[i].start + m[1].length, text: tail[i].text.slice(m[1].length) }, ...tail.slice(i + 1, i + 5)];
+  }
+  return [];
+}
+
+function contactsIn(line){
+  const emails = [...line.text.matchAll(EMAIL_RE)].map(m => m[0].toLowerCase());
+  const phones = [...line.text.replace(EMAIL_RE, " ").matchAll(PHONE_RE)]
+    .map(m => m[0].trim())
+    .filter(p => p.replace(/\D/g, "").length >= 8);
+  return { emails, phones };
+}
+
+function fromSignature(lines, locale){
+  const out = [];
+  const emails = [];
+  const phones = [];
+  let person = null;
+  let org = null;
+  for (const line of signatureLines(lines, locale)){
+    const c = contactsIn(line);
+    emails.push(...c.emails);
+    phones.push(...c.phones);
+    if (c.emails.length || c.phones.length || /https?:\/\/|www\./i.test(line.text)) continue;
+    // "Sarah Chen, Northwind Studio" / "Sarah | Accounts Manager" / "Northwind Studio Ltd"
+    const re = /[^,|·•]+/g;
+    let m;
+    while ((m = re.exec(line.text))){
+      const part = m[0].trim();
+      if (!part) continue;
+      const start = line.start + m.index + m[0].indexOf(part);
+      const span = { start, end: start + part.length };
+      if (!looksLikeName(part)) continue;
+      if (kindOf(part) === "org" || (person && !org && !TITLE.test(part))){
+        if (!org) org = { name: part, kind: "org", ...span };
+      } else if (!person && !TITLE.test(part)){
+        person = { name: part, kind: "person", ...span };
+      }
+    }
+  }
+  for (const p of [person, org]){
+    if (!p) continue;
+    out.push({ ...p, role: "sender", source: "signature", emails: p === (person || org) ? emails : [], phones: p === (person || org) ? phones : [] });
+  }
+  return out;
+}
+
+function fromHeaders(text, block){
+  const out = [];
+  if (!block) return out;
+  for (const [header, role] of [["from", "sender"], ["to", "recipient"]]){
+    for (const h of headerValues(block, header)){
+      for (const a of parseAddresses(h.value)){
+        const at = a.name ? text.indexOf(a.name, h.start) : -1;
+        const name = a.name && looksLikeName(a.name) ? a.name : null;
+        if (!name && role === "recipient") continue;
+        out.push({
+          name, kind: name ? kindOf(name, null) : null, role, source: "header",
+          start: at >= 0 ? at : h.start, end: at >= 0 ? at + a.name.length : h.end,
+          emails: a.address ? [a.address] : [], phones: [],
+        });
+      }
+    }
+  }
+  return out;
+}
+
+function fromGreeting(lines, locale){
+  const first = lines.find(l => l.text.trim());
+  if (!first) return [];
+  const re = new RegExp(`^(\\s*(?:${phrases(GREETING_EN, locale, "greeting")})[\\s,]+)([^,!:.\\n]+?)\\s*[,!:.]`, "iu");
+  const m = first.text.match(re);
+  if (!m || !looksLikeName(m[2])) return [];
+  const start = first.start + m[1].length;
+  return [{ name: m[2], kind: kindOf(m[2], "person"), role: "recipient", source: "greeting", start, end: start + m[2].length, emails: [], phones: [] }];
+}
+
+// "Account name: NW Trading Ltd" (one per line) and "… payable to Northwind Studio".
+function fromPaymentLines(text, lines, locale){
+  const out = [];
+  const label = new RegExp(`^(\\s*(?:[-*•]\\s*)?(?:${phrases(BENEFICIARY_EN, locale, "beneficiary")})\\s*[:：\\-–]\\s*)(.+?)\\s*$`, "iu");
+  for (const line of lines){
+    const m = line.text.match(label);
+    if (!m) continue;
+    const name = m[2].split(/\s*[,;]\s*|\s{2,}|\s+(?:IBAN|SWIFT|BIC|Acc(?:ount|t)?\.?\s*(?:No|#))\b/i)[0].trim();
+    if (!name || !/\p{L}{2}/u.test(name) || /^[A-Z]{2}\d{2}/.test(name)) continue;
+    const start = line.start + m[1].length;
+    out.push({ name, kind: kindOf(name, null), role: "beneficiary", source: "payment", start, end: start + name.length, emails: [], phones: [] });
+  }
+  PAYEE_PHRASE.lastIndex = 0;
+  for (const m of text.matchAll(PAYEE_PHRASE)){
+    const start = m.index + m[0].length;
+    const name = (text.slice(start).match(/^[\p{Lu}\p{Lo}][\p{L}\p{M}'’.&-]*(?:[ \t]+(?:&|[\p{Lu}\p{Lo}][\p{L}\p{M}'’.&-]*)){0,4}/u) || [""])[0].replace(/\.$/, "");
+    if (!name || !looksLikeName(name)) continue;
+    out.push({ name, kind: kindOf(name, null), role: "payee", source: "payment", start, end: start + name.length, emails: [], phones: [] });
+  }
+  return out;
+}
+
+// NER entities ({ entity: "PER" | "ORG", word, start, end }, see lib/ner.js) name parties without
+// saying what they do; they only add names and kinds.
+function fromEntities(entities){
+  return entities
+    .filter(e => (e.entity === "PER" || e.entity === "ORG") && looksLikeName(e.word))
+    .map(e => ({
+      name: e.word, kind: e.entity === "PER" ? "person" : "org", role: null, source: "ner",
+      start: e.start ?? null, end: e.end ?? null, emails: [], phones: [],
+    }));
+}
+
+function merge(parties, c){
+  // A bare From address belongs to whoever signed the message.
+  const p = c.name
+    ? parties.find(x => x.name && (!x.kind || !c.kind || x.kind === c.kind) && namesMatch(x.name, c.name))
+      || parties.find(x => x.name && nameKey(x.name).join(" ") === nameKey(c.name).join(" "))
+    : parties.find(x => x.emails.some(e => c.emails.includes(e))) || parties.find(x => c.role && x.roles.includes(c.role));
+  if (!p){
+    parties.push({
+      name: c.name, kind: c.kind, roles: c.role ? [c.role] : [], emails: [...c.emails], phones: [...c.phones],
+      mentions: c.start != null ? [{ start: c.start, end: c.end }] : [], sources: [c.source],
+    });
+    return;
+  }
+  if (c.name && (!p.name || nameKey(c.name).length > nameKey(p.name).length)) p.name = c.name;
+  p.kind = p.kind || c.kind;
+  if (c.role && !p.roles.includes(c.role)) p.roles.push(c.role);
+  for (const e of c.emails) if (!p.emails.includes(e)) p.emails.push(e);
+  for (const n of c.phones) if (!p.phones.includes(n)) p.phones.push(n);
+  if (c.start != null && !p.mentions.some(s => s.start === c.start)) p.mentions.push({ start: c.start, end: c.end });
+  if (!p.sources.includes(c.source)) p.sources.push(c.source);
+}
+
+// Addresses and labelled phone numbers elsewhere in the body go to the party they name:
+// accounts@nwtrading.com -> "NW Trading Ltd", sarah.chen@… -> "Sarah Chen".
+function linkContacts(parties, lines){
+  for (const line of lines){
+    for (const email of line.text.match(EMAIL_RE) || []){
+      const address = email.toLowerCase();
+      if (parties.some(p => p.emails.includes(address))) continue;
+      const [local, domain] = address.split("@");
+      const label = FREE_MAIL.has(domain) ? null : domainLabel(domain);
+      const owner = parties.find(p => p.name && ((label && namesMatch(label, p.name)) || namesMatch(local.replace(/[._-]+/g, " "), p.name)));
+      if (owner) owner.emails.push(address);
+    }
+    if (!PHONE_LABEL.test(line.text)) continue;
+    for (const phone of contactsIn(line).phones){
+      if (parties.some(p => p.phones.includes(phone))) continue;
+      const owner = parties.find(p => p.name && line.text.includes(p.name));
+      if (owner) owner.phones.push(phone);
+    }
+  }
+}
+
+const ROLE_ORDER = (p) => Math.min(...p.roles.map(r => ROLES.indexOf(r)), ROLES.length);
+
+// -> [{ name, kind: "person" | "org" | null, roles, emails, phones, mentions: [{ start, end }], sources }],
+// senders first. opts: { email: parsed header block, locale: compiled locale pack, entities: NER output }.
+export function extractParties(text, { email = parseHeaderBlock(text), locale = null, entities = [] } = {}){
+  const lines = lineSpans(text, email ? email.bodyStart : 0);
+  const parties = [];
+  const candidates = [
+    ...fromSignature(lines, locale),
+    ...fromHeaders(text, email),
+    ...fromGreeting(lines, locale),
+    ...fromPaymentLines(text, lines, locale),
+    ...fromEntities(entities),
+  ];
+  for (const c of candidates) merge(parties, c);
+  const named = parties.filter(p => p.name);
+  linkContacts(named, lines);
+  return named.sort((a, b) => ROLE_ORDER(a) - ROLE_ORDER(b));
+}
+
+// Beneficiary / payee that is none of the sender's names (signature, From display name) nor their
+// business email domain: "Account name: NW Trading Ltd" in a message signed "Northwind Studio".
+export function partySignals(parties){
+  const signals = {};
+  const senders = parties.filter(p => p.roles.includes("sender"));
+  if (!senders.length) return signals;
+  const domains = senders.flatMap(p => p.emails)
+    .map(e => e.split("@")[1])
+    .filter(d => d && !FREE_MAIL.has(d))
+    .map(domainLabel);
+  const signer = senders.find(p => p.kind === "org") || senders[0];
+  for (const p of parties){
+    const role = p.roles.includes("beneficiary") ? "beneficiary" : p.roles.includes("payee") ? "payee" : null;
+    if (!role || p.roles.includes("sender") || domains.some(d => namesMatch(d, p.name))) continue;
+    const what = role === "beneficiary" ? "Beneficiary account name" : "Payee";
+    p.mentions.forEach((s, i) => {
+      (signals.beneficiary_name_mismatch = signals.beneficiary_name_mismatch || []).push({
+        start: s.start, end: s.end, text: p.name, detail: i ? null : `${what} "${p.name}" doesn't match the sender "${signer.name}"`,
+      });
+    });
+  }
+  return signals;
+}
+
+export function partyText(p){
+  const what = [KIND_LABELS[p.kind], ...p.roles.map(r => ROLE_LABELS[r])].filter(Boolean);
+  const contacts = [...p.emails, ...p.phones];
+  return `${p.name}${what.length ? ` (${what.join(", ")})` : ""}${contacts.length ? ` — ${contacts.join(", ")}` : ""}`;
+}
+
+// One-line "Parties" value for the Deal Snapshot and reports.
+export function partiesSummary(parties){
+  return parties && parties.length ? parties.map(partyText).join("; ") : null;
+}
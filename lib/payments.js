@@ -0,0 +1,302 @@
+// Payment-instrument extraction + offline validation (IBAN, BIC/SWIFT, account/routing numbers,
+// PayPal emails, BTC/ETH/TRON wallet addresses). Pure — no DOM access.
+import { sha256, keccak256, toHex } from "./hash.js";
+import { isCountryCode, countryName, findCountryMentions } from "./countries.js";
+
+// IBAN length per country (SWIFT IBAN registry).
+const IBAN_LENGTHS = {
+  AD:24, AE:23, AL:28, AT:20, AZ:28, BA:20, BE:16, BG:22, BH:22, BR:29, BY:28, CH:21, CR:22, CY:28,
+  CZ:24, DE:22, DK:18, DO:28, EE:20, EG:29, ES:24, FI:18, FO:18, FR:27, GB:22, GE:22, GI:23, GL:18,
+  GR:27, GT:28, HR:21, HU:28, IE:22, IL:23, IQ:23, IS:26, IT:27, JO:30, KW:30, KZ:20, LB:28, LC:32,
+  LI:21, LT:20, LU:20, LV:21, LY:25, MC:27, MD:24, ME:22, MK:19, MR:27, MT:31, MU:30, NL:18, NO:15,
+  PK:24, PL:28, PS:29, PT:25, QA:29, RO:24, RS:22, SA:24, SC:31, SE:24, SI:19, SK:24, SM:27, ST:25,
+  SV:28, TL:23, TN:24, TR:26, UA:29, VA:22, VG:24, XK:20,
+};
+
+const BASE58 = "123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz";
+const BECH32 = "qpzry9x8gf2tvdw0s3jn54khce6mua7l";
+
+export function formatIban(iban){
+  return iban.replace(/(.{4})(?=.)/g, "$1 ");
+}
+
+function mod97(digits){
+  let rem = 0;
+  for (let i = 0; i < digits.length; i += 7){
+    rem = Number(String(rem) + digits.slice(i, i + 7)) % 97;
+  }
+  return rem;
+}
+
+export function validateIban(raw){
+  const iban = raw.replace(/\s+/g, "").toUpperCase();
+  const issues = [];
+  const country = iban.slice(0, 2);
+  if (!/^[A-Z]{2}\d{2}[A-Z0-9]+$/.test(iban)) issues.push("malformed");
+  const expected = IBAN_LENGTHS[country];
+  if (!expected) issues.push(`unknown IBAN country code "${country}"`);
+  else if (iban.length !== expected) issues.push(`${country} IBANs have ${expected} characters, this one has ${iban.length}`);
+  if (!issues.length || expected){
+    const rearranged = (iban.slice(4) + iban.slice(0, 4)).replace(/[A-Z]/g, (c) => String(c.charCodeAt(0) - 55));
+    if (/^\d+$/.test(rearranged) && mod97(rearranged) !== 1) issues.push("checksum (mod-97) fails");
+  }
+  return { value: iban, country, valid: !issues.length, issues };
+}
+
+export function validateBic(raw){
+  const bic = raw.replace(/\s+/g, "").toUpperCase();
+  const issues = [];
+  if (!/^[A-Z]{4}[A-Z]{2}[A-Z0-9]{2}(?:[A-Z0-9]{3})?$/.test(bic)) issues.push("not an 8 or 11 character BIC");
+  const country = bic.slice(4, 6);
+  if (!isCountryCode(country)) issues.push(`unknown BIC country code "${country}"`);
+  // Location code "0" in the second position marks a SWIFT test BIC.
+  if (bic[7] === "0") issues.push("test/training BIC (not used for live payments)");
+  return { value: bic, country, valid: !issues.length, issues };
+}
+
+export function validateAbaRouting(raw){
+  const d = raw.replace(/\D/g, "");
+  if (d.length !== 9) return { value: d, valid: false, issues: ["routing numbers have 9 digits"] };
+  const n = d.split("").map(Number);
+  const sum = 3 * (n[0] + n[3] + n[6]) + 7 * (n[1] + n[4] + n[7]) + (n[2] + n[5] + n[8]);
+  return { value: d, valid: sum % 10 === 0, issues: sum % 10 === 0 ? [] : ["ABA checksum fails"] };
+}
+
+function base58Decode(str){
+  let n = 0n;
+  for (const c of str){
+    const i = BASE58.indexOf(c);
+    if (i < 0) return null;
+    n = n * 58n + BigInt(i);
+  }
+  const bytes = [];
+  while (n > 0n){ bytes.unshift(Number(n & 0xffn)); n >>= 8n; }
+  for (const c of str){ if (c !== "1") break; bytes.unshift(0); }
+  return new Uint8Array(bytes);
+}
+
+function base58CheckVersion(addr){
+  const bytes = base58Decode(addr);
+  if (!bytes || bytes.length !== 25) return null;
+  const payload = bytes.slice(0, 21);
+  const check = sha256(sha256(payload)).slice(0, 4);
+  if (check.some((b, i) => b !== bytes[21 + i])) return null;
+  return payload[0];
+}
+
+function bech32Polymod(values){
+  const GEN = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+  let chk = 1;
+  for (const v of values){
+    const top = chk >>> 25;
+    chk = ((chk & 0x1ffffff) << 5) ^ v;
+    for (let i = 0; i < 5; i++) if ((top >>> i) & 1) chk ^= GEN[i];
+  }
+  return chk >>> 0;
+}
+
+function validateBech32(addr){
+  if (addr !== addr.toLowerCase() && addr !== addr.toUpperCase()) return false;
+  const a = addr.toLowerCase();
+  const sep = a.lastIndexOf("1");
+  const hrp = a.slice(0, sep);
+  const data = Array.from(a.slice(sep + 1), c => BECH32.indexOf(c));
+  if (hrp !== "bc" || data.length < 7 || data.some(v => v < 0)) return false;
+  const expanded = [...Array.from(hrp, c => c.charCodeAt(0) >> 5), 0, ...Array.from(hrp, c => c.charCodeAt(0) & 31)];
+  const constant = data[0] === 0 ? 1 : 0x2bc830a3; // witness v0 = bech32, v1+ = bech32m
+  return bech32Polymod([...expanded, ...data]) === constant;
+}
+
+function validateEthAddress(addr){
+  const hex = addr.slice(2);
+  if (hex === hex.toLowerCase() || hex === hex.toUpperCase()){
+    return { valid: true, issues: [], note: "no EIP-55 checksum (all one case)" };
+  }
+  const hash = toHex(keccak256(hex.toLowerCase()));
+  for (let i = 0; i < 40; i++){
+    const upper = parseInt(hash[i], 16) >= 8;
+    if (/[a-f]/i.test(hex[i]) && (hex[i] === hex[i].toUpperCase()) !== upper){
+      return { valid: false, issues: ["EIP-55 checksum fails (mistyped or altered address)"] };
+    }
+  }
+  return { valid: true, issues: [] };
+}
+
+export function validateCryptoAddress(addr){
+  if (/^0x/i.test(addr)) return { chain: "ETH", ...validateEthAddress(addr) };
+  if (/^bc1/i.test(addr)){
+    const ok = validateBech32(addr);
+    return { chain: "BTC", valid: ok, issues: ok ? [] : ["bech32 checksum fails"] };
+  }
+  if (addr[0] === "T"){
+    const ok = base58CheckVersion(addr) === 0x41;
+    return { chain: "TRON", valid: ok, issues: ok ? [] : ["base58check checksum fails"] };
+  }
+  const version = base58CheckVersion(addr);
+  const ok = version === 0x00 || version === 0x05;
+  return { chain: "BTC", valid: ok, issues: ok ? [] : ["base58check checksum fails"] };
+}
+
+function* matchAll(re, text){
+  re.lastIndex = 0;
+  let m;
+  while ((m = re.exec(text))) yield m;
+}
+
+// Start/end of capture group 1 inside match m.
+function groupSpan(m){
+  const start = m.index + m[0].indexOf(m[1]);
+  return { start, end: start + m[1].length, text: m[1] };
+}
+
+function extractIbans(text){
+  const out = [];
+  const re = /(?<![A-Za-z0-9])([A-Z]{2}\d{2}(?: ?[A-Z0-9]{1,4}){2,8})(?![A-Za-z0-9])/g;
+  for (const m of matchAll(re, text)){
+    // Written IBANs may run into the next token ("... 7654 32 to"); trim to the country length.
+    let span = groupSpan(m);
+    const expected = IBAN_LENGTHS[span.text.slice(0, 2)];
+    const groups = span.text.split(" ");
+    if (expected){
+      let acc = "";
+      for (let i = 0; i < groups.length; i++){
+        acc += groups[i];
+        if (acc.length === expected){
+          const t = groups.slice(0, i + 1).join(" ");
+          span = { start: span.start, end: span.start + t.length, text: t };
+          break;
+        }
+      }
+    }
+    const compact = span.text.replace(/\s+/g, "");
+    const labelled = /iban\W{0,4}$/i.test(text.slice(Math.max(0, span.start - 8), span.start));
+    if (compact.length < 15 && !labelled) continue;
+    const v = validateIban(compact);
+    out.push({ type: "iban", label: "IBAN", display: formatIban(v.value), ...v, ...span });
+  }
+  return out;
+}
+
+function extractBics(text){
+  const out = [];
+  const re = /\b(?:bic|swift)(?:[\s/-]*(?:code|bic))?\s*[:#-]?\s*([A-Za-z]{6}[A-Za-z0-9]{2}(?:[A-Za-z0-9]{3})?)\b/gi;
+  for (const m of matchAll(re, text)){
+    // BICs are written in capitals; this skips "swift transfer" and friends.
+    if (m[1] !== m[1].toUpperCase()) continue;
+    const v = validateBic(m[1]);
+    out.push({ type: "bic", label: "BIC/SWIFT", display: v.value, ...v, ...groupSpan(m) });
+  }
+  return out;
+}
+
+function extractAccounts(text){
+  const out = [];
+  const acct = /\b(?:account|acct|a\/c)(?:\s*(?:no\.?|number|#))?\s*[:#]?\s*(\d[\d -]{4,22}\d)\b/gi;
+  for (const m of matchAll(acct, text)){
+    out.push({ type: "account", label: "Account no.", value: m[1].replace(/[\s-]/g, ""), display: m[1], valid: true, issues: [], ...groupSpan(m) });
+  }
+  const routing = /\b(?:routing|aba|rtn)(?:\s*(?:no\.?|number|#))?\s*[:#]?\s*(\d{9})\b/gi;
+  for (const m of matchAll(routing, text)){
+    const v = validateAbaRouting(m[1]);
+    out.push({ type: "routing", label: "ABA routing", display: v.value, country: "US", ...v, ...groupSpan(m) });
+  }
+  const sort = /\bsort\s*code\s*[:#]?\s*(\d{2}-?\d{2}-?\d{2})\b/gi;
+  for (const m of matchAll(sort, text)){
+    out.push({ type: "sort_code", label: "Sort code", value: m[1].replace(/-/g, ""), display: m[1], country: "GB", valid: true, issues: [], ...groupSpan(m) });
+  }
+  return out;
+}
+
+function extractPaypal(text){
+  const out = [];
+  const re = /\bpaypal\b[^\n@]{0,40}?([\w.+-]+@[\w-]+(?:\.[\w-]+)+)/gi;
+  for (const m of matchAll(re, text)){
+    out.push({ type: "paypal", label: "PayPal", value: m[1].toLowerCase(), display: m[1], valid: true, issues: [], ...groupSpan(m) });
+  }
+  return out;
+}
+
+function extractWallets(text){
+  const out = [];
+  const re = /(?<![A-Za-z0-9])(0x[0-9a-fA-F]{40}|bc1[02-9ac-hj-np-zA-HJ-NP-Z]{11,71}|[13][1-9A-HJ-NP-Za-km-z]{25,34}|T[1-9A-HJ-NP-Za-km-z]{33})(?![A-Za-z0-9])/g;
+  for (const m of matchAll(re, text)){
+    const v = validateCryptoAddress(m[1]);
+    out.push({ type: "wallet", label: `${v.chain} wallet`, value: m[1], display: m[1], ...v, ...groupSpan(m) });
+  }
+  return out;
+}
+
+// All payment instruments in reading order:
+// [{ type, label, value, display, valid, issues, country?, chain?, start, end, text }]
+export function extractPaymentInstruments(text){
+  return [
+    ...extractIbans(text),
+    ...extractBics(text),
+    ...extractAccounts(text),
+    ...extractPaypal(text),
+    ...extractWallets(text),
+  ].sort((a,b) => a.start - b.start);
+}
+
+// Countries the message says the company is in: mentions on lines that look like a
+// company/address line ("Ltd", "GmbH", "based in", "registered in", "address", ...).
+export function statedCompanyCountries(text, instruments = []){
+  const marker = /\b(?:ltd|limited|llc|inc|gmbh|s\.?a\.?s?|s\.?l\.?|b\.?v\.?|plc|corp|company|based in|registered in|located in|headquartered|address|office)\b/i;
+  const taken = (m) => instruments.some(i => m.start < i.end && m.end > i.start);
+  let lineStart = 0;
+  const out = [];
+  for (const line of text.split("\n")){
+    if (marker.test(line)){
+      for (const m of findCountryMentions(line)){
+        const abs = { ...m, start: m.start + lineStart, end: m.end + lineStart };
+        if (!taken(abs)) out.push(abs);
+      }
+    }
+    lineStart += line.length + 1;
+  }
+  return out;
+}
+
+// Risk signals for the rule engine ("when": "signal" rules), keyed by signal name.
+export function paymentSignals(text, instruments){
+  const signals = {};
+  const push = (name, inst, detail) => {
+    (signals[name] = signals[name] || []).push({ start: inst.start, end: inst.end, text: inst.text, detail });
+  };
+
+  for (const inst of instruments){
+    if (inst.valid) continue;
+    if (inst.type === "iban") push("iban_invalid", inst, `IBAN ${inst.display}: ${inst.issues.join("; ")}`);
+    else if (inst.type === "bic") push("bic_invalid", inst, `BIC ${inst.display}: ${inst.issues.join("; ")}`);
+    else if (inst.type === "routing") push("routing_invalid", inst, `Routing ${inst.display}: ${inst.issues.join("; ")}`);
+    else if (inst.type === "wallet") push("wallet_invalid", inst, `${inst.label} ${inst.display}: ${inst.issues.join("; ")}`);
+  }
+
+  const ibans = instruments.filter(i => i.type === "iban" && isCountryCode(i.country));
+  const bics = instruments.filter(i => i.type === "bic" && i.valid);
+  const pairs = new Set();
+  for (const bic of bics){
+    for (const iban of ibans){
+      const key = `${bic.country}-${iban.country}`;
+      if (iban.country !== bic.country && !pairs.has(key)){
+        pairs.add(key);
+        push("iban_bic_country_mismatch", bic, `BIC country ${countryName(bic.country)} ≠ IBAN country ${countryName(iban.country)}`);
+      }
+    }
+  }
+
+  const stated = statedCompanyCountries(text, instruments);
+  if (stated.length){
+    const codes = new Set(stated.map(s => s.code));
+    const banks = [...ibans, ...bics, ...instruments.filter(i => (i.type === "routing" || i.type === "sort_code") && i.valid)];
+    const flagged = new Set();
+    for (const inst of banks){
+      if (codes.has(inst.country) || flagged.has(inst.country)) continue;
+      flagged.add(inst.country);
+      const names = Array.from(codes, countryName).join(" / ");
+      push("bank_country_mismatch", inst, `Bank account in ${countryName(inst.country)}, company stated in ${names}`);
+    }
+    if (flagged.size) for (const s of stated) push("bank_country_mismatch", s, null);
+  }
+  return signals;
+}
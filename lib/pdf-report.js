@@ -0,0 +1,272 @@
+// PDF report of one or more canonical reports (lib/report.js), drawn with lib/pdf.js: a cover with the
+// risk gauge and the Deal Snapshot, the reasons with the highlighted input excerpt, the verification
+// checklist and its audit trail, the safe reply and the highlighted input. Optional logo (JPEG) and
+// footer text; `redact` masks account numbers, emails and phones (lib/redact.js). Pure — no DOM access.
+import { createPdf, textWidth, wrapText, jpegInfo } from "./pdf.js";
+import { reasonText, ptsText, instrumentText, linkVerdictText, amountText, timelineText, secondOpinionText } from "./core.js";
+import { checkText, auditText, auditSummary, planItems, CHECK_STATUS_TEXT } from "./checklist.js";
+import { profileText } from "./profile.js";
+import { checkedResult } from "./report.js";
+import { reportRedactor } from "./redact.js";
+
+const MARGIN = 48;
+const BOTTOM = 56;
+const INK = [17, 24, 39];
+const MUTED = [100, 110, 125];
+const RULE = [225, 229, 236];
+const HIGHLIGHT = [255, 226, 140];
+const LEVEL_COLOR = { LOW: [46, 160, 100], MEDIUM: [226, 152, 30], HIGH: [214, 64, 52] };
+const CHECK_COLOR = { open: MUTED, done: LEVEL_COLOR.LOW, failed: LEVEL_COLOR.HIGH, "n/a": MUTED };
+const EXCERPT_CONTEXT = 70;
+
+// Cursor over the document: `top` is the next baseline; new pages start at the margin.
+function pager(doc){
+  const p = {
+    top: 0,
+    width: doc.width - MARGIN * 2,
+    newPage(){
+      doc.addPage();
+      p.top = MARGIN + 10;
+    },
+    ensure(h){
+      if (p.top + h > doc.height - BOTTOM) p.newPage();
+    },
+    heading(label){
+      p.ensure(40);
+      p.top += 14;
+      doc.text(MARGIN, p.top, label, { font: "bold", size: 13, color: INK });
+      p.top += 6;
+      doc.line(MARGIN, p.top, MARGIN + p.width, p.top, { color: RULE, lineWidth: 0.8 });
+      p.top += 14;
+    },
+    // Wrapped paragraph at x offset `indent`.
+    para(str, { font = "regular", size = 9.5, color = INK, indent = 0, gap = 3 } = {}){
+      const lh = size * 1.3;
+      for (const line of wrapText(str, font, size, p.width - indent)){
+        p.ensure(lh);
+        doc.text(MARGIN + indent, p.top, line, { font, size, color });
+        p.top += lh;
+      }
+      p.top += gap;
+    },
+  };
+  return p;
+}
+
+// Visual lines of a monospaced block, each with its offset in `text`; breaks at spaces when it can.
+function monoLines(text, cols){
+  const out = [];
+  let pos = 0;
+  for (const para of text.split("\n")){
+    let start = 0;
+    while (para.length - start > cols){
+      const space = para.lastIndexOf(" ", start + cols);
+      const end = space > start + cols / 2 ? space + 1 : start + cols;
+      out.push({ start: pos + start, text: para.slice(start, end) });
+      start = end;
+    }
+    out.push({ start: pos + start, text: para.slice(start) });
+    pos += para.length + 1;
+  }
+  return out;
+}
+
+// Monospaced text with highlighted spans ({ start, end } relative to `text`).
+function highlightedBlock(doc, p, text, spans, { size = 8, indent = 0 } = {}){
+  const cw = 0.6 * size;
+  const lh = size * 1.35;
+  const x = MARGIN + indent;
+  for (const line of monoLines(text, Math.floor((p.width - indent) / cw))){
+    p.ensure(lh);
+    const end = line.start + line.text.length;
+    for (const s of spans){
+      const a = Math.max(s.start, line.start);
+      const b = Math.min(s.end, end);
+      if (a < b) doc.rect(x + (a - line.start) * cw, p.top - size * 0.85, (b - a) * cw, size * 1.15, { fill: HIGHLIGHT });
+    }
+    doc.text(x, p.top, line.text, { font: "mono", size, color: INK });
+    p.top += lh;
+  }
+  p.top += 4;
+}
+
+// Half-ring gauge, green / amber / red split at the scoring thresholds, with a needle at the score.
+function gauge(doc, cx, cy, score, thresholds){
+  const R = 86;
+  const r = 60;
+  const at = (v, radius) => {
+    const a = Math.PI * (1 - v / 100);
+    return [cx + radius * Math.cos(a), cy - radius * Math.sin(a)];
+  };
+  const band = (from, to, fill) => {
+    const steps = Math.max(2, Math.ceil((to - from) / 2));
+    const outer = Array.from({ length: steps + 1 }, (_, i) => at(from + (to - from) * i / steps, R));
+    const inner = outer.map((_, i) => at(to - (to - from) * i / steps, r));
+    doc.polygon([...outer, ...inner], { fill });
+  };
+  band(0, thresholds.medium, LEVEL_COLOR.LOW);
+  band(thresholds.medium, thresholds.high, LEVEL_COLOR.MEDIUM);
+  band(thresholds.high, 100, LEVEL_COLOR.HIGH);
+  const [nx, ny] = at(score, R + 6);
+  doc.line(cx, cy, nx, ny, { color: INK, lineWidth: 2.5 });
+  doc.rect(cx - 4, cy - 4, 8, 8, { fill: INK });
+}
+
+function cover(doc, p, report, result, t, { logo }){
+  p.newPage();
+  let titleX = MARGIN;
+  if (logo){
+    const { width, height } = jpegInfo(logo);
+    const w = Math.min(140, 44 * width / height);
+    doc.image(logo, MARGIN, MARGIN - 4, w, w * height / width);
+    titleX = MARGIN + w + 14;
+  }
+  doc.text(titleX, MARGIN + 20, "DealShield Report", { font: "bold", size: 22, color: INK });
+  const meta = [new Date(report.generatedAt).toUTCString(), report.input.counterparty && t(report.input.counterparty), report.input.deal && `Deal: ${t(report.input.deal)}`]
+    .filter(Boolean).join("  ·  ");
+  doc.text(titleX, MARGIN + 36, meta, { size: 9, color: MUTED });
+
+  const cx = doc.width / 2;
+  const cy = MARGIN + 170;
+  gauge(doc, cx, cy, result.score, report.scoring.thresholds);
+  const score = `${result.score} / 100`;
+  doc.text(cx - textWidth(score, "bold", 26) / 2, cy + 34, score, { font: "bold", size: 26, color: INK });
+  const level = `${result.level} RISK`;
+  doc.text(cx - textWidth(level, "bold", 13) / 2, cy + 54, level, { font: "bold", size: 13, color: LEVEL_COLOR[result.level] });
+  const notes = [`Scoring: ${profileText(result.profile)}`];
+  if (result.secondOpinion) notes.push(secondOpinionText(result.secondOpinion));
+  if (report.checklist) notes.unshift(`Before verification checks: ${report.result.score} / 100`);
+  p.top = cy + 74;
+  for (const n of notes){
+    for (const line of wrapText(n, "regular", 8.5, p.width - 60)){
+      doc.text(cx - textWidth(line, "regular", 8.5) / 2, p.top, line, { size: 8.5, color: MUTED });
+      p.top += 11;
+    }
+  }
+
+  p.heading("Deal Snapshot");
+  const s = report.snapshot;
+  const rows = [
+    ["Counterparty", s.counterparty],
+    ["Language", s.language],
+    ["Email", s.email],
+    ["Parties", s.parties],
+    ["Amount", s.amounts && s.amounts.length > 1 ? s.amounts.map(amountText).join("\n") : s.amount],
+    ["Deadline", s.deadline],
+    ["Schedule", (s.schedule || []).join("\n")],
+    ["Payment", s.payment],
+    ["Payment details", (s.instruments || []).map(instrumentText).join("\n")],
+    ["Invoice", (s.invoice || []).join("\n")],
+    ["Links", (s.links || []).map(linkVerdictText).join("\n")],
+  ];
+  const labelW = 110;
+  for (const [label, value] of rows){
+    const lines = wrapText(t(value || "—"), "regular", 9, p.width - labelW);
+    p.ensure(lines.length * 12 + 6);
+    doc.text(MARGIN, p.top, label, { font: "bold", size: 9, color: MUTED });
+    for (const line of lines){
+      doc.text(MARGIN + labelW, p.top, line, { size: 9, color: INK });
+      p.top += 12;
+    }
+    doc.line(MARGIN, p.top - 6, MARGIN + p.width, p.top - 6, { color: RULE, lineWidth: 0.5 });
+    p.top += 4;
+  }
+}
+
+// Input around a span, on one line, with the span's offsets in the excerpt.
+function excerpt(text, span){
+  const from = Math.max(0, span.start - EXCERPT_CONTEXT);
+  const to = Math.min(text.length, span.end + EXCERPT_CONTEXT);
+  const body = text.slice(from, to).replace(/[\r\n\t]/g, " ");
+  return {
+    text: `${from > 0 ? "…" : ""}${body}${to < text.length ? "…" : ""}`,
+    span: { start: span.start - from + (from > 0 ? 1 : 0), end: span.end - from + (from > 0 ? 1 : 0) },
+  };
+}
+
+function reasons(doc, p, report, result, t){
+  p.heading("Reasons");
+  if (!result.reasons.length){
+    p.para("No major red flags detected.");
+    return;
+  }
+  const text = t(report.input.text);
+  for (const r of result.reasons.slice().sort((a, b) => b.pts - a.pts)){
+    p.ensure(30);
+    const pts = ptsText(r.pts);
+    doc.text(MARGIN, p.top, pts, { font: "bold", size: 9.5, color: r.verified ? MUTED : r.pts < 0 ? LEVEL_COLOR.LOW : LEVEL_COLOR.HIGH });
+    const lines = wrapText(t(reasonText(r)), "regular", 9.5, p.width - 34);
+    for (const line of lines){
+      p.ensure(13);
+      doc.text(MARGIN + 34, p.top, line, { size: 9.5, color: r.verified ? MUTED : INK });
+      p.top += 13;
+    }
+    const span = (r.spans || []).find(s => s.end <= text.length);
+    if (span){
+      const ex = excerpt(text, span);
+      highlightedBlock(doc, p, ex.text, [ex.span], { size: 7.5, indent: 34 });
+    }
+    p.top += 3;
+  }
+}
+
+function checklistSection(doc, p, report, result, t){
+  p.heading("Verification checklist");
+  const cl = report.checklist;
+  if (!cl){
+    for (const item of planItems(result)) p.para(`•  ${item}`);
+    return;
+  }
+  for (const item of cl.items){
+    p.ensure(26);
+    doc.rect(MARGIN, p.top - 8, 44, 11, { fill: CHECK_COLOR[item.status] });
+    doc.text(MARGIN + 4, p.top, CHECK_STATUS_TEXT[item.status].toUpperCase(), { font: "bold", size: 7, color: [255, 255, 255] });
+    const rest = checkText(item).replace(/^\[[^\]]*\] /, "");
+    const lines = wrapText(t(rest), "regular", 9, p.width - 54);
+    for (const line of lines){
+      p.ensure(12);
+      doc.text(MARGIN + 54, p.top, line, { size: 9, color: INK });
+      p.top += 12;
+    }
+    p.top += 4;
+  }
+  p.top += 6;
+  p.para(`Audit trail: ${auditSummary(cl)}`, { font: "bold", size: 8.5, color: MUTED });
+  for (const e of cl.audit) p.para(t(auditText(e)), { font: "mono", size: 6.8, color: INK, gap: 1 });
+}
+
+// reports: canonical reports; opts: { logo (JPEG bytes), footer, redact, title }.
+export function buildPdfReport(reports, { logo = null, footer = "", redact = false, title = "DealShield Report" } = {}){
+  const doc = createPdf({ title });
+  const p = pager(doc);
+  for (const report of reports){
+    const result = checkedResult(report);
+    const t = redact ? reportRedactor(report) : (s) => s;
+    cover(doc, p, report, result, t, { logo });
+    reasons(doc, p, report, result, t);
+    if (result.thread){
+      p.heading("Thread timeline");
+      p.para(`${result.thread.messages} messages (${result.thread.format}) from ${t(result.thread.senders.join(", "))}`, { color: MUTED });
+      for (const e of result.thread.timeline) p.para(`•  ${t(timelineText(e))}`);
+    }
+    checklistSection(doc, p, report, result, t);
+    p.heading("Safe reply");
+    p.para(t(report.reply), { size: 9 });
+    p.heading("Original input");
+    const spans = [...result.reasons.flatMap(r => r.spans || []), ...report.result.links.filter(l => l.verdict !== "ok")];
+    highlightedBlock(doc, p, t(report.input.text), spans);
+  }
+
+  // Footer on every page once the page count is known.
+  const total = doc.pageCount;
+  const left = [footer, redact ? "REDACTED COPY — account numbers, emails and phones masked" : ""].filter(Boolean).join("  ·  ");
+  for (let i = 0; i < total; i++){
+    doc.usePage(i);
+    const y = doc.height - 30;
+    doc.line(MARGIN, y - 12, doc.width - MARGIN, y - 12, { color: RULE, lineWidth: 0.5 });
+    if (left) doc.text(MARGIN, y, left, { size: 7.5, color: MUTED });
+    const num = `Page ${i + 1} of ${total}`;
+    doc.text(doc.width - MARGIN - textWidth(num, "regular", 7.5), y, num, { size: 7.5, color: MUTED });
+  }
+  return doc.output({ createdAt: new Date(reports[0] ? reports[0].generatedAt : Date.now()) });
+}
@@ -0,0 +1,214 @@
+// Minimal PDF 1.4 writer: A4 pages with text in the standard Helvetica / Helvetica-Bold / Courier fonts
+// (WinAnsi encoding, so no font files to bundle), filled and stroked shapes and JPEG images. Coordinates
+// are in points from the top-left corner. Used by lib/pdf-report.js. Pure — no DOM access.
+
+export const A4 = { width: 595.28, height: 841.89 };
+export const FONTS = { regular: "Helvetica", bold: "Helvetica-Bold", mono: "Courier" };
+
+// Advance widths (1/1000 em) of ASCII 32..126; Courier is 600 throughout.
+const HELVETICA = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556, 556, 556, 556, 556,
+  556, 556, 278, 278, 584, 584, 584, 556, 1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556, 333, 556, 556, 500, 556, 556, 278, 556,
+  556, 222, 222, 500, 222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+const HELVETICA_BOLD = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556, 556, 556, 556, 556,
+  556, 556, 333, 333, 584, 584, 584, 611, 975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556, 333, 556, 611, 556, 611, 556, 333, 611,
+  611, 278, 278, 556, 278, 889, 611, 611, 611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+];
+
+// WinAnsi bytes 0x80..0x9F that aren't Latin-1.
+const WIN_ANSI = {
+  "€": 0x80, "‚": 0x82, "ƒ": 0x83, "„": 0x84, "…": 0x85, "†": 0x86, "‡": 0x87, "ˆ": 0x88, "‰": 0x89, "Š": 0x8a, "‹": 0x8b,
+  "Œ": 0x8c, "Ž": 0x8e, "‘": 0x91, "’": 0x92, "“": 0x93, "”": 0x94, "•": 0x95, "–": 0x96, "—": 0x97, "˜": 0x98, "™": 0x99,
+  "š": 0x9a, "›": 0x9b, "œ": 0x9c, "ž": 0x9e, "Ÿ": 0x9f,
+};
+
+// One WinAnsi byte per UTF-16 code unit, so text offsets stay valid: accents that WinAnsi lacks are
+// dropped ("ş" -> "s"), anything else (Cyrillic, Arabic, emoji halves) becomes "?".
+function winAnsiCode(ch){
+  const c = ch.charCodeAt(0);
+  if (c === 9) return 32;
+  if (c >= 32 && c < 127) return c;
+  if (c >= 160 && c <= 255) return c;
+  if (WIN_ANSI[ch]) return WIN_ANSI[ch];
+  const base = ch.normalize("NFD")[0];
+  if (base !== ch && base.charCodeAt(0) < 256) return winAnsiCode(base);
+  return 63;
+}
+
+export function encodeText(str){
+  return Array.from({ length: str.length }, (_, i) => winAnsiCode(str[i]));
+}
+
+export function textWidth(str, font, size){
+  if (font === "mono") return str.length * 0.6 * size;
+  const table = font === "bold" ? HELVETICA_BOLD : HELVETICA;
+  let w = 0;
+  for (const c of encodeText(str)) w += c >= 32 && c <= 126 ? table[c - 32] : 556;
+  return (w / 1000) * size;
+}
+
+// Greedy word wrap to maxWidth; words longer than a line are cut.
+export function wrapText(str, font, size, maxWidth){
+  const out = [];
+  for (const para of String(str).split("\n")){
+    let line = "";
+    for (const word of para.split(/(?<=\s)/)){
+      if (textWidth(line + word, font, size) <= maxWidth || !line.trim()){
+        line += word;
+        while (textWidth(line.trimEnd(), font, size) > maxWidth){
+          let cut = line.length - 1;
+          while (cut > 1 && textWidth(line.slice(0, cut), font, size) > maxWidth) cut--;
+          out.push(line.slice(0, cut));
+          line = line.slice(cut);
+        }
+      } else {
+        out.push(line.trimEnd());
+        line = word;
+      }
+    }
+    out.push(line.trimEnd());
+  }
+  return out;
+}
+
+function pdfString(str){
+  let out = "(";
+  for (const c of encodeText(str)){
+    if (c === 40 || c === 41 || c === 92) out += "\\" + String.fromCharCode(c);
+    else if (c < 32 || c > 126) out += "\\" + c.toString(8).padStart(3, "0");
+    else out += String.fromCharCode(c);
+  }
+  return out + ")";
+}
+
+const num = (n) => (Math.round(n * 100) / 100).toString();
+const rgb = (c) => c.map(v => num(v / 255)).join(" ");
+
+// Width, height and colour space from a JPEG's start-of-frame marker.
+export function jpegInfo(bytes){
+  if (bytes[0] !== 0xff || bytes[1] !== 0xd8) throw new Error("Not a JPEG image");
+  let i = 2;
+  while (i + 9 < bytes.length){
+    if (bytes[i] !== 0xff){ i++; continue; }
+    const marker = bytes[i + 1];
+    const len = (bytes[i + 2] << 8) | bytes[i + 3];
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)){
+      const components = bytes[i + 9];
+      return {
+        height: (bytes[i + 5] << 8) | bytes[i + 6],
+        width: (bytes[i + 7] << 8) | bytes[i + 8],
+        colorSpace: components === 1 ? "DeviceGray" : components === 4 ? "DeviceCMYK" : "DeviceRGB",
+      };
+    }
+    i += 2 + len;
+  }
+  throw new Error("JPEG without a frame header");
+}
+
+export function createPdf({ title = "", width = A4.width, height = A4.height } = {}){
+  const pages = [];
+  const images = [];
+  let ops = null;
+  const y = (top) => height - top;
+
+  return {
+    width,
+    height,
+    get pageCount(){ return pages.length; },
+    addPage(){
+      ops = [];
+      pages.push(ops);
+      return pages.length - 1;
+    },
+    // Draw on an earlier page (footers with the page count).
+    usePage(i){
+      ops = pages[i];
+    },
+    // top: baseline position from the top edge.
+    text(x, top, str, { font = "regular", size = 10, color = [0, 0, 0] } = {}){
+      const f = font === "bold" ? "F2" : font === "mono" ? "F3" : "F1";
+      ops.push(`BT /${f} ${num(size)} Tf ${rgb(color)} rg ${num(x)} ${num(y(top))} Td ${pdfString(str)} Tj ET`);
+    },
+    rect(x, top, w, h, { fill = null, stroke = null, lineWidth = 1 } = {}){
+      const paint = fill && stroke ? "B" : fill ? "f" : "S";
+      ops.push(`q ${fill ? `${rgb(fill)} rg ` : ""}${stroke ? `${rgb(stroke)} RG ${num(lineWidth)} w ` : ""}${num(x)} ${num(y(top + h))} ${num(w)} ${num(h)} re ${paint} Q`);
+    },
+    line(x1, top1, x2, top2, { color = [0, 0, 0], lineWidth = 1 } = {}){
+      ops.push(`q ${rgb(color)} RG ${num(lineWidth)} w 1 J ${num(x1)} ${num(y(top1))} m ${num(x2)} ${num(y(top2))} l S Q`);
+    },
+    // Closed filled polygon; points: [[x, top], …].
+    polygon(points, { fill = [0, 0, 0] } = {}){
+      const [first, ...rest] = points;
+      const path = [`${num(first[0])} ${num(y(first[1]))} m`, ...rest.map(p => `${num(p[0])} ${num(y(p[1]))} l`)].join(" ");
+      ops.push(`q ${rgb(fill)} rg ${path} h f Q`);
+    },
+    // JPEG bytes drawn into the box (x, top, w, h).
+    image(jpeg, x, top, w, h){
+      const info = jpegInfo(jpeg);
+      images.push({ bytes: jpeg, ...info });
+      ops.push(`q ${num(w)} 0 0 ${num(h)} ${num(x)} ${num(y(top + h))} cm /Im${images.length} Do Q`);
+    },
+    output({ createdAt = new Date() } = {}){
+      const enc = new TextEncoder();
+      const chunks = [];
+      const offsets = [];
+      let length = 0;
+      const write = (part) => {
+        const bytes = typeof part === "string" ? enc.encode(part) : part;
+        chunks.push(bytes);
+        length += bytes.length;
+      };
+      const object = (n, body, stream = null) => {
+        offsets[n] = length;
+        if (stream){
+          write(`${n} 0 obj\n<< ${body} /Length ${stream.length} >>\nstream\n`);
+          write(stream);
+          write("\nendstream\nendobj\n");
+        } else {
+          write(`${n} 0 obj\n${body}\nendobj\n`);
+        }
+      };
+
+      // 1 catalog, 2 page tree, 3 info, 4-6 fonts, then images, then page + content pairs
+      const firstImage = 7;
+      const firstPage = firstImage + images.length;
+      const pageRefs = pages.map((_, i) => `${firstPage + i * 2} 0 R`);
+      write("%PDF-1.4\n%\xe2\xe3\xcf\xd3\n");
+      object(1, "<< /Type /Catalog /Pages 2 0 R >>");
+      object(2, `<< /Type /Pages /Kids [${pageRefs.join(" ")}] /Count ${pages.length} >>`);
+      const d = createdAt.toISOString().replace(/[-:T]/g, "").slice(0, 14);
+      object(3, `<< /Title ${pdfString(title)} /Producer (DealShield) /CreationDate (D:${d}Z) >>`);
+      Object.values(FONTS).forEach((name, i) => {
+        object(4 + i, `<< /Type /Font /Subtype /Type1 /BaseFont /${name} /Encoding /WinAnsiEncoding >>`);
+      });
+      images.forEach((img, i) => {
+        const decode = img.colorSpace === "DeviceCMYK" ? " /Decode [1 0 1 0 1 0 1 0]" : "";
+        object(firstImage + i, `<< /Type /XObject /Subtype /Image /Width ${img.width} /Height ${img.height} /ColorSpace /${img.colorSpace} /BitsPerComponent 8 /Filter /DCTDecode${decode}`, img.bytes);
+      });
+      const xobjects = images.map((_, i) => `/Im${i + 1} ${firstImage + i} 0 R`).join(" ");
+      pages.forEach((pageOps, i) => {
+        const n = firstPage + i * 2;
+        object(n, `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(width)} ${num(height)}] /Contents ${n + 1} 0 R /Resources << /Font << /F1 4 0 R /F2 5 0 R /F3 6 0 R >>${xobjects ? ` /XObject << ${xobjects} >>` : ""} >> >>`);
+        object(n + 1, "", enc.encode(pageOps.join("\n")));
+      });
+
+      const xref = length;
+      const count = firstPage + pages.length * 2;
+      write(`xref\n0 ${count}\n0000000000 65535 f \n`);
+      for (let n = 1; n < count; n++) write(`${String(offsets[n]).padStart(10, "0")} 00000 n \n`);
+      write(`trailer\n<< /Size ${count} /Root 1 0 R /Info 3 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+
+      const out = new Uint8Array(length);
+      let pos = 0;
+      for (const c of chunks){
+        out.set(c, pos);
+        pos += c.length;
+      }
+      return out;
+    },
+  };
+}
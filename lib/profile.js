@@ -0,0 +1,98 @@
+// Scoring profiles: rule weights, base score and risk thresholds fitted on a labeled corpus
+// (see lib/evaluate.js) for one rule pack, applied on top of the compiled pack. Versioned JSON
+// (see rules/profiles/default.json), validated like rule packs. Pure — no DOM access.
+import { validateSchema } from "./schema.js";
+import { RulePackError } from "./rules.js";
+
+const SEMVER = "^\\d+\\.\\d+\\.\\d+";
+
+export const SCORING_PROFILE_SCHEMA = {
+  type: "object",
+  required: ["id", "version", "rulePack", "base", "thresholds", "weights"],
+  additionalProperties: false,
+  properties: {
+    $schema: { type: "string" },
+    id: { type: "string", minLength: 1 },
+    version: { type: "string", pattern: SEMVER },
+    description: { type: "string" },
+    fittedAt: { type: "string" },
+    rulePack: {
+      type: "object",
+      required: ["id", "version"],
+      additionalProperties: false,
+      properties: { id: { type: "string", minLength: 1 }, version: { type: "string", pattern: SEMVER } },
+    },
+    corpus: {
+      type: "object",
+      required: ["id", "version", "size"],
+      additionalProperties: false,
+      properties: {
+        id: { type: "string", minLength: 1 },
+        version: { type: "string", pattern: SEMVER },
+        size: { type: "integer", minimum: 0 },
+      },
+    },
+    base: { type: "number", minimum: 0, maximum: 100 },
+    thresholds: {
+      type: "object",
+      required: ["medium", "high"],
+      additionalProperties: false,
+      properties: {
+        medium: { type: "number", minimum: 0, maximum: 100 },
+        high: { type: "number", minimum: 0, maximum: 100 },
+      },
+    },
+    weights: { type: "object", additionalProperties: { type: "number", minimum: -100, maximum: 100 } },
+    metrics: { type: "object", additionalProperties: { type: "number" } },
+  },
+};
+
+export function validateProfile(profile){
+  const errors = validateSchema(SCORING_PROFILE_SCHEMA, profile);
+  if (!errors.length && profile.thresholds.medium > profile.thresholds.high){
+    errors.push("thresholds: medium must not exceed high");
+  }
+  return errors;
+}
+
+// Compiled rule pack + profile -> compiled pack with the fitted weights / base / thresholds.
+// Rules the profile has no weight for (never seen in the corpus) keep the pack's weight.
+// Throws RulePackError when the profile is invalid or was fitted for another rule pack. A profile fitted
+// for another version of the pack still applies, with profile.warning saying so until it is refit.
+export function applyProfile(compiled, profile){
+  const errors = validateProfile(profile);
+  if (errors.length) throw new RulePackError(`Invalid scoring profile: ${errors[0]}`, errors);
+  if (profile.rulePack.id !== compiled.id){
+    throw new RulePackError(`Scoring profile "${profile.id}" is for rule pack "${profile.rulePack.id}", not "${compiled.id}"`);
+  }
+  const warning = profile.rulePack.version !== compiled.version
+    ? `fitted for ${compiled.id} v${profile.rulePack.version}, not v${compiled.version} (refit with npm run calibrate)`
+    : null;
+  return {
+    ...compiled,
+    base: profile.base,
+    thresholds: { ...profile.thresholds },
+    rules: compiled.rules.map(r => profile.weights[r.id] != null ? { ...r, weight: profile.weights[r.id] } : r),
+    profile: {
+      id: profile.id,
+      version: profile.version,
+      fittedAt: profile.fittedAt || null,
+      rulePack: profile.rulePack,
+      corpus: profile.corpus || null,
+      metrics: profile.metrics || {},
+      warning,
+    },
+  };
+}
+
+// One line for the rules status, reports and the CLI.
+export function profileText(profile){
+  if (!profile) return "rule pack weights (uncalibrated)";
+  const parts = [];
+  if (profile.fittedAt) parts.push(`fitted ${profile.fittedAt.slice(0, 10)}`);
+  if (profile.corpus) parts.push(`on ${profile.corpus.id} v${profile.corpus.version}, ${profile.corpus.size} messages`);
+  const m = profile.metrics || {};
+  const scores = ["precision", "recall", "f1"].filter(k => m[k] != null).map(k => `${k === "f1" ? "F1" : k} ${m[k].toFixed(2)}`);
+  if (scores.length) parts.push(`${m.folds ? `${m.folds}-fold cross-validated ` : ""}${scores.join(", ")}`);
+  return `${profile.id} v${profile.version}${parts.length ? ` (${parts.join("; ")})` : ""}${profile.warning ? ` — ${profile.warning}` : ""}`;
+}
@@ -0,0 +1,55 @@
+// Redaction for reports shared outside the team: account numbers, IBANs, wallets, card-like numbers,
+// email local parts and phone numbers are masked with "•". Masking keeps the text's length, so span
+// offsets (highlights) still line up, and keeps a few characters (country code, last digits, email
+// domain) so the reader can still tell the details apart. Pure — no DOM access.
+
+const MASK = "•";
+
+// Mask letters and digits, keeping `head` of them at the start and `tail` at the end; separators stay.
+function mask(s, head = 0, tail = 0){
+  const total = (s.match(/[\p{L}\p{N}]/gu) || []).length;
+  let seen = 0;
+  return s.replace(/[\p{L}\p{N}]/gu, (c) => {
+    seen++;
+    return seen <= head || seen > total - tail ? c : MASK;
+  });
+}
+
+function escapeRegExp(s){
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+const EMAIL = /([\w.+-]+)(@(?:[\w-]+\.)+[\w-]{2,})/gu;
+const IBAN = /\b[A-Z]{2}\d{2}(?:[ ]?[A-Z0-9]{1,4}){3,8}\b/gu;
+const WALLET = /\b(?:0x[a-fA-F0-9]{40}|bc1[a-z0-9]{25,59}|[13][a-km-zA-HJ-NP-Z1-9]{25,34}|T[1-9A-HJ-NP-Za-km-z]{33})\b/gu;
+// Phone, account, card and routing numbers: 8+ digits with optional + ( ) . - and spaces between.
+const NUMBER = /(?:\+|\b)\(?\d[\d ().-]{6,}\d\b/gu;
+const NOT_A_NUMBER = /^(?:\d{4}-\d{2}-\d{2}|\d{1,3}(?:[., ]\d{3})+(?:[.,]\d{1,2})?)$/u;
+
+// values: payment details found in the message (lib/payments.js instruments), matched however they're spaced.
+export function makeRedactor({ values = [] } = {}){
+  const known = values
+    .map(v => String(v).replace(/[\s-]+/g, ""))
+    .filter(v => v.length >= 6)
+    .map(v => new RegExp([...v].map(escapeRegExp).join("[\\s-]*"), "giu"));
+  return (text) => {
+    if (!text) return text;
+    let out = String(text)
+      .replace(EMAIL, (_, local, domain) => mask(local, 1) + domain)
+      .replace(IBAN, (m) => mask(m, 2, 4));
+    for (const re of known) out = out.replace(re, (m) => mask(m, 0, 4));
+    out = out
+      .replace(WALLET, (m) => mask(m, 4, 4))
+      .replace(NUMBER, (m) => {
+        const digits = m.replace(/\D/g, "").length;
+        if (digits < 8 || NOT_A_NUMBER.test(m.trim())) return m;
+        return mask(m, 0, m.startsWith("+") ? 2 : 4);
+      });
+    return out;
+  };
+}
+
+// Redactor for one report (lib/report.js): the payment details it found are always masked.
+export function reportRedactor(report){
+  return makeRedactor({ values: report.result.instruments.flatMap(i => [i.value, i.display]).filter(Boolean) });
+}
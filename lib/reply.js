@@ -0,0 +1,145 @@
+// Safe-reply composer: the questions that fit what was found (each triggered rule's own questions,
+// heaviest first, then the generic ones that still apply), in a tone (friendly / formal / firm
+// refusal) and a channel shape (email, chat, SMS-length), signed with the user's signature and
+// company block. Locale packs carry the same strings in the counterparty's language (the "reply"
+// block of rules/locales/*.json). scrubReply() keeps a draft from repeating a suspicious link or the
+// message's payment details. Pure — no DOM access.
+
+export const TONES = ["friendly", "formal", "firm"];
+export const CHANNELS = ["email", "chat", "sms"];
+export const SMS_LIMIT = 160;
+const CHAT_ASKS = 3;
+
+// Same shape as the "reply" block of a locale pack. asks: [amount + method, second-channel check,
+// invoice + company details]; the plain strings are the friendly tone, "styles" the other two.
+export const REPLY_EN = {
+  greeting: "Hi — thanks for the update.",
+  tone: {
+    HIGH: "Before proceeding, I need to verify a few details for safety.",
+    MEDIUM: "Quick verification before we proceed:",
+    LOW: "Just confirming a couple of details to avoid misunderstandings:",
+  },
+  asks: [
+    "Please confirm the exact amount + currency and the payment method.",
+    "Please confirm the payment details via a second channel (call / known contact).",
+    "Please share a standard invoice and your company details (legal name, website, address).",
+  ],
+  links: "Please share the full official domain (no shortened links).",
+  crypto: "For first-time engagements, I prefer standard invoicing and traceable business payment rails.",
+  closing: "Once confirmed, I’m happy to proceed immediately.",
+  styles: {
+    formal: {
+      greeting: "Hello, and thank you for your message.",
+      closing: "Once these points are confirmed, I will be glad to proceed.",
+    },
+    firm: {
+      greeting: "Hello.",
+      intro: "I can’t proceed with this request as it stands.",
+      closing: "Until these points are confirmed through a channel I already know, I won’t send any payment or share further details.",
+    },
+  },
+  rules: {},
+};
+
+// Greeting, intro and closing for a tone; a locale without that tone keeps its friendly strings.
+function styled(t, tone, level){
+  const s = (t.styles && t.styles[tone]) || {};
+  return { greeting: s.greeting || t.greeting, intro: s.intro || t.tone[level], closing: s.closing || t.closing };
+}
+
+// Generic questions only where the message leaves them open.
+function genericAsks(t, level, snapshot){
+  const out = [];
+  const payment = snapshot.payment || "Unspecified";
+  if (!snapshot.amount || payment === "Unspecified") out.push(t.asks[0]);
+  if ((snapshot.instruments || []).length || level !== "LOW") out.push(t.asks[1]);
+  if (level !== "LOW" && !(snapshot.invoice || []).length) out.push(t.asks[2]);
+  return out;
+}
+
+function pickAsks(t, level, snapshot, ruleReplies){
+  const rules = ruleReplies
+    .slice()
+    .sort((a, b) => (b.pts || 0) - (a.pts || 0))
+    .map(r => (t.rules && t.rules[r.id] && t.rules[r.id][r.index]) || r.text);
+  const extra = [];
+  if ((snapshot.links || []).some(l => l.verdict !== "ok")) extra.push(t.links || REPLY_EN.links);
+  if ((snapshot.payment || "").includes("Crypto")) extra.push(t.crypto || REPLY_EN.crypto);
+  const asks = Array.from(new Set([...rules, ...extra, ...genericAsks(t, level, snapshot)]));
+  return asks.length ? asks : [t.asks[0]];
+}
+
+function signOff(channel, signature, company){
+  const name = (signature || "").trim();
+  if (channel !== "email") return name.split("\n")[0];
+  return [name, (company || "").trim()].filter(Boolean).join("\n");
+}
+
+// One reply in one language. opts: { level, snapshot, ruleReplies, tone, channel, signature, company }.
+export function composeReply(t, { level, snapshot, ruleReplies = [], tone = "friendly", channel = "email", signature = "", company = "" }){
+  const s = styled(t, tone, level);
+  const asks = pickAsks(t, level, snapshot, ruleReplies);
+  const sign = signOff(channel, signature, company);
+
+  if (channel === "sms"){
+    // The most important question only; the intro goes first when it still fits.
+    const tail = sign ? ` – ${sign}` : "";
+    const full = `${s.intro} ${asks[0]}${tail}`;
+    return full.length <= SMS_LIMIT ? full : `${asks[0]}${tail}`;
+  }
+  if (channel === "chat"){
+    return [
+      `${s.greeting} ${s.intro}`,
+      ...asks.slice(0, CHAT_ASKS).map(a => `• ${a}`),
+      s.closing + (sign ? ` — ${sign}` : ""),
+    ].join("\n");
+  }
+  return [
+    s.greeting,
+    s.intro,
+    "",
+    ...asks.map((a, i) => `${i + 1}) ${a}`),
+    "",
+    s.closing,
+    ...(sign ? ["", sign] : []),
+  ].join("\n");
+}
+
+// Reply in the counterparty's language (template: a locale pack's "reply" block) with the English
+// version below it; chat and SMS replies stay in one language.
+export function safeReply({ template = null, channel = "email", ...opts }){
+  const en = composeReply(REPLY_EN, { channel, ...opts });
+  if (!template) return en;
+  const local = composeReply({ ...template, rules: template.rules || {} }, { channel, ...opts });
+  return channel === "email" ? `${local}\n\n— English —\n${en}` : local;
+}
+
+function escapeRegExp(s){
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Any spacing or dashes between the characters: "GB82WEST…" also matches "GB82 WEST …".
+function loosePattern(value){
+  return [...value.replace(/[\s-]+/g, "")].map(escapeRegExp).join("[\\s-]*");
+}
+
+// Draft -> { text, removed: [{ kind: "link" | "payment", value }] }: links that weren't judged safe
+// and every payment detail from the message are replaced by "[removed]", however they were typed.
+export function scrubReply(text, snapshot){
+  const removed = [];
+  let out = text;
+  const scrub = (src, kind) => {
+    out = out.replace(new RegExp(src, "giu"), (value) => {
+      removed.push({ kind, value });
+      return "[removed]";
+    });
+  };
+  for (const l of (snapshot.links || []).filter(l => l.verdict !== "ok")){
+    scrub(`(?:[a-z][\\w+.-]*:\\/\\/)?(?:[\\w-]+\\.)*${escapeRegExp(l.host)}(?:[/?#][^\\s)>\\]]*)?`, "link");
+  }
+  for (const i of snapshot.instruments || []){
+    const value = i.value || i.display;
+    if (value && value.replace(/[\s-]+/g, "").length >= 6) scrub(loosePattern(value), "payment");
+  }
+  return { text: out, removed };
+}
@@ -0,0 +1,248 @@
+// Canonical JSON report of one analysis ("dealshield-report", versioned): the input, the result as
+// scored (reasons with spans, links, payment details, parties…), snapshot, plan, reply and the
+// verification checklist. The web app exports and re-imports it, the CLI prints it, and CSV rows and
+// STIX 2.1 indicator bundles are derived from it. Pure — no DOM access.
+import { validateSchema } from "./schema.js";
+import { toCsv } from "./csv.js";
+import { sha256, toHex } from "./hash.js";
+import { applyChecklist } from "./checklist.js";
+import { senderOf } from "./email.js";
+import { summaryRow, SUMMARY_COLUMNS, instrumentText, linkVerdictText } from "./core.js";
+
+export const REPORT_FORMAT = "dealshield-report";
+export const REPORT_VERSION = 1;
+
+const REASON = {
+  type: "object",
+  required: ["id", "label", "pts", "spans"],
+  properties: {
+    id: { type: "string", minLength: 1 },
+    label: { type: "string" },
+    pts: { type: "number" },
+    spans: {
+      type: "array",
+      items: { type: "object", required: ["start", "end"], properties: { start: { type: "integer" }, end: { type: "integer" } } },
+    },
+  },
+};
+
+export const REPORT_SCHEMA = {
+  type: "object",
+  required: ["format", "version", "generatedAt", "input", "score", "level", "scoring", "result", "snapshot", "reply"],
+  properties: {
+    format: { enum: [REPORT_FORMAT] },
+    version: { type: "integer", minimum: 1 },
+    generatedAt: { type: "string", minLength: 1 },
+    generator: { type: "object" },
+    input: {
+      type: "object",
+      required: ["text"],
+      additionalProperties: false,
+      properties: {
+        text: { type: "string", minLength: 1 },
+        counterparty: { type: ["string", "null"] },
+        deal: { type: ["string", "null"] },
+        thread: { type: "boolean" },
+        trustedDomains: { type: "array", items: { type: "string" } },
+        source: { type: "object" },
+      },
+    },
+    score: { type: "number", minimum: 0, maximum: 100 },
+    level: { enum: ["LOW", "MEDIUM", "HIGH"] },
+    scoring: {
+      type: "object",
+      required: ["base", "thresholds"],
+      properties: {
+        base: { type: "number" },
+        thresholds: { type: "object", required: ["medium", "high"] },
+      },
+    },
+    result: {
+      type: "object",
+      required: ["score", "level", "reasons", "plan", "links", "instruments"],
+      properties: {
+        score: { type: "number", minimum: 0, maximum: 100 },
+        level: { enum: ["LOW", "MEDIUM", "HIGH"] },
+        reasons: { type: "array", items: REASON },
+        plan: { type: "array", items: { type: "string" } },
+        links: { type: "array", items: { type: "object", required: ["raw", "host", "verdict"] } },
+        instruments: { type: "array", items: { type: "object", required: ["type", "value"] } },
+      },
+    },
+    snapshot: { type: "object" },
+    reply: { type: "string" },
+    replyParts: { type: ["object", "null"], properties: { ruleReplies: { type: "array" } } },
+    checklist: {
+      type: ["object", "null"],
+      required: ["key", "items", "audit"],
+      properties: { items: { type: "array" }, audit: { type: "array" } },
+    },
+  },
+};
+
+export class ReportError extends Error {
+  constructor(message, errors = []){
+    super(message);
+    this.name = "ReportError";
+    this.errors = errors;
+  }
+}
+
+// The result with the checklist applied (what the Risk card shows).
+export function checkedResult(report){
+  return report.checklist ? applyChecklist(report.result, report.checklist, report.scoring) : report.result;
+}
+
+// result: as scored, without the checklist applied; rulePack: the compiled pack it was scored with.
+// input: { text, counterparty, deal, thread, trustedDomains, source }.
+export function buildReport({ input, result, snapshot, reply, replyParts = null, checklist = null, rulePack, generatedAt = new Date().toISOString() }){
+  const { checklist: _applied, ...scored } = result;
+  const report = {
+    format: REPORT_FORMAT,
+    version: REPORT_VERSION,
+    generatedAt,
+    generator: { name: "DealShield", rulePack: { id: rulePack.id, version: rulePack.version }, profile: result.profile || null },
+    input: { counterparty: null, deal: null, thread: !!result.thread, trustedDomains: [], ...input },
+    score: result.score,
+    level: result.level,
+    scoring: { base: rulePack.base, thresholds: { ...rulePack.thresholds } },
+    // JSON round trip: only plain data goes into the report.
+    result: JSON.parse(JSON.stringify(scored)),
+    snapshot: JSON.parse(JSON.stringify(snapshot)),
+    reply,
+    replyParts,
+    checklist,
+  };
+  const checked = checkedResult(report);
+  report.score = checked.score;
+  report.level = checked.level;
+  return report;
+}
+
+// Parsed JSON (or its text) -> report; throws ReportError listing what doesn't match the schema.
+export function parseReport(value){
+  let report = value;
+  if (typeof value === "string"){
+    try {
+      report = JSON.parse(value);
+    } catch (e) {
+      throw new ReportError(`Not a JSON report: ${e.message}`);
+    }
+  }
+  if (!report || report.format !== REPORT_FORMAT) throw new ReportError(`Not a DealShield report (format "${REPORT_FORMAT}" expected)`);
+  if (report.version > REPORT_VERSION) throw new ReportError(`Report version ${report.version} is newer than this DealShield (${REPORT_VERSION})`);
+  const errors = validateSchema(REPORT_SCHEMA, report);
+  if (errors.length) throw new ReportError(`Invalid report: ${errors[0]}`, errors);
+  return report;
+}
+
+// --- CSV: one row per report, the batch summary columns plus details for spreadsheets ---
+export const REPORT_COLUMNS = [...SUMMARY_COLUMNS, "score_before_checks", "deal", "links", "payment_details", "checks", "generated"];
+
+export function reportRow(report){
+  const result = checkedResult(report);
+  const source = report.input.source || {};
+  const checks = report.checklist ? report.checklist.items.filter(i => i.status !== "open").map(i => `${i.status}: ${i.text}`) : [];
+  return {
+    ...summaryRow({ file: source.file || "", message: source.message || 1, result, snapshot: report.snapshot }),
+    score_before_checks: report.result.score,
+    deal: report.input.deal || "",
+    links: report.result.links.map(linkVerdictText),
+    payment_details: report.result.instruments.map(instrumentText),
+    checks,
+    generated: report.generatedAt,
+  };
+}
+
+export function reportsCsv(reports){
+  return toCsv(reports.map(reportRow), REPORT_COLUMNS);
+}
+
+// --- STIX 2.1: indicators for the suspicious links, domains, IBANs and wallets ---
+// Link hosts only become domain indicators for findings about the domain itself (a shortener or a
+// mismatched link text says nothing about the domain).
+const DOMAIN_FINDINGS = new Set(["link_homoglyph", "link_typosquat", "link_suspicious_tld"]);
+const SENDER_REASONS = new Set(["lookalike_sender_domain", "display_name_spoof", "counterparty_domain_changed"]);
+
+// Same object -> same id in every export, so a threat-intel platform merges repeated indicators.
+function stixId(type, key){
+  const h = toHex(sha256(`${type}:${key}`));
+  const variant = ((parseInt(h[16], 16) & 3) | 8).toString(16);
+  return `${type}--${h.slice(0, 8)}-${h.slice(8, 12)}-4${h.slice(13, 16)}-${variant}${h.slice(17, 20)}-${h.slice(20, 32)}`;
+}
+
+const stixString = (s) => `'${String(s).replace(/\\/g, "\\\\").replace(/'/g, "\\'")}'`;
+
+// Indicators of one report: [{ key, name, pattern, malicious, confidence, description }].
+function indicatorsOf(report){
+  const out = [];
+  const add = (key, name, pattern, malicious, confidence, description) => out.push({ key, name, pattern, malicious, confidence, description });
+  for (const l of report.result.links.filter(l => l.verdict !== "ok")){
+    const why = l.findings.map(f => f.detail).join("; ");
+    const danger = l.verdict === "danger";
+    add(`url:${l.href}`, `Suspicious URL ${l.href}`, `[url:value = ${stixString(l.href)}]`, danger, danger ? 85 : 50, why);
+    if (/^\d{1,3}(?:\.\d{1,3}){3}$/.test(l.host)){
+      add(`ipv4:${l.host}`, `Link host ${l.host}`, `[ipv4-addr:value = ${stixString(l.host)}]`, danger, danger ? 85 : 50, why);
+    } else if (l.findings.some(f => DOMAIN_FINDINGS.has(f.signal))){
+      add(`domain:${l.registrable}`, `Suspicious domain ${l.registrable}`, `[domain-name:value = ${stixString(l.registrable)}]`, true, 85, why);
+    }
+  }
+  const reason = report.result.reasons.find(r => SENDER_REASONS.has(r.id));
+  const sender = report.result.email ? senderOf(report.result.email) : null;
+  if (reason && sender && sender.domain){
+    add(`domain:${sender.domain}`, `Sender domain ${sender.domain}`, `[domain-name:value = ${stixString(sender.domain)}]`,
+      true, 75, reason.details.join("; ") || reason.label);
+  }
+  // Payment details only from messages that scored MEDIUM or HIGH.
+  if (report.level !== "LOW"){
+    const confidence = report.level === "HIGH" ? 80 : 50;
+    for (const i of report.result.instruments){
+      if (i.type === "iban"){
+        add(`iban:${i.value}`, `IBAN ${i.display || i.value}`, `[x-bank-account:iban = ${stixString(i.value)}]`, report.level === "HIGH", confidence, instrumentText(i));
+      } else if (i.type === "wallet"){
+        add(`wallet:${i.value}`, `${i.label} ${i.value}`, `[x-crypto-wallet:address = ${stixString(i.value)}]`, report.level === "HIGH", confidence, instrumentText(i));
+      }
+    }
+  }
+  return out;
+}
+
+// Reports -> STIX 2.1 bundle: the DealShield identity, one indicator per distinct IOC and one report
+// object per analysis referencing its indicators. IBANs and wallets use custom x- object types.
+export function stixBundle(reports, { now = new Date().toISOString() } = {}){
+  const identity = {
+    type: "identity", spec_version: "2.1", id: stixId("identity", "dealshield"), created: now, modified: now,
+    name: "DealShield", identity_class: "system",
+  };
+  const indicators = new Map();
+  const reportObjects = [];
+  for (const report of reports){
+    const refs = [];
+    for (const ind of indicatorsOf(report)){
+      const id = stixId("indicator", ind.key);
+      refs.push(id);
+      if (indicators.has(id)) continue;
+      indicators.set(id, {
+        type: "indicator", spec_version: "2.1", id, created: now, modified: now, created_by_ref: identity.id,
+        name: ind.name, description: ind.description,
+        indicator_types: [ind.malicious ? "malicious-activity" : "anomalous-activity"],
+        pattern: ind.pattern, pattern_type: "stix", valid_from: report.generatedAt,
+        confidence: ind.confidence, labels: ["dealshield", "payment-fraud"],
+      });
+    }
+    if (!refs.length) continue;
+    reportObjects.push({
+      type: "report", spec_version: "2.1", id: stixId("report", `${report.input.text}\n${report.generatedAt}`),
+      created: now, modified: now, created_by_ref: identity.id,
+      name: `DealShield analysis: ${report.level} (${report.score}/100)${report.input.counterparty ? ` — ${report.input.counterparty}` : ""}`,
+      description: report.result.reasons.map(r => r.label).join("; "),
+      report_types: ["threat-report"], published: report.generatedAt,
+      object_refs: Array.from(new Set(refs)),
+    });
+  }
+  return {
+    type: "bundle",
+    id: stixId("bundle", `${now}\n${reports.map(r => r.generatedAt).join("\n")}`),
+    objects: [identity, ...indicators.values(), ...reportObjects],
+  };
+}
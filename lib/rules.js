@@ -0,0 +1,187 @@
+// Declarative rule engine. A rule pack is plain JSON (see rules/default.json) validated
+// against RULE_PACK_SCHEMA, compiled once, then evaluated per message. Pure — no DOM access.
+import { validateSchema } from "./schema.js";
+
+export const RULE_PACK_SCHEMA = {
+  type: "object",
+  required: ["id", "version", "rules"],
+  additionalProperties: false,
+  properties: {
+    $schema: { type: "string" },
+    id: { type: "string", minLength: 1 },
+    version: { type: "string", pattern: "^\\d+\\.\\d+\\.\\d+" },
+    description: { type: "string" },
+    base: { type: "number", minimum: 0, maximum: 100 },
+    thresholds: {
+      type: "object",
+      additionalProperties: false,
+      required: ["medium", "high"],
+      properties: {
+        medium: { type: "number", minimum: 0, maximum: 100 },
+        high: { type: "number", minimum: 0, maximum: 100 },
+      },
+    },
+    rules: {
+      type: "array",
+      minItems: 1,
+      items: {
+        type: "object",
+        required: ["id", "label", "category", "weight"],
+        additionalProperties: false,
+        properties: {
+          id: { type: "string", pattern: "^[a-z0-9][a-z0-9_.-]*$" },
+          label: { type: "string", minLength: 1 },
+          category: { type: "string", pattern: "^[a-z0-9_-]+$" },
+          weight: { type: "number", minimum: -100, maximum: 100 },
+          enabled: { type: "boolean" },
+          when: { enum: ["match", "missing", "signal"] },
+          field: { type: "string", minLength: 1 },
+          signal: { type: "string", minLength: 1 },
+          patterns: { type: "array", items: { type: "string", minLength: 1 } },
+          flags: { type: "string", pattern: "^[imsu]*$" },
+          plan: { type: "array", items: { type: "string" } },
+          reply: { type: "array", items: { type: "string" } },
+        },
+      },
+    },
+  },
+};
+
+export class RulePackError extends Error {
+  constructor(message, errors = []){
+    super(message);
+    this.name = "RulePackError";
+    this.errors = errors;
+  }
+}
+
+// Validates a parsed pack and returns a list of errors (schema + semantic checks).
+export function validateRulePack(pack){
+  const errors = validateSchema(RULE_PACK_SCHEMA, pack);
+  if (errors.length) return errors;
+
+  const seen = new Set();
+  pack.rules.forEach((r, i) => {
+    const at = `rules[${i}]`;
+    if (seen.has(r.id)) errors.push(`${at}: duplicate rule id "${r.id}"`);
+    seen.add(r.id);
+    const when = r.when || "match";
+    if (when === "missing" && !r.field) errors.push(`${at}: "missing" rules need a "field"`);
+    if (when === "signal" && !r.signal) errors.push(`${at}: "signal" rules need a "signal"`);
+    if (when === "match" && !(r.patterns && r.patterns.length)) errors.push(`${at}: "match" rules need at least one pattern`);
+    for (const [j, src] of (r.patterns || []).entries()){
+      try { new RegExp(src, "g" + (r.flags ?? "iu")); }
+      catch (e) { errors.push(`${at}.patterns[${j}]: invalid regex (${e.message})`); }
+    }
+  });
+  if (pack.thresholds && pack.thresholds.medium > pack.thresholds.high){
+    errors.push("thresholds: medium must not exceed high");
+  }
+  return errors;
+}
+
+// Validates and pre-compiles a pack. Throws RulePackError with the full error list.
+export function compileRulePack(pack){
+  const errors = validateRulePack(pack);
+  if (errors.length) throw new RulePackError(`Invalid rule pack: ${errors[0]}`, errors);
+
+  return {
+    id: pack.id,
+    version: pack.version,
+    base: pack.base ?? 10,
+    thresholds: { medium: 40, high: 70, ...(pack.thresholds || {}) },
+    source: pack,
+    rules: pack.rules
+      .filter(r => r.enabled !== false)
+      .map(r => ({
+        id: r.id,
+        label: r.label,
+        category: r.category,
+        weight: r.weight,
+        when: r.when || "match",
+        field: r.field || null,
+        signal: r.signal || null,
+        regexes: (r.patterns || []).map(src => new RegExp(src, "g" + (r.flags ?? "iu"))),
+        plan: r.plan || [],
+        reply: r.reply || [],
+      })),
+  };
+}
+
+// All non-overlapping match spans of the given regexes, longest-first on ties.
+export function findSpans(text, regexes){
+  const found = [];
+  for (const re of regexes){
+    re.lastIndex = 0;
+    let m;
+    while ((m = re.exec(text))){
+      if (!m[0]) { re.lastIndex++; continue; }
+      found.push({ start: m.index, end: m.index + m[0].length, text: m[0] });
+    }
+  }
+  found.sort((a,b) => a.start - b.start || (b.end - b.start) - (a.end - a.start));
+  const out = [];
+  for (const s of found){
+    const last = out[out.length - 1];
+    if (last && s.start < last.end) continue;
+    out.push(s);
+  }
+  return out;
+}
+
+// Merge signal maps ({ name: [hits] }) coming from several extractors.
+export function mergeSignals(...maps){
+  const out = {};
+  for (const m of maps){
+    for (const [k, v] of Object.entries(m || {})) out[k] = (out[k] || []).concat(v);
+  }
+  return out;
+}
+
+export function levelFor(score, thresholds){
+  if (score >= thresholds.high) return "HIGH";
+  if (score >= thresholds.medium) return "MEDIUM";
+  return "LOW";
+}
+
+// ctx: { text, fields, signals }
+// - `fields` feeds "missing" rules (e.g. { amount, deadline }),
+// - `signals` feeds "signal" rules: { name: [{ start, end, text, detail }] } from the extractors.
+export function evaluateRules(compiled, ctx){
+  const text = ctx.text || "";
+  const fields = ctx.fields || {};
+  const signals = ctx.signals || {};
+  const reasons = [];
+  const plan = [];
+  const reply = [];
+  let score = compiled.base;
+
+  for (const rule of compiled.rules){
+    let spans = [];
+    let details = [];
+    if (rule.when === "missing"){
+      if (fields[rule.field]) continue;
+    } else if (rule.when === "signal"){
+      const hits = signals[rule.signal] || [];
+      if (!hits.length) continue;
+      spans = hits.map(({ start, end, text }) => ({ start, end, text }));
+      details = Array.from(new Set(hits.map(h => h.detail).filter(Boolean)));
+    } else {
+      spans = findSpans(text, rule.regexes);
+      if (!spans.length) continue;
+    }
+    score += rule.weight;
+    reasons.push({ id: rule.id, label: rule.label, category: rule.category, pts: rule.weight, spans, details });
+    plan.push(...rule.plan);
+    reply.push(...rule.reply);
+  }
+
+  score = Math.max(0, Math.min(100, score));
+  return {
+    score,
+    level: levelFor(score, compiled.thresholds),
+    reasons,
+    plan: Array.from(new Set(plan)),
+    reply: Array.from(new Set(reply)),
+  };
+}
@@ -0,0 +1,73 @@
+// Minimal JSON Schema checker (subset: type, required, properties, additionalProperties,
+// items, enum, pattern, minLength, minItems, minimum, maximum). Pure — no DOM access.
+
+function typeOf(v){
+  if (v === null) return "null";
+  if (Array.isArray(v)) return "array";
+  if (typeof v === "number" && Number.isInteger(v)) return "integer";
+  return typeof v;
+}
+
+function typeMatches(v, type){
+  const t = typeOf(v);
+  if (type === "number") return t === "number" || t === "integer";
+  return t === type;
+}
+
+function walk(schema, value, path, errors){
+  const at = path || "(root)";
+
+  if (schema.type){
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(t => typeMatches(value, t))){
+      errors.push(`${at}: expected ${types.join(" | ")}, got ${typeOf(value)}`);
+      return;
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)){
+    errors.push(`${at}: must be one of ${schema.enum.map(e => JSON.stringify(e)).join(", ")}`);
+  }
+
+  if (typeof value === "string"){
+    if (schema.minLength != null && value.length < schema.minLength){
+      errors.push(`${at}: must be at least ${schema.minLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, "u").test(value)){
+      errors.push(`${at}: does not match ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === "number"){
+    if (schema.minimum != null && value < schema.minimum) errors.push(`${at}: must be >= ${schema.minimum}`);
+    if (schema.maximum != null && value > schema.maximum) errors.push(`${at}: must be <= ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)){
+    if (schema.minItems != null && value.length < schema.minItems){
+      errors.push(`${at}: must have at least ${schema.minItems} item(s)`);
+    }
+    if (schema.items){
+      value.forEach((item, i) => walk(schema.items, item, `${path}[${i}]`, errors));
+    }
+  }
+
+  if (typeOf(value) === "object"){
+    for (const key of schema.required || []){
+      if (!(key in value)) errors.push(`${at}: missing required property "${key}"`);
+    }
+    const props = schema.properties || {};
+    for (const [key, v] of Object.entries(value)){
+      const sub = path ? `${path}.${key}` : key;
+      if (props[key]) walk(props[key], v, sub, errors);
+      else if (schema.additionalProperties === false) errors.push(`${at}: unknown property "${key}"`);
+      else if (typeOf(schema.additionalProperties) === "object") walk(schema.additionalProperties, v, sub, errors);
+    }
+  }
+}
+
+// Returns a list of human-readable errors; empty list means the value is valid.
+export function validateSchema(schema, value){
+  const errors = [];
+  walk(schema, value, "", errors);
+  return errors;
+}
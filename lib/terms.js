@@ -0,0 +1,454 @@
+// Deal terms: the payment schedule a message proposes — "50% upfront, 50% after delivery", "a $500
+// deposit by Friday", "net 30", escrow — as milestones (share or amount, the trigger that makes each one
+// due, the due date resolved against the message's Date header, business days and weekday names
+// included), the term-level risks the rule pack scores, and an iCalendar (.ics) export of the dated
+// milestones. Pure — no DOM access.
+import { normalizeDigits, formatMoney } from "./numbers.js";
+import { parseDate, DATE_PATTERN, MONTH_DAY_PATTERN } from "./dates.js";
+import { parseNumberWords } from "./amounts.js";
+import { headerValues } from "./email.js";
+
+// What makes a payment due. prepay: due before anything is delivered; the first trigger in the
+// list wins when two match at the same distance.
+const TRIGGERS = [
+  { id: "escrow", label: "into escrow", re: /\b(?:escrow|held by (?:a|the) (?:platform|marketplace|third party))\b/giu },
+  { id: "upfront", label: "upfront", prepay: true, re: /\b(?:up-?front|in advance|advance payment|pre-?pay(?:ment)?|deposit|down ?payment|before (?:we|i|they) (?:can )?(?:start|begin|ship|dispatch|proceed|release|onboard|hire|process)|before (?:any |the )?(?:work|production|shipping|shipment|dispatch|delivery)|to (?:start|begin|book|reserve|secure) (?:the |your )?(?:order|work|project|slot|booking|shipment)|right now)\b/giu },
+  { id: "signing", label: "on signing", prepay: true, re: /\b(?:(?:on|upon|at|after) (?:signing|signature)|once (?:it is |the contract is )?signed|(?:on|upon|with) (?:the |your )?(?:order|contract|purchase order|po)(?: confirmation)?)\b/giu },
+  { id: "delivery", label: "on delivery", re: /\b(?:(?:on|upon|after|at|following) (?:the )?(?:final |full )?(?:delivery|shipment|shipping|dispatch|receipt of (?:the )?(?:goods|items|order))|once (?:it is |they are |the (?:goods|items|order) (?:is |are )?)?(?:delivered|shipped|received)|(?:when|after|once) you (?:receive|get) (?:the |your )?(?:goods|items|order|product|car|parcel|package))\b/giu },
+  { id: "completion", label: "on completion", re: /\b(?:(?:on|upon|after|at) (?:the )?(?:final |project |design |client )?(?:completion|acceptance|approval|sign-?off|go-?live|hand-?over|launch)|once (?:the (?:work|project|job) is )?(?:complete[d]?|finished|done|approved|accepted))\b/giu },
+  { id: "milestone", label: "at a milestone", re: /\b(?:(?:on|at|after|per) (?:each |every |the )?(?:(?:first|second|third|final|next) )?(?:milestone|phase|stage|beta|prototype|draft|demo|review)|midway|halfway|mid-?point)\b/giu },
+  { id: "invoice", label: "after invoice", re: /\b(?:net[\s-]?\d{1,3}|(?:on|upon) (?:receipt of )?(?:the |our )?invoice|(?:of|from|after) (?:the )?invoice date)\b/giu },
+];
+const TRIGGER_BY_ID = Object.fromEntries(TRIGGERS.map(t => [t.id, t]));
+// Triggers without a date of their own: "within 5 days after delivery" counts from an unknown day.
+const UNDATED = new Set(["delivery", "completion", "milestone"]);
+// Triggers that wait for something in return (or hold the money meanwhile).
+const AFTER = new Set(["escrow", "delivery", "completion", "milestone", "invoice"]);
+const ESCROW_RE = /\bescrow\b/iu;
+
+const SMALL_NUMBERS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10, twelve: 12, fourteen: 14, fifteen: 15, twenty: 20, thirty: 30, "forty-eight": 48, "seventy-two": 72 };
+const COUNT = String.raw`\d{1,3}|${Object.keys(SMALL_NUMBERS).sort((a, b) => b.length - a.length).join("|")}`;
+const WEEKDAYS = { sun: 0, sunday: 0, mon: 1, monday: 1, tue: 2, tues: 2, tuesday: 2, wed: 3, wednesday: 3, thu: 4, thur: 4, thurs: 4, thursday: 4, fri: 5, friday: 5, sat: 6, saturday: 6 };
+const WEEKDAY = Object.keys(WEEKDAYS).sort((a, b) => b.length - a.length).join("|");
+
+// Due-date phrases: each match -> { kind, ... } (see dueOf()).
+const DUE_PATTERNS = [
+  { kind: "relative", re: new RegExp(String.raw`\b(?:in|within|after|next|no later than|inside(?: of)?)\s+(?:the\s+next\s+)?(${COUNT})\s*(business\s+|working\s+|calendar\s+|banking\s+)?(hours?|hrs?|h|days?|weeks?|months?)\b`, "giu") },
+  { kind: "net", re: /\bnet[\s-]?(\d{1,3})\b/giu },
+  { kind: "same_day", re: /\b(?:today|tonight|(?:the )?end of (?:the )?(?:business )?day|eod|close of business|cob|immediately|right away|asap|as soon as possible|right now)\b/giu },
+  { kind: "tomorrow", re: /\btomorrow\b/giu },
+  { kind: "weekday", re: new RegExp(String.raw`\b(?:by|on|before|until|till|due|this|next|coming)\s+(?:this\s+|next\s+|the\s+coming\s+)?(${WEEKDAY})\b\.?`, "giu") },
+  { kind: "date", re: new RegExp(String.raw`(?<![\p{L}\p{N}])(?:${DATE_PATTERN})(?![\p{L}\p{N}])`, "giu") },
+  { kind: "month_day", re: new RegExp(String.raw`(?<=\b(?:by|on|before|until|till|due|deadline:?)\s+(?:the\s+)?)(?:${MONTH_DAY_PATTERN})`, "giu") },
+];
+
+// Money without a number that still makes a milestone: "payment in full upfront", "the balance on
+// delivery", "the deposit is due by Friday".
+const WORDY = [
+  { term: "full", re: /\b(?:(?:the )?full (?:payment|amount|price|sum)|payment in full|in full|(?:the )?(?:entire|whole|total) (?:amount|sum|price|payment))\b/giu },
+  { term: "balance", re: /\b(?:the )?(?:balance|rest|remainder|remaining (?:amount|balance|sum|payment))\b/giu },
+  { term: "deposit", re: /\b(?:the |your |a )?(?:deposit|down ?payment|advance payment|first (?:payment|instal?lment))\b/giu },
+];
+// "the deposit of $500", "Balance: $1,400" — the words only name the amount after them (or, with
+// nothing in between, before them: "a 30% deposit").
+const NAMES_NEXT = /^\s*(?:of|:|-|—|=|is|amounting to|\()?\s*$/iu;
+const NET_RE = /\bnet[\s-]?(\d{1,3})\b/iu;
+// A date right after these is when the work is due, not the money ("delivery in 10 days").
+const WORK_DUE = /\b(?:delivery|deliver(?:ed)?|ship(?:ped|ping)?|deadline|turnaround|ready|complete[d]?|launch(?:ed)?|done|finished)\s*(?:is|will be|date|:)?\s*$/iu;
+// Money that already moved or flows back: "we sent the first payment today", "refund the deposit".
+const NOT_DUE = /\b(?:(?:we|i|they|you)(?:'ve|'d)?|has|have|had|was|were)\s+(?:already\s+|just\s+)?(?:sent|paid|transferred|wired|remitted|settled|made|received|credited|refunded)\b|\brefund/iu;
+const PAYBACK = /\b(?:release|return|refund|receive|get back)\w*\s+(?:the |your |a )?$/iu;
+const PERCENT_RE = /(?<![\d.,])(\d{1,3})\s?%/gu;
+
+const count = (raw) => SMALL_NUMBERS[raw.toLowerCase()] ?? (/^\d+$/.test(raw) ? +raw : parseNumberWords(raw.toLowerCase()));
+const DAY = 86400000;
+
+function addDays(iso, n){
+  return new Date(Date.parse(iso) + n * DAY).toISOString().slice(0, 10);
+}
+
+function addBusinessDays(iso, n){
+  let day = iso;
+  for (let left = n; left > 0;){
+    day = addDays(day, 1);
+    const wd = new Date(Date.parse(day)).getUTCDay();
+    if (wd !== 0 && wd !== 6) left--;
+  }
+  return day;
+}
+
+function addMonths(iso, n){
+  const [y, m, d] = iso.split("-").map(Number);
+  const last = new Date(Date.UTC(y, m - 1 + n + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(y, m - 1 + n, Math.min(d, last))).toISOString().slice(0, 10);
+}
+
+// The message's own date: { iso, time (ms since epoch, or null), text } from the Date header.
+export function messageDate(email){
+  const h = email ? headerValues(email, "date")[0] : null;
+  if (!h) return null;
+  // The day as the sender wrote it (their time zone), not converted to UTC.
+  const m = h.value.match(/(\d{1,2})\s+([A-Za-z]{3,})\.?,?\s+(\d{4})/) || h.value.match(/([A-Za-z]{3,})\.?\s+(\d{1,2}),?\s+(\d{4})/);
+  const iso = (m && parseDate(`${m[1]} ${m[2]} ${m[3]}`)) || parseDate(h.value);
+  const time = Date.parse(h.value);
+  if (!iso && Number.isNaN(time)) return null;
+  return { iso: iso || new Date(time).toISOString().slice(0, 10), time: Number.isNaN(time) ? null : time, text: h.value };
+}
+
+// Due phrase -> { text, start, end, kind, hours?, days?, business?, months?, weekday?, iso? }; iso is
+// only set here for full dates, the rest depends on the message date (resolveDue()).
+function dueOf(kind, m, dayFirst){
+  const due = { text: m[0].replace(/\.$/, ""), start: m.index, end: m.index + m[0].replace(/\.$/, "").length, kind };
+  if (kind === "relative"){
+    const n = count(m[1]);
+    if (n == null) return null;
+    const unit = m[3].toLowerCase();
+    if (/^h/.test(unit)) due.hours = n;
+    else if (/^w/.test(unit)) due.days = n * 7;
+    else if (/^m/.test(unit)) due.months = n;
+    else {
+      due.days = n;
+      due.business = /^(?:business|working|banking)/i.test(m[2] || "");
+    }
+  } else if (kind === "net") due.days = +m[1];
+  else if (kind === "same_day") due.days = 0;
+  else if (kind === "tomorrow") due.days = 1;
+  else if (kind === "weekday") due.weekday = WEEKDAYS[m[1].toLowerCase()];
+  else if (kind === "date") due.iso = parseDate(normalizeDigits(m[0]).replace(/,/g, ""), { dayFirst });
+  return due;
+}
+
+// Due date of a phrase against the message date (anchor: { iso, time } or null). Adds iso ("YYYY-MM-DD")
+// and, for hour deadlines with a known send time, at (ISO date-time, UTC). A due counted from an event
+// (due.after, "after delivery") stays relative.
+export function resolveDue(due, anchor){
+  if (!due) return null;
+  const out = { ...due };
+  if (out.iso || out.after || !anchor) return out;
+  if (out.hours != null){
+    if (anchor.time != null){
+      out.at = new Date(anchor.time + out.hours * 3600000).toISOString().replace(/\.\d{3}Z$/, "Z");
+      out.iso = out.at.slice(0, 10);
+    } else out.iso = addDays(anchor.iso, Math.floor(out.hours / 24));
+  } else if (out.months != null) out.iso = addMonths(anchor.iso, out.months);
+  else if (out.days != null) out.iso = out.business ? addBusinessDays(anchor.iso, out.days) : addDays(anchor.iso, out.days);
+  else if (out.kind === "month_day"){
+    // "March 20": the next one on or after the message date.
+    const year = +anchor.iso.slice(0, 4);
+    const iso = parseDate(out.text, { year });
+    out.iso = iso && iso < anchor.iso ? parseDate(out.text, { year: year + 1 }) : iso;
+  } else if (out.weekday != null){
+    const today = new Date(Date.parse(anchor.iso)).getUTCDay();
+    out.iso = addDays(anchor.iso, ((out.weekday - today + 6) % 7) + 1);
+  }
+  return out;
+}
+
+// Sentence around [start, end): breaks at line ends and at ".!?;" followed by a space.
+function sentenceOf(text, start, end, from){
+  const before = text.slice(from, start);
+  const br = Math.max(before.lastIndexOf("\n"), ...[...before.matchAll(/[.!?;](?=\s)/g)].map(m => m.index));
+  const after = text.slice(end);
+  const stop = after.search(/\n|[.!?;](?=\s|$)/);
+  return { start: br >= 0 ? from + br + 1 : from, end: stop >= 0 ? end + stop : text.length };
+}
+
+// Matches of the patterns inside text[from..to) with absolute offsets; the nearest to the anchor wins:
+// right after it first, then right before it.
+// skip(start): matches to pass over.
+function nearestMatch(text, from, to, anchor, patterns, skip = null){
+  let best = null;
+  patterns.forEach((p, order) => {
+    p.re.lastIndex = 0;
+    for (const m of text.slice(from, to).matchAll(p.re)){
+      const start = from + m.index;
+      const end = start + m[0].length;
+      if ((start < anchor.end && end > anchor.start) || (skip && skip(start))) continue;
+      const dist = start >= anchor.end ? start - anchor.end : (anchor.start - end) + 1000;
+      if (!best || dist < best.dist || (dist === best.dist && order < best.order)){
+        const shifted = Object.assign([...m], { index: start, input: text });
+        best = { p, m: shifted, dist, order };
+      }
+    }
+  });
+  return best;
+}
+
+function moneyOf(a){
+  return a ? { value: a.value, currency: a.currency, raw: a.raw } : null;
+}
+
+// Message -> { anchor, milestones, total, escrow }; milestones: [{ start, end, text, percent, amount, term
+// ("full" | "balance" | "deposit" when named in words), trigger, due, prepay, escrow }] in message order.
+// opts: { from (body offset), email (header block), amounts (lib/amounts.js extractAmounts), shares
+// (paymentShares), dayFirst }. amount: { value, currency, raw } — raw is null when worked out from a
+// percentage of the stated total.
+export function extractTerms(text, { from = 0, email = null, amounts = [], shares = [], dayFirst = true } = {}){
+  const anchor = messageDate(email);
+  const list = amounts.filter(a => !a.restated && !a.payout && a.role !== "refund");
+  const total = list.find(a => a.role === "total") || null;
+
+  // Money anchors: split percentages (with the amount they restate, "50% ($1,000)"), deposit /
+  // installment / fee amounts, then the wordy "payment in full" / "the balance".
+  const anchors = [];
+  const used = new Set();
+  for (const s of shares){
+    const a = list.find(x => !used.has(x) && ((x.start >= s.end && /^\s*(?:\(|of\s+(?:the\s+)?|=\s*|[\p{L}-]+\s*\()?\s*$/iu.test(text.slice(s.end, x.start))) ||
+      (s.start >= x.end && /^\s*\(\s*$/.test(text.slice(x.end, s.start)))));
+    if (a) used.add(a);
+    const ofTotal = a && /^\s*of\b/i.test(text.slice(s.end, a.start));
+    anchors.push({
+      start: Math.min(s.start, a ? a.start : s.start),
+      end: Math.max(s.end, a ? a.end : s.end),
+      percent: s.value,
+      amount: a && !ofTotal ? moneyOf(a) : null,
+      base: ofTotal ? a : null,
+    });
+  }
+  // Percentages paymentShares() passed over in a sentence that splits the price ("…, 30% on final delivery").
+  const splits = shares.map(s => sentenceOf(text, s.start, s.end, from));
+  for (const m of normalizeDigits(text).matchAll(PERCENT_RE)){
+    const start = m.index;
+    const end = start + m[0].length;
+    if (start < from || shares.some(s => start < s.end && end > s.start) || !splits.some(b => start >= b.start && end <= b.end)) continue;
+    if (anchors.some(x => start < x.end && end > x.start) || +m[1] > 100) continue;
+    anchors.push({ start, end, percent: +m[1], amount: null, base: null });
+  }
+  for (const a of list){
+    if (used.has(a) || a.role === "total" && a !== total) continue;
+    anchors.push({ start: a.start, end: a.end, percent: null, amount: moneyOf(a), role: a.role });
+  }
+  const numeric = anchors.slice();
+  for (const { term, re } of WORDY){
+    re.lastIndex = 0;
+    for (const m of text.matchAll(re)){
+      const end = m.index + m[0].length;
+      if (m.index < from || anchors.some(x => m.index < x.end && end > x.start)) continue;
+      if (PAYBACK.test(text.slice(Math.max(from, m.index - 30), m.index))) continue;
+      if (numeric.some(x => (x.start >= end && NAMES_NEXT.test(text.slice(end, x.start))) ||
+        (x.end <= m.index && /^\s*\)?\s*$/.test(text.slice(x.end, m.index))))) continue;
+      anchors.push({ start: m.index, end, percent: null, amount: null, term });
+    }
+  }
+  anchors.sort((a, b) => a.start - b.start);
+
+  const milestones = [];
+  anchors.forEach((x, i) => {
+    if (x.start < from) return;
+    const sentence = sentenceOf(text, x.start, x.end, from);
+    const prev = anchors[i - 1];
+    const next = anchors[i + 1];
+    // Words between two anchors of one sentence belong to the earlier one ("50% upfront, 50% …") unless
+    // they come after a separator ("…, then on delivery 50%").
+    let lo = sentence.start;
+    if (prev && prev.end > sentence.start){
+      const between = text.slice(prev.end, x.start);
+      const cut = Math.max(between.lastIndexOf(","), between.lastIndexOf(";"), between.search(/\s(?:and|then|plus)\s(?!.*\s(?:and|then|plus)\s)/));
+      lo = cut >= 0 ? prev.end + cut + 1 : x.start;
+    }
+    // …and end at the next anchor or any other amount ("$250 and you will earn $5,000 in a month").
+    const hi = Math.min(sentence.end, next ? next.start : Infinity, ...amounts.filter(a => a.start >= x.end).map(a => a.start));
+    if (NOT_DUE.test(text.slice(lo, hi))) return;
+
+    const t = nearestMatch(text, lo, hi, x, TRIGGERS.map(t => ({ re: t.re, trigger: t })));
+    const d = nearestMatch(text, lo, hi, x, DUE_PATTERNS, (start) => WORK_DUE.test(text.slice(Math.max(from, start - 24), start)));
+    let trigger = t ? { id: t.p.trigger.id, label: t.p.trigger.label, start: t.m.index, end: t.m.index + t.m[0].length, text: t.m[0] } : null;
+    const due = d ? dueOf(d.p.kind, d.m, dayFirst) : null;
+    // "within 5 days after delivery", "on delivery, within 5 days": counted from the trigger.
+    const fromTrigger = trigger && due && (due.start > trigger.start || /^\s*$/.test(text.slice(due.end, trigger.start)));
+    if (fromTrigger && due.kind === "relative" && UNDATED.has(trigger.id)){
+      due.after = trigger.text;
+    }
+    if (due && due.kind === "net" && !trigger) trigger = { id: "invoice", label: "after invoice", start: due.start, end: due.end, text: due.text };
+    if (trigger && trigger.id === "invoice"){
+      const net = trigger.text.match(/net[\s-]?(\d{1,3})/i);
+      if (net) trigger.label = `net ${net[1]}`;
+    }
+    // "The deposit is due by Friday" dates the upfront milestone stated before.
+    if (x.term === "deposit"){
+      const upfront = milestones.find(m => m.prepay && !m.due);
+      if (upfront && due){
+        upfront.due = resolveDue(due, anchor);
+        return;
+      }
+      if (milestones.some(m => m.prepay)) return;
+      trigger = trigger || { id: "upfront", label: "upfront", start: x.start, end: x.end, text: text.slice(x.start, x.end) };
+    }
+    // A bare amount or "the balance" is only a milestone when something says when it is due;
+    // deposits and installments always are.
+    const payment = x.percent != null || x.role === "deposit" || x.role === "milestone";
+    if (!payment && !trigger && !due) return;
+    const escrow = Boolean(trigger && trigger.id === "escrow") || ESCROW_RE.test(text.slice(lo, hi));
+    milestones.push({
+      start: x.start,
+      end: x.end,
+      text: text.slice(x.start, x.end),
+      percent: x.percent ?? (x.term === "full" ? 100 : null),
+      amount: x.amount,
+      base: x.base ? moneyOf(x.base) : null,
+      term: x.term || null,
+      trigger,
+      due: resolveDue(due, anchor),
+      prepay: Boolean(trigger && TRIGGER_BY_ID[trigger.id].prepay) && !escrow,
+      escrow,
+    });
+  });
+
+  // "Payment terms: net 30" on its own line: what the other milestones leave (the whole amount when
+  // there are none), that many days after the invoice.
+  const covered = milestones.some(m => m.term === "balance" || m.term === "full") ? 100 : milestones.reduce((sum, m) => sum +
+    (m.percent ?? (total && m.amount && m.amount.currency === total.currency ? m.amount.value / total.value * 100 : 0)), 0);
+  const net = covered < 99.5 && !milestones.some(m => m.trigger && m.trigger.id === "invoice") && NET_RE.exec(text.slice(from));
+  if (net){
+    const start = from + net.index;
+    const end = start + net[0].length;
+    const due = { text: net[0], start, end, kind: "net", days: +net[1] };
+    milestones.push({
+      start, end, text: net[0], percent: covered > 0 ? Math.round((100 - covered) * 100) / 100 : total ? 100 : null, amount: null, base: null, term: null,
+      trigger: { id: "invoice", label: `net ${net[1]}`, start, end, text: net[0] },
+      due: resolveDue(due, anchor), prepay: false, escrow: false,
+    });
+    milestones.sort((a, b) => a.start - b.start);
+  }
+
+  // "The balance": what the stated percentages leave.
+  const stated = milestones.filter(m => m.percent != null && m.term !== "balance").reduce((s, m) => s + m.percent, 0);
+  for (const m of milestones){
+    if (m.term === "balance" && m.percent == null && stated > 0 && stated < 100) m.percent = Math.round((100 - stated) * 100) / 100;
+    const base = m.base || (total ? moneyOf(total) : null);
+    if (!m.amount && m.percent != null && base) m.amount = { value: Math.round(base.value * m.percent) / 100, currency: base.currency, raw: null };
+  }
+  return { anchor, milestones, total: total ? moneyOf(total) : null, escrow: ESCROW_RE.test(text.slice(from)) };
+}
+
+const moneyText = (a) => a.raw || formatMoney(a.value, a.currency);
+
+// "Due 2026-03-13 (within 3 business days)" / "due within 3 business days" without a message date /
+// "due within 5 days after delivery".
+export function dueText(due){
+  if (!due) return null;
+  if (due.after) return `due ${due.text} ${due.after}`;
+  if (!due.iso) return `due ${due.text}`;
+  const when = due.at ? `${due.at.slice(0, 10)} ${due.at.slice(11, 16)} UTC` : due.iso;
+  return due.kind === "date" ? `due ${when}` : `due ${when} (${due.text})`;
+}
+
+// "50% ($1,000.00) — upfront — due 2026-03-13 (within 3 business days)"
+export function milestoneText(m){
+  const what = m.percent != null
+    ? `${m.percent}%${m.amount ? ` (${moneyText(m.amount)})` : ""}`
+    : m.amount ? moneyText(m.amount) : m.term === "balance" ? "Balance" : m.term === "deposit" ? "Deposit" : "Payment";
+  return [what, m.trigger ? m.trigger.label : null, dueText(m.due)].filter(Boolean).join(" — ");
+}
+
+// Deal Snapshot lines, in message order.
+export function scheduleSummary(terms){
+  if (!terms || !terms.milestones.length) return [];
+  return terms.milestones.map(milestoneText);
+}
+
+function push(signals, name, spans, detail){
+  const list = (signals[name] = signals[name] || []);
+  spans.forEach((s, i) => list.push({ start: s.start, end: s.end, text: s.text, detail: i ? null : detail }));
+}
+
+// Signals for "when": "signal" rules. opts.firstTime: no earlier messages from this counterparty on file.
+export function termSignals(terms, { firstTime = false } = {}){
+  const signals = {};
+  if (!terms || !terms.milestones.length) return signals;
+  const { milestones, anchor } = terms;
+  const prepaid = milestones.filter(m => m.prepay);
+  const later = milestones.filter(m => m.escrow || (m.trigger && AFTER.has(m.trigger.id)));
+  const spansOf = (list) => list.flatMap(m => [m, m.trigger].filter(Boolean));
+  const undue = (list) => list.map(m => milestoneText({ ...m, due: null })).join(" + ");
+
+  // All of the price before anything is delivered.
+  const share = prepaid.reduce((s, m) => s + (m.percent || 0), 0);
+  const full = prepaid.length && (share >= 99.5 || (terms.total && prepaid.some(m => m.amount && m.amount.currency === terms.total.currency && m.amount.value >= terms.total.value)));
+  if (full && firstTime){
+    push(signals, "terms_full_prepayment", spansOf(prepaid), `${undue(prepaid)}: the whole price before delivery, to a counterparty with no earlier messages on file`);
+  } else if (prepaid.length && !later.length && !terms.escrow){
+    push(signals, "terms_pay_before_delivery", spansOf(prepaid), `${undue(prepaid)}; nothing is payable on delivery or completion`);
+  }
+
+  // Payment deadlines of a day or less.
+  for (const m of milestones){
+    const due = m.due;
+    if (!due || due.after) continue;
+    const short = (due.hours != null && due.hours <= 24) || due.days === 0 ||
+      (anchor && due.kind === "date" && due.iso === anchor.iso);
+    if (short){
+      push(signals, "terms_short_deadline", [due, m], `${undue([m])}, ${dueText(due)}: less than a day to pay`);
+      break;
+    }
+  }
+  return signals;
+}
+
+// --- iCalendar export ---
+const icsText = (s) => String(s).replace(/[\\;,]/g, (c) => `\\${c}`).replace(/\r?\n/g, "\\n");
+const icsDate = (iso) => iso.replace(/-/g, "");
+const icsStamp = (at) => at.replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+// Lines longer than 75 octets continue on the next line after a space (RFC 5545, 3.1).
+function fold(line){
+  const bytes = new TextEncoder().encode(line);
+  if (bytes.length <= 75) return line;
+  const out = [];
+  let cur = "";
+  let size = 0;
+  for (const ch of line){
+    const n = new TextEncoder().encode(ch).length;
+    if (size + n > (out.length ? 74 : 75)){
+      out.push(cur);
+      cur = "";
+      size = 0;
+    }
+    cur += ch;
+    size += n;
+  }
+  out.push(cur);
+  return out.join("\r\n ");
+}
+
+// One VEVENT per milestone with a due date, with a reminder the day before.
+function icsEvents({ terms, counterparty = null, uid }, today, now){
+  if (!terms) return [];
+  const anchor = terms.anchor || (today ? { iso: today, time: null } : null);
+  const dues = terms.milestones.map(m => resolveDue(m.due, anchor));
+  const undated = terms.milestones.filter((m, i) => !dues[i] || !dues[i].iso);
+  const events = [];
+  terms.milestones.forEach((m, i) => {
+    const due = dues[i];
+    if (!due || !due.iso) return;
+    const summary = `Payment due: ${milestoneText({ ...m, due: null })}${counterparty ? ` — ${counterparty}` : ""}`;
+    const notes = [
+      `${milestoneText({ ...m, due })}.`,
+      due.kind === "date" ? "Date as written in the message."
+        : terms.anchor ? `Counted from the message date (${terms.anchor.iso}).` : `The message has no date; counted from ${anchor.iso}.`,
+      ...undated.map(u => `Also in the schedule, without a date: ${milestoneText(u)}.`),
+      "Confirm the payment details by phone on a number you already have before paying.",
+    ];
+    const lines = ["BEGIN:VEVENT", `UID:${uid}-${i + 1}@dealshield`, `DTSTAMP:${icsStamp(now)}`];
+    if (due.at) lines.push(`DTSTART:${icsStamp(due.at)}`, "DURATION:PT30M");
+    else lines.push(`DTSTART;VALUE=DATE:${icsDate(due.iso)}`, `DTEND;VALUE=DATE:${icsDate(addDays(due.iso, 1))}`);
+    lines.push(`SUMMARY:${icsText(summary)}`, `DESCRIPTION:${icsText(notes.join("\n"))}`, "TRANSP:TRANSPARENT");
+    lines.push("BEGIN:VALARM", "ACTION:DISPLAY", `DESCRIPTION:${icsText(summary)}`, "TRIGGER:-P1D", "END:VALARM", "END:VEVENT");
+    events.push(lines);
+  });
+  return events;
+}
+
+// iCalendar file with the dated milestones of one or more messages.
+// schedules: [{ terms (extractTerms()), counterparty, uid (stable id of the message) }].
+// opts: { today ("YYYY-MM-DD": counts relative due dates of messages without a Date header),
+// now (ISO date-time for DTSTAMP) }. -> { ics, events } — events: how many milestones made it in.
+export function scheduleIcs(schedules, { today = null, now = new Date().toISOString() } = {}){
+  const events = schedules.flatMap(s => icsEvents(s, today, now));
+  const lines = [
+    "BEGIN:VCALENDAR", "VERSION:2.0", "PRODID:-//DealShield//Payment schedule//EN", "CALSCALE:GREGORIAN", "METHOD:PUBLISH",
+    ...events.flat(),
+    "END:VCALENDAR",
+  ];
+  return { ics: lines.map(fold).join("\r\n") + "\r\n", events: events.length };
+}
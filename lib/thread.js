@@ -0,0 +1,464 @@
+// Conversation threads: splits pasted chat exports (WhatsApp, Telegram, Slack) and email reply
+// chains into messages with sender and timestamp, scores every message on its own and builds a
+// timeline of when the risk escalated and who introduced each signal, plus thread-level signals
+// (a new participant, a sender whose style changes, pressure rising over time). Pure — no DOM access.
+import { mergeSignals } from "./rules.js";
+import { parseHeaderBlock, senderOf, headerValues, parseAddresses } from "./email.js";
+import { parseDate, DATE_PATTERN } from "./dates.js";
+import { detectLanguage } from "./language.js";
+import { counterpartyKey, makeHistoryRecord } from "./history.js";
+import { analyzeMessage } from "./core.js";
+
+const DATE_RE = new RegExp(DATE_PATTERN, "i");
+const CLOCK_RE = /\b(\d{1,2}):(\d{2})(?::\d{2})?(?:\s?([ap])\.?\s?m\.?)?/i;
+const NUM_DATE = "\\d{1,2}[./-]\\d{1,2}[./-]\\d{2,4}";
+const CLOCK = "\\d{1,2}:\\d{2}(?::\\d{2})?(?:\\s?[AaPp]\\.?\\s?[Mm]\\.?)?";
+
+// "04/03/2024, 10:15" / "Mon, Mar 4, 2024 at 10:15 AM" -> "2024-03-04T10:15" (or just the date).
+export function parseStamp(raw, { dayFirst = true } = {}){
+  if (!raw) return null;
+  const date = raw.match(DATE_RE);
+  const iso = date ? parseDate(date[0], { dayFirst }) : null;
+  if (!iso) return null;
+  const m = raw.replace(date[0], " ").match(CLOCK_RE);
+  if (!m) return iso;
+  let h = +m[1];
+  if (m[3]) h = (h % 12) + (m[3].toLowerCase() === "p" ? 12 : 0);
+  if (h > 23 || +m[2] > 59) return iso;
+  return `${iso}T${String(h).padStart(2, "0")}:${m[2]}`;
+}
+
+// One header line per message; `inline` is the message text on the header line itself.
+const CHAT_FORMATS = [
+  {
+    // [04/03/2024, 10:15:22] Maria: text (WhatsApp, iOS)
+    format: "whatsapp",
+    line: new RegExp(`^\\u200e?\\[(${NUM_DATE}),?\\s+(${CLOCK})\\]\\s*([^:\\n]{1,60}?):\\s?(.*)$`),
+    system: new RegExp(`^\\u200e?\\[${NUM_DATE},?\\s+${CLOCK}\\]`),
+    header: m => ({ date: m[1], clock: m[2], sender: m[3], inline: m[4] }),
+  },
+  {
+    // 04/03/2024, 10:15 - Maria: text (WhatsApp, Android)
+    format: "whatsapp",
+    line: new RegExp(`^\\u200e?(${NUM_DATE}),?\\s+(${CLOCK})\\s+[-–]\\s+([^:\\n]{1,60}?):\\s?(.*)$`),
+    system: new RegExp(`^\\u200e?${NUM_DATE},?\\s+${CLOCK}\\s+[-–]\\s`),
+    header: m => ({ date: m[1], clock: m[2], sender: m[3], inline: m[4] }),
+  },
+  {
+    // Maria Lopez, [04.03.2024 10:15] + text on the following lines (Telegram Desktop copy)
+    format: "telegram",
+    line: new RegExp(`^(.{1,60}?),\\s*\\[(${NUM_DATE}),?\\s+(${CLOCK})\\]\\s*$`),
+    header: m => ({ date: m[2], clock: m[3], sender: m[1], inline: "" }),
+  },
+  {
+    // Maria Lopez  10:42 AM / Maria Lopez [10:42 AM] + text on the following lines (Slack copy)
+    format: "slack",
+    line: /^(\p{L}[\p{L}\p{N}._-]*(?: \p{Lu}[\p{L}'-]*){0,3})\s+\[?(\d{1,2}:\d{2}(?:\s?[AaPp][Mm])?)\]?\s*$/u,
+    header: m => ({ date: null, clock: m[2], sender: m[1], inline: "" }),
+  },
+];
+
+// Text -> [{ text, src }] lines, `src` being the offset of the line in the original text.
+function linesOf(text, from = 0){
+  const out = [];
+  let pos = from;
+  while (pos <= text.length){
+    const nl = text.indexOf("\n", pos);
+    const end = nl < 0 ? text.length : nl;
+    out.push({ text: text.slice(pos, end).replace(/\r$/, ""), src: pos });
+    if (nl < 0) break;
+    pos = nl + 1;
+  }
+  return out;
+}
+
+// Lines -> message text plus segments mapping message offsets back to the original text.
+function messageOf(head, lines){
+  let a = 0, b = lines.length;
+  while (a < b && !lines[a].text.trim()) a++;
+  while (b > a && !lines[b - 1].text.trim()) b--;
+  const segments = [];
+  let at = 0;
+  const parts = [];
+  for (const l of lines.slice(a, b)){
+    const t = l.text.replace(/\s+$/, "");
+    segments.push({ at, src: l.src });
+    parts.push(t);
+    at += t.length + 1;
+  }
+  return {
+    sender: head.sender || null,
+    stamp: head.stamp || null,
+    time: head.time || null,
+    text: parts.join("\n"),
+    start: segments.length ? segments[0].src : 0,
+    end: segments.length ? segments[segments.length - 1].src + parts[parts.length - 1].length : 0,
+    segments,
+  };
+}
+
+// Offset inside a split message -> offset in the original text.
+export function sourceOffset(message, pos){
+  let seg = message.segments[0] || { at: 0, src: message.start };
+  for (const s of message.segments){
+    if (s.at > pos) break;
+    seg = s;
+  }
+  return seg.src + (pos - seg.at);
+}
+
+// A chat export writes every stamp the same way: a first number over 12 means day-first, a second one
+// over 12 month-first, and with neither the export is read day-first.
+function chatDayFirst(dates){
+  for (const d of dates){
+    const [a, b] = d.split(/[./-]/).map(Number);
+    if (a > 12) return true;
+    if (b > 12) return false;
+  }
+  return true;
+}
+
+function splitChat(text, fmt){
+  const messages = [];
+  const dates = [];
+  let head = null;
+  let body = [];
+  const flush = () => {
+    if (head) messages.push({ ...messageOf(head, body), date: head.date });
+    head = null;
+    body = [];
+  };
+  for (const l of linesOf(text)){
+    const m = l.text.match(fmt.line);
+    if (m){
+      flush();
+      const h = fmt.header(m);
+      const stamp = [h.date, h.clock].filter(Boolean).join(" ");
+      if (h.date) dates.push(h.date);
+      head = { sender: h.sender.trim(), stamp, date: h.date };
+      body = [{ text: h.inline, src: l.src + l.text.length - h.inline.length }];
+    } else if (fmt.system && fmt.system.test(l.text)){
+      // "Messages are end-to-end encrypted", "Maria added Alex": no sender, not part of a message.
+      flush();
+    } else if (head){
+      body.push(l);
+    }
+  }
+  flush();
+  const dayFirst = chatDayFirst(dates);
+  return messages.filter(m => m.text).map(({ date, ...m }) => ({ ...m, time: date ? parseStamp(m.stamp, { dayFirst }) : null }));
+}
+
+const ATTRIBUTION_START = /^\s*(?:On|Am|El|Le|Em|Il|Op|В)\s/u;
+const ATTRIBUTION_RE = /^\s*(?:On|Am|El|Le|Em|Il|Op|В)\s+(.{4,200}?)\s*(?:wrote|schrieb|escribió|a écrit|escreveu|ha scritto|schreef|написала?)\s*:\s*$/iu;
+const SEPARATOR_RE = /^\s*-{2,}\s*(?:Original Message|Forwarded message|Ursprüngliche Nachricht|Mensaje original|Mensagem original|Message d'origine|Исходное сообщение)\s*-{2,}\s*$/iu;
+const FROM_RE = /^\s*(?:From|Von|De|От):\s*\S/iu;
+const SENT_RE = /^\s*(?:Sent|Date|Gesendet|Datum|Enviado|Fecha|Envoyé|Data|Отправлено|Дата):\s*\S/iu;
+const CHAIN_HEADER_RE = /^\s*([\p{L}-]+):\s*(.*)$/u;
+
+// "Mon, Mar 4, 2024 at 10:15 AM John Doe <john@x.com>" -> sender after the last time / year.
+function attributionHead(inner){
+  let cut = 0;
+  for (const m of inner.matchAll(new RegExp(`${CLOCK}|\\b\\d{4}\\b`, "g"))) cut = m.index + m[0].length;
+  const who = inner.slice(cut).replace(/^[\s,]+/, "").trim();
+  const addr = who ? parseAddresses(who)[0] : null;
+  return { sender: addr ? addr.name || addr.address : null, stamp: inner.slice(0, cut).replace(/[\s,]+$/, "") || null, time: parseStamp(inner) };
+}
+
+// Attribution line ("On …, X wrote:"), possibly wrapped onto a second line.
+function attributionAt(lines, i){
+  const l = lines[i];
+  if (!ATTRIBUTION_START.test(l.text)) return null;
+  let m = l.text.match(ATTRIBUTION_RE);
+  if (m) return { ...attributionHead(m[1]), next: i + 1 };
+  if (i + 1 < lines.length && (m = `${l.text} ${lines[i + 1].text}`.match(ATTRIBUTION_RE))){
+    return { ...attributionHead(m[1]), next: i + 2 };
+  }
+  return null;
+}
+
+// Outlook-style "-----Original Message-----" / "From: … Sent: …" block -> head + index of the body.
+function headerBlockAt(lines, i){
+  let j = i;
+  if (SEPARATOR_RE.test(lines[j].text)) j++;
+  else if (!FROM_RE.test(lines[j].text) || !lines.slice(j + 1, j + 4).some(l => SENT_RE.test(l.text))) return null;
+  if (j >= lines.length || !FROM_RE.test(lines[j].text)) return j > i ? { sender: null, stamp: null, time: null, next: j } : null;
+  const head = { sender: null, stamp: null, time: null };
+  for (; j < lines.length; j++){
+    const m = lines[j].text.match(CHAIN_HEADER_RE);
+    if (!m) break;
+    if (FROM_RE.test(lines[j].text)){
+      const addr = parseAddresses(m[2].replace(/\s*\[mailto:([^\]]+)\]/i, " <$1>"))[0];
+      head.sender = addr ? addr.name || addr.address : null;
+    } else if (SENT_RE.test(lines[j].text)){
+      head.stamp = m[2].trim();
+      head.time = parseStamp(head.stamp);
+    }
+  }
+  return { ...head, next: j };
+}
+
+function quoteStarts(lines, i){
+  while (i < lines.length && !lines[i].text.trim()) i++;
+  return i < lines.length && lines[i].text.startsWith(">");
+}
+
+// Reply chain lines -> messages, newest first.
+function parseChain(lines, head){
+  for (let i = 0; i < lines.length; i++){
+    const attr = attributionAt(lines, i);
+    if (attr && quoteStarts(lines, attr.next)){
+      const quoted = [];
+      for (let j = attr.next; j < lines.length; j++){
+        const l = lines[j];
+        const q = l.text.match(/^>[ ]?/);
+        if (q) quoted.push({ text: l.text.slice(q[0].length), src: l.src + q[0].length });
+        else if (!l.text.trim()) quoted.push({ text: "", src: l.src });
+        else break;
+      }
+      return [messageOf(head, lines.slice(0, i)), ...parseChain(quoted, attr)];
+    }
+    const block = headerBlockAt(lines, i);
+    if (block) return [messageOf(head, lines.slice(0, i)), ...parseChain(lines.slice(block.next), block)];
+  }
+  return [messageOf(head, lines)];
+}
+
+function splitEmailChain(text){
+  // A pasted/imported email starts with its own header block: that is the newest message.
+  const block = parseHeaderBlock(text);
+  const head = { sender: null, stamp: null, time: null };
+  if (block){
+    const from = senderOf(block);
+    const date = headerValues(block, "date")[0];
+    head.sender = from ? from.name || from.address : null;
+    head.stamp = date ? date.value : null;
+    head.time = parseStamp(head.stamp);
+  }
+  return parseChain(linesOf(text, block ? block.bodyStart : 0), head).filter(m => m.text).reverse();
+}
+
+// Text -> { format, messages: [{ index, sender, stamp, time, text, start, end, segments }] } in
+// chronological order, or null when the text doesn't look like a thread of at least two messages.
+export function splitThread(text){
+  let best = null;
+  for (const fmt of CHAT_FORMATS){
+    const messages = splitChat(text, fmt);
+    if (messages.length >= 2 && (!best || messages.length > best.messages.length)) best = { format: fmt.format, messages };
+  }
+  if (!best){
+    const messages = splitEmailChain(text);
+    if (messages.length >= 2) best = { format: "email", messages };
+  }
+  if (!best) return null;
+  best.messages.forEach((m, i) => { m.index = i + 1; });
+  return best;
+}
+
+// Messages that arrive already split ([{ sender, time, text }] in chronological order, e.g. the HTTP API's
+// JSON thread input) -> { text, thread }: the text with a "Sender · time:" line above each message, and
+// the thread splitThread() would have made of it.
+export function threadFromMessages(list){
+  let text = "";
+  const messages = list.map((m, i) => {
+    if (i) text += "\n\n";
+    const stamp = m.time || null;
+    text += `${m.sender || "(unknown sender)"}${stamp ? ` · ${stamp}` : ""}:\n`;
+    const lines = linesOf(m.text.replace(/\r\n?/g, "\n").trim(), 0).map(l => ({ text: l.text, src: l.src + text.length }));
+    text += lines.map(l => l.text).join("\n");
+    const iso = stamp && /^\d{4}-\d{2}-\d{2}(?:T\d{2}:\d{2})?/.exec(stamp);
+    return { index: i + 1, ...messageOf({ sender: m.sender || null, stamp, time: iso ? iso[0] : parseStamp(stamp) }, lines) };
+  });
+  return { text, thread: { format: "json", messages } };
+}
+
+const LEVEL_RANK = { LOW: 0, MEDIUM: 1, HIGH: 2 };
+const PRESSURE = new Set(["pressure", "secrecy"]);
+const MONEY = new Set(["payee_change", "payment_instrument", "payment_rail", "advance_fee"]);
+
+const senderKey = (m) => counterpartyKey(m.sender);
+const senderName = (m) => m.sender || "(unknown sender)";
+
+function styleOf(text){
+  const letters = (text.match(/\p{L}/gu) || []).length;
+  const upper = /\p{Lu}/u.test(text);
+  const lower = /\p{Ll}/u.test(text);
+  const words = text.match(/[\p{L}\p{N}']+/gu) || [];
+  const sentences = text.split(/[.!?…]+(?:\s|$)|\n+/).filter(s => /\p{L}/u.test(s));
+  return {
+    words: words.length,
+    language: detectLanguage(text),
+    casing: letters < 12 ? null : !upper ? "lower-case" : !lower ? "all caps" : "mixed",
+    emoji: /\p{Extended_Pictographic}/u.test(text),
+    sentenceLength: words.length / Math.max(1, sentences.length),
+  };
+}
+
+// Differences between a sender's first message and a later one, as readable phrases.
+function styleChanges(before, now){
+  const out = [];
+  const lang = before.language.code !== now.language.code && before.language.confidence >= 0.6 && now.language.confidence >= 0.6;
+  if (lang) out.push(`writes in ${now.language.name} (was ${before.language.name})`);
+  if (before.casing && now.casing && before.casing !== now.casing) out.push(`${now.casing} (was ${before.casing})`);
+  if (before.emoji !== now.emoji) out.push(now.emoji ? "starts using emoji" : "stops using emoji");
+  const ratio = now.sentenceLength / Math.max(1, before.sentenceLength);
+  if (ratio >= 2.5) out.push("much longer sentences");
+  else if (ratio <= 0.4) out.push("much shorter sentences");
+  return { lang, changes: out };
+}
+
+// Spans of a scored message mapped to the original text.
+function mapSpan(message, s, detail){
+  const start = sourceOffset(message, s.start);
+  return { start, end: start + (s.end - s.start), text: s.text, detail };
+}
+
+function moneySpan(run){
+  const { result } = run;
+  const reason = result.reasons.find(r => MONEY.has(r.category) && r.spans.length);
+  return (result.instruments[0]) || (result.amounts[0]) || (reason && reason.spans[0]) || null;
+}
+
+// Scored messages -> thread-level signals ({ name: [{ start, end, text, detail }] }, original offsets).
+export function threadSignals(runs){
+  const signals = {};
+  const push = (name, hit) => { (signals[name] = signals[name] || []).push(hit); };
+
+  // A participant who joins an established conversation and talks money.
+  const seen = new Map();
+  runs.forEach((run, i) => {
+    const key = senderKey(run.message);
+    if (!key || seen.has(key)) return;
+    seen.set(key, run.message.sender);
+    if (i < 2) return;
+    const theirs = runs.filter(r => senderKey(r.message) === key);
+    const money = theirs.map(r => ({ r, s: moneySpan(r) })).find(x => x.s);
+    if (!money) return;
+    const others = Array.from(new Set(runs.slice(0, i).map(r => senderName(r.message))));
+    push("thread_new_participant", mapSpan(money.r.message, money.s,
+      `${senderName(run.message)} joins at message ${run.message.index} (after ${i} messages between ${others.join(", ")}) and brings up payment`));
+  });
+
+  // The same sender writing noticeably differently from their first message.
+  const firstStyle = new Map();
+  const shifted = new Set();
+  for (const run of runs){
+    const key = senderKey(run.message);
+    const style = styleOf(run.message.text);
+    if (!key || style.words < 6 || shifted.has(key)) continue;
+    if (!firstStyle.has(key)){
+      firstStyle.set(key, { style, index: run.message.index });
+      continue;
+    }
+    const first = firstStyle.get(key);
+    const { lang, changes } = styleChanges(first.style, style);
+    if (!lang && changes.length < 2) continue;
+    shifted.add(key);
+    const line = run.message.text.split("\n")[0];
+    push("thread_style_shift", mapSpan(run.message, { start: 0, end: line.length, text: line },
+      `${senderName(run.message)}'s writing changes at message ${run.message.index} vs. message ${first.index}: ${changes.join(", ")}`));
+  }
+
+  // Pressure cues (urgency, secrecy) growing from the first half of the thread to the second.
+  if (runs.length >= 3){
+    const cues = runs.map(r => r.result.reasons.filter(x => PRESSURE.has(x.category)).reduce((n, x) => n + Math.max(1, x.spans.length), 0));
+    const half = Math.floor(runs.length / 2);
+    const early = Math.max(...cues.slice(0, half));
+    const late = Math.max(...cues.slice(half));
+    if (late > early && cues.filter(Boolean).length >= 2){
+      const detail = `Pressure cues per message: ${cues.join(" → ")}`;
+      for (const run of runs.slice(half)){
+        for (const r of run.result.reasons.filter(x => PRESSURE.has(x.category))){
+          for (const s of r.spans) push("thread_pressure_rising", mapSpan(run.message, s, detail));
+        }
+      }
+    }
+  }
+  return signals;
+}
+
+// Per-message results -> timeline entries and the message that introduced each rule.
+export function threadTimeline(runs){
+  const origins = {};
+  let peak = -1;
+  const timeline = runs.map(({ message, result }) => {
+    const introduced = [];
+    // "missing" rules have no spans: nobody introduced them.
+    for (const r of result.reasons){
+      if (origins[r.id] || !r.spans.length) continue;
+      origins[r.id] = { index: message.index, sender: message.sender };
+      introduced.push({ id: r.id, label: r.label });
+    }
+    const rank = LEVEL_RANK[result.level];
+    const escalated = rank > Math.max(peak, 0);
+    peak = Math.max(peak, rank);
+    return {
+      index: message.index,
+      sender: message.sender,
+      stamp: message.stamp,
+      time: message.time,
+      score: result.score,
+      level: result.level,
+      escalated,
+      introduced,
+    };
+  });
+  return { timeline, origins };
+}
+
+// The text with everything outside the message bodies blanked, newlines kept so offsets still line up:
+// chat headers carry timestamps that would otherwise be read as the deal's deadline or due dates.
+function bodiesOnly(text, messages){
+  const keep = new Uint8Array(text.length);
+  for (const m of messages){
+    const lines = m.text.split("\n");
+    m.segments.forEach((s, i) => keep.fill(1, s.src, s.src + lines[i].length));
+  }
+  return text.replace(/[^\n]/g, (c, i) => keep[i] ? c : " ");
+}
+
+// Thread -> { thread, runs: [{ message, result, snapshot, reply }], result, snapshot, reply }.
+// Each message is scored on its own, with the sender's earlier messages in the thread as history;
+// the thread result scores the message bodies (an email chain's headers included) plus the thread-level
+// signals. opts: analyzeMessage()
+// options (rulePack, locales, history, knownDomains, trustedDomains, counterparty, …).
+export function analyzeThread(text, thread, opts = {}){
+  // The second opinion classifies the whole text, so it only feeds the thread result.
+  const { history = [], counterparty, classifier = null, ...rest } = opts;
+  const records = [];
+  const runs = thread.messages.map(message => {
+    const key = senderKey(message);
+    const own = key ? records.filter(r => r.counterpartyKey === key) : [];
+    const run = { message, ...analyzeMessage(message.text, { ...rest, history: [...history, ...own], counterparty: message.sender }) };
+    records.push(makeHistoryRecord({
+      counterparty: message.sender, text: message.text, result: run.result, snapshot: run.snapshot,
+      createdAt: message.time || "1970-01-01T00:00:00.000Z",
+    }));
+    return run;
+  });
+  const { timeline, origins } = threadTimeline(runs);
+
+  const base = threadSignals(runs);
+  const scored = thread.format === "email" ? text : bodiesOnly(text, thread.messages);
+  let overall = analyzeMessage(scored, { ...rest, history, counterparty, classifier, signals: base });
+  // Signals that only show up per message (e.g. payment details changing between two messages
+  // from the same sender) are carried over into the thread result.
+  const fired = new Set(overall.result.reasons.map(r => r.id));
+  const carried = {};
+  for (const run of runs){
+    for (const r of run.result.reasons){
+      const rule = rest.rulePack.rules.find(x => x.id === r.id);
+      if (fired.has(r.id) || !rule || rule.when !== "signal") continue;
+      carried[rule.signal] = (carried[rule.signal] || []).concat(
+        r.spans.map((s, i) => mapSpan(run.message, s, r.details[i] || r.details[0])));
+    }
+  }
+  if (Object.keys(carried).length){
+    overall = analyzeMessage(scored, { ...rest, history, counterparty, classifier, signals: mergeSignals(base, carried) });
+  }
+  for (const r of overall.result.reasons) if (origins[r.id]) r.origin = origins[r.id];
+
+  const senders = Array.from(new Set(thread.messages.map(senderName)));
+  overall.result.thread = { format: thread.format, messages: thread.messages.length, senders, timeline };
+  return { thread, runs, ...overall };
+}
@@ -0,0 +1,170 @@
+// Link extraction and URL risk analysis: normalization (WHATWG URL + punycode), mixed-script and
+// homoglyph hosts, typosquats of known-good domains, suspicious TLDs, IP-literal hosts,
+// credentials in the URL, shorteners and "text <href>" mismatches from HTML mail. Pure — no DOM access.
+import { COUNTRIES } from "./countries.js";
+import {
+  BRAND_DOMAINS, registrableDomain, toUnicodeHost, foldHomoglyphs, scriptsOf, findLookalike,
+} from "./domains.js";
+
+export const SHORTENERS = new Set([
+  "bit.ly", "bitly.com", "t.co", "tinyurl.com", "goo.gl", "ow.ly", "is.gd", "buff.ly", "rebrand.ly", "cutt.ly",
+  "t.ly", "rb.gy", "shorturl.at", "tiny.cc", "lnkd.in", "s.id", "v.gd", "shorte.st", "adf.ly", "bl.ink", "qrco.de",
+]);
+
+// TLDs that are cheap, abused far above average, or look like file names.
+export const SUSPICIOUS_TLDS = new Set([
+  "zip", "mov", "xyz", "top", "click", "country", "gq", "tk", "ml", "cf", "ga", "work", "rest", "cam", "icu",
+  "buzz", "monster", "cyou", "sbs", "quest", "support", "loan", "kim", "men", "date", "review", "fit", "bond",
+]);
+
+const GENERIC_TLDS = [
+  "com", "net", "org", "info", "biz", "io", "co", "app", "dev", "me", "tv", "ai", "cloud", "online", "site",
+  "website", "store", "shop", "tech", "pro", "live", "email", "finance", "bank", "money", "pay", "global",
+  "agency", "company", "services", "solutions", "digital", "media", "studio", "design", "page", "link", "gov", "edu",
+];
+
+// Bare "name.ext" tokens that are file names, not hosts (several are also ccTLDs).
+const FILE_EXTENSIONS = new Set([
+  "md", "py", "rs", "sh", "pl", "cs", "ps", "so", "js", "ts", "rb", "go", "zip", "mov", "txt", "pdf", "doc",
+  "docx", "xls", "xlsx", "png", "jpg", "jpeg", "gif", "csv", "json", "xml", "exe", "msg", "eml", "mp", "am",
+]);
+
+const TLD_RE = [...SUSPICIOUS_TLDS, ...GENERIC_TLDS, ...Object.keys(COUNTRIES).map(c => c.toLowerCase()), "uk", "eu"]
+  .filter((t, i, a) => a.indexOf(t) === i)
+  .sort((a, b) => b.length - a.length)
+  .join("|");
+
+const URL_RE = new RegExp(
+  String.raw`\b(?:https?|ftp):\/\/[^\s<>"']+` +
+  String.raw`|\bwww\.[^\s<>"']+` +
+  String.raw`|(?<![@\w.\-\/])(?:[\p{L}\p{N}](?:[\p{L}\p{N}\-]*[\p{L}\p{N}])?\.)+(?:${TLD_RE})(?![\p{L}\p{N}@\-])(?:\/[^\s<>"']*)?`,
+  "giu",
+);
+
+// Drop sentence punctuation and unbalanced closing brackets glued to the end of a URL.
+function trimUrl(raw){
+  let s = raw.replace(/[.,;:!?'"»”]+$/, "");
+  while (/[)\]]$/.test(s)){
+    const close = s.slice(-1);
+    const open = close === ")" ? "(" : "[";
+    if (s.split(open).length >= s.split(close).length) break;
+    s = s.slice(0, -1).replace(/[.,;:!?]+$/, "");
+  }
+  return s;
+}
+
+// All links in text[from..] with offsets into `text`: [{ raw, start, end, href, host, ... }].
+export function extractUrls(text, from = 0){
+  const out = [];
+  const body = text.slice(from);
+  for (const m of body.matchAll(URL_RE)){
+    const raw = trimUrl(m[0]);
+    const hasScheme = /^[a-z]+:\/\//i.test(raw);
+    const bare = !hasScheme && !/^www\./i.test(raw);
+    if (bare){
+      const tld = raw.split("/")[0].split(".").pop().toLowerCase();
+      if (FILE_EXTENSIONS.has(tld) && !raw.includes("/")) continue;
+    }
+    let url;
+    try {
+      url = new URL(hasScheme ? raw : `http://${raw}`);
+    } catch {
+      continue;
+    }
+    if (!url.hostname) continue;
+    const start = from + m.index;
+    out.push({
+      raw,
+      start,
+      end: start + raw.length,
+      href: url.href,
+      scheme: url.protocol.replace(/:$/, ""),
+      host: url.hostname.replace(/^\[|\]$/g, ""),
+      hostUnicode: toUnicodeHost(url.hostname),
+      registrable: registrableDomain(url.hostname),
+      username: decodeURIComponent(url.username || ""),
+      // HTML mail is rendered as "label <href>": remember that this link was shown as text.
+      bracketed: text[start - 1] === "<" && text[start + raw.length] === ">",
+    });
+  }
+  return out;
+}
+
+const DANGER = new Set(["link_homoglyph", "link_typosquat", "link_credentials", "link_text_mismatch", "link_ip_host"]);
+
+function isIpHost(host){
+  return /^\d{1,3}(?:\.\d{1,3}){3}$/.test(host) || host.includes(":");
+}
+
+// Links with findings and a verdict ("ok" | "caution" | "danger").
+// opts.trustedDomains: known-good counterparty / brand domains (BRAND_DOMAINS are always included).
+export function analyzeUrls(text, { from = 0, trustedDomains = [] } = {}){
+  const links = extractUrls(text, from);
+  const trusted = Array.from(new Set([...trustedDomains, ...BRAND_DOMAINS].filter(Boolean).map(registrableDomain)));
+
+  links.forEach((l, idx) => {
+    const f = [];
+    const add = (signal, detail) => f.push({ signal, detail });
+    const reg = l.registrable;
+    const regUnicode = toUnicodeHost(reg);
+
+    if (l.username) add("link_credentials", `"${l.username}@" before the host hides the real destination ${l.hostUnicode}`);
+    if (isIpHost(l.host)) add("link_ip_host", `Link points at a bare IP address (${l.host})`);
+
+    if (!isIpHost(l.host) && !trusted.includes(reg)){
+      const label = regUnicode.split(".")[0];
+      const scripts = scriptsOf(label);
+      const folded = foldHomoglyphs(regUnicode);
+      const look = findLookalike(reg, trusted);
+      if (regUnicode !== reg && look && /look-alike characters/.test(look.reason)){
+        add("link_homoglyph", `${regUnicode} (${reg}) imitates ${look.trusted} with look-alike characters`);
+      } else if (scripts.length > 1){
+        add("link_homoglyph", `${regUnicode} mixes ${scripts.join(" and ")} letters`);
+      } else if (regUnicode !== reg && trusted.includes(folded)){
+        add("link_homoglyph", `${regUnicode} (${reg}) imitates ${folded} with look-alike characters`);
+      } else if (look){
+        add("link_typosquat", `${reg}: ${look.reason}`);
+      }
+      // Brand name in a subdomain of an unrelated site: paypal.com.secure-login.xyz
+      const brandSub = trusted.find(t => l.host !== reg && l.host.startsWith(`${t}.`));
+      if (brandSub) add("link_typosquat", `${l.host} starts with ${brandSub} but belongs to ${reg}`);
+    }
+
+    const tld = l.host.split(".").pop();
+    if (SUSPICIOUS_TLDS.has(tld)) add("link_suspicious_tld", `.${tld} domain (${l.hostUnicode})`);
+    if (SHORTENERS.has(reg) || SHORTENERS.has(l.host)) add("link_shortener", `${l.host} hides the real destination`);
+
+    // "paypal.com <https://evil.xyz/login>": the displayed link is the previous one, right before " <".
+    const shown = links[idx - 1];
+    if (l.bracketed && shown && /^\s*<$/.test(text.slice(shown.end, l.start)) && shown.registrable !== reg){
+      add("link_text_mismatch", `Link text shows ${shown.hostUnicode} but opens ${l.hostUnicode}`);
+      l.shownAs = shown;
+    }
+
+    l.findings = f;
+    l.verdict = f.some(x => DANGER.has(x.signal)) ? "danger" : f.length || regUnicode !== reg ? "caution" : "ok";
+  });
+  return links;
+}
+
+// Signals for "when": "signal" rules, one per finding type.
+export function urlSignals(links){
+  const signals = {};
+  for (const l of links){
+    for (const f of l.findings){
+      (signals[f.signal] = signals[f.signal] || []).push({ start: l.start, end: l.end, text: l.raw, detail: f.detail });
+      if (f.signal === "link_text_mismatch" && l.shownAs){
+        signals[f.signal].push({ start: l.shownAs.start, end: l.shownAs.end, text: l.shownAs.raw, detail: null });
+      }
+    }
+  }
+  return signals;
+}
+
+// One line per link for the snapshot and reports.
+export function linkVerdictText(l){
+  const shown = l.hostUnicode !== l.host && !l.raw.includes(l.hostUnicode) ? ` [${l.hostUnicode}]` : "";
+  const why = l.findings.map(f => f.detail).join("; ");
+  const tag = l.verdict === "danger" ? "DANGER" : l.verdict === "caution" ? "caution" : "ok";
+  return `${l.raw}${shown} — ${tag}${why ? `: ${why}` : ""}`;
+}
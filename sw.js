@@ -0,0 +1,121 @@
+// DealShield service worker: precaches the app shell (HTML, JS modules, rule and locale packs) so
+// the app opens and analyzes offline, and keeps the pinned NER runtime and model (vendor/, models/)
+// in a separate cache. Bump SHELL_VERSION whenever a shell file is added or renamed.
+const SHELL_VERSION = "dealshield-shell-v12";
+const MODEL_CACHE = "dealshield-models";
+
+const SHELL = [
+  "./",
+  "./index.html",
+  "./app.js",
+  "./styles.css",
+  "./icon.svg",
+  "./logo.svg",
+  "./manifest.webmanifest",
+  "./lib/amounts.js",
+  "./lib/api.js",
+  "./lib/cases.js",
+  "./lib/checklist.js",
+  "./lib/classifier.js",
+  "./lib/core.js",
+  "./lib/countries.js",
+  "./lib/csv.js",
+  "./lib/dates.js",
+  "./lib/directory.js",
+  "./lib/domains.js",
+  "./lib/email.js",
+  "./lib/hash.js",
+  "./lib/history.js",
+  "./lib/invoice.js",
+  "./lib/language.js",
+  "./lib/locales.js",
+  "./lib/mime.js",
+  "./lib/models.js",
+  "./lib/msg.js",
+  "./lib/ner.js",
+  "./lib/numbers.js",
+  "./lib/parties.js",
+  "./lib/payments.js",
+  "./lib/pdf-report.js",
+  "./lib/pdf.js",
+  "./lib/profile.js",
+  "./lib/redact.js",
+  "./lib/reply.js",
+  "./lib/report.js",
+  "./lib/rules.js",
+  "./lib/schema.js",
+  "./lib/terms.js",
+  "./lib/thread.js",
+  "./lib/urls.js",
+  "./web/analysis-worker.js",
+  "./web/analyzer.js",
+  "./web/cases.js",
+  "./web/history-store.js",
+  "./web/ingest.js",
+  "./web/models.js",
+  "./rules/default.json",
+  "./rules/profiles/default.json",
+  "./rules/locales/ar.json",
+  "./rules/locales/de.json",
+  "./rules/locales/es.json",
+  "./rules/locales/pt.json",
+  "./rules/locales/ru.json",
+  "./rules/locales/tr.json",
+  "./models/lock.json",
+];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(caches.open(SHELL_VERSION).then(cache => cache.addAll(SHELL)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil((async () => {
+    for (const key of await caches.keys()){
+      if (key.startsWith("dealshield-shell-") && key !== SHELL_VERSION) await caches.delete(key);
+    }
+    await self.clients.claim();
+  })());
+});
+
+// Model files sit under versioned paths (runtime version, model revision) and are checked against
+// models/lock.json by the page, so once cached they never need the network again.
+async function cacheFirst(request){
+  const cache = await caches.open(MODEL_CACHE);
+  const hit = await cache.match(request);
+  if (hit) return hit;
+  const res = await fetch(request);
+  if (res.ok) await cache.put(request, res.clone());
+  return res;
+}
+
+// Shell: answer from the cache right away and refresh it in the background, so rule pack updates
+// arrive on the next load; fall back to the network for anything not precached.
+async function staleWhileRevalidate(event){
+  const cache = await caches.open(SHELL_VERSION);
+  const hit = await cache.match(event.request, { ignoreSearch: event.request.mode === "navigate" });
+  const refresh = fetch(event.request).then(async res => {
+    if (res.ok) await cache.put(event.request, res.clone());
+    return res;
+  });
+  if (hit){
+    event.waitUntil(refresh.catch(() => {}));
+    return hit;
+  }
+  try {
+    return await refresh;
+  } catch (e) {
+    if (event.request.mode === "navigate") return cache.match("./index.html");
+    throw e;
+  }
+}
+
+self.addEventListener("fetch", (event) => {
+  const url = new URL(event.request.url);
+  if (event.request.method !== "GET" || url.origin !== self.location.origin) return;
+  const rel = url.pathname.slice(new URL(self.registration.scope).pathname.length);
+  if (rel.startsWith("vendor/") || (rel.startsWith("models/") && rel !== "models/lock.json")){
+    event.respondWith(cacheFirst(event.request));
+  } else {
+    event.respondWith(staleWhileRevalidate(event));
+  }
+});
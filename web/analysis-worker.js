@@ -0,0 +1,241 @@
+// Analysis worker (browser only, module worker): rule scoring, thread splitting, locale packs, the
+// on-device NER model and the second-opinion classifier all run here so long inputs never freeze
+// the page. Driven by web/analyzer.js; every run carries an id and every reply echoes it.
+//
+//   in   { type: "rules", rulePack }                      compiled pack used by later runs
+//        { type: "analyze", id, text, thread, ner, secondOpinion, localOnly, options }
+//                                                         ner: run the on-device models; secondOpinion:
+//                                                         classify scam patterns (the zero-shot model
+//                                                         when ner is on, else the phrase lexicon)
+//                                                         options: history, knownDomains,
+//                                                         trustedDomains, directory, counterparty, historyCount,
+//                                                         reply: { tone, channel, signature, company }
+//        { type: "cancel", id }                           stop a run at its next checkpoint
+//        { type: "warmup", localOnly }                    load the model ahead of the first run
+//   out  { type: "progress", id, stage: "rules" | "classifier" | "ner", message }
+//        { type: "progress", id: null, stage: "model", message }   model download / verification
+//        { type: "scored", id, result, snapshot, split }  rules done (again once the second opinion is
+//                                                         in); NER names still pending
+//        { type: "done", id, result, snapshot, reply, replyParts }
+//                                                         replyParts: { ruleReplies, template } to
+//                                                         recompose the reply in another tone/channel
+//        { type: "cancelled", id } | { type: "error", id, message }
+//        { type: "model", status: "ready" | "unavailable", source, usage, message }
+import { compileLocalePack } from "../lib/locales.js";
+import { SCAM_PATTERNS, splitSentences, lexiconScores, classifySentences } from "../lib/classifier.js";
+import {
+  scoreRisk, buildSnapshot, buildSafeReply, ruleRepliesOf, localeFor, detectInputLanguage,
+} from "../lib/core.js";
+import { splitThread, analyzeThread } from "../lib/thread.js";
+import { chunkText, estimateTokens, groupEntities, locateEntities } from "../lib/ner.js";
+import { extractParties, partiesSummary } from "../lib/parties.js";
+import { loadNER, loadClassifier, storageUsage } from "./models.js";
+
+const LOCALE_BASE_URL = new URL("../rules/locales/", import.meta.url);
+const LOCALES = ["es", "de", "pt", "ru", "tr", "ar"];
+// language code -> compiled locale pack (null when unavailable); filled by loadLocale()
+const loadedLocales = {};
+const localeLoads = new Map();
+
+let rulePack = null;
+let model = null; // { localOnly, load: Promise<{ ner, source }> }
+let classifier = null; // { localOnly, load: Promise<{ classify, source, model }> }
+const running = new Set();
+const cancelled = new Set();
+// Inference calls run one after another: a superseded run may still be inside the model when the
+// next one starts, and a single ONNX session must not be run concurrently.
+let inference = Promise.resolve();
+
+class RunCancelled extends Error {}
+
+function post(msg){
+  self.postMessage(msg);
+}
+
+function checkpoint(id){
+  if (cancelled.has(id)) throw new RunCancelled();
+}
+
+// Locale packs are fetched on first use of a language and cached for the worker's lifetime.
+function loadLocale(code){
+  if (!LOCALES.includes(code)) return Promise.resolve(null);
+  if (!localeLoads.has(code)){
+    localeLoads.set(code, fetch(new URL(`${code}.json`, LOCALE_BASE_URL), { cache: "no-cache" })
+      .then(res => {
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        return res.json();
+      })
+      .then(pack => compileLocalePack(pack))
+      .catch(e => {
+        console.warn(`Locale pack "${code}" unavailable`, e);
+        return null;
+      })
+      .then(locale => {
+        loadedLocales[code] = locale;
+        return locale;
+      }));
+  }
+  return localeLoads.get(code);
+}
+
+// One pipeline per "local-only" setting; switching the setting loads the model again.
+// Loading is shared by every run (and the warm-up), so its progress isn't tied to a run id.
+function ensureNER(localOnly){
+  if (!model || model.localOnly !== localOnly){
+    const load = loadNER({ localOnly, onProgress: (s) => post({ type: "progress", id: null, stage: "model", message: s }) });
+    model = { localOnly, load };
+    load.then(
+      async ({ source }) => {
+        let usage = null;
+        try { usage = await storageUsage(); } catch { /* estimate unsupported */ }
+        post({ type: "model", status: "ready", source, usage });
+      },
+      (e) => {
+        if (model && model.load === load) model = null;
+        post({ type: "model", status: "unavailable", message: e.message, localOnly });
+      },
+    );
+  }
+  return model.load;
+}
+
+// The classifier is loaded once per "local-only" setting; when it fails, every run of that setting
+// uses the lexicon instead of trying again.
+function ensureClassifier(localOnly){
+  if (!classifier || classifier.localOnly !== localOnly){
+    const load = loadClassifier({ localOnly, onProgress: (s) => post({ type: "progress", id: null, stage: "model", message: s }) });
+    load.catch(() => {});
+    classifier = { localOnly, load };
+  }
+  return classifier.load;
+}
+
+const HYPOTHESIS_TEMPLATE = "This message {}.";
+
+// Second opinion on text[from..]: per-sentence scam-pattern probabilities (lib/classifier.js).
+async function classifyText(id, text, from, { useModel, localOnly }){
+  const sentences = splitSentences(text, from);
+  if (useModel && sentences.length){
+    try {
+      const { classify, model: modelId } = await ensureClassifier(localOnly);
+      const hypotheses = SCAM_PATTERNS.map(p => p.hypothesis);
+      const scores = [];
+      for (const [i, sentence] of sentences.entries()){
+        checkpoint(id);
+        post({ type: "progress", id, stage: "classifier", message: `second opinion ${i + 1}/${sentences.length}` });
+        const run = inference.then(() => classify(sentence.text, hypotheses, { multi_label: true, hypothesis_template: HYPOTHESIS_TEMPLATE }));
+        inference = run.catch(() => {});
+        const out = await run;
+        scores.push(Object.fromEntries(out.labels.map((label, k) => [SCAM_PATTERNS.find(p => p.hypothesis === label).id, out.scores[k]])));
+      }
+      return classifySentences(sentences, scores, { source: "model", model: modelId });
+    } catch (e) {
+      if (e instanceof RunCancelled) throw e;
+      console.warn("Second-opinion model unavailable, using the phrase lexicon", e);
+    }
+  }
+  return classifySentences(sentences, lexiconScores(sentences), { source: "lexicon" });
+}
+
+// The tokenizer the pipeline ships with, so chunks match the model's own token count.
+function tokenCounter(ner){
+  const tok = ner.tokenizer;
+  if (!tok || typeof tok.encode !== "function") return estimateTokens;
+  return (text) => tok.encode(text).length;
+}
+
+async function extractEntities(id, text, localOnly){
+  const { ner } = await ensureNER(localOnly);
+  const chunks = chunkText(text, tokenCounter(ner));
+  const entities = [];
+  for (const [i, chunk] of chunks.entries()){
+    checkpoint(id);
+    post({ type: "progress", id, stage: "ner", message: chunks.length > 1 ? `extracting ${i + 1}/${chunks.length}` : "extracting" });
+    const run = inference.then(() => ner(chunk.text));
+    inference = run.catch(() => {});
+    entities.push(...locateEntities(chunk.text, groupEntities(await run), chunk.start));
+  }
+  return entities;
+}
+
+async function analyze({ id, text, thread: threadMode, ner, secondOpinion = false, localOnly, options = {} }){
+  // A pack swapped in mid-run only applies to the next one.
+  const pack = rulePack;
+  if (!pack) throw new Error("No rule pack loaded");
+  const { history = [], knownDomains = null, trustedDomains = [], directory = null, counterparty = null, historyCount = history.length, reply: replyOpts = {} } = options;
+  post({ type: "progress", id, stage: "rules", message: "scoring" });
+
+  // Thread mode: split chat exports / reply chains and score every message on its own
+  const thread = threadMode ? splitThread(text) : null;
+
+  // Localized rules/replies for the detected language(s)
+  const codes = new Set([detectInputLanguage(text).code, ...(thread ? thread.messages.map(m => detectInputLanguage(m.text).code) : [])]);
+  await Promise.all([...codes].map(loadLocale));
+  checkpoint(id);
+
+  const score = (classification) => {
+    if (thread){
+      return analyzeThread(text, thread, {
+        rulePack: pack, locales: loadedLocales, history, knownDomains, trustedDomains, directory, counterparty, historyCount,
+        classifier: classification,
+      });
+    }
+    const scored = scoreRisk(text, { rulePack: pack, locales: loadedLocales, history, knownDomains, trustedDomains, directory, classifier: classification });
+    return { result: scored, snapshot: buildSnapshot(text, scored, { locales: loadedLocales, counterparty, historyCount }) };
+  };
+  let { result, snapshot } = score(null);
+  post({ type: "scored", id, result, snapshot, split: !!thread });
+
+  // The second opinion adds its own reasons; the rules-only result is already on screen meanwhile.
+  if (secondOpinion){
+    const classification = await classifyText(id, text, result.email ? result.email.bodyStart : 0, { useModel: ner, localOnly });
+    checkpoint(id);
+    ({ result, snapshot } = score(classification));
+    post({ type: "scored", id, result, snapshot, split: !!thread });
+  }
+
+  // NER adds the names rules can't see (best-effort; the score never depends on it)
+  if (ner){
+    try {
+      const entities = await extractEntities(id, text, localOnly);
+      result.parties = extractParties(text, { email: result.email, locale: localeFor(result, loadedLocales), entities });
+      snapshot.parties = partiesSummary(result.parties);
+    } catch (e) {
+      if (e instanceof RunCancelled) throw e;
+      console.warn(e);
+    }
+  }
+  checkpoint(id);
+
+  const ruleReplies = ruleRepliesOf(result, pack);
+  const locale = localeFor(result, loadedLocales);
+  const reply = buildSafeReply(result.level, snapshot, ruleReplies, locale, replyOpts);
+  post({ type: "done", id, result, snapshot, reply, replyParts: { ruleReplies, template: locale ? locale.reply : null } });
+}
+
+self.addEventListener("message", async (event) => {
+  const msg = event.data || {};
+  switch (msg.type){
+    case "rules":
+      rulePack = msg.rulePack;
+      break;
+    case "cancel":
+      if (running.has(msg.id)) cancelled.add(msg.id);
+      break;
+    case "warmup":
+      ensureNER(!!msg.localOnly).catch(() => {});
+      break;
+    case "analyze":
+      running.add(msg.id);
+      try {
+        await analyze(msg);
+      } catch (e) {
+        if (e instanceof RunCancelled) post({ type: "cancelled", id: msg.id });
+        else post({ type: "error", id: msg.id, message: e.message || String(e) });
+      } finally {
+        running.delete(msg.id);
+        cancelled.delete(msg.id);
+      }
+      break;
+  }
+});
@@ -0,0 +1,92 @@
+// Main-thread side of the analysis worker (browser only; protocol in web/analysis-worker.js).
+// run() is the Analyze button: starting a run cancels the one before it, and anything the worker
+// still sends for a superseded run is dropped, so only the latest run ever reaches the DOM.
+// score() is a one-off rules-only pass (exports) that never supersedes a run.
+
+export class AnalysisCancelled extends Error {
+  constructor(){
+    super("Analysis superseded by a newer run");
+    this.name = "AnalysisCancelled";
+  }
+}
+
+export function createAnalyzer({ onModel, onModelProgress } = {}){
+  const worker = new Worker(new URL("./analysis-worker.js", import.meta.url), { type: "module" });
+  // id -> { resolve, reject, handlers }; ids missing here belong to superseded runs
+  const pending = new Map();
+  let seq = 0;
+  let current = null;
+
+  function settle(id, fn){
+    const p = pending.get(id);
+    pending.delete(id);
+    if (id === current) current = null;
+    fn(p);
+  }
+
+  worker.addEventListener("message", (event) => {
+    const msg = event.data;
+    if (msg.type === "model") return onModel && onModel(msg);
+    if (msg.type === "progress" && msg.stage === "model") return onModelProgress && onModelProgress(msg.message);
+    const p = pending.get(msg.id);
+    if (!p) return;
+    switch (msg.type){
+      case "progress":
+        if (p.handlers.onProgress) p.handlers.onProgress(msg);
+        break;
+      case "scored":
+        if (p.handlers.onScored) p.handlers.onScored(msg);
+        break;
+      case "done":
+        settle(msg.id, x => x.resolve(msg));
+        break;
+      case "cancelled":
+        settle(msg.id, x => x.reject(new AnalysisCancelled()));
+        break;
+      case "error":
+        settle(msg.id, x => x.reject(new Error(msg.message)));
+        break;
+    }
+  });
+  // A worker that fails to start or crashes fails every open request.
+  worker.addEventListener("error", (event) => {
+    const err = new Error(event.message || "Analysis worker failed");
+    for (const id of [...pending.keys()]) settle(id, x => x.reject(err));
+  });
+
+  function request(msg, handlers){
+    const id = ++seq;
+    return {
+      id,
+      promise: new Promise((resolve, reject) => {
+        pending.set(id, { resolve, reject, handlers });
+        worker.postMessage({ ...msg, type: "analyze", id });
+      }),
+    };
+  }
+
+  return {
+    setRules(rulePack){
+      worker.postMessage({ type: "rules", rulePack });
+    },
+    warmup(localOnly){
+      worker.postMessage({ type: "warmup", localOnly });
+    },
+    // -> Promise<{ result, snapshot, reply }>; rejects with AnalysisCancelled once superseded.
+    run(msg, handlers = {}){
+      this.cancel();
+      const { id, promise } = request(msg, handlers);
+      current = id;
+      return promise;
+    },
+    score(msg){
+      return request({ ...msg, ner: false }, {}).promise;
+    },
+    cancel(){
+      if (current == null) return;
+      const id = current;
+      worker.postMessage({ type: "cancel", id });
+      settle(id, x => x.reject(new AnalysisCancelled()));
+    },
+  };
+}
@@ -0,0 +1,46 @@
+// Client of the team's case queue (browser only): the /cases endpoints of the local service
+// (bin/serve.js --cases, see lib/cases.js). settings() -> { url, key, user } is read on every call;
+// `user` goes out as X-DealShield-User, which the service only uses when the key isn't a personal one.
+
+export class CaseServerError extends Error {
+  constructor(message, status = 0, errors = []){
+    super(message);
+    this.name = "CaseServerError";
+    this.status = status;
+    this.errors = errors;
+  }
+}
+
+export function createCaseClient(settings){
+  const call = async (method, path, body) => {
+    const { url, key, user } = settings();
+    if (!url) throw new CaseServerError("Set the service URL first");
+    const headers = {};
+    if (key) headers.Authorization = `Bearer ${key}`;
+    if (user) headers["X-DealShield-User"] = user;
+    if (body !== undefined) headers["Content-Type"] = "application/json";
+    let res;
+    try {
+      res = await fetch(`${url.replace(/\/+$/, "")}${path}`, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+    } catch (e) {
+      throw new CaseServerError(`Can't reach the service at ${url} (is it running, with --allow-origin ${location.origin}?)`);
+    }
+    const data = await res.json().catch(() => null);
+    if (!res.ok) throw new CaseServerError((data && data.error) || `HTTP ${res.status}`, res.status, (data && data.errors) || []);
+    return data;
+  };
+  const at = (id) => `/cases/${encodeURIComponent(id)}`;
+  return {
+    me: () => call("GET", "/me"),
+    // filter: { level, state, assignee } as in GET /cases
+    list: (filter = {}) => {
+      const q = new URLSearchParams(Object.entries(filter).filter(([, v]) => v));
+      return call("GET", `/cases${String(q) ? `?${q}` : ""}`).then(d => d.cases);
+    },
+    get: (id) => call("GET", at(id)),
+    submit: (report, assignee = null) => call("POST", "/cases", { report, assignee }),
+    assign: (id, assignee) => call("PATCH", at(id), { assignee }),
+    comment: (id, text) => call("POST", `${at(id)}/comments`, { text }),
+    move: (id, state, note = "") => call("POST", `${at(id)}/state`, { state, note }),
+  };
+}
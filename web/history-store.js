@@ -0,0 +1,108 @@
+// IndexedDB-backed deal history (browser only). Records come from lib/history.js makeHistoryRecord();
+// verification checklists (lib/checklist.js) are kept per message key, their evidence files by SHA-256.
+
+const DB_NAME = "dealshield";
+const DB_VERSION = 2;
+const STORE = "analyses";
+const CHECKLISTS = "checklists";
+const EVIDENCE = "evidence";
+
+let _dbPromise = null;
+
+function openDb(){
+  if (_dbPromise) return _dbPromise;
+  _dbPromise = new Promise((resolve, reject) => {
+    if (!("indexedDB" in globalThis)) return reject(new Error("IndexedDB is not available"));
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(STORE)){
+        const store = db.createObjectStore(STORE, { keyPath: "id", autoIncrement: true });
+        store.createIndex("counterpartyKey", "counterpartyKey");
+        store.createIndex("createdAt", "createdAt");
+      }
+      if (!db.objectStoreNames.contains(CHECKLISTS)) db.createObjectStore(CHECKLISTS, { keyPath: "key" });
+      if (!db.objectStoreNames.contains(EVIDENCE)) db.createObjectStore(EVIDENCE, { keyPath: "sha256" });
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+  return _dbPromise;
+}
+
+function done(req){
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function tx(mode, fn, store = STORE){
+  const db = await openDb();
+  const t = db.transaction(store, mode);
+  const finished = new Promise((resolve, reject) => {
+    t.oncomplete = resolve;
+    t.onerror = () => reject(t.error);
+    t.onabort = () => reject(t.error);
+  });
+  const result = await fn(t.objectStore(store));
+  await finished;
+  return result;
+}
+
+export function saveAnalysis(record){
+  return tx("readwrite", (s) => done(s.add(record)));
+}
+
+export function listAnalyses(){
+  return tx("readonly", (s) => done(s.getAll()));
+}
+
+export function listByCounterparty(key){
+  if (!key) return Promise.resolve([]);
+  return tx("readonly", (s) => done(s.index("counterpartyKey").getAll(key)));
+}
+
+export function deleteAnalysis(id){
+  return tx("readwrite", (s) => done(s.delete(id)));
+}
+
+// By record id: records without a counterparty aren't in the counterpartyKey index, so a group is
+// deleted by the ids it lists (see groupHistory() in lib/history.js).
+export function deleteAnalyses(ids){
+  return tx("readwrite", (s) => Promise.all(ids.map(id => done(s.delete(id)))));
+}
+
+export async function clearHistory(){
+  await tx("readwrite", (s) => done(s.clear()), CHECKLISTS);
+  await tx("readwrite", (s) => done(s.clear()), EVIDENCE);
+  return tx("readwrite", (s) => done(s.clear()));
+}
+
+export async function loadChecklist(key){
+  return (await tx("readonly", (s) => done(s.get(key)), CHECKLISTS)) || null;
+}
+
+export function saveChecklist(checklist){
+  return tx("readwrite", (s) => done(s.put({ ...checklist, updatedAt: new Date().toISOString() })), CHECKLISTS);
+}
+
+// { sha256, name, type, size, blob }; identical files are stored once.
+export function saveEvidence(record){
+  return tx("readwrite", (s) => done(s.put(record)), EVIDENCE);
+}
+
+export async function getEvidence(sha256){
+  return (await tx("readonly", (s) => done(s.get(sha256)), EVIDENCE)) || null;
+}
+
+export async function exportHistory(){
+  return {
+    format: "dealshield-history",
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    records: await listAnalyses(),
+    // Evidence files stay in the browser; checklists reference them by SHA-256.
+    checklists: await tx("readonly", (s) => done(s.getAll()), CHECKLISTS),
+  };
+}
@@ -0,0 +1,163 @@
+// PDF and image ingestion for the browser: pdf.js text-layer extraction with an OCR fallback for
+// scanned pages, and Tesseract.js (WASM) OCR for PNG/JPG. Both libraries are lazy-loaded like
+// Transformers.js in app.js, and all processing stays on the device.
+
+const PDFJS_VERSION = "4.4.168";
+const TESSERACT_VERSION = "5.1.1";
+
+// Pages with fewer characters than this in their text layer are treated as scans.
+const MIN_TEXT_LAYER_CHARS = 20;
+const OCR_SCALE = 2;
+
+let _pdfjs = null;
+let _pdfjsLoadPromise = null;
+let _tesseract = null;
+let _tesseractLoadPromise = null;
+
+async function firstModule(sources, test, what){
+  let lastErr = null;
+  for (const src of sources){
+    try {
+      const mod = await import(src.url);
+      if (test(mod)) return { mod, src };
+    } catch (e) { lastErr = e; }
+  }
+  throw lastErr || new Error(`Failed to load ${what}`);
+}
+
+async function getPdfjs(){
+  if (_pdfjs) return _pdfjs;
+  if (_pdfjsLoadPromise) return _pdfjsLoadPromise;
+  const sources = [
+    { url: `https://cdn.jsdelivr.net/npm/pdfjs-dist@${PDFJS_VERSION}/build/pdf.min.mjs`, worker: `https://cdn.jsdelivr.net/npm/pdfjs-dist@${PDFJS_VERSION}/build/pdf.worker.min.mjs` },
+    { url: `https://unpkg.com/pdfjs-dist@${PDFJS_VERSION}/build/pdf.min.mjs`, worker: `https://unpkg.com/pdfjs-dist@${PDFJS_VERSION}/build/pdf.worker.min.mjs` },
+  ];
+  _pdfjsLoadPromise = (async () => {
+    const { mod, src } = await firstModule(sources, m => m && typeof m.getDocument === "function", "pdf.js");
+    mod.GlobalWorkerOptions.workerSrc = src.worker;
+    _pdfjs = mod;
+    return _pdfjs;
+  })();
+  _pdfjsLoadPromise.catch(() => { _pdfjsLoadPromise = null; });
+  return _pdfjsLoadPromise;
+}
+
+async function getTesseract(){
+  if (_tesseract) return _tesseract;
+  if (_tesseractLoadPromise) return _tesseractLoadPromise;
+  const sources = [
+    { url: `https://cdn.jsdelivr.net/npm/tesseract.js@${TESSERACT_VERSION}/dist/tesseract.esm.min.js` },
+    { url: `https://unpkg.com/tesseract.js@${TESSERACT_VERSION}/dist/tesseract.esm.min.js` },
+  ];
+  _tesseractLoadPromise = (async () => {
+    const { mod } = await firstModule(sources, m => m && typeof (m.createWorker || (m.default && m.default.createWorker)) === "function", "Tesseract.js");
+    _tesseract = mod.createWorker ? mod : mod.default;
+    return _tesseract;
+  })();
+  _tesseractLoadPromise.catch(() => { _tesseractLoadPromise = null; });
+  return _tesseractLoadPromise;
+}
+
+export function isPdfFile(file, bytes){
+  return /\.pdf$/i.test(file.name || "") || file.type === "application/pdf"
+    || (bytes && bytes[0] === 0x25 && bytes[1] === 0x50 && bytes[2] === 0x44 && bytes[3] === 0x46);
+}
+
+export function isImageFile(file){
+  return /^image\/(?:png|jpe?g|webp|bmp)$/i.test(file.type) || /\.(?:png|jpe?g|webp|bmp)$/i.test(file.name || "");
+}
+
+// pdf.js text items -> lines: group by baseline, order by x, keep wide gaps as column breaks
+// so invoice tables survive as "Description   Qty   Amount" rows.
+function itemsToText(items){
+  const rows = [];
+  for (const it of items){
+    if (!it.str || !it.str.trim()) continue;
+    const x = it.transform[4];
+    const y = it.transform[5];
+    const h = Math.abs(it.transform[3]) || 10;
+    let row = rows.find(r => Math.abs(r.y - y) <= h * 0.5);
+    if (!row){
+      row = { y, h, items: [] };
+      rows.push(row);
+    }
+    row.items.push({ x, w: it.width || 0, str: it.str });
+  }
+  rows.sort((a, b) => b.y - a.y);
+  return rows.map(r => {
+    r.items.sort((a, b) => a.x - b.x);
+    let line = "";
+    let lastEnd = null;
+    for (const it of r.items){
+      if (lastEnd != null){
+        const gap = it.x - lastEnd;
+        line += gap > r.h * 1.5 ? "   " : gap > r.h * 0.15 && !line.endsWith(" ") ? " " : "";
+      }
+      line += it.str;
+      lastEnd = it.x + it.w;
+    }
+    return line.replace(/\s+$/, "");
+  }).join("\n");
+}
+
+// One recognizer per call; OCR is occasional so we do not keep a worker alive.
+async function recognize(images, onProgress){
+  const T = await getTesseract();
+  let current = 0;
+  const worker = await T.createWorker("eng", 1, {
+    logger: (m) => {
+      if (m.status === "recognizing text" && onProgress) onProgress(`OCR ${current + 1}/${images.length}: ${Math.round(m.progress * 100)}%`);
+    },
+  });
+  try {
+    const out = [];
+    for (; current < images.length; current++){
+      const { data } = await worker.recognize(images[current]);
+      out.push(data.text.trim());
+    }
+    return out;
+  } finally {
+    await worker.terminate();
+  }
+}
+
+export async function ocrImage(file, onProgress){
+  if (onProgress) onProgress("Loading OCR engine…");
+  const [text] = await recognize([file], onProgress);
+  return { text, pages: 1, ocrPages: 1 };
+}
+
+// Returns { text, pages, ocrPages }. Scanned pages are rendered to a canvas and OCR'd.
+export async function extractPdfText(bytes, onProgress){
+  if (onProgress) onProgress("Loading PDF reader…");
+  const pdfjs = await getPdfjs();
+  const doc = await pdfjs.getDocument({ data: bytes, isEvalSupported: false }).promise;
+  try {
+    const pages = [];
+    const scans = [];
+    for (let n = 1; n <= doc.numPages; n++){
+      if (onProgress) onProgress(`Reading page ${n}/${doc.numPages}…`);
+      const page = await doc.getPage(n);
+      const content = await page.getTextContent();
+      const text = itemsToText(content.items);
+      pages.push(text);
+      if (text.replace(/\s+/g, "").length < MIN_TEXT_LAYER_CHARS){
+        const viewport = page.getViewport({ scale: OCR_SCALE });
+        const canvas = document.createElement("canvas");
+        canvas.width = Math.ceil(viewport.width);
+        canvas.height = Math.ceil(viewport.height);
+        await page.render({ canvasContext: canvas.getContext("2d"), viewport }).promise;
+        scans.push({ index: n - 1, canvas });
+      }
+      page.cleanup();
+    }
+    if (scans.length){
+      if (onProgress) onProgress("Loading OCR engine…");
+      const texts = await recognize(scans.map(s => s.canvas), onProgress);
+      scans.forEach((s, i) => { pages[s.index] = texts[i]; });
+    }
+    return { text: pages.filter(Boolean).join("\n\n").trim(), pages: doc.numPages, ocrPages: scans.length };
+  } finally {
+    doc.destroy();
+  }
+}
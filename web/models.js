@@ -0,0 +1,152 @@
+// On-device model loader (browser only): the NER model and the second-opinion zero-shot classifier.
+// Prefers the pinned Transformers.js runtime and ONNX model served from this site (vendor/, models/ —
+// see models/lock.json and bin/fetch-models.js): every file is checked against its SRI hash before
+// use, and the runtime is imported from the verified bytes. Falls back to the public CDNs unless
+// "local-only models" is switched on. Only the NER model is pinned; with the pinned runtime the
+// classifier can't load and callers use its lexicon fallback (lib/classifier.js).
+import { LOCK_PATH, lockedFiles, localModelPath, isPinned, parseIntegrity } from "../lib/models.js";
+
+export const NER_MODEL_ID = "Xenova/distilbert-base-cased-finetuned-conll03-english";
+export const CLASSIFIER_MODEL_ID = "Xenova/distilbert-base-uncased-mnli";
+const CDN_VERSION = "2.17.2";
+
+export class ModelIntegrityError extends Error {
+  constructor(path){
+    super(`Integrity check failed for ${path}`);
+    this.name = "ModelIntegrityError";
+    this.path = path;
+  }
+}
+
+const siteUrl = (path) => new URL(`../${path}`, import.meta.url).href;
+
+let _local = null;
+let _cdn = null;
+
+async function fetchBytes(path){
+  const res = await fetch(siteUrl(path));
+  if (!res.ok) throw new Error(`HTTP ${res.status} loading ${path}`);
+  return new Uint8Array(await res.arrayBuffer());
+}
+
+async function verify(path, integrity, bytes){
+  const sri = parseIntegrity(integrity);
+  const digest = new Uint8Array(await crypto.subtle.digest(sri.algorithm, bytes));
+  if (btoa(String.fromCharCode(...digest)) !== sri.digest) throw new ModelIntegrityError(path);
+  return bytes;
+}
+
+// The lock when this site serves a pinned runtime + model, else null.
+async function readLock(){
+  try {
+    const res = await fetch(siteUrl(LOCK_PATH), { cache: "no-cache" });
+    if (!res.ok) return null;
+    const lock = await res.json();
+    return lock.model.id === NER_MODEL_ID && isPinned(lock) ? lock : null;
+  } catch {
+    return null;
+  }
+}
+
+// Verifies every locked file (the service worker keeps them cached), then imports the runtime from
+// the verified bytes and points it at the local weights and WASM files.
+async function loadLocal(lock, onProgress){
+  const files = lockedFiles(lock);
+  let entry = null;
+  for (const [i, f] of files.entries()){
+    if (onProgress) onProgress(`verifying ${i + 1}/${files.length}`);
+    const bytes = await verify(f.path, f.integrity, await fetchBytes(f.path));
+    if (f.part === "runtime" && f.name === lock.runtime.entry) entry = bytes;
+  }
+  const url = URL.createObjectURL(new Blob([entry], { type: "text/javascript" }));
+  try {
+    const mod = await import(url);
+    mod.env.allowRemoteModels = false;
+    mod.env.allowLocalModels = true;
+    mod.env.localModelPath = siteUrl(localModelPath(lock));
+    mod.env.useBrowserCache = false;
+    mod.env.backends.onnx.wasm.wasmPaths = siteUrl(lock.runtime.path);
+    return { pipeline: mod.pipeline, source: "local", version: lock.runtime.version, quantized: lock.model.quantized };
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+async function loadCdn(){
+  const sources = [
+    `https://cdn.jsdelivr.net/npm/@xenova/transformers@${CDN_VERSION}`,
+    `https://unpkg.com/@xenova/transformers@${CDN_VERSION}?module`,
+    `https://esm.sh/@xenova/transformers@${CDN_VERSION}`,
+  ];
+  let lastErr = null;
+  for (const url of sources){
+    try {
+      const mod = await import(url);
+      if (mod && typeof mod.pipeline === "function") return { pipeline: mod.pipeline, source: "cdn", version: CDN_VERSION, quantized: true };
+    } catch (e) { lastErr = e; }
+  }
+  throw lastErr || new Error("Failed to load transformers pipeline");
+}
+
+// -> { pipeline, source: "local" | "cdn", version, quantized }.
+// localOnly: never touch the network beyond this site (throws when no pinned model is installed).
+export async function loadRuntime({ localOnly = false, onProgress } = {}){
+  const lock = await readLock();
+  if (lock){
+    try {
+      if (!_local) _local = loadLocal(lock, onProgress);
+      return await _local;
+    } catch (e) {
+      _local = null;
+      // A tampered or corrupted file is never silently replaced by a download.
+      if (localOnly || e instanceof ModelIntegrityError) throw e;
+      console.warn("Local model unavailable, falling back to the CDN", e);
+    }
+  } else if (localOnly){
+    throw new Error("Local-only models: no pinned model installed on this site (run bin/fetch-models.js)");
+  }
+  if (!_cdn){
+    _cdn = loadCdn();
+    _cdn.catch(() => { _cdn = null; });
+  }
+  return _cdn;
+}
+
+async function loadPipeline(task, modelId, { localOnly, onProgress, label }){
+  const runtime = await loadRuntime({ localOnly, onProgress });
+  const progress_callback = (p) => {
+    if (onProgress && p.status === "progress" && p.file && /\.onnx$/.test(p.file)) onProgress(`${label} ${Math.round(p.progress)}%`);
+  };
+  let pipe;
+  try {
+    pipe = await runtime.pipeline(task, modelId, { quantized: true, progress_callback });
+  } catch (e) {
+    // Some environments don't support quantized weights; the CDN has the full-precision ones too.
+    if (runtime.source !== "cdn") throw e;
+    pipe = await runtime.pipeline(task, modelId, { progress_callback });
+  }
+  return { pipe, source: runtime.source, version: runtime.version };
+}
+
+// Token-classification pipeline; onProgress gets short status strings ("model 42%").
+export async function loadNER({ localOnly = false, onProgress } = {}){
+  const { pipe, source, version } = await loadPipeline("token-classification", NER_MODEL_ID, { localOnly, onProgress, label: "model" });
+  return { ner: pipe, source, version };
+}
+
+// Zero-shot classification pipeline (NLI) for the second opinion; onProgress as for loadNER().
+export async function loadClassifier({ localOnly = false, onProgress } = {}){
+  const { pipe, source, version } = await loadPipeline("zero-shot-classification", CLASSIFIER_MODEL_ID, { localOnly, onProgress, label: "classifier" });
+  return { classify: pipe, source, version, model: CLASSIFIER_MODEL_ID };
+}
+
+// Bytes this origin keeps in Cache Storage / IndexedDB (service worker caches, model files), or null.
+export async function storageUsage(){
+  if (!(navigator.storage && navigator.storage.estimate)) return null;
+  const { usage } = await navigator.storage.estimate();
+  return usage ?? null;
+}
+
+export function formatBytes(n){
+  return n >= 1073741824 ? `${(n / 1073741824).toFixed(1)} GB` : n >= 1048576 ? `${Math.round(n / 1048576)} MB` : `${Math.round(n / 1024)} KB`;
+}